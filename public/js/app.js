@@ -3,6 +3,8 @@
 import { RawTraceView } from './views/raw-trace.js';
 import { HeatmapView } from './views/heatmap.js';
 import { SegmentsView } from './views/segments.js';
+import { LiveFleet } from './live-fleet.js';
+import { FleetPanel } from './fleet-panel.js';
 
 // Initialize map
 const map = L.map('map').setView([-6.34, 106.93], 15);
@@ -22,6 +24,12 @@ const views = {
 
 let currentView = 'trace';
 
+// Live truck positions, independent of the selected view
+const liveFleet = new LiveFleet(map);
+
+// Fleet management modal; refreshes the truck dropdown after changes
+const fleetPanel = new FleetPanel(() => loadTrucks());
+
 // Color utility
 window.getRoughnessColor = function (roughness) {
     if (roughness < 100) return '#00ff88';
@@ -65,19 +73,22 @@ function getFilters() {
     };
 }
 
-// Load trucks dropdown
+// Load trucks dropdown (keeps the current selection when reloaded)
 async function loadTrucks() {
     try {
         const response = await fetch('/api/map/trucks');
         const trucks = await response.json();
 
         const select = document.getElementById('truckSelect');
+        const selected = select.value;
+        select.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
         trucks.forEach(truck => {
             const option = document.createElement('option');
             option.value = truck.id;
             option.textContent = `${truck.truckId} (${truck.imei})`;
             select.appendChild(option);
         });
+        if (trucks.some(truck => String(truck.id) === selected)) select.value = selected;
     } catch (err) {
         console.error('Failed to load trucks:', err);
     }
@@ -145,21 +156,27 @@ function clearData() {
 
 // Generate segments
 async function generateSegments() {
-    if (!confirm('Generate segments from existing data points?')) return;
+    if (!confirm('Build roads from truck traces and add segments for stretches not yet covered?')) return;
 
     const btn = document.getElementById('generateBtn');
     btn.textContent = 'Generating...';
     btn.disabled = true;
 
     try {
-        const minSpeed = document.getElementById('minSpeed').value || '3';
+        const filters = getFilters();
+        const body = { minSpeed: parseInt(filters.minSpeed) };
+        // Default window is the last 30 days
+        if (filters.from) body.from = new Date(filters.from).toISOString();
+        if (filters.to) body.to = new Date(filters.to).toISOString();
+
         const response = await fetch('/api/segments/generate', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ minSpeed: parseInt(minSpeed) })
+            body: JSON.stringify(body)
         });
 
         const result = await response.json();
+        if (result.error) throw new Error(result.error);
         alert(result.message || `Created ${result.segmentsCreated} segments`);
 
         // Reload segments view
@@ -176,7 +193,7 @@ async function generateSegments() {
 
 // Delete all generated segments
 async function deleteAllGenerated() {
-    if (!confirm('Delete ALL auto-generated segments? This cannot be undone.')) return;
+    if (!confirm('Delete ALL generated roads and their segments? This cannot be undone.')) return;
 
     try {
         const response = await fetch('/api/segments/all/generated', { method: 'DELETE' });
@@ -191,6 +208,25 @@ async function deleteAllGenerated() {
     }
 }
 
+// Toggle live tracking
+async function toggleLive() {
+    const btn = document.getElementById('liveBtn');
+
+    if (liveFleet.active) {
+        liveFleet.stop();
+        btn.classList.remove('active');
+        return;
+    }
+
+    try {
+        await liveFleet.start({ truckId: getFilters().truckId });
+        btn.classList.add('active');
+    } catch (err) {
+        liveFleet.stop();
+        alert('Live tracking failed: ' + err.message);
+    }
+}
+
 // Event listeners
 document.querySelectorAll('.tab').forEach(tab => {
     tab.addEventListener('click', () => switchView(tab.dataset.view));
@@ -200,6 +236,15 @@ document.getElementById('loadBtn').addEventListener('click', loadData);
 document.getElementById('clearBtn').addEventListener('click', clearData);
 document.getElementById('generateBtn').addEventListener('click', generateSegments);
 document.getElementById('deleteAllBtn').addEventListener('click', deleteAllGenerated);
+document.getElementById('liveBtn').addEventListener('click', toggleLive);
+document.getElementById('fleetBtn').addEventListener('click', () => fleetPanel.open());
+
+// Follow the selected truck while live
+document.getElementById('truckSelect').addEventListener('change', () => {
+    if (liveFleet.active) {
+        liveFleet.start({ truckId: getFilters().truckId }).catch(err => console.error('Live restart failed:', err));
+    }
+});
 
 // Edit mode toggle button handler
 document.getElementById('editModeBtn').addEventListener('click', () => {
@@ -0,0 +1,258 @@
+// Fleet Panel - register, edit, retire trucks and swap trackers via /api/trucks
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[c]);
+}
+
+export class FleetPanel {
+    /**
+     * @param {function} onChange Called after any change, e.g. to refresh the truck dropdown
+     */
+    constructor(onChange = () => {}) {
+        this.onChange = onChange;
+        this.modal = document.getElementById('fleetModal');
+        this.list = document.getElementById('fleetList');
+        this.form = document.getElementById('fleetForm');
+        this.message = document.getElementById('fleetMessage');
+        this.editingId = null;
+        this.statuses = ['ACTIVE', 'MAINTENANCE', 'RETIRED'];
+
+        document.getElementById('fleetCloseBtn').addEventListener('click', () => this.close());
+        document.getElementById('fleetAddBtn').addEventListener('click', () => this.openForm());
+        document.getElementById('fleetCancelBtn').addEventListener('click', () => this.closeForm());
+        document.getElementById('fleetShowRetired').addEventListener('change', () => this.load());
+        document.getElementById('fleetImportFile').addEventListener('change', e => this.importFile(e.target));
+        this.form.addEventListener('submit', e => {
+            e.preventDefault();
+            this.save();
+        });
+        this.list.addEventListener('click', e => this.handleAction(e));
+        this.list.addEventListener('change', e => {
+            if (e.target.dataset.action === 'status') this.changeStatus(parseInt(e.target.dataset.id), e.target.value);
+        });
+    }
+
+    async open() {
+        this.modal.classList.remove('hidden');
+        this.setMessage('');
+        await this.loadOptions();
+        await this.load();
+    }
+
+    close() {
+        this.closeForm();
+        this.modal.classList.add('hidden');
+    }
+
+    setMessage(text, isError = false) {
+        this.message.textContent = text;
+        this.message.classList.toggle('error', isError);
+    }
+
+    async request(url, options = {}) {
+        const response = await fetch(url, options);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || response.statusText);
+        return result;
+    }
+
+    async loadOptions() {
+        try {
+            const options = await this.request('/api/trucks/options');
+            this.statuses = options.statuses;
+            const select = this.form.elements.avlProfileId;
+            select.innerHTML = '<option value="">Default</option>' + options.avlProfiles
+                .map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`)
+                .join('');
+        } catch (err) {
+            this.setMessage('Failed to load options: ' + err.message, true);
+        }
+    }
+
+    async load() {
+        this.list.innerHTML = '<em>Loading...</em>';
+        try {
+            const trucks = await this.request('/api/trucks');
+            const showRetired = document.getElementById('fleetShowRetired').checked;
+            this.trucks = trucks.filter(t => showRetired || t.status !== 'RETIRED');
+            this.render();
+        } catch (err) {
+            this.list.innerHTML = `<em>Failed to load trucks: ${escapeHtml(err.message)}</em>`;
+        }
+    }
+
+    render() {
+        if (this.trucks.length === 0) {
+            this.list.innerHTML = '<em>No trucks registered</em>';
+            return;
+        }
+
+        const rows = this.trucks.map(t => `
+            <tr class="${t.status === 'RETIRED' ? 'retired' : ''}">
+                <td><span class="online-dot ${t.online ? 'online' : ''}" title="${t.online ? 'Connected' : 'Offline'}"></span>${escapeHtml(t.truckId)}</td>
+                <td>${escapeHtml(t.imei)}${t._count?.imeiHistory ? ` <small title="Previous trackers">(${t._count.imeiHistory} prev)</small>` : ''}</td>
+                <td>${escapeHtml(t.registration || '-')}</td>
+                <td>${escapeHtml([t.make, t.model].filter(Boolean).join(' ') || '-')}</td>
+                <td>${t.lastSeenAt ? formatTime(t.lastSeenAt) : '-'}</td>
+                <td>
+                    <select data-action="status" data-id="${t.id}">
+                        ${this.statuses.map(s => `<option value="${s}" ${s === t.status ? 'selected' : ''}>${s}</option>`).join('')}
+                    </select>
+                </td>
+                <td class="fleet-actions">
+                    <button class="btn-secondary btn-sm" data-action="edit" data-id="${t.id}">Edit</button>
+                    <button class="btn-secondary btn-sm" data-action="swap" data-id="${t.id}">Swap IMEI</button>
+                </td>
+            </tr>
+        `).join('');
+
+        this.list.innerHTML = `
+            <table>
+                <thead><tr><th>Truck</th><th>IMEI</th><th>Registration</th><th>Make / Model</th><th>Last Seen</th><th>Status</th><th></th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    handleAction(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const truck = this.trucks.find(t => t.id === parseInt(button.dataset.id));
+        if (button.dataset.action === 'edit') this.openForm(truck);
+        if (button.dataset.action === 'swap') this.swapImei(truck);
+    }
+
+    openForm(truck = null) {
+        this.editingId = truck?.id ?? null;
+        const fields = this.form.elements;
+        for (const name of ['truckId', 'imei', 'registration', 'make', 'model', 'capacityTons', 'avlProfileId']) {
+            fields[name].value = truck?.[name] ?? '';
+        }
+        // The tracker changes through Swap IMEI
+        fields.imei.disabled = Boolean(truck);
+        this.form.querySelector('h4').textContent = truck ? `Edit ${truck.truckId}` : 'New Truck';
+        this.form.classList.remove('hidden');
+        fields.truckId.focus();
+    }
+
+    closeForm() {
+        this.editingId = null;
+        this.form.reset();
+        this.form.classList.add('hidden');
+    }
+
+    async save() {
+        const fields = this.form.elements;
+        const body = {
+            truckId: fields.truckId.value,
+            registration: fields.registration.value,
+            make: fields.make.value,
+            model: fields.model.value,
+            capacityTons: fields.capacityTons.value || null,
+            avlProfileId: fields.avlProfileId.value || null
+        };
+
+        try {
+            if (this.editingId) {
+                await this.request(`/api/trucks/${this.editingId}`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body)
+                });
+                this.setMessage(`Saved ${body.truckId}`);
+            } else {
+                await this.request('/api/trucks', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ ...body, imei: fields.imei.value })
+                });
+                this.setMessage(`Registered ${body.truckId}`);
+            }
+            this.closeForm();
+            await this.changed();
+        } catch (err) {
+            this.setMessage(err.message, true);
+        }
+    }
+
+    async changeStatus(id, status) {
+        const truck = this.trucks.find(t => t.id === id);
+        if (status === 'RETIRED' && !confirm(`Retire ${truck.truckId}? Its tracker will be refused from now on.`)) {
+            this.render();
+            return;
+        }
+
+        try {
+            await this.request(`/api/trucks/${id}/status`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ status })
+            });
+            this.setMessage(`${truck.truckId} is now ${status}`);
+            await this.changed();
+        } catch (err) {
+            this.setMessage(err.message, true);
+            this.render();
+        }
+    }
+
+    async swapImei(truck) {
+        const imei = prompt(`New tracker IMEI for ${truck.truckId} (current: ${truck.imei}):`);
+        if (!imei) return;
+        const reason = prompt('Reason for the swap (optional):', 'Tracker replaced') || undefined;
+
+        try {
+            await this.request(`/api/trucks/${truck.id}/imei`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ imei: imei.trim(), reason })
+            });
+            this.setMessage(`${truck.truckId}: tracker ${truck.imei} replaced by ${imei.trim()}. Mount calibration was reset.`);
+            await this.changed();
+        } catch (err) {
+            this.setMessage(err.message, true);
+        }
+    }
+
+    async importFile(input) {
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return;
+
+        try {
+            const csv = await file.text();
+            const query = 'updateExisting=true';
+            const check = await this.request(`/api/trucks/import?dryRun=true&${query}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'text/csv' },
+                body: csv
+            });
+
+            const summary = `${check.created} new, ${check.updated} to update, ${check.errors.length} invalid`;
+            const errors = check.errors.slice(0, 10).map(e => `Line ${e.line}: ${e.error}`).join('\n');
+            if (check.created + check.updated === 0) {
+                this.setMessage(`Nothing to import (${summary})${errors ? '\n' + errors : ''}`, true);
+                return;
+            }
+            if (!confirm(`Import ${file.name}: ${summary}.${errors ? '\n\n' + errors : ''}\n\nContinue?`)) return;
+
+            const result = await this.request(`/api/trucks/import?${query}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'text/csv' },
+                body: csv
+            });
+            this.setMessage(`Imported: ${result.created} created, ${result.updated} updated, ${result.errors.length} rejected`, result.errors.length > 0);
+            await this.changed();
+        } catch (err) {
+            this.setMessage('Import failed: ' + err.message, true);
+        }
+    }
+
+    async changed() {
+        await this.load();
+        this.onChange();
+    }
+}
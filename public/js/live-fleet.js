@@ -0,0 +1,150 @@
+// Live Fleet - truck markers and roughness events pushed over /api/stream (SSE)
+
+const EVENT_FLASH_MS = 60 * 1000;
+const STALE_MS = 10 * 60 * 1000;
+const ALERT_SHOW_MS = 30 * 1000;
+
+const SEVERITY_COLORS = {
+    LOW: '#ffeb3b',
+    MEDIUM: '#ff9800',
+    HIGH: '#f44336',
+    CRITICAL: '#b71c1c'
+};
+
+export class LiveFleet {
+    constructor(map) {
+        this.map = map;
+        this.trucksLayer = L.layerGroup().addTo(map);
+        this.eventsLayer = L.layerGroup().addTo(map);
+        this.markers = new Map(); // truckId -> { marker, position }
+        this.source = null;
+        this.lastAlert = null;
+        this.statusEl = document.getElementById('liveStatus');
+    }
+
+    get active() {
+        return this.source !== null;
+    }
+
+    /**
+     * Places markers from the latest snapshot, then follows the stream.
+     * filters.truckId limits both to one truck.
+     */
+    async start(filters = {}) {
+        this.stop();
+
+        const response = await fetch('/api/dashboard/trucks');
+        const trucks = await response.json();
+        if (trucks.error) throw new Error(trucks.error);
+
+        trucks
+            .filter(t => t.lat != null && (!filters.truckId || String(t.id) === String(filters.truckId)))
+            .forEach(t => this.updateTruck({
+                truckId: t.id,
+                truck: t.truckId,
+                timestamp: t.lastUpdate,
+                latitude: Number(t.lat),
+                longitude: Number(t.lon),
+                speed: t.speed,
+                isLoaded: t.isLoaded
+            }));
+
+        const params = new URLSearchParams();
+        if (filters.truckId) params.append('trucks', filters.truckId);
+
+        this.source = new EventSource(`/api/stream?${params}`);
+        this.source.addEventListener('open', () => this.setStatus());
+        this.source.addEventListener('error', () => this.setStatus('reconnecting...'));
+        this.source.addEventListener('position', e => this.updateTruck(JSON.parse(e.data)));
+        this.source.addEventListener('event', e => this.flashEvent(JSON.parse(e.data)));
+        this.source.addEventListener('alert', e => this.showAlert(JSON.parse(e.data)));
+    }
+
+    stop() {
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+        this.trucksLayer.clearLayers();
+        this.eventsLayer.clearLayers();
+        this.markers.clear();
+        this.setStatus('off');
+    }
+
+    updateTruck(position) {
+        const entry = this.markers.get(position.truckId);
+        const latLng = [position.latitude, position.longitude];
+        const icon = this.truckIcon(position);
+
+        if (entry) {
+            entry.marker.setLatLng(latLng);
+            entry.marker.setIcon(icon);
+            entry.position = position;
+        } else {
+            const marker = L.marker(latLng, { icon }).addTo(this.trucksLayer);
+            marker.bindPopup(() => this.truckPopup(this.markers.get(position.truckId).position));
+            this.markers.set(position.truckId, { marker, position });
+        }
+        this.setStatus();
+    }
+
+    truckIcon(position) {
+        const stale = Date.now() - new Date(position.timestamp).getTime() > STALE_MS;
+        const classes = ['truck-marker', position.isLoaded ? 'loaded' : 'empty', stale ? 'stale' : ''].join(' ');
+        return L.divIcon({
+            className: '',
+            html: `<div class="${classes}">${position.truck ?? position.truckId}</div>`,
+            iconSize: null
+        });
+    }
+
+    truckPopup(position) {
+        return `
+            <div class="popup-content">
+                <strong>${position.truck ?? 'Truck ' + position.truckId}</strong><br>
+                Speed: ${position.speed ?? '-'} km/h<br>
+                ${position.isLoaded ? 'Loaded' : 'Empty'}<br>
+                ${position.roadSegmentId ? `Segment: ${position.roadSegmentId}<br>` : ''}
+                Last update: ${formatTime(position.timestamp)}
+            </div>
+        `;
+    }
+
+    flashEvent(event) {
+        const circle = L.circleMarker([event.latitude, event.longitude], {
+            radius: 10,
+            fillColor: SEVERITY_COLORS[event.severity] || '#f44336',
+            color: '#fff',
+            weight: 2,
+            fillOpacity: 0.9
+        }).addTo(this.eventsLayer);
+
+        circle.bindPopup(`
+            <div class="popup-content">
+                <strong>${event.eventType} (${event.severity})</strong><br>
+                Truck: ${event.truck ?? event.truckId}<br>
+                Peak: ${event.peakZAxis} mG<br>
+                ${formatTime(event.timestamp)}
+            </div>
+        `);
+
+        setTimeout(() => this.eventsLayer.removeLayer(circle), EVENT_FLASH_MS);
+    }
+
+    showAlert(alert) {
+        const label = alert.change === 'resolved' ? 'Resolved' : alert.severity;
+        this.lastAlert = { text: `${label}: ${alert.title}`, until: Date.now() + ALERT_SHOW_MS };
+        this.setStatus();
+    }
+
+    setStatus(text) {
+        if (!this.statusEl) return;
+        this.statusEl.classList.toggle('hidden', !this.active);
+
+        if (!text) {
+            text = `● Live · ${this.markers.size} trucks`;
+            if (this.lastAlert && this.lastAlert.until > Date.now()) text += ` · ${this.lastAlert.text}`;
+        }
+        this.statusEl.textContent = text;
+    }
+}
@@ -10,15 +10,24 @@ export class SegmentsView {
         this.drawControl = null;
         this.isDrawMode = false;
         this.mapClickHandler = null;
+        this.polylines = new Map(); // segmentId -> polyline
+        this.forecasts = new Map(); // segmentId -> /api/forecast entry
+        this.mapPick = null; // { prompt, onPick(latlng, segment) } while waiting for a map click
 
         this.initDrawControl();
         this.initSplitModal();
+        this.initEditTools();
         this.initMapClickHandler();
+        this.initGradingPlan();
     }
 
     initMapClickHandler() {
         // Deselect segment when clicking on empty map area
         this.mapClickHandler = (e) => {
+            if (this.mapPick) {
+                this.finishMapPick(e.latlng, null);
+                return;
+            }
             // Only deselect if we have a selected segment and not in draw mode
             if (this.selectedSegment && !this.isDrawMode) {
                 this.deselectSegment();
@@ -126,6 +135,10 @@ export class SegmentsView {
             this.openSplitModal();
         });
 
+        document.getElementById('splitMode').addEventListener('change', () => {
+            this.showSplitModeInput();
+        });
+
         // Modal handlers
         document.getElementById('splitConfirmBtn').addEventListener('click', () => {
             this.confirmSplit();
@@ -134,34 +147,98 @@ export class SegmentsView {
         document.getElementById('splitCancelBtn').addEventListener('click', () => {
             this.closeSplitModal();
         });
+
+    }
+
+    initEditTools() {
+        document.getElementById('mergeSegmentBtn').addEventListener('click', () => {
+            const segment = this.selectedSegment;
+            if (!segment) return;
+            this.startMapPick('Click the neighbouring segment to merge with (Esc to cancel)', (latlng, other) => {
+                if (!other || other.id === segment.id) {
+                    alert('Merge cancelled: click a different segment.');
+                    return;
+                }
+                this.postEdit('/api/segments/merge', { segmentIds: [segment.id, other.id] }, 'Merge');
+            });
+        });
+
+        document.getElementById('reverseSegmentBtn').addEventListener('click', () => {
+            if (!this.selectedSegment) return;
+            this.postEdit(`/api/segments/${this.selectedSegment.id}/reverse`, {}, 'Reverse');
+        });
+
+        document.getElementById('snapSegmentBtn').addEventListener('click', () => {
+            if (!this.selectedSegment) return;
+            this.postEdit('/api/segments/snap', { segmentIds: [this.selectedSegment.id] }, 'Snap');
+        });
+
+        // Escape cancels picking on the map
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.mapPick) {
+                this.stopMapPick();
+            }
+        });
+    }
+
+    /**
+     * Waits for the next click on the map or a segment
+     */
+    startMapPick(prompt, onPick) {
+        this.mapPick = { prompt, onPick };
+        this.map.getContainer().style.cursor = 'crosshair';
+        const help = document.getElementById('mapPickHelp');
+        help.textContent = prompt;
+        help.classList.remove('hidden');
+    }
+
+    stopMapPick() {
+        this.mapPick = null;
+        this.map.getContainer().style.cursor = '';
+        document.getElementById('mapPickHelp').classList.add('hidden');
+    }
+
+    finishMapPick(latlng, segment) {
+        const { onPick } = this.mapPick;
+        this.stopMapPick();
+        onPick(latlng, segment);
     }
 
     openSplitModal() {
         const segment = this.selectedSegment;
         if (!segment) return;
 
-        const geometry = segment.geometryJson;
-        const pointCount = geometry?.coordinates?.length || 0;
-        const maxParts = pointCount - 1;
-
-        if (pointCount < 3) {
-            alert('Segment has too few points to split (need at least 3 points).');
+        const length = Number(segment.lengthMeters || 0);
+        if (!segment.geometryJson?.coordinates || segment.geometryJson.coordinates.length < 2 || length <= 0) {
+            alert('Segment has no geometry to split.');
             return;
         }
 
         // Update modal content
-        document.getElementById('splitPointCount').textContent = pointCount;
-        document.getElementById('splitRange').textContent = `(2 - ${maxParts})`;
+        const start = Number(segment.startChainageM ?? 0);
+        document.getElementById('splitLength').textContent = Math.round(length);
+        document.getElementById('splitChainageRange').textContent =
+            `(${Math.round(start)} - ${Math.round(start + length)} m)`;
+        document.getElementById('splitChainages').value = Math.round(start + length / 2);
 
         const input = document.getElementById('splitParts');
         input.min = 2;
-        input.max = maxParts;
-        input.value = Math.min(2, maxParts);
+        input.value = 2;
+
+        document.getElementById('splitMode').value = 'equal';
+        this.showSplitModeInput();
 
         // Show modal
         document.getElementById('splitModal').classList.remove('hidden');
     }
 
+    showSplitModeInput() {
+        const mode = document.getElementById('splitMode').value;
+        document.getElementById('splitEqualInput').classList.toggle('hidden', mode !== 'equal');
+        document.getElementById('splitChainageInput').classList.toggle('hidden', mode !== 'chainage');
+        document.getElementById('splitPointHint').classList.toggle('hidden', mode !== 'point');
+    }
+
     closeSplitModal() {
         document.getElementById('splitModal').classList.add('hidden');
     }
@@ -170,28 +247,55 @@ export class SegmentsView {
         const segment = this.selectedSegment;
         if (!segment) return;
 
-        const parts = parseInt(document.getElementById('splitParts').value);
+        const mode = document.getElementById('splitMode').value;
+
+        if (mode === 'point') {
+            this.closeSplitModal();
+            this.startMapPick('Click the segment where it should be cut (Esc to cancel)', (latlng) => {
+                this.postEdit(`/api/segments/${segment.id}/split`, { mode, point: [latlng.lng, latlng.lat] }, 'Split');
+            });
+            return;
+        }
+
+        const body = { mode };
+        if (mode === 'equal') {
+            body.parts = parseInt(document.getElementById('splitParts').value);
+        } else {
+            body.chainages = document.getElementById('splitChainages').value
+                .split(/[,;\s]+/)
+                .filter(Boolean)
+                .map(Number);
+        }
+
+        if (await this.postEdit(`/api/segments/${segment.id}/split`, body, 'Split')) {
+            this.closeSplitModal();
+        }
+    }
 
+    /**
+     * Sends a segment edit (split, merge, reverse, snap) and reloads the
+     * segments. Returns true on success.
+     */
+    async postEdit(url, body, action) {
         // Save current view
         const currentCenter = this.map.getCenter();
         const currentZoom = this.map.getZoom();
 
         try {
-            const response = await fetch(`/api/segments/${segment.id}/split`, {
+            const response = await fetch(url, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ parts })
+                body: JSON.stringify(body)
             });
 
             const result = await response.json();
 
             if (result.error) {
-                alert('Split failed: ' + result.error);
-                return;
+                alert(`${action} failed: ` + result.error);
+                return false;
             }
 
-            alert(result.message);
-            this.closeSplitModal();
+            if (result.message) alert(result.message);
 
             // Hide segment info panel
             document.getElementById('segmentInfo').classList.add('hidden');
@@ -203,9 +307,11 @@ export class SegmentsView {
 
             // Restore view
             this.map.setView(currentCenter, currentZoom);
+            return true;
 
         } catch (err) {
-            alert('Split failed: ' + err.message);
+            alert(`${action} failed: ` + err.message);
+            return false;
         }
     }
 
@@ -298,7 +404,24 @@ export class SegmentsView {
         }
     }
 
+    // Forecasts are secondary: failures only leave the forecast lines out
+    async loadForecasts() {
+        try {
+            const response = await fetch('/api/forecast');
+            const forecasts = await response.json();
+            if (forecasts.error) throw new Error(forecasts.error);
+            this.forecasts = new Map(forecasts.map(f => [f.roadSegmentId, f]));
+
+            // Segments usually load first; fill in the open details panel
+            if (this.selectedSegment) this.renderSegmentDetails(this.selectedSegment);
+        } catch (err) {
+            console.error('Failed to load forecasts:', err);
+        }
+    }
+
     async load(filters) {
+        this.loadForecasts();
+
         const response = await fetch('/api/segments');
         const segments = await response.json();
 
@@ -319,6 +442,8 @@ export class SegmentsView {
         const currentCenter = this.map.getCenter();
         const currentZoom = this.map.getZoom();
 
+        this.loadForecasts();
+
         const response = await fetch('/api/segments');
         const segments = await response.json();
 
@@ -338,6 +463,7 @@ export class SegmentsView {
 
     display(segments) {
         this.layer.clearLayers();
+        this.polylines.clear();
 
         if (segments.length === 0) {
             document.getElementById('totalPoints').textContent = '0';
@@ -375,10 +501,15 @@ export class SegmentsView {
                 weight: 8,
                 opacity: 0.9
             }).addTo(this.layer);
+            this.polylines.set(segment.id, polyline);
 
             // Click to select
             polyline.on('click', (e) => {
                 L.DomEvent.stopPropagation(e);
+                if (this.mapPick) {
+                    this.finishMapPick(e.latlng, segment);
+                    return;
+                }
                 this.selectSegment(segment, polyline);
             });
 
@@ -408,6 +539,7 @@ export class SegmentsView {
     // Display without changing view
     displayPreservingView(segments) {
         this.layer.clearLayers();
+        this.polylines.clear();
 
         if (segments.length === 0) {
             document.getElementById('totalPoints').textContent = '0';
@@ -442,10 +574,15 @@ export class SegmentsView {
                 weight: 8,
                 opacity: 0.9
             }).addTo(this.layer);
+            this.polylines.set(segment.id, polyline);
 
             // Click to select
             polyline.on('click', (e) => {
                 L.DomEvent.stopPropagation(e);
+                if (this.mapPick) {
+                    this.finishMapPick(e.latlng, segment);
+                    return;
+                }
                 this.selectSegment(segment, polyline);
             });
 
@@ -481,6 +618,10 @@ export class SegmentsView {
         const panel = document.getElementById('segmentInfo');
         panel.classList.remove('hidden');
 
+        this.renderSegmentDetails(segment);
+    }
+
+    renderSegmentDetails(segment) {
         const geoPoints = segment.geometryJson?.coordinates?.length || 0;
 
         document.getElementById('segmentDetails').innerHTML = `
@@ -490,12 +631,95 @@ export class SegmentsView {
             <p><strong>Geo Points:</strong> ${geoPoints}</p>
             <p><strong>Telemetry Points:</strong> ${segment.pointCount || 0}</p>
             <p><strong>Roughness:</strong> ${segment.avgRoughness ?? 'N/A'}</p>
+            ${this.forecastHtml(segment.id)}
         `;
 
         // Delete handler
         document.getElementById('deleteSegmentBtn').onclick = () => this.deleteSegment(segment.id);
     }
 
+    forecastHtml(segmentId) {
+        const entry = this.forecasts.get(segmentId);
+        if (!entry || entry.forecast.model === 'insufficient_data') {
+            return '<p><strong>Forecast:</strong> <em>Not enough history</em></p>';
+        }
+
+        const { forecast } = entry;
+        const crossings = forecast.crossings.map(c => {
+            let when = 'not forecast';
+            if (c.reached) when = 'reached';
+            else if (c.date) when = `${new Date(c.date).toLocaleDateString('en-GB', { day: '2-digit', month: 'short' })} (${c.daysFromNow} d)`;
+            return `<p>&nbsp;&nbsp;${c.category.replace('_', ' ')} (&gt; ${c.threshold}): ${when}</p>`;
+        }).join('');
+
+        return `
+            <p><strong>IRI:</strong> ${forecast.currentIri} m/km (${forecast.currentCategory.replace('_', ' ')}),
+                ${forecast.ratePerDay >= 0 ? '+' : ''}${forecast.ratePerDay}/day</p>
+            <p><strong>Last graded:</strong> ${entry.lastGradedAt ? formatTime(entry.lastGradedAt) : 'unknown'}</p>
+            ${crossings}
+        `;
+    }
+
+    initGradingPlan() {
+        document.getElementById('gradingPlanBtn').addEventListener('click', () => {
+            const panel = document.getElementById('gradingPlan');
+            if (panel.classList.contains('hidden')) {
+                this.showGradingPlan();
+            } else {
+                panel.classList.add('hidden');
+            }
+        });
+    }
+
+    async showGradingPlan() {
+        const panel = document.getElementById('gradingPlan');
+        const list = document.getElementById('gradingPlanList');
+        panel.classList.remove('hidden');
+        list.innerHTML = '<em>Loading...</em>';
+
+        try {
+            const response = await fetch('/api/forecast/grading-plan');
+            const result = await response.json();
+            if (result.error) throw new Error(result.error);
+
+            if (result.plan.length === 0) {
+                list.innerHTML = `<em>No segments turn poor within ${result.horizonDays} days</em>`;
+                return;
+            }
+
+            list.innerHTML = `
+                <table>
+                    <tr><th>#</th><th>Segment</th><th>Grade on</th><th>Poor in</th><th>IRI</th></tr>
+                    ${result.plan.map(p => `
+                        <tr class="plan-row priority-${p.priority.toLowerCase()}" data-segment-id="${p.roadSegmentId}">
+                            <td>${p.rank}</td>
+                            <td>${p.label}</td>
+                            <td>${new Date(p.plannedDate).toLocaleDateString('en-GB', { day: '2-digit', month: 'short' })}</td>
+                            <td>${p.daysToPoor === 0 ? 'now' : p.daysToPoor + ' d'}</td>
+                            <td>${p.currentIri}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+                ${result.alreadyScheduled.length > 0 ? `<p class="plan-note">${result.alreadyScheduled.length} segment(s) already have a grading work order</p>` : ''}
+            `;
+
+            list.querySelectorAll('.plan-row').forEach(row => {
+                row.addEventListener('click', () => this.focusSegment(parseInt(row.dataset.segmentId)));
+            });
+        } catch (err) {
+            list.innerHTML = `<em>Failed to load plan: ${err.message}</em>`;
+        }
+    }
+
+    focusSegment(id) {
+        const segment = this.segments.find(s => s.id === id);
+        const polyline = this.polylines.get(id);
+        if (!segment || !polyline) return;
+
+        this.map.fitBounds(polyline.getBounds(), { padding: [80, 80] });
+        this.selectSegment(segment, polyline);
+    }
+
     async deleteSegment(id) {
         if (!confirm(`Delete segment #${id}?`)) return;
 
@@ -533,5 +757,6 @@ export class SegmentsView {
         this.selectedPolyline = null;
         document.getElementById('segmentInfo').classList.add('hidden');
         document.getElementById('editModeHelp').classList.add('hidden');
+        document.getElementById('gradingPlan').classList.add('hidden');
     }
 }
@@ -0,0 +1,41 @@
+import prisma from '../src/config/database.js';
+import { registerBackgroundJobs } from '../src/services/background-jobs.js';
+import { triggerJob } from '../src/services/job-scheduler.js';
+
+// Runs through the scheduler like the daily job: each day takes the job lock
+// (so it never overlaps a scheduled run) and is recorded as a JobRun.
+const JOB = 'daily-aggregation';
+
+// Parse YYYY-MM-DD as a local date (aggregation uses local day boundaries)
+function parseDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+const from = parseDate(process.argv[2]);
+const to = parseDate(process.argv[3] || process.argv[2]);
+
+if (!from || !to || from > to) {
+  console.log("Usage: bun scripts/backfill-aggregation.js <FROM YYYY-MM-DD> [TO YYYY-MM-DD]");
+  process.exit(1);
+}
+
+registerBackgroundJobs();
+
+try {
+  for (const day = new Date(from); day <= to; day.setDate(day.getDate() + 1)) {
+    const started = await triggerJob(JOB, 'cli', { date: new Date(day) });
+    if (!started) throw new Error(`${JOB} is running elsewhere, try again later`);
+
+    const run = await started.done;
+    if (!run) throw new Error(`Run ${started.run.id} could not be recorded`);
+    if (run.status !== 'SUCCESS') throw new Error(`Run ${run.id}: ${run.error}`);
+    console.log(`✅ ${run.result.date}: ${run.result.segments} segments, ${run.result.passes} passes (run ${run.id})`);
+  }
+} catch (error) {
+  console.error("❌ Backfill Failed:", error.message);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
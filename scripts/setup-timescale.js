@@ -0,0 +1,84 @@
+import prisma from '../src/config/database.js';
+
+// TimescaleDB objects Prisma can't express. Every statement is idempotent:
+// run after `prisma db push` / migrations, and again after schema changes.
+const STATEMENTS = [
+  {
+    name: 'TruckTelemetry hypertable',
+    sql: `SELECT create_hypertable('"TruckTelemetry"', 'timestamp', if_not_exists => TRUE, migrate_data => TRUE)`
+  },
+  {
+    // Rows stored before verticalAccel existed, and rows stored before the truck's
+    // current orientation was calibrated. Same math as vertical-acceleration.js:
+    // rows since the last tracker swap use the stored orientation; older rows keep
+    // the value computed at ingestion, or get the default Z-up mounting if missing.
+    name: 'Backfill verticalAccel',
+    sql: `
+      UPDATE "TruckTelemetry" t
+      SET "verticalAccel" = round(
+        CASE WHEN tr."mountOrientation" IS NULL OR t."timestamp" < tr.swapped_at THEN COALESCE(t."axisZ", 0) - 1000
+        ELSE (tr."mountOrientation"->'rotation'->2->>0)::float8 * COALESCE(t."axisX", 0)
+           + (tr."mountOrientation"->'rotation'->2->>1)::float8 * COALESCE(t."axisY", 0)
+           + (tr."mountOrientation"->'rotation'->2->>2)::float8 * COALESCE(t."axisZ", 0)
+           - (tr."mountOrientation"->>'gravityMagnitude')::float8
+        END)
+      FROM (
+        SELECT "Truck".id, "Truck"."mountOrientation",
+          COALESCE((SELECT max(h."removedAt") FROM "TruckImeiHistory" h WHERE h."truckId" = "Truck".id), '-infinity') AS swapped_at
+        FROM "Truck"
+      ) tr
+      WHERE tr.id = t."truckId"
+        AND (t."verticalAccel" IS NULL OR (tr."mountOrientation" IS NOT NULL AND t."timestamp" >= tr.swapped_at))`
+  },
+  {
+    // Moving samples on a segment, per hour and load state. Sums (not averages)
+    // so shift/day buckets can be rolled up exactly from the hourly rows.
+    name: 'segment_roughness_hourly continuous aggregate',
+    sql: `
+      CREATE MATERIALIZED VIEW IF NOT EXISTS segment_roughness_hourly
+      WITH (timescaledb.continuous, timescaledb.materialized_only = false) AS
+      SELECT
+        time_bucket(INTERVAL '1 hour', "timestamp") AS bucket,
+        "roadSegmentId" AS road_segment_id,
+        COALESCE("isLoaded", false) AS is_loaded,
+        count(*) AS sample_count,
+        sum("verticalAccel")::float8 AS sum_vertical,
+        sum("verticalAccel"::float8 * "verticalAccel") AS sum_sq_vertical,
+        max("verticalAccel") AS max_vertical,
+        min("verticalAccel") AS min_vertical,
+        sum(speed)::float8 AS sum_speed
+      FROM "TruckTelemetry"
+      WHERE "roadSegmentId" IS NOT NULL AND "verticalAccel" IS NOT NULL AND speed >= 5
+      GROUP BY bucket, "roadSegmentId", COALESCE("isLoaded", false)
+      WITH NO DATA`
+  },
+  {
+    name: 'segment_roughness_hourly refresh policy',
+    sql: `
+      SELECT add_continuous_aggregate_policy('segment_roughness_hourly',
+        start_offset => INTERVAL '7 days',
+        end_offset => INTERVAL '1 hour',
+        schedule_interval => INTERVAL '15 minutes',
+        if_not_exists => TRUE)`
+  }
+];
+
+// Materialize all existing history once
+const REFRESH = `CALL refresh_continuous_aggregate('segment_roughness_hourly', NULL, NULL)`;
+
+try {
+  for (const statement of STATEMENTS) {
+    await prisma.$executeRawUnsafe(statement.sql);
+    console.log(`✅ ${statement.name}`);
+  }
+
+  if (process.argv.includes('--refresh')) {
+    await prisma.$executeRawUnsafe(REFRESH);
+    console.log("✅ segment_roughness_hourly refreshed");
+  }
+} catch (error) {
+  console.error("❌ TimescaleDB Setup Failed:", error.message);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
@@ -0,0 +1,49 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import { scanTruckTrace } from '../src/algorithms/event-scanner.js';
+import { DEFAULT_ORIENTATION, estimateOrientation } from '../src/algorithms/vertical-acceleration.js';
+
+// Recorded single-truck trace: { description?, points: [{ id, timestamp, latitude, longitude, axisX, axisY, axisZ, ... }] }
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures/event-trace-sample.json');
+
+function testDetector(fixturePath) {
+  console.log("Testing fixture:", fixturePath);
+  try {
+    const fixture = JSON.parse(readFileSync(fixturePath, 'utf8'));
+    if (fixture.description) console.log(fixture.description);
+
+    // Same fallback as the detector for an uncalibrated truck
+    const orientation = estimateOrientation(fixture.points) ?? DEFAULT_ORIENTATION;
+    console.log("Mounting orientation:", orientation.source, "| gravity:", orientation.gravity.join(', '), "mG");
+
+    const result = scanTruckTrace(fixture.points, { orientation });
+
+    console.log(`✅ Scanned ${fixture.points.length} points`);
+    result.events.forEach((event, idx) => {
+      console.log(`\nEvent #${idx + 1}:`);
+      console.log("  Start:", event.timestamp.toISOString());
+      console.log("  Type:", event.eventType, `(confidence ${event.confidence})`);
+      console.log("  Severity:", event.severity, "| Peak vertical:", event.peakZAxis, "mG | Duration:", event.durationMs, "ms");
+    });
+
+    if (result.openEvent) {
+      console.log(`\nOpen event carried over (${result.openPointIds.length} points):`, result.openEvent.severity);
+    }
+    console.log("\nSettled points:", result.settledPointIds.length);
+
+  } catch (error) {
+    console.error("❌ Detection Failed:", error.message);
+  }
+}
+
+// Allow passing a fixture file via command line
+const inputPath = process.argv[2];
+if (inputPath) {
+  testDetector(inputPath);
+} else {
+  console.log("Usage: bun scripts/test-event-detector.js <FIXTURE_JSON>");
+  console.log("Running with bundled sample...");
+  testDetector(DEFAULT_FIXTURE);
+}
@@ -0,0 +1,57 @@
+import prisma from '../src/config/database.js';
+import { swapIMEI, isValidIMEI } from '../src/services/fleet.js';
+
+// Registers a throwaway truck with a calibrated mount, swaps its tracker and
+// checks the history row and the cleared orientation. Needs DATABASE_URL;
+// the truck is deleted afterwards.
+
+// Appends the Luhn check digit to 14 digits
+function withCheckDigit(body) {
+  for (let digit = 0; digit <= 9; digit++) {
+    if (isValidIMEI(`${body}${digit}`)) return `${body}${digit}`;
+  }
+  throw new Error(`No check digit for ${body}`);
+}
+
+function randomBody() {
+  return `35${String(Math.floor(Math.random() * 1e12)).padStart(12, '0')}`;
+}
+
+async function testSwap() {
+  const oldImei = withCheckDigit(randomBody());
+  const newImei = withCheckDigit(randomBody());
+  const truck = await prisma.truck.create({
+    data: {
+      truckId: `SWAP-TEST-${Date.now()}`,
+      imei: oldImei,
+      mountOrientation: { gravity: [0, 0, 1000], source: 'test' },
+      mountCalibratedAt: new Date()
+    }
+  });
+
+  try {
+    const swapped = await swapIMEI(truck.id, newImei, { reason: 'script check', by: 'test-imei-swap' });
+    const history = await prisma.truckImeiHistory.findMany({ where: { truckId: truck.id } });
+
+    const checks = [
+      ['IMEI replaced', swapped.imei === newImei],
+      ['Mount orientation cleared', swapped.mountOrientation === null && swapped.mountCalibratedAt === null],
+      ['Old IMEI in history', history.length === 1 && history[0].imei === oldImei && history[0].reason === 'script check']
+    ];
+    for (const [label, ok] of checks) {
+      console.log(`${ok ? '✅' : '❌'} ${label}`);
+    }
+    if (checks.some(([, ok]) => !ok)) process.exitCode = 1;
+  } finally {
+    await prisma.truck.delete({ where: { id: truck.id } });
+  }
+}
+
+try {
+  await testSwap();
+} catch (error) {
+  console.error("❌ IMEI swap failed:", error.message);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
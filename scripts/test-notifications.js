@@ -0,0 +1,124 @@
+import http from 'http';
+import net from 'net';
+import { buildPayload, sendNotification, verifySignature } from '../src/services/notification-transports.js';
+
+// Sends a sample alert through the webhook and email transports to a local
+// HTTP receiver and SMTP sink started here. No database needed.
+const SECRET = 'test-secret';
+
+const SAMPLE_ALERT = {
+  id: 42,
+  alertType: 'segment_iri',
+  severity: 'CRITICAL',
+  title: 'Main Haul #7 is very poor',
+  message: 'Estimated IRI 9.4 m/km on 2026-01-15',
+  roadSegment: { id: 7, segmentNumber: 7, roadId: 1, road: { roadName: 'Main Haul' } },
+  latitude: '-23.361234',
+  longitude: '119.731234',
+  occurrences: 3,
+  createdAt: new Date(),
+  data: { iri: 9.4, category: 'very_poor' }
+};
+
+function startReceiver(statusCode) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({
+        event: req.headers['x-roughness-event'],
+        signatureValid: verifySignature(SECRET, req.headers['x-roughness-timestamp'], body, req.headers['x-roughness-signature']),
+        payload: JSON.parse(body)
+      });
+      res.writeHead(statusCode).end();
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, received })));
+}
+
+// Accepts everything, keeps the DATA of each message
+function startSmtpSink() {
+  const messages = [];
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let data = null;
+    socket.write('220 sink ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            messages.push(data.join('\n'));
+            data = null;
+            socket.write('250 OK queued\r\n');
+          } else {
+            data.push(line);
+          }
+        } else if (/^EHLO/i.test(line)) {
+          socket.write('250-sink\r\n250 8BITMIME\r\n');
+        } else if (/^DATA/i.test(line)) {
+          data = [];
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (/^QUIT/i.test(line)) {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, messages })));
+}
+
+async function testNotifications() {
+  const payload = buildPayload(SAMPLE_ALERT, 'raised');
+
+  const receiver = await startReceiver(200);
+  const failing = await startReceiver(500);
+  const sink = await startSmtpSink();
+
+  try {
+    const webhook = { type: 'WEBHOOK', name: 'local', url: `http://127.0.0.1:${receiver.server.address().port}/hook`, secret: SECRET };
+    const result = await sendNotification(webhook, payload, { deliveryId: 1 });
+    const [hook] = receiver.received;
+    console.log(`✅ Webhook: HTTP ${result.responseCode}, event ${hook.event}, signature ${hook.signatureValid ? 'valid' : 'INVALID'}`);
+
+    try {
+      await sendNotification({ ...webhook, url: `http://127.0.0.1:${failing.server.address().port}/hook` }, payload);
+      console.error('❌ Failing webhook did not throw');
+    } catch (err) {
+      console.log(`✅ Failing webhook: ${err.message} (responseCode ${err.responseCode})`);
+    }
+
+    const email = { type: 'EMAIL', name: 'ops', recipients: ['ops@example.com', 'shift.boss@example.com'] };
+    const smtpConfig = { host: '127.0.0.1', port: sink.server.address().port, from: 'alerts@example.com' };
+    await sendNotification(email, payload, { smtpConfig });
+    console.log('✅ Email accepted by SMTP sink:\n');
+    console.log(sink.messages[0]);
+
+    // Nothing listens on a port once its server is closed
+    const closed = await startSmtpSink();
+    const closedPort = closed.server.address().port;
+    await new Promise(resolve => closed.server.close(resolve));
+    try {
+      await sendNotification(email, payload, { smtpConfig: { ...smtpConfig, port: closedPort } });
+      console.error('❌ Unreachable SMTP server did not throw');
+    } catch (err) {
+      const ok = err.responseCode === null;
+      console.log(`${ok ? '✅' : '❌'} Unreachable SMTP server: ${err.message} (responseCode ${err.responseCode})`);
+    }
+  } catch (error) {
+    console.error('❌ Notification test failed:', error.message);
+  } finally {
+    receiver.server.close();
+    failing.server.close();
+    sink.server.close();
+  }
+}
+
+testNotifications();
@@ -2,9 +2,9 @@ import { Codec8Parser } from '../src/parsers/codec8.js';
 import { mapAVLToFields } from '../src/parsers/avl-mapper.js';
 import { hexToBytes } from '../src/utils/hex-utils.js';
 
-// Sample FMC130 Codec8 string (Replace with real data from logs)
-// This is a dummy example structure for testing
-const SAMPLE_HEX = "0000000000000045080100000185D83E9C800100000000000000000000000000000000030001010100020002001103AF00EF00000000000100001234";
+// Codec 8 example packet from the Teltonika protocol documentation:
+// one record, 5 IO elements, valid CRC. Pass a hex string from the logs to test real data.
+const SAMPLE_HEX = "000000000000003608010000016B40D8EA30010000000000000000000000000000000105021503010101425E0F01F10000601A014E0000000000000000010000C7CF";
 
 // Helper to run test
 function testParser(hexString) {
@@ -38,9 +38,6 @@ if (inputHex) {
   testParser(inputHex);
 } else {
   console.log("Usage: bun scripts/test-parser.js <HEX_STRING>");
-  console.log("Running with dummy sample...");
-  // Note: The dummy sample above might fail CRC check if not perfect, 
-  // but it verifies the structure.
-  // For a real test, we need a real packet.
+  console.log("Running with the documentation sample...");
   testParser(SAMPLE_HEX);
 }
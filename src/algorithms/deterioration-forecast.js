@@ -0,0 +1,235 @@
+import { FORECAST, THRESHOLDS } from '../config/constants.js';
+import { categorizeIRI } from './iri-estimator.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Category reached once IRI goes above the threshold
+const CATEGORY_THRESHOLDS = [
+    { category: 'fair', threshold: THRESHOLDS.IRI_CATEGORIES.GOOD },
+    { category: 'poor', threshold: THRESHOLDS.IRI_CATEGORIES.FAIR },
+    { category: 'very_poor', threshold: THRESHOLDS.IRI_CATEGORIES.POOR }
+];
+
+function startOfDay(date) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+}
+
+/**
+ * Ordinary least squares y = intercept + slope * x
+ */
+function linearFit(xs, ys) {
+    const n = xs.length;
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    for (let i = 0; i < n; i++) {
+        sxx += (xs[i] - meanX) ** 2;
+        sxy += (xs[i] - meanX) * (ys[i] - meanY);
+        syy += (ys[i] - meanY) ** 2;
+    }
+    if (sxx === 0) return null;
+
+    const slope = sxy / sxx;
+    return {
+        slope,
+        intercept: meanY - slope * meanX,
+        r2: syy > 0 ? (sxy * sxy) / (sxx * syy) : 1
+    };
+}
+
+/**
+ * Start of the current maintenance cycle: the day after the last recorded
+ * grading, or the first day after a sharp IRI drop in the stats, whichever is later.
+ */
+function cycleStart(rows, lastGradedAt, resetDropPercent) {
+    let start = lastGradedAt ? new Date(startOfDay(lastGradedAt).getTime() + DAY_MS) : null;
+
+    for (let i = 1; i < rows.length; i++) {
+        if (rows[i].iri <= rows[i - 1].iri * (1 - resetDropPercent / 100)) {
+            if (!start || rows[i].date > start) start = rows[i].date;
+        }
+    }
+    return start;
+}
+
+/**
+ * Fits a segment's deterioration since its last grading and projects when it
+ * crosses each IRI category threshold.
+ *
+ * IRI is regressed on cumulative traffic (loaded passes + EMPTY_PASS_WEIGHT x empty
+ * passes) since the grading, and projected with the recent traffic rate. Without
+ * traffic variation it falls back to IRI against time.
+ *
+ * @param {Array<{ date: Date, estimatedIri: number|null, loadedPasses: number, emptyPasses: number }>} history Daily stats
+ * @param {object} [options]
+ * @param {Date} [options.lastGradedAt] Completion of the last grading work order
+ * @param {Date} [options.now]
+ * @returns {object} { model, cycleStart, points, currentIri, currentCategory, ratePerDay, ... crossings }
+ */
+export function forecastDeterioration(history, {
+    lastGradedAt = null,
+    now = new Date(),
+    minPoints = FORECAST.MIN_POINTS,
+    emptyPassWeight = FORECAST.EMPTY_PASS_WEIGHT,
+    recentTrafficDays = FORECAST.RECENT_TRAFFIC_DAYS,
+    resetDropPercent = FORECAST.RESET_DROP_PERCENT
+} = {}) {
+    const rows = history
+        .filter(h => h.estimatedIri != null)
+        .map(h => ({
+            date: startOfDay(h.date),
+            iri: Number(h.estimatedIri),
+            traffic: (h.loadedPasses || 0) + emptyPassWeight * (h.emptyPasses || 0)
+        }))
+        .sort((a, b) => a.date - b.date);
+
+    if (rows.length === 0) {
+        return { model: 'insufficient_data', points: 0, currentIri: null, currentCategory: null, crossings: [] };
+    }
+
+    const start = cycleStart(rows, lastGradedAt, resetDropPercent);
+    const cycle = start ? rows.filter(r => r.date >= start) : rows;
+    const last = rows[rows.length - 1];
+
+    // Recent traffic per calendar day (days without stats had no passes)
+    const recentFrom = last.date.getTime() - (recentTrafficDays - 1) * DAY_MS;
+    const trafficPerDay = rows
+        .filter(r => r.date.getTime() >= recentFrom)
+        .reduce((sum, r) => sum + r.traffic, 0) / recentTrafficDays;
+
+    const result = {
+        model: 'insufficient_data',
+        cycleStart: start,
+        points: cycle.length,
+        lastObservedIri: last.iri,
+        lastStatsDate: last.date,
+        trafficPerDay: Number(trafficPerDay.toFixed(1)),
+        currentIri: last.iri,
+        currentCategory: categorizeIRI(last.iri),
+        ratePerDay: null,
+        ratePer100Passes: null,
+        r2: null,
+        crossings: []
+    };
+
+    // Graded after the last stats day: the old IRI no longer applies and there
+    // is nothing to project from yet
+    if (cycle.length === 0) {
+        result.currentIri = null;
+        result.currentCategory = null;
+        return result;
+    }
+
+    if (cycle.length >= minPoints) {
+        let cumulative = 0;
+        const load = cycle.map(r => (cumulative += r.traffic));
+        const byTraffic = linearFit(load, cycle.map(r => r.iri));
+
+        if (byTraffic) {
+            result.model = 'traffic';
+            result.ratePer100Passes = Number((byTraffic.slope * 100).toFixed(3));
+            result.ratePerDay = byTraffic.slope * trafficPerDay;
+            result.currentIri = byTraffic.intercept + byTraffic.slope * load[load.length - 1];
+            result.r2 = byTraffic.r2;
+        } else {
+            const days = cycle.map(r => (r.date - cycle[0].date) / DAY_MS);
+            const byTime = linearFit(days, cycle.map(r => r.iri));
+            if (byTime) {
+                result.model = 'time';
+                result.ratePerDay = byTime.slope;
+                result.currentIri = byTime.intercept + byTime.slope * days[days.length - 1];
+                result.r2 = byTime.r2;
+            }
+        }
+    }
+
+    if (result.model !== 'insufficient_data') {
+        result.currentIri = Number(Math.max(result.currentIri, 0).toFixed(2));
+        result.currentCategory = categorizeIRI(result.currentIri);
+        result.ratePerDay = Number(result.ratePerDay.toFixed(4));
+        result.r2 = Number(result.r2.toFixed(3));
+    }
+
+    // Projected from the last stats day
+    result.crossings = CATEGORY_THRESHOLDS.map(({ category, threshold }) => {
+        if (result.currentIri > threshold) return { category, threshold, reached: true, date: null, daysFromNow: 0 };
+        if (!(result.ratePerDay > 0)) return { category, threshold, reached: false, date: null, daysFromNow: null };
+
+        const date = new Date(last.date.getTime() + ((threshold - result.currentIri) / result.ratePerDay) * DAY_MS);
+        return {
+            category,
+            threshold,
+            reached: false,
+            date,
+            daysFromNow: Number(Math.max((date - now) / DAY_MS, 0).toFixed(1))
+        };
+    });
+
+    return result;
+}
+
+/**
+ * Ranks segments for grading: already poor first, then by days until poor,
+ * then by traffic. Segments are given a grading day, GRADING_LEAD_DAYS before
+ * they turn poor, limited to capacityPerDay per day (earlier days fill first).
+ *
+ * @param {Array<{ roadSegmentId: number, forecast: object, activeGrading?: boolean }>} segments
+ * @param {object} [options]
+ * @returns {Array<object>} Plan entries, rank 1 first
+ */
+export function planGrading(segments, {
+    now = new Date(),
+    horizonDays = FORECAST.HORIZON_DAYS,
+    leadDays = FORECAST.GRADING_LEAD_DAYS,
+    capacityPerDay = FORECAST.GRADING_CAPACITY_PER_DAY
+} = {}) {
+    const candidates = segments
+        .map(segment => {
+            const poor = segment.forecast.crossings.find(c => c.category === 'poor');
+            const daysToPoor = poor?.reached ? 0 : poor?.daysFromNow ?? null;
+            return { ...segment, daysToPoor };
+        })
+        // No current IRI (graded since the last stats day) means nothing to plan yet
+        .filter(s => s.forecast.currentIri !== null && s.daysToPoor !== null && s.daysToPoor <= horizonDays && !s.activeGrading)
+        .sort((a, b) =>
+            a.daysToPoor - b.daysToPoor ||
+            (b.forecast.currentIri ?? 0) - (a.forecast.currentIri ?? 0) ||
+            (b.forecast.trafficPerDay ?? 0) - (a.forecast.trafficPerDay ?? 0));
+
+    const today = startOfDay(now);
+    const booked = new Map(); // day offset -> segments planned
+
+    return candidates.map((segment, index) => {
+        let day = Math.max(0, Math.floor(segment.daysToPoor - leadDays));
+        // Full day: move earlier if possible, otherwise later
+        const free = d => (booked.get(d) || 0) < capacityPerDay;
+        let earlier = day;
+        while (earlier >= 0 && !free(earlier)) earlier--;
+        if (earlier >= 0) day = earlier;
+        else while (!free(day)) day++;
+        booked.set(day, (booked.get(day) || 0) + 1);
+
+        let priority = 'LOW';
+        if (segment.daysToPoor <= 0) priority = 'URGENT';
+        else if (segment.daysToPoor <= 3) priority = 'HIGH';
+        else if (segment.daysToPoor <= 7) priority = 'MEDIUM';
+
+        return {
+            rank: index + 1,
+            roadSegmentId: segment.roadSegmentId,
+            label: segment.label,
+            priority,
+            plannedDate: new Date(today.getTime() + day * DAY_MS),
+            daysToPoor: segment.daysToPoor,
+            currentIri: segment.forecast.currentIri,
+            currentCategory: segment.forecast.currentCategory,
+            ratePerDay: segment.forecast.ratePerDay,
+            trafficPerDay: segment.forecast.trafficPerDay
+        };
+    });
+}
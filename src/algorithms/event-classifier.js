@@ -0,0 +1,152 @@
+import { EVENT_CLASSIFICATION } from '../config/constants.js';
+
+/**
+ * Classifies roughness events into pothole, washboard, bump and rut.
+ * Pure functions over vehicle-frame samples (see vertical-acceleration.js).
+ *
+ * Signatures:
+ * - pothole: wheel drops (negative vertical) then hits the far edge (positive spike)
+ * - washboard: periodic corrugation, vertical keeps oscillating around the event
+ * - rut: long event with strong lateral (sway) content
+ * - bump: short isolated spike
+ */
+
+/**
+ * Normalized autocorrelation peak over lags >= 2 (0 = no repetition, 1 = perfectly periodic).
+ * Lag 1 is skipped: adjacent samples correlate on any smooth signal.
+ */
+function periodicityOf(values) {
+    const n = values.length;
+    if (n < 6) return 0;
+
+    const mean = values.reduce((sum, v) => sum + v, 0) / n;
+    const centered = values.map(v => v - mean);
+    const energy = centered.reduce((sum, v) => sum + v * v, 0);
+    if (energy === 0) return 0;
+
+    let best = 0;
+    for (let lag = 2; lag <= Math.floor(n / 2); lag++) {
+        let sum = 0;
+        for (let i = 0; i + lag < n; i++) {
+            sum += centered[i] * centered[i + lag];
+        }
+        // Scale up for the shorter overlap at larger lags
+        best = Math.max(best, (sum / energy) * (n / (n - lag)));
+    }
+    return Math.min(best, 1);
+}
+
+/**
+ * Extracts classification features.
+ *
+ * @param {{ timestamp: Date, axisX: number, axisY: number, vertical: number }[]} window
+ *   Vehicle-frame samples around the event (ascending timestamp), vertical with gravity removed
+ * @param {{ timestamp: Date, durationMs: number }} event
+ * @param {object} [config] Defaults to EVENT_CLASSIFICATION
+ */
+export function extractEventFeatures(window, event, config = EVENT_CLASSIFICATION) {
+    const start = new Date(event.timestamp).getTime();
+    const end = start + (event.durationMs || 0);
+    const inEvent = window.filter(s => {
+        const t = new Date(s.timestamp).getTime();
+        return t >= start && t <= end;
+    });
+
+    const peakVertical = Math.max(0, ...inEvent.map(s => Math.abs(s.vertical)));
+    const peakLateral = Math.max(0, ...inEvent.map(s => Math.hypot(s.axisX || 0, s.axisY || 0)));
+
+    // Sign changes between significant swings across the whole window
+    let oscillations = 0;
+    let lastSign = 0;
+    for (const sample of window) {
+        if (Math.abs(sample.vertical) < config.OSCILLATION_MIN_MG) continue;
+        const sign = Math.sign(sample.vertical);
+        if (lastSign && sign !== lastSign) oscillations++;
+        lastSign = sign;
+    }
+
+    // Pothole signature: a drop followed shortly by an impact. The drop may
+    // precede the part of the event that crossed the severity threshold.
+    let dropThenImpact = false;
+    let lastDropAt = null;
+    for (const sample of window) {
+        const t = new Date(sample.timestamp).getTime();
+        if (t > end) break;
+        if (sample.vertical <= -config.SPIKE_MIN_MG) {
+            lastDropAt = t;
+        } else if (sample.vertical >= config.SPIKE_MIN_MG && lastDropAt !== null &&
+            t - lastDropAt <= config.SPIKE_PAIR_MS && t >= start) {
+            dropThenImpact = true;
+        }
+    }
+
+    return {
+        durationMs: event.durationMs || 0,
+        peakVertical: Math.round(peakVertical),
+        periodicity: Number(periodicityOf(window.map(s => s.vertical)).toFixed(2)),
+        oscillations,
+        lateralRatio: peakVertical > 0 ? Number((peakLateral / peakVertical).toFixed(2)) : 0,
+        dropThenImpact
+    };
+}
+
+/**
+ * Scores one criterion: >= 1 means it passes, below 1 is partial
+ */
+function scoreCriterion(key, threshold, features) {
+    if (typeof threshold === 'boolean') {
+        return features[key] === threshold ? 1 : 0;
+    }
+
+    const match = key.match(/^(min|max)(\w+)$/);
+    if (!match) throw new Error(`Invalid classification criterion: ${key}`);
+
+    const feature = match[2][0].toLowerCase() + match[2].slice(1);
+    const value = features[feature];
+    if (value === undefined) throw new Error(`Unknown classification feature: ${feature}`);
+
+    if (match[1] === 'min') {
+        if (threshold <= 0) return value >= threshold ? 2 : 0;
+        return value / threshold;
+    }
+    if (value <= 0) return 2;
+    return threshold / value;
+}
+
+/**
+ * Picks the event type and a 0..1 confidence.
+ *
+ * A type matches when all its criteria pass; confidence grows with how far the
+ * features clear the thresholds (0.5 = right at the limits). If nothing matches,
+ * the fallback type is used, with less confidence the closer another type came.
+ *
+ * @returns {{ eventType: string, confidence: number, scores: Object<string, number> }}
+ */
+export function classifyEvent(features, config = EVENT_CLASSIFICATION) {
+    const scores = {};
+    let winner = null;
+
+    for (const [type, rule] of Object.entries(config.RULES)) {
+        const criteria = Object.entries(rule).map(([key, threshold]) => scoreCriterion(key, threshold, features));
+        const matched = criteria.every(s => s >= 1);
+
+        // Fraction satisfied (partial credit below threshold)
+        scores[type] = Number((criteria.reduce((sum, s) => sum + Math.min(s, 1), 0) / criteria.length).toFixed(2));
+
+        if (matched && !winner) {
+            const margin = criteria.reduce((sum, s) => sum + Math.min(s, 2) - 1, 0) / criteria.length;
+            winner = { eventType: type, confidence: 0.5 + 0.5 * margin };
+        }
+    }
+
+    if (!winner) {
+        const closest = Math.max(0, ...Object.values(scores));
+        winner = { eventType: config.FALLBACK_TYPE, confidence: Math.max(0.1, 1 - closest) };
+    }
+
+    return {
+        eventType: winner.eventType,
+        confidence: Number(winner.confidence.toFixed(2)),
+        scores
+    };
+}
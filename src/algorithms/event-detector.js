@@ -1,22 +1,33 @@
 import prisma from '../config/database.js';
-import { THRESHOLDS, BATCH_SIZES } from '../config/constants.js';
+import { BATCH_SIZES, EVENT_DETECTION } from '../config/constants.js';
+import { scanTruckTrace } from './event-scanner.js';
+import { resolveOrientations } from '../services/mount-orientation.js';
+import { publishEvents } from '../services/live-stream.js';
 
 /**
- * Scans new telemetry data for critical roughness events.
- * 
- * Logic:
- * 1. Fetch unprocessed telemetry
- * 2. Scan Z-axis for values exceeding thresholds
- * 3. Group consecutive high values into a single "Event"
- * 4. Save to RoughnessEvent table
+ * Drops events that overlap an already stored event of the same truck
+ * (e.g. telemetry re-flagged as unprocessed and scanned again).
  */
-export async function detectRoughnessEvents() {
-    const BATCH_LIMIT = BATCH_SIZES.EVENT_PROCESSING;
+function withoutOverlaps(events, existing) {
+    const overlaps = (a, b) => {
+        const aStart = new Date(a.timestamp).getTime();
+        const aEnd = aStart + (a.durationMs || 0);
+        const bStart = new Date(b.timestamp).getTime();
+        const bEnd = bStart + (b.durationMs || 0);
+        return aStart <= bEnd && bStart <= aEnd;
+    };
+    return events.filter(event => !existing.some(stored => overlaps(event, stored)));
+}
 
-    // 1. Fetch
-    const unprocessed = await prisma.truckTelemetry.findMany({
-        where: { processed: false },
-        take: BATCH_LIMIT,
+/**
+ * Runs detection for one truck's unprocessed telemetry.
+ *
+ * @returns {Promise<{ processed: number, events: number }>}
+ */
+export async function detectTruckEvents(truckId, { limit = BATCH_SIZES.EVENT_PROCESSING } = {}) {
+    const points = await prisma.truckTelemetry.findMany({
+        where: { truckId, processed: false },
+        take: limit,
         orderBy: { timestamp: 'asc' },
         select: {
             id: true,
@@ -24,7 +35,7 @@ export async function detectRoughnessEvents() {
             timestamp: true,
             latitude: true,
             longitude: true,
-            axisZ: true, // Only need Z for basic roughness
+            axisZ: true,
             axisX: true,
             axisY: true,
             speed: true,
@@ -33,96 +44,81 @@ export async function detectRoughnessEvents() {
         }
     });
 
-    if (unprocessed.length === 0) return;
-
-    const events = [];
-    const processedIds = [];
-
-    let currentEvent = null;
-
-    // 2. Scan
-    for (const record of unprocessed) {
-        processedIds.push(record.id);
-
-        // Filter out gravity (approx 1000mG or -1000mG depends on mounting)
-        // We care about the *dynamic* force, i.e., deviation from 1G.
-        // Or simpler for MVP: Absolute Max Value vs Threshold. 
-        // If truck hits a pothole, it spikes to 3G (3000mG).
-        // Let's take absolute value.
-        const absZ = Math.abs(record.axisZ || 0);
-
-        let severity = null;
-        if (absZ > THRESHOLDS.ROUGHNESS.CRITICAL) severity = 'CRITICAL';
-        else if (absZ > THRESHOLDS.ROUGHNESS.HIGH) severity = 'HIGH';
-        else if (absZ > THRESHOLDS.ROUGHNESS.MEDIUM) severity = 'MEDIUM';
-
-        if (severity) {
-            if (currentEvent) {
-                // Continue event
-                currentEvent.durationMs += (record.timestamp - currentEvent.lastTimestamp);
-                currentEvent.peakZAxis = Math.max(currentEvent.peakZAxis, absZ);
-                if (severity === 'CRITICAL') currentEvent.severity = 'CRITICAL'; // Upgrade severity
-                else if (severity === 'HIGH' && currentEvent.severity !== 'CRITICAL') currentEvent.severity = 'HIGH';
-
-                currentEvent.lastTimestamp = record.timestamp;
-            } else {
-                // Start new event
-                currentEvent = {
-                    timestamp: record.timestamp,
-                    truckId: record.truckId,
-                    latitude: record.latitude,
-                    longitude: record.longitude,
-                    roadSegmentId: record.roadSegmentId,
-                    eventType: 'bump', // Generic for now
-                    severity: severity,
-                    peakZAxis: absZ,
-                    peakXAxis: record.axisX,
-                    peakYAxis: record.axisY,
-                    durationMs: 0,
-                    speedKmh: record.speed,
-                    isLoaded: record.isLoaded,
-                    lastTimestamp: record.timestamp
-                };
-            }
-        } else {
-            // Below threshold
-            if (currentEvent) {
-                // End event
-                // Only save if it had some duration or valid peak?
-                // Actually, for "spikes" duration might be 0 (single sample). That's fine.
-                delete currentEvent.lastTimestamp; // Remove temp field
-                events.push(currentEvent);
-                currentEvent = null;
-            }
-        }
-    }
+    if (points.length === 0) return { processed: 0, events: 0 };
 
-    // Push pending event if batch ended
-    if (currentEvent) {
-        delete currentEvent.lastTimestamp;
-        events.push(currentEvent);
+    // An event still open at the end of the data is carried over to the next run,
+    // unless no newer data has arrived for a while (truck parked or offline)
+    const lastTimestamp = points[points.length - 1].timestamp;
+    const isStale = Date.now() - new Date(lastTimestamp).getTime() > EVENT_DETECTION.STALE_OPEN_EVENT_MS;
+
+    const orientation = (await resolveOrientations(points)).get(truckId);
+
+    let { events, openPointIds, settledPointIds } = scanTruckTrace(points, { orientation, closeOpenEvent: isStale });
+
+    if (openPointIds.length === points.length && points.length >= limit) {
+        // Entire batch is one open event: can't make progress by carrying it, close it
+        ({ events, openPointIds, settledPointIds } = scanTruckTrace(points, { orientation, closeOpenEvent: true }));
     }
 
-    // 3. Save Events
     if (events.length > 0) {
-        await prisma.roughnessEvent.createMany({
-            data: events
+        const from = events[0].timestamp;
+        const lastEvent = events[events.length - 1];
+        const to = new Date(new Date(lastEvent.timestamp).getTime() + (lastEvent.durationMs || 0));
+
+        const existing = await prisma.roughnessEvent.findMany({
+            where: {
+                truckId,
+                // Stored events that started shortly before this batch can still overlap
+                timestamp: { gte: new Date(new Date(from).getTime() - EVENT_DETECTION.STALE_OPEN_EVENT_MS), lte: to }
+            },
+            select: { timestamp: true, durationMs: true }
         });
-        console.log(`Detected ${events.length} roughness events.`);
+        events = withoutOverlaps(events, existing);
     }
 
-    // 4. Mark processed
-    // Since 'id' is BigInt, we can't use 'in' clause easily with JSON serialization issues sometimes,
-    // but Prisma handles BigInt in where clause fine usually.
-    // Warning: updateMany on BigInt IDs might hit limits? 
-    // Let's do it safely.
-
-    await prisma.truckTelemetry.updateMany({
-        where: {
-            id: { in: processedIds }
-        },
-        data: {
-            processed: true
-        }
+    // Save events and mark samples processed together
+    await prisma.$transaction([
+        prisma.roughnessEvent.createMany({ data: events }),
+        prisma.truckTelemetry.updateMany({
+            where: { id: { in: settledPointIds } },
+            data: { processed: true }
+        })
+    ]);
+
+    publishEvents(events).catch(err => console.warn('[STREAM] Event publish failed:', err.message));
+
+    return { processed: settledPointIds.length, events: events.length };
+}
+
+/**
+ * Scans new telemetry data for critical roughness events, truck by truck.
+ *
+ * Logic:
+ * 1. Find trucks with unprocessed telemetry
+ * 2. Per truck, scan vertical acceleration in time order (scanTruckTrace)
+ * 3. Group consecutive high values into a single "Event", split on time/distance gaps
+ * 4. Save to RoughnessEvent table, carrying open events to the next run
+ *
+ * @returns {Promise<{ processed: number, events: number }>}
+ */
+export async function detectRoughnessEvents() {
+    const trucks = await prisma.truckTelemetry.groupBy({
+        by: ['truckId'],
+        where: { processed: false }
     });
+
+    let processed = 0;
+    let events = 0;
+
+    for (const { truckId } of trucks) {
+        const result = await detectTruckEvents(truckId);
+        processed += result.processed;
+        events += result.events;
+    }
+
+    if (events > 0) {
+        console.log(`Detected ${events} roughness events.`);
+    }
+
+    return { processed, events };
 }
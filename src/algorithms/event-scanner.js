@@ -0,0 +1,157 @@
+import { THRESHOLDS, EVENT_DETECTION, EVENT_CLASSIFICATION } from '../config/constants.js';
+import { haversineDistance } from '../utils/geo-utils.js';
+import { DEFAULT_ORIENTATION, toVehicleFrame } from './vertical-acceleration.js';
+import { extractEventFeatures, classifyEvent } from './event-classifier.js';
+
+const SEVERITY_RANK = { MEDIUM: 1, HIGH: 2, CRITICAL: 3 };
+
+function classifySeverity(absVertical, thresholds) {
+    if (absVertical > thresholds.CRITICAL) return 'CRITICAL';
+    if (absVertical > thresholds.HIGH) return 'HIGH';
+    if (absVertical > thresholds.MEDIUM) return 'MEDIUM';
+    return null;
+}
+
+/**
+ * Scans one truck's telemetry (sorted by timestamp) for roughness events.
+ * Pure function: no DB access, so it can be run against recorded fixture traces.
+ *
+ * Samples are rotated into the vehicle frame with the truck's mounting orientation,
+ * and severity is taken from the dynamic vertical acceleration (gravity removed).
+ * Peak axes on the event are in the vehicle frame, peakZAxis signed (+ = upward).
+ *
+ * An event is a run of consecutive samples above the MEDIUM threshold. It closes when
+ * a sample drops below threshold, or when the time or distance to the previous sample
+ * exceeds the configured gap (the truck went offline, or GPS jumped).
+ *
+ * Closed events get an eventType and confidence from the classifier, using the
+ * samples within CONTEXT_MS around the event.
+ *
+ * If the trace ends while an event is still open, that event is returned as
+ * `openEvent` with the IDs of its samples. Callers should leave those samples
+ * unprocessed so the next run picks the event up again with newer data.
+ *
+ * @param {object[]} points Telemetry rows for a single truck, ascending timestamp
+ * @param {object} [options]
+ * @param {number} [options.maxGapMs]
+ * @param {number} [options.maxGapMeters]
+ * @param {object} [options.thresholds] { MEDIUM, HIGH, CRITICAL } in mG
+ * @param {object} [options.orientation] Mounting orientation (see vertical-acceleration.js)
+ * @param {object} [options.classification] Classifier config, defaults to EVENT_CLASSIFICATION
+ * @param {boolean} [options.closeOpenEvent] Close an event still open at the end of the trace
+ * @returns {{ events: object[], openEvent: object|null, openPointIds: Array, settledPointIds: Array }}
+ */
+export function scanTruckTrace(points, options = {}) {
+    const {
+        maxGapMs = EVENT_DETECTION.MAX_GAP_MS,
+        maxGapMeters = EVENT_DETECTION.MAX_GAP_METERS,
+        thresholds = THRESHOLDS.ROUGHNESS,
+        orientation = DEFAULT_ORIENTATION,
+        classification = EVENT_CLASSIFICATION,
+        closeOpenEvent = false
+    } = options;
+
+    const events = [];
+    const samples = []; // Vehicle-frame samples for the classifier
+    const settledPointIds = [];
+
+    let current = null; // { event, pointIds }
+
+    const closeCurrent = () => {
+        if (!current) return;
+        events.push(current.event);
+        settledPointIds.push(...current.pointIds);
+        current = null;
+    };
+
+    let previous = null;
+
+    for (const point of points) {
+        const timestamp = new Date(point.timestamp);
+        const latitude = Number(point.latitude);
+        const longitude = Number(point.longitude);
+
+        // Gap to the previous sample breaks continuity
+        if (current && previous) {
+            const gapMs = timestamp - previous.timestamp;
+            const gapMeters = haversineDistance(previous.latitude, previous.longitude, latitude, longitude);
+            if (gapMs > maxGapMs || gapMeters > maxGapMeters) {
+                closeCurrent();
+            }
+        }
+        previous = { timestamp, latitude, longitude };
+
+        // Vehicle frame, gravity removed: a pothole shows as a strong +/- vertical spike
+        const [axisX, axisY, axisZ] = toVehicleFrame(point.axisX, point.axisY, point.axisZ, orientation);
+        const vertical = Math.round(axisZ - orientation.gravityMagnitude);
+        samples.push({ timestamp, axisX, axisY, vertical });
+        const severity = classifySeverity(Math.abs(vertical), thresholds);
+
+        if (!severity) {
+            // Below threshold: end event
+            closeCurrent();
+            settledPointIds.push(point.id);
+            continue;
+        }
+
+        if (current) {
+            // Continue event
+            const event = current.event;
+            event.durationMs = timestamp - event.timestamp;
+            if (Math.abs(vertical) > Math.abs(event.peakZAxis)) {
+                event.peakZAxis = vertical;
+                event.peakXAxis = Math.round(axisX);
+                event.peakYAxis = Math.round(axisY);
+            }
+            if (SEVERITY_RANK[severity] > SEVERITY_RANK[event.severity]) {
+                event.severity = severity; // Upgrade severity
+            }
+            current.pointIds.push(point.id);
+        } else {
+            // Start new event
+            current = {
+                event: {
+                    timestamp,
+                    truckId: point.truckId,
+                    latitude,
+                    longitude,
+                    roadSegmentId: point.roadSegmentId ?? null,
+                    eventType: classification.FALLBACK_TYPE, // Set by the classifier once closed
+                    confidence: null,
+                    severity,
+                    peakZAxis: vertical,
+                    peakXAxis: Math.round(axisX),
+                    peakYAxis: Math.round(axisY),
+                    durationMs: 0,
+                    speedKmh: point.speed,
+                    isLoaded: point.isLoaded
+                },
+                pointIds: [point.id]
+            };
+        }
+    }
+
+    if (current && closeOpenEvent) {
+        closeCurrent();
+    }
+
+    for (const event of events) {
+        const from = event.timestamp.getTime() - classification.CONTEXT_MS;
+        const to = event.timestamp.getTime() + event.durationMs + classification.CONTEXT_MS;
+        const window = samples.filter(s => s.timestamp >= from && s.timestamp <= to);
+
+        const { eventType, confidence } = classifyEvent(
+            extractEventFeatures(window, event, classification),
+            classification
+        );
+        event.eventType = eventType;
+        event.confidence = confidence;
+    }
+
+    return {
+        events,
+        openEvent: current ? current.event : null,
+        openPointIds: current ? current.pointIds : [],
+        settledPointIds
+    };
+}
@@ -1,52 +1,179 @@
-import { THRESHOLDS } from '../config/constants.js';
+import { THRESHOLDS, IRI_CALIBRATION } from '../config/constants.js';
 import { calculateRoughness } from './rms-calculator.js';
 
 /**
- * Estimates IRI (International Roughness Index) based on accelerometer Z-axis data.
- * 
- * Note: Real IRI is calculated from a laser profiler. 
- * This is an approximation/correlation based on vehicle response.
- * 
- * Formula (Simplified):
- * IRI_approx = (Roughness_StdDev / 1000) * Speed_Factor * Calibration_Constant
- * 
- * @param {number[]} zAxisValues Array of Z-axis acceleration (mG)
+ * Reference runs that can't produce a calibration (too few, or not varied enough)
+ */
+export class CalibrationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CalibrationError';
+    }
+}
+
+// Same shape as an IriCalibration row
+export const BUILT_IN_CALIBRATION = {
+    id: null,
+    truckModel: null,
+    version: 0,
+    constantK: IRI_CALIBRATION.CONSTANT_K,
+    referenceSpeedKmh: IRI_CALIBRATION.REFERENCE_SPEED_KMH,
+    speedExponent: IRI_CALIBRATION.SPEED_EXPONENT,
+    loadedCoefficient: IRI_CALIBRATION.LOADED_COEFFICIENT,
+    emptyCoefficient: IRI_CALIBRATION.EMPTY_COEFFICIENT
+};
+
+/**
+ * IRI category for a value (m/km)
+ */
+export function categorizeIRI(iri) {
+    if (iri > THRESHOLDS.IRI_CATEGORIES.POOR) return 'very_poor';
+    if (iri > THRESHOLDS.IRI_CATEGORIES.FAIR) return 'poor';
+    if (iri > THRESHOLDS.IRI_CATEGORIES.GOOD) return 'fair';
+    return 'good';
+}
+
+/**
+ * Applies a calibration to a vertical-acceleration StdDev:
+ * IRI = (StdDev / 1000) * K * loadCoefficient * (referenceSpeed / speed) ^ speedExponent
+ *
+ * Uncapped, so it can also be used when fitting.
+ */
+export function calibratedIRI(roughnessStdDev, speedKmh, calibration = BUILT_IN_CALIBRATION, isLoaded = false) {
+    const loadCoefficient = isLoaded ? calibration.loadedCoefficient : calibration.emptyCoefficient;
+    const speedFactor = Math.pow(calibration.referenceSpeedKmh / speedKmh, calibration.speedExponent);
+    return (roughnessStdDev / 1000) * calibration.constantK * loadCoefficient * speedFactor;
+}
+
+/**
+ * Estimates IRI (International Roughness Index) based on vertical acceleration.
+ *
+ * Note: Real IRI is calculated from a laser profiler.
+ * This is an approximation/correlation based on vehicle response, so the result
+ * depends on the truck (suspension, load) and speed. Those are handled by the
+ * calibration, fitted per truck model from reference runs (see fitCalibration).
+ *
+ * @param {number[]} verticalValues Dynamic vertical acceleration (mG, see vertical-acceleration.js)
  * @param {number} speedKmh Vehicle speed in km/h
+ * @param {object} [options]
+ * @param {object} [options.calibration] IriCalibration, defaults to BUILT_IN_CALIBRATION
+ * @param {boolean} [options.isLoaded]
  * @returns {object} { iri: number, category: string }
  */
-export function estimateIRI(zAxisValues, speedKmh) {
+export function estimateIRI(verticalValues, speedKmh, { calibration = BUILT_IN_CALIBRATION, isLoaded = false } = {}) {
     // If truck is stopped, IRI is irrelevant (or zero if we want to be technical)
-    if (speedKmh < 5) {
+    if (speedKmh < IRI_CALIBRATION.MIN_SPEED_KMH) {
         return { iri: 0, category: 'good' };
     }
 
-    const roughnessStdDev = calculateRoughness(zAxisValues);
-
-    // Calibration constant: This needs to be tuned with real field data.
-    // Start with 1.0. If values represent mG, typical roughness on bad roads might be 50-100mG StdDev?
-    const K = 15.0;
-
-    // Speed factor: Higher speed amplifies roughness readings. 
-    // We need to normalize this. Ideally, we want the "road profile", not the "suspension response".
-    // A simple normalization is: Val / Speed.
-    // Let's assume the correlation is linear for MVP.
-    // Avoid division by zero (guaranteed by speed check above).
-    const speedFactor = 30 / speedKmh; // Normalize to 30km/h baseline?
+    const roughnessStdDev = calculateRoughness(verticalValues);
 
-    let estimatedIri = (roughnessStdDev / 1000) * K * speedFactor;
+    let estimatedIri = calibratedIRI(roughnessStdDev, speedKmh, calibration, isLoaded);
 
     // Cap at reasonable max (e.g. 20)
     estimatedIri = Math.min(Math.max(estimatedIri, 0), 20);
 
-    // Categorize
-    let category = 'good';
-    if (estimatedIri > THRESHOLDS.IRI_CATEGORIES.POOR) category = 'very_poor';
-    else if (estimatedIri > THRESHOLDS.IRI_CATEGORIES.FAIR) category = 'poor';
-    else if (estimatedIri > THRESHOLDS.IRI_CATEGORIES.GOOD) category = 'fair';
-
     return {
         iri: Number(estimatedIri.toFixed(2)),
-        category,
+        category: categorizeIRI(estimatedIri),
         rawRoughness: roughnessStdDev // Return for debugging
     };
 }
+
+/**
+ * Solves the normal equations (A^T A) x = A^T y by Gaussian elimination
+ */
+function leastSquares(rows, y) {
+    const n = rows[0].length;
+    const m = Array.from({ length: n }, (_, i) => {
+        const row = Array.from({ length: n }, (_, j) => rows.reduce((sum, r) => sum + r[i] * r[j], 0));
+        row.push(rows.reduce((sum, r, k) => sum + r[i] * y[k], 0));
+        return row;
+    });
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) {
+            if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+        }
+        if (Math.abs(m[pivot][col]) < 1e-12) {
+            throw new CalibrationError('Reference runs do not constrain the calibration (add runs at different speeds/loads)');
+        }
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+
+        for (let r = 0; r < n; r++) {
+            if (r === col) continue;
+            const factor = m[r][col] / m[col][col];
+            for (let c = col; c <= n; c++) m[r][c] -= factor * m[col][c];
+        }
+    }
+
+    return m.map((row, i) => row[n] / row[i]);
+}
+
+/**
+ * Fits a calibration to reference runs with known IRI.
+ *
+ * Linear least squares in log space:
+ *   ln(IRI) - ln(StdDev / 1000) = ln(K * loadCoefficient) + speedExponent * ln(referenceSpeed / speed)
+ * The empty coefficient is fixed at 1 (K is the empty response). If the runs are
+ * all loaded, K absorbs the load and both coefficients are 1. The speed exponent
+ * keeps its default when the runs don't cover a useful speed range.
+ *
+ * @param {{ knownIri: number, roughness: number, speedKmh: number, isLoaded: boolean }[]} observations
+ *   roughness = vertical-acceleration StdDev (mG) over the run
+ * @returns {object} Calibration fields plus { sampleCount, rmse }
+ */
+export function fitCalibration(observations, { referenceSpeedKmh = IRI_CALIBRATION.REFERENCE_SPEED_KMH } = {}) {
+    const usable = observations.filter(o =>
+        o.knownIri > 0 && o.roughness > 0 && o.speedKmh >= IRI_CALIBRATION.MIN_SPEED_KMH
+    );
+
+    const hasLoaded = usable.some(o => o.isLoaded);
+    const hasEmpty = usable.some(o => !o.isLoaded);
+    const splitLoad = hasLoaded && hasEmpty;
+
+    const speedTerms = usable.map(o => Math.log(referenceSpeedKmh / o.speedKmh));
+    // Need at least ~20% spread in speed to say anything about the curve
+    const fitSpeed = speedTerms.length > 0 && Math.max(...speedTerms) - Math.min(...speedTerms) > 0.2;
+
+    const unknowns = 1 + (splitLoad ? 1 : 0) + (fitSpeed ? 1 : 0);
+    if (usable.length < unknowns + 1) {
+        throw new CalibrationError(`Need at least ${unknowns + 1} usable reference runs, got ${usable.length}`);
+    }
+
+    const rows = [];
+    const y = [];
+    usable.forEach((o, i) => {
+        const row = [splitLoad ? (o.isLoaded ? 0 : 1) : 1];
+        if (splitLoad) row.push(o.isLoaded ? 1 : 0);
+        if (fitSpeed) row.push(speedTerms[i]);
+        rows.push(row);
+
+        let target = Math.log(o.knownIri) - Math.log(o.roughness / 1000);
+        if (!fitSpeed) target -= IRI_CALIBRATION.SPEED_EXPONENT * speedTerms[i];
+        y.push(target);
+    });
+
+    const solution = leastSquares(rows, y);
+    const constantK = Math.exp(solution[0]);
+
+    const calibration = {
+        constantK: Number(constantK.toFixed(4)),
+        referenceSpeedKmh,
+        speedExponent: fitSpeed ? Number(solution[solution.length - 1].toFixed(4)) : IRI_CALIBRATION.SPEED_EXPONENT,
+        loadedCoefficient: splitLoad ? Number((Math.exp(solution[1]) / constantK).toFixed(4)) : 1,
+        emptyCoefficient: 1
+    };
+
+    const squaredError = usable.reduce((sum, o) => {
+        const diff = calibratedIRI(o.roughness, o.speedKmh, calibration, o.isLoaded) - o.knownIri;
+        return sum + diff * diff;
+    }, 0);
+
+    return {
+        ...calibration,
+        sampleCount: usable.length,
+        rmse: Number(Math.sqrt(squaredError / usable.length).toFixed(3))
+    };
+}
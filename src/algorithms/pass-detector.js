@@ -0,0 +1,97 @@
+import { PASS_DETECTION } from '../config/constants.js';
+import { calculateRoughness } from './rms-calculator.js';
+import { projectOntoLine } from '../utils/geo-utils.js';
+
+function directionOf(first, last, coords, minDirectionMeters) {
+    if (!coords || coords.length < 2 || first === last) return 'UNKNOWN';
+
+    const entry = projectOntoLine(Number(first.latitude), Number(first.longitude), coords).distanceAlong;
+    const exit = projectOntoLine(Number(last.latitude), Number(last.longitude), coords).distanceAlong;
+
+    if (exit - entry >= minDirectionMeters) return 'FORWARD';
+    if (entry - exit >= minDirectionMeters) return 'REVERSE';
+    return 'UNKNOWN';
+}
+
+function summarizePass(samples, coords, minDirectionMeters) {
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const values = samples.map(s => s.vertical);
+    const speeds = samples.filter(s => s.speed != null).map(s => s.speed);
+    const loadKnown = samples.filter(s => s.isLoaded != null);
+
+    return {
+        roadSegmentId: first.roadSegmentId,
+        truckId: first.truckId,
+        direction: directionOf(first, last, coords, minDirectionMeters),
+        entryTime: new Date(first.timestamp),
+        exitTime: new Date(last.timestamp),
+        durationMs: new Date(last.timestamp) - new Date(first.timestamp),
+        sampleCount: samples.length,
+        avgSpeedKmh: speeds.length > 0
+            ? Number((speeds.reduce((sum, v) => sum + v, 0) / speeds.length).toFixed(1))
+            : null,
+        maxSpeedKmh: speeds.length > 0 ? Math.max(...speeds) : null,
+        // Majority vote; a load change mid-segment is rare (loading/dump points)
+        isLoaded: loadKnown.length > 0
+            ? loadKnown.filter(s => s.isLoaded).length > loadKnown.length / 2
+            : null,
+        rmsVertical: Number(Math.sqrt(values.reduce((sum, v) => sum + v * v, 0) / values.length).toFixed(2)),
+        stdDevVertical: calculateRoughness(values),
+        maxVertical: Math.round(Math.max(...values)),
+        minVertical: Math.round(Math.min(...values)),
+        values
+    };
+}
+
+/**
+ * Splits one truck's telemetry into segment passes.
+ * Pure function: no DB access.
+ *
+ * A pass is a run of consecutive samples on the same segment. It ends when the
+ * truck moves to another (or no) segment, or when the time between samples
+ * exceeds maxGapMs (the truck parked or went offline and came back later).
+ * Direction compares entry and exit positions along the segment geometry.
+ *
+ * @param {object[]} points Telemetry for one truck, ascending timestamp, with
+ *   roadSegmentId and `vertical` (gravity-compensated vertical acceleration, mG)
+ * @param {object} [options]
+ * @param {Map<number, number[][]>} [options.geometries] Segment ID -> LineString coordinates
+ * @param {number} [options.maxGapMs]
+ * @param {number} [options.minDirectionMeters]
+ * @returns {object[]} Passes, each with `values` (the pass's vertical samples) for IRI estimation
+ */
+export function detectPasses(points, options = {}) {
+    const {
+        geometries = new Map(),
+        maxGapMs = PASS_DETECTION.MAX_GAP_MS,
+        minDirectionMeters = PASS_DETECTION.MIN_DIRECTION_METERS
+    } = options;
+
+    const passes = [];
+    let current = [];
+
+    const closeCurrent = () => {
+        if (current.length > 0) {
+            const segmentId = current[0].roadSegmentId;
+            passes.push(summarizePass(current, geometries.get(segmentId), minDirectionMeters));
+        }
+        current = [];
+    };
+
+    for (const point of points) {
+        const previous = current[current.length - 1];
+        if (previous) {
+            const gapMs = new Date(point.timestamp) - new Date(previous.timestamp);
+            if (point.roadSegmentId !== previous.roadSegmentId || gapMs > maxGapMs) {
+                closeCurrent();
+            }
+        }
+
+        if (point.roadSegmentId == null) continue;
+        current.push(point);
+    }
+    closeCurrent();
+
+    return passes;
+}
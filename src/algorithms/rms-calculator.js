@@ -1,9 +1,10 @@
 /**
  * Calculates the Standard Deviation of a set of values.
- * We use StdDev instead of simple RMS to account for the gravity offset (1G ≈ 1000mG).
- * A perfectly smooth road with 1g constant force has StdDev = 0, which is what we want.
+ * Input is the gravity-compensated vertical acceleration (vertical-acceleration.js).
+ * StdDev instead of simple RMS also absorbs any residual offset from an imperfect
+ * mounting calibration, so a perfectly smooth road still gives StdDev = 0.
  * 
- * @param {number[]} values Array of accelerometer readings (e.g., Z-axis)
+ * @param {number[]} values Array of vertical acceleration values (mG)
  * @returns {number} Standard Deviation (or 0 if empty)
  */
 export function calculateRoughness(values) {
@@ -0,0 +1,489 @@
+import { SEGMENT_GENERATION } from '../config/constants.js';
+import { haversineDistance } from '../utils/geo-utils.js';
+
+const METERS_PER_DEG_LAT = 110540;
+const METERS_PER_DEG_LON = 111320;
+const MIN_DIRECTION_COS = 0.7; // ~45 degrees between a trace and a centerline
+
+/**
+ * Local flat projection (meters) around a reference latitude/longitude.
+ * Accurate enough over a mine site.
+ */
+export function createProjection(lat0, lon0) {
+    const cosLat = Math.cos(lat0 * Math.PI / 180);
+    return {
+        toXY: (lat, lon) => ({
+            x: (lon - lon0) * cosLat * METERS_PER_DEG_LON,
+            y: (lat - lat0) * METERS_PER_DEG_LAT
+        }),
+        toLonLat: (x, y) => [
+            Number((lon0 + x / (cosLat * METERS_PER_DEG_LON)).toFixed(7)),
+            Number((lat0 + y / METERS_PER_DEG_LAT).toFixed(7))
+        ]
+    };
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Points every `spacing` meters along a polyline (first and last point kept)
+ */
+export function resample(points, spacing) {
+    if (points.length < 2) return points.slice();
+
+    const result = [{ x: points[0].x, y: points[0].y }];
+    let carried = 0; // Distance since the last emitted point
+
+    for (let i = 1; i < points.length; i++) {
+        const from = points[i - 1];
+        const to = points[i];
+        const length = distance(from, to);
+        let along = spacing - carried;
+
+        while (along <= length) {
+            const t = along / length;
+            result.push({ x: from.x + t * (to.x - from.x), y: from.y + t * (to.y - from.y) });
+            along += spacing;
+        }
+        carried = length - (along - spacing);
+    }
+
+    const last = points[points.length - 1];
+    if (distance(result[result.length - 1], last) > spacing / 4) result.push({ x: last.x, y: last.y });
+    return result;
+}
+
+function polylineLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) length += distance(points[i - 1], points[i]);
+    return length;
+}
+
+/**
+ * Unit direction of a polyline at vertex i
+ */
+function directionAt(points, i) {
+    const a = points[Math.max(0, i - 1)];
+    const b = points[Math.min(points.length - 1, i + 1)];
+    const length = distance(a, b);
+    return length === 0 ? null : { x: (b.x - a.x) / length, y: (b.y - a.y) / length };
+}
+
+/**
+ * Splits time-ordered fixes of one truck into trips at time or distance gaps
+ *
+ * @param {Array<{ timestamp: Date, x: number, y: number }>} fixes
+ * @returns {Array<Array<{ x, y }>>}
+ */
+export function splitTrips(fixes, { maxGapMeters = SEGMENT_GENERATION.MAX_GAP_METERS, maxGapMs = SEGMENT_GENERATION.MAX_GAP_MS } = {}) {
+    const trips = [];
+    let current = [];
+
+    for (const fix of fixes) {
+        const previous = current[current.length - 1];
+        if (previous && (distance(previous, fix) > maxGapMeters || fix.timestamp - previous.timestamp > maxGapMs)) {
+            if (current.length >= 2) trips.push(current);
+            current = [];
+        }
+        current.push(fix);
+    }
+    if (current.length >= 2) trips.push(current);
+
+    return trips;
+}
+
+/**
+ * Grid index over centerline vertices
+ */
+class VertexIndex {
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+    }
+
+    key(cx, cy) {
+        return `${cx},${cy}`;
+    }
+
+    addLine(line) {
+        line.points.forEach((point, idx) => {
+            const key = this.key(Math.floor(point.x / this.cellSize), Math.floor(point.y / this.cellSize));
+            if (!this.cells.has(key)) this.cells.set(key, []);
+            this.cells.get(key).push({ line, idx });
+        });
+    }
+
+    *near(point) {
+        const cx = Math.floor(point.x / this.cellSize);
+        const cy = Math.floor(point.y / this.cellSize);
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                yield* this.cells.get(this.key(cx + dx, cy + dy)) ?? [];
+            }
+        }
+    }
+}
+
+/**
+ * Merges trips into centerlines. Each trip point is matched to the nearest
+ * centerline vertex running the same way (either direction); matched vertices
+ * move towards the average of the traces. Unmatched stretches become new
+ * centerlines, attached to the vertex where the trip left or rejoined the
+ * known network, so branches start at their junction.
+ *
+ * @param {Array<Array<{ x, y }>>} trips Resampled trips
+ * @returns {Array<{ points: Array<{ x, y, weight, support }> }>}
+ */
+function clusterTrips(trips, { matchRadius, minRunPoints }) {
+    const lines = [];
+    const index = new VertexIndex(matchRadius);
+
+    const nearestVertex = (point, direction) => {
+        let best = null;
+        let bestDistance = matchRadius;
+        for (const candidate of index.near(point)) {
+            const vertex = candidate.line.points[candidate.idx];
+            const d = distance(point, vertex);
+            if (d > bestDistance) continue;
+
+            const lineDirection = directionAt(candidate.line.points, candidate.idx);
+            if (direction && lineDirection && Math.abs(direction.x * lineDirection.x + direction.y * lineDirection.y) < MIN_DIRECTION_COS) {
+                continue;
+            }
+            best = candidate;
+            bestDistance = d;
+        }
+        return best;
+    };
+
+    const addLine = (run, before, after, tripId) => {
+        const points = run.map(p => ({ x: p.x, y: p.y, weight: 1, support: 1, lastTrip: tripId }));
+        if (before) points.unshift({ ...before.line.points[before.idx], junction: true });
+        if (after) points.push({ ...after.line.points[after.idx], junction: true });
+        const line = { points };
+        lines.push(line);
+        index.addLine(line);
+    };
+
+    // Longest trips first give the network its backbone
+    const ordered = trips.slice().sort((a, b) => b.length - a.length);
+
+    ordered.forEach((trip, tripId) => {
+        let run = [];
+        let runStart = null; // Matched vertex just before the run
+
+        trip.forEach((point, i) => {
+            const match = nearestVertex(point, directionAt(trip, i));
+
+            if (match) {
+                const vertex = match.line.points[match.idx];
+                vertex.x = (vertex.x * vertex.weight + point.x) / (vertex.weight + 1);
+                vertex.y = (vertex.y * vertex.weight + point.y) / (vertex.weight + 1);
+                vertex.weight += 1;
+                if (vertex.lastTrip !== tripId) {
+                    vertex.support = (vertex.support ?? 0) + 1;
+                    vertex.lastTrip = tripId;
+                }
+
+                if (run.length >= minRunPoints) addLine(run, runStart, match, tripId);
+                run = [];
+                runStart = match;
+            } else {
+                run.push(point);
+            }
+        });
+        if (run.length >= minRunPoints) addLine(run, runStart, null, tripId);
+    });
+
+    return lines;
+}
+
+/**
+ * Drops stretches of centerline used by fewer than minPasses trips, splitting
+ * lines where they thin out. Junction vertices borrow their neighbour's support.
+ */
+function pruneLines(lines, { minPasses, minRoadMeters }) {
+    const kept = [];
+
+    for (const line of lines) {
+        const supportAt = i => {
+            const point = line.points[i];
+            if (!point.junction) return point.support;
+            const neighbour = line.points[i === 0 ? 1 : i - 1];
+            return neighbour?.support ?? 0;
+        };
+
+        let piece = [];
+        const flush = () => {
+            if (piece.length >= 2 && polylineLength(piece) >= minRoadMeters) kept.push({ points: piece });
+            piece = [];
+        };
+
+        line.points.forEach((point, i) => {
+            if (supportAt(i) >= minPasses) {
+                piece.push({ x: point.x, y: point.y, support: supportAt(i) });
+            } else {
+                flush();
+            }
+        });
+        flush();
+    }
+
+    return kept;
+}
+
+/**
+ * Closest point on a polyline: { distance, segmentIndex, t, point }
+ */
+function projectOnPolyline(point, points) {
+    let best = null;
+    for (let i = 0; i < points.length - 1; i++) {
+        const a = points[i];
+        const b = points[i + 1];
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lenSq = dx * dx + dy * dy;
+        const t = lenSq === 0 ? 0 : Math.min(1, Math.max(0, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lenSq));
+        const projected = { x: a.x + t * dx, y: a.y + t * dy };
+        const d = distance(point, projected);
+        if (!best || d < best.distance) best = { distance: d, segmentIndex: i, t, point: projected };
+    }
+    return best;
+}
+
+/**
+ * Splits lines where another line ends on them (T junctions), snaps line ends
+ * that meet into shared nodes and joins lines that simply continue each other
+ * (nodes with exactly two line ends).
+ */
+function buildTopology(lines, { radius, minRoadMeters }) {
+    let network = lines.map(line => line.points.map(p => ({ x: p.x, y: p.y, support: p.support })));
+
+    // T junctions: an end lands on the interior of another line
+    let changed = true;
+    let guard = 0;
+    while (changed && guard++ < 1000) {
+        changed = false;
+        outer:
+        for (let li = 0; li < network.length; li++) {
+            for (const end of [network[li][0], network[li][network[li].length - 1]]) {
+                for (let mi = 0; mi < network.length; mi++) {
+                    if (mi === li) continue;
+                    const other = network[mi];
+                    const hit = projectOnPolyline(end, other);
+                    if (!hit || hit.distance > radius) continue;
+                    if (distance(hit.point, other[0]) <= radius || distance(hit.point, other[other.length - 1]) <= radius) continue;
+
+                    const split = { ...hit.point, support: other[hit.segmentIndex].support };
+                    const first = [...other.slice(0, hit.segmentIndex + 1), split];
+                    const second = [split, ...other.slice(hit.segmentIndex + 1)];
+                    end.x = split.x;
+                    end.y = split.y;
+                    network.splice(mi, 1, first, second);
+                    changed = true;
+                    break outer;
+                }
+            }
+        }
+    }
+
+    // Nodes: cluster line ends within the radius, snap them together
+    const ends = [];
+    network.forEach((line, li) => {
+        ends.push({ li, atStart: true, point: line[0] });
+        ends.push({ li, atStart: false, point: line[line.length - 1] });
+    });
+    const nodes = [];
+    for (const end of ends) {
+        const node = nodes.find(n => distance(n.center, end.point) <= radius);
+        if (node) {
+            node.ends.push(end);
+            const count = node.ends.length;
+            node.center = {
+                x: (node.center.x * (count - 1) + end.point.x) / count,
+                y: (node.center.y * (count - 1) + end.point.y) / count
+            };
+        } else {
+            nodes.push({ center: { x: end.point.x, y: end.point.y }, ends: [end] });
+        }
+    }
+    for (const node of nodes) {
+        for (const end of node.ends) {
+            end.point.x = node.center.x;
+            end.point.y = node.center.y;
+        }
+    }
+
+    // Join lines through degree-2 nodes
+    const merged = new Map(network.map((line, li) => [li, line]));
+    const owner = new Map(network.map((line, li) => [li, li])); // Original line -> line it was merged into
+    const resolve = li => {
+        while (owner.get(li) !== li) li = owner.get(li);
+        return li;
+    };
+
+    for (const node of nodes) {
+        if (node.ends.length !== 2) continue;
+        const [a, b] = node.ends.map(end => ({ ...end, li: resolve(end.li) }));
+        if (a.li === b.li) continue; // Loop
+
+        let lineA = merged.get(a.li);
+        let lineB = merged.get(b.li);
+        const aEndsHere = distance(lineA[lineA.length - 1], node.center) < distance(lineA[0], node.center);
+        const bStartsHere = distance(lineB[0], node.center) <= distance(lineB[lineB.length - 1], node.center);
+        if (!aEndsHere) lineA = lineA.slice().reverse();
+        if (!bStartsHere) lineB = lineB.slice().reverse();
+
+        merged.set(a.li, [...lineA, ...lineB.slice(1)]);
+        merged.delete(b.li);
+        owner.set(b.li, a.li);
+    }
+
+    network = Array.from(merged.values());
+    return network.filter(line => line.length >= 2 && polylineLength(line) >= minRoadMeters);
+}
+
+/**
+ * Douglas-Peucker simplification (tolerance in meters)
+ */
+function simplify(points, tolerance) {
+    if (points.length <= 2) return points;
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    let maxDistance = -1;
+    let maxIndex = 0;
+    for (let i = 1; i < points.length - 1; i++) {
+        const d = projectOnPolyline(points[i], [first, last]).distance;
+        if (d > maxDistance) {
+            maxDistance = d;
+            maxIndex = i;
+        }
+    }
+
+    if (maxDistance <= tolerance) return [first, last];
+    const left = simplify(points.slice(0, maxIndex + 1), tolerance);
+    const right = simplify(points.slice(maxIndex), tolerance);
+    return [...left.slice(0, -1), ...right];
+}
+
+/**
+ * Extracts one centerline per road from many trucks' GPS trips: trips are
+ * clustered onto shared centerlines, thinly travelled stretches are dropped,
+ * lines are split at junctions and joined where they continue, then simplified.
+ *
+ * @param {Array<Array<{ x, y }>>} trips Trips in projected meters (see createProjection, splitTrips)
+ * @param {object} [options]
+ * @returns {Array<{ points: Array<{ x, y }>, lengthMeters: number, minPasses: number, avgPasses: number }>}
+ */
+export function extractCenterlines(trips, {
+    resampleMeters = SEGMENT_GENERATION.RESAMPLE_METERS,
+    matchRadius = SEGMENT_GENERATION.MATCH_RADIUS_METERS,
+    minPasses = SEGMENT_GENERATION.MIN_PASSES,
+    minRoadMeters = SEGMENT_GENERATION.MIN_ROAD_METERS,
+    simplifyMeters = SEGMENT_GENERATION.SIMPLIFY_METERS
+} = {}) {
+    const resampled = trips
+        .map(trip => resample(trip, resampleMeters))
+        .filter(trip => trip.length >= 2);
+
+    const minRunPoints = Math.max(2, Math.ceil(minRoadMeters / resampleMeters / 2));
+    const clustered = clusterTrips(resampled, { matchRadius, minRunPoints });
+    const pruned = pruneLines(clustered, { minPasses, minRoadMeters });
+    const network = buildTopology(pruned, { radius: matchRadius, minRoadMeters });
+
+    return network.map(line => {
+        const supports = line.map(p => p.support ?? minPasses);
+        const points = simplify(line, simplifyMeters).map(p => ({ x: p.x, y: p.y }));
+        return {
+            points,
+            lengthMeters: polylineLength(points),
+            minPasses: Math.min(...supports),
+            avgPasses: Number((supports.reduce((sum, s) => sum + s, 0) / supports.length).toFixed(1))
+        };
+    });
+}
+
+/**
+ * Part of a [lon, lat] line between two distances along it (meters)
+ */
+export function sliceLine(coords, fromMeters, toMeters) {
+    const result = [];
+    let travelled = 0;
+
+    const interpolate = (a, b, t) => [
+        Number((a[0] + t * (b[0] - a[0])).toFixed(7)),
+        Number((a[1] + t * (b[1] - a[1])).toFixed(7))
+    ];
+
+    for (let i = 0; i < coords.length - 1; i++) {
+        const a = coords[i];
+        const b = coords[i + 1];
+        const length = haversineDistance(a[1], a[0], b[1], b[0]);
+        const next = travelled + length;
+
+        if (next >= fromMeters && travelled < toMeters && length > 0) {
+            if (result.length === 0) result.push(interpolate(a, b, Math.max(0, (fromMeters - travelled) / length)));
+            if (next <= toMeters) {
+                if (next > fromMeters) result.push(b);
+            } else {
+                result.push(interpolate(a, b, (toMeters - travelled) / length));
+            }
+        }
+        travelled = next;
+    }
+
+    return result;
+}
+
+/**
+ * Cuts a [lon, lat] line into pieces of segmentLength meters. A remainder
+ * shorter than half a segment is added to the last piece.
+ *
+ * @returns {Array<{ coordinates: number[][], startMeters: number, endMeters: number }>}
+ */
+export function cutLine(coords, segmentLength = SEGMENT_GENERATION.SEGMENT_LENGTH_METERS) {
+    let total = 0;
+    for (let i = 0; i < coords.length - 1; i++) {
+        total += haversineDistance(coords[i][1], coords[i][0], coords[i + 1][1], coords[i + 1][0]);
+    }
+    if (total === 0) return [];
+
+    let count = Math.floor(total / segmentLength);
+    if (total - count * segmentLength >= segmentLength / 2 || count === 0) count++;
+
+    const pieces = [];
+    for (let i = 0; i < count; i++) {
+        const startMeters = i * segmentLength;
+        const endMeters = i === count - 1 ? total : (i + 1) * segmentLength;
+        pieces.push({ coordinates: sliceLine(coords, startMeters, endMeters), startMeters, endMeters });
+    }
+    return pieces.filter(piece => piece.coordinates.length >= 2);
+}
+
+/**
+ * Splits a [lon, lat] line at the given distances along it (meters, ascending,
+ * strictly between 0 and the line's length). Split points are interpolated,
+ * so consecutive pieces share an endpoint.
+ *
+ * @returns {Array<{ coordinates: number[][], startMeters: number, endMeters: number }>}
+ */
+export function splitLineAt(coords, distances) {
+    let total = 0;
+    for (let i = 0; i < coords.length - 1; i++) {
+        total += haversineDistance(coords[i][1], coords[i][0], coords[i + 1][1], coords[i + 1][0]);
+    }
+
+    const bounds = [0, ...distances, total];
+    const pieces = [];
+    for (let i = 0; i < bounds.length - 1; i++) {
+        const startMeters = bounds[i];
+        const endMeters = bounds[i + 1];
+        // Keep the original end vertex exactly
+        const coordinates = sliceLine(coords, startMeters, i === bounds.length - 2 ? Infinity : endMeters);
+        pieces.push({ coordinates, startMeters, endMeters });
+    }
+    return pieces;
+}
@@ -1,106 +1,176 @@
 import prisma from '../config/database.js';
-import { calculateRoughness } from './rms-calculator.js';
-import { estimateIRI } from './iri-estimator.js';
+import { IRI_CALIBRATION } from '../config/constants.js';
+import { estimateIRI, categorizeIRI } from './iri-estimator.js';
+import { verticalAcceleration } from './vertical-acceleration.js';
+import { detectPasses } from './pass-detector.js';
+import { resolveOrientations } from '../services/mount-orientation.js';
+import { getCalibrationForModel, calibrationRef } from '../services/iri-calibration.js';
 
-export async function aggregateDailyStats() {
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    const startOfDay = new Date(yesterday.setHours(0, 0, 0, 0));
-    const endOfDay = new Date(yesterday.setHours(23, 59, 59, 999));
+/**
+ * Detects and stores one day's segment passes for all trucks, replacing passes
+ * stored by a previous run for the same day (idempotent).
+ *
+ * Passes are assigned to the day they were entered. Telemetry is read per day,
+ * so a pass running across midnight is split in two.
+ *
+ * @returns {Promise<object[]>} Stored passes, each with its `calibration` reference
+ */
+export async function detectDailyPasses(startOfDay, endOfDay) {
+    const trucks = await prisma.truck.findMany({ select: { id: true, model: true } });
+    const segments = await prisma.roadSegment.findMany({ select: { id: true, geometryJson: true } });
+    const geometries = new Map(segments.map(s => [s.id, s.geometryJson?.coordinates]));
 
-    console.log(`Aggregating stats for ${startOfDay.toISOString()}...`);
-
-    // Get all active road segments
-    const segments = await prisma.roadSegment.findMany({ select: { id: true } });
+    const passes = [];
 
-    for (const seg of segments) {
-        // 1. Fetch raw data for segment/day
+    for (const truck of trucks) {
+        // Includes samples without a segment: they end a pass
         const telemetry = await prisma.truckTelemetry.findMany({
-            where: {
-                roadSegmentId: seg.id,
-                timestamp: {
-                    gte: startOfDay,
-                    lte: endOfDay
-                }
-            },
+            where: { truckId: truck.id, timestamp: { gte: startOfDay, lte: endOfDay } },
+            orderBy: { timestamp: 'asc' },
             select: {
+                truckId: true,
+                timestamp: true,
+                latitude: true,
+                longitude: true,
+                axisX: true,
+                axisY: true,
                 axisZ: true,
                 speed: true,
-                isLoaded: true
+                isLoaded: true,
+                roadSegmentId: true
             }
         });
-
         if (telemetry.length === 0) continue;
 
-        // 2. Count passes
-        // Simple heuristic: 1 pass = ?
-        // Actually, "passes" usually means unique truck trips.
-        // Telemetry is points (1/sec).
-        // Let's just count total POINTS for now (easiest MVP).
-        // Correct way: Group by truckId and sequences. Too complex for MVP.
-        // Let's just track "Activity Volume" = total points.
+        const orientation = (await resolveOrientations(telemetry)).get(truck.id);
+        const points = telemetry.map(t => ({ ...t, vertical: verticalAcceleration(t, orientation) }));
+        const calibration = await getCalibrationForModel(truck.model);
 
-        const totalPoints = telemetry.length;
-        const loadedPoints = telemetry.filter(t => t.isLoaded).length;
+        for (const { values, ...pass } of detectPasses(points, { geometries })) {
+            // IRI only means something for a moving truck
+            const moving = pass.avgSpeedKmh != null && pass.avgSpeedKmh >= IRI_CALIBRATION.MIN_SPEED_KMH;
+            const estimatedIri = moving
+                ? estimateIRI(values, pass.avgSpeedKmh, { calibration, isLoaded: Boolean(pass.isLoaded) }).iri
+                : null;
+
+            passes.push({
+                ...pass,
+                estimatedIri,
+                iriCalibrationId: moving ? calibration.id : null,
+                calibration: moving ? calibrationRef(calibration) : null
+            });
+        }
+    }
 
-        // 3. Calculate Aggregates
-        const zValues = telemetry.map(t => t.axisZ || 0);
-        const avgSpeed = telemetry.reduce((sum, t) => sum + (t.speed || 0), 0) / totalPoints;
+    await prisma.$transaction([
+        prisma.segmentPass.deleteMany({ where: { entryTime: { gte: startOfDay, lte: endOfDay } } }),
+        prisma.segmentPass.createMany({ data: passes.map(({ calibration, ...row }) => row) })
+    ]);
 
-        // Calculate global daily stdDev for this segment
-        const stdDevZ = calculateRoughness(zValues);
+    return passes;
+}
 
-        // Estimate IRI
-        const { iri, category } = estimateIRI(zValues, avgSpeed);
+/**
+ * Daily stats for one segment from its passes
+ */
+function statsFromPasses(passes) {
+    const samples = passes.reduce((sum, p) => sum + p.sampleCount, 0);
 
-        // 4. Count Events
-        const events = await prisma.roughnessEvent.aggregate({
-            where: {
-                roadSegmentId: seg.id,
-                timestamp: { gte: startOfDay, lte: endOfDay }
-            },
-            _count: { id: true }
-        });
+    // Pooled within-pass standard deviation
+    const pooledVariance = passes.reduce((sum, p) => sum + p.sampleCount * p.stdDevVertical ** 2, 0) / samples;
 
-        const criticalEvents = await prisma.roughnessEvent.aggregate({
-            where: {
-                roadSegmentId: seg.id,
-                timestamp: { gte: startOfDay, lte: endOfDay },
-                severity: 'CRITICAL'
-            },
-            _count: { id: true }
-        });
+    // IRI weighted by samples (time on segment); stopped passes have none
+    const withIri = passes.filter(p => p.estimatedIri != null);
+    const iriWeight = withIri.reduce((sum, p) => sum + p.sampleCount, 0);
+    const iri = iriWeight > 0
+        ? Number((withIri.reduce((sum, p) => sum + p.estimatedIri * p.sampleCount, 0) / iriWeight).toFixed(2))
+        : null;
+
+    const calibrations = new Map();
+    for (const pass of withIri) {
+        calibrations.set(`${pass.calibration.truckModel}:${pass.calibration.version}`, pass.calibration);
+    }
+
+    return {
+        totalPasses: passes.length,
+        loadedPasses: passes.filter(p => p.isLoaded === true).length,
+        emptyPasses: passes.filter(p => p.isLoaded === false).length,
+        avgZAxisRms: Number((passes.reduce((sum, p) => sum + p.rmsVertical, 0) / passes.length).toFixed(2)),
+        stdDevZAxis: Number(Math.sqrt(pooledVariance).toFixed(2)),
+        maxZAxis: Math.max(...passes.map(p => p.maxVertical)),
+        minZAxis: Math.min(...passes.map(p => p.minVertical)),
+        estimatedIri: iri,
+        iriCategory: iri != null ? categorizeIRI(iri) : null,
+        iriCalibrations: Array.from(calibrations.values())
+    };
+}
+
+/**
+ * Aggregates one day of telemetry into SegmentPass rows and RoadSegmentStats
+ * (idempotent: re-running a day replaces its passes and stats).
+ *
+ * Z-axis stat columns hold the gravity-compensated vertical acceleration (mG).
+ *
+ * @param {Date} [date] Any time within the day to aggregate (default: yesterday)
+ * @returns {Promise<{ date: string, segments: number, passes: number }>}
+ */
+export async function aggregateDailyStats(date) {
+    const day = date ? new Date(date) : new Date();
+    if (!date) day.setDate(day.getDate() - 1);
+    const startOfDay = new Date(day.setHours(0, 0, 0, 0));
+    const endOfDay = new Date(day.setHours(23, 59, 59, 999));
+
+    console.log(`Aggregating stats for ${startOfDay.toISOString()}...`);
+
+    // 1. Passes
+    const passes = await detectDailyPasses(startOfDay, endOfDay);
+
+    const bySegment = new Map();
+    for (const pass of passes) {
+        if (!bySegment.has(pass.roadSegmentId)) bySegment.set(pass.roadSegmentId, []);
+        bySegment.get(pass.roadSegmentId).push(pass);
+    }
+
+    // 2. Event counts per segment
+    const eventCounts = await prisma.roughnessEvent.groupBy({
+        by: ['roadSegmentId', 'severity'],
+        where: {
+            roadSegmentId: { in: Array.from(bySegment.keys()) },
+            timestamp: { gte: startOfDay, lte: endOfDay },
+            dismissed: false
+        },
+        _count: { id: true }
+    });
+
+    // 3. Upsert Stats
+    for (const [roadSegmentId, segmentPasses] of bySegment) {
+        const counts = eventCounts.filter(c => c.roadSegmentId === roadSegmentId);
+        const data = {
+            ...statsFromPasses(segmentPasses),
+            roughnessEventCount: counts.reduce((sum, c) => sum + c._count.id, 0),
+            criticalEventCount: counts
+                .filter(c => c.severity === 'CRITICAL')
+                .reduce((sum, c) => sum + c._count.id, 0)
+        };
 
-        // 5. Upsert Stats
         await prisma.roadSegmentStats.upsert({
             where: {
                 roadSegmentId_date: {
-                    roadSegmentId: seg.id,
+                    roadSegmentId,
                     date: startOfDay
                 }
             },
-            update: {
-                totalPasses: totalPoints, // Using points as proxy for volume
-                loadedPasses: loadedPoints,
-                stdDevZAxis: stdDevZ,
-                estimatedIri: iri,
-                iriCategory: category,
-                roughnessEventCount: events._count.id,
-                criticalEventCount: criticalEvents._count.id
-            },
-            create: {
-                roadSegmentId: seg.id,
-                date: startOfDay,
-                totalPasses: totalPoints,
-                loadedPasses: loadedPoints,
-                stdDevZAxis: stdDevZ,
-                estimatedIri: iri,
-                iriCategory: category,
-                roughnessEventCount: events._count.id,
-                criticalEventCount: criticalEvents._count.id
-            }
+            update: data,
+            create: { roadSegmentId, date: startOfDay, ...data }
         });
     }
 
+    // Segments that no longer have passes that day (e.g. after re-assignment)
+    await prisma.roadSegmentStats.deleteMany({
+        where: { date: startOfDay, roadSegmentId: { notIn: Array.from(bySegment.keys()) } }
+    });
+
     console.log('Daily aggregation complete.');
+
+    return { date: startOfDay.toISOString(), segments: bySegment.size, passes: passes.length };
 }
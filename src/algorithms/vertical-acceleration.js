@@ -0,0 +1,117 @@
+/**
+ * Orientation-independent vertical acceleration.
+ *
+ * FMC130 units are mounted at different angles, so raw Z is not "up".
+ * At rest the accelerometer only measures gravity, so the mean of stationary
+ * samples gives the gravity direction in the sensor frame. Rotating samples so
+ * that direction becomes +Z (vehicle frame) and subtracting |g| leaves the
+ * dynamic vertical acceleration caused by the road.
+ *
+ * Note: only the vertical axis is fully determined. Rotation about the vertical
+ * (yaw) is arbitrary, so rotated X/Y are horizontal but not aligned to the
+ * truck's forward/lateral axes.
+ */
+
+const IDENTITY = [
+    [1, 0, 0],
+    [0, 1, 0],
+    [0, 0, 1]
+];
+
+// Used for trucks with no calibration and not enough samples to estimate one:
+// assumes Z-up mounting and 1g = 1000 mG
+export const DEFAULT_ORIENTATION = {
+    gravity: [0, 0, 1000],
+    gravityMagnitude: 1000,
+    rotation: IDENTITY,
+    source: 'default',
+    sampleCount: 0
+};
+
+const STATIONARY_SPEED_KMH = 1;
+const MIN_SAMPLES = 30;
+
+/**
+ * Rotation matrix taking unit vector `a` onto +Z (Rodrigues' formula)
+ */
+function rotationToVertical([ax, ay, az]) {
+    // v = a x (0,0,1), c = a . (0,0,1)
+    const vx = ay;
+    const vy = -ax;
+    const c = az;
+
+    if (c < -0.999999) {
+        // Upside-down mount: 180 degrees about X
+        return [
+            [1, 0, 0],
+            [0, -1, 0],
+            [0, 0, -1]
+        ];
+    }
+
+    const k = 1 / (1 + c);
+    return [
+        [1 - k * vy * vy, k * vx * vy, vy],
+        [k * vx * vy, 1 - k * vx * vx, -vx],
+        [-vy, vx, 1 - k * (vx * vx + vy * vy)]
+    ];
+}
+
+/**
+ * Estimates mounting orientation from accelerometer samples.
+ * Prefers stationary samples (speed <= 1 km/h); falls back to the mean of all
+ * samples, where dynamic accelerations roughly cancel out over a trip.
+ *
+ * @param {{ axisX: number, axisY: number, axisZ: number, speed?: number }[]} samples
+ * @returns {object|null} Orientation, or null if there is not enough data
+ */
+export function estimateOrientation(samples, { minSamples = MIN_SAMPLES } = {}) {
+    const valid = samples.filter(s => s.axisX != null && s.axisY != null && s.axisZ != null);
+    const stationary = valid.filter(s => (s.speed ?? 0) <= STATIONARY_SPEED_KMH);
+
+    const source = stationary.length >= minSamples ? 'stationary' : 'moving-average';
+    const used = source === 'stationary' ? stationary : valid;
+    if (used.length < minSamples) return null;
+
+    const sum = used.reduce((acc, s) => {
+        acc[0] += s.axisX;
+        acc[1] += s.axisY;
+        acc[2] += s.axisZ;
+        return acc;
+    }, [0, 0, 0]);
+    const gravity = sum.map(v => v / used.length);
+    const gravityMagnitude = Math.hypot(...gravity);
+
+    // A real gravity vector is ~1000 mG; anything far off means bad data
+    if (gravityMagnitude < 500 || gravityMagnitude > 1500) return null;
+
+    return {
+        gravity: gravity.map(v => Number(v.toFixed(2))),
+        gravityMagnitude: Number(gravityMagnitude.toFixed(2)),
+        rotation: rotationToVertical(gravity.map(v => v / gravityMagnitude)),
+        source,
+        sampleCount: used.length
+    };
+}
+
+/**
+ * Rotates a sensor-frame sample into the vehicle frame (+Z = up)
+ * @returns {[number, number, number]}
+ */
+export function toVehicleFrame(axisX, axisY, axisZ, orientation = DEFAULT_ORIENTATION) {
+    const v = [axisX || 0, axisY || 0, axisZ || 0];
+    const R = orientation.rotation;
+    return [
+        R[0][0] * v[0] + R[0][1] * v[1] + R[0][2] * v[2],
+        R[1][0] * v[0] + R[1][1] * v[1] + R[1][2] * v[2],
+        R[2][0] * v[0] + R[2][1] * v[1] + R[2][2] * v[2]
+    ];
+}
+
+/**
+ * Dynamic vertical acceleration in mG (gravity removed, positive = upward)
+ */
+export function verticalAcceleration(sample, orientation = DEFAULT_ORIENTATION) {
+    const [, , z] = toVehicleFrame(sample.axisX, sample.axisY, sample.axisZ, orientation);
+    return z - orientation.gravityMagnitude;
+}
@@ -1,8 +1,9 @@
 export const THRESHOLDS = {
+  // Dynamic vertical acceleration (vehicle frame, gravity removed)
   ROUGHNESS: {
-    MEDIUM: 2000,    // mG
-    HIGH: 2500,
-    CRITICAL: 3500
+    MEDIUM: 1000,    // mG
+    HIGH: 1500,
+    CRITICAL: 2500
   },
   // Roughness Index Categories (Arbitrary units based on StdDev for now)
   IRI_CATEGORIES: {
@@ -13,6 +14,150 @@ export const THRESHOLDS = {
   SEGMENT_PROXIMITY: 50  // meters
 };
 
+// Built-in IRI calibration, used until a fitted IriCalibration is activated
+export const IRI_CALIBRATION = {
+  CONSTANT_K: 15.0,
+  REFERENCE_SPEED_KMH: 30,
+  SPEED_EXPONENT: 1,         // 1 = linear, IRI ~ reference / speed
+  LOADED_COEFFICIENT: 1,
+  EMPTY_COEFFICIENT: 1,
+  MIN_SPEED_KMH: 5           // Below this the response is not meaningful
+};
+
+export const EVENT_DETECTION = {
+  MAX_GAP_MS: 5000,               // Time gap between samples that closes an event
+  MAX_GAP_METERS: 50,             // Distance gap between samples that closes an event
+  STALE_OPEN_EVENT_MS: 10 * 60 * 1000  // Close a carried-over event if no newer data arrives
+};
+
+// Event type classification. Tune against verified events.
+// Rule criteria: min<Feature> / max<Feature> thresholds, or a boolean feature name.
+// Features: durationMs, peakVertical, periodicity, oscillations, lateralRatio, dropThenImpact
+export const EVENT_CLASSIFICATION = {
+  CONTEXT_MS: 5000,          // Samples before/after the event included in the feature window
+  OSCILLATION_MIN_MG: 300,   // |vertical| for a swing to count as an oscillation
+  SPIKE_MIN_MG: 500,         // |vertical| of the drop and the impact in a pothole signature
+  SPIKE_PAIR_MS: 1500,       // Max time from the drop to the impact
+  FALLBACK_TYPE: 'bump',     // When no rule matches
+  // Checked in order, the first type whose criteria all pass wins.
+  // Washboard goes first: corrugation also contains drop/impact pairs.
+  RULES: {
+    washboard: { minPeriodicity: 0.5, minOscillations: 4 },
+    pothole: { dropThenImpact: true, maxDurationMs: 2000 },
+    rut: { minLateralRatio: 0.6, minDurationMs: 2000 },
+    bump: { maxDurationMs: 1500, maxLateralRatio: 0.6 }
+  }
+};
+
+export const PASS_DETECTION = {
+  MAX_GAP_MS: 30 * 1000,     // Longer gaps on the same segment start a new pass
+  MIN_DIRECTION_METERS: 5    // Entry/exit must be this far apart along the segment to get a direction
+};
+
+// Shift start hours (local time), override with SHIFT_START_HOURS=6,18
+export const SHIFTS = {
+  START_HOURS: [6, 18]
+};
+
+// Alert rules, keyed by Alert.alertType.
+// cooldownMs: after an alert is resolved, the same condition can't raise a new one for this long.
+export const ALERT_RULES = {
+  critical_event: {
+    enabled: true,
+    severity: 'CRITICAL',
+    windowMs: 24 * 60 * 60 * 1000,     // Open while CRITICAL events keep occurring within this window
+    minEvents: 1,
+    cooldownMs: 6 * 60 * 60 * 1000
+  },
+  segment_iri: {
+    enabled: true,
+    // Latest daily IRI category -> alert severity
+    categories: { poor: 'WARNING', very_poor: 'CRITICAL' },
+    maxStatsAgeDays: 3,
+    cooldownMs: 24 * 60 * 60 * 1000
+  },
+  deterioration: {
+    enabled: true,
+    severity: 'WARNING',
+    recentDays: 3,                     // Average IRI of the last N days...
+    baselineDays: 14,                  // ...against the N days before
+    minIncrease: 1.0,                  // m/km
+    minIncreasePercent: 25,
+    cooldownMs: 24 * 60 * 60 * 1000
+  },
+  truck_offline: {
+    enabled: true,
+    severity: 'WARNING',
+    silenceMs: 30 * 60 * 1000,         // Every ACTIVE truck; park trucks up with status MAINTENANCE
+    cooldownMs: 60 * 60 * 1000
+  },
+  low_voltage: {
+    enabled: true,
+    severity: 'WARNING',
+    minExternalVoltageMv: 22000,       // 24 V systems
+    samples: 10,                       // Averaged, ignition on, within the last 30 minutes
+    cooldownMs: 6 * 60 * 60 * 1000
+  }
+};
+
+// Alert notification delivery (webhook/email), retried with exponential backoff
+export const NOTIFICATIONS = {
+  MAX_ATTEMPTS: 6,
+  BACKOFF_BASE_MS: 60 * 1000,         // 1, 2, 4, 8, 16 minutes between attempts
+  BACKOFF_MAX_MS: 60 * 60 * 1000,
+  WEBHOOK_TIMEOUT_MS: 10 * 1000,
+  ATTEMPT_LEASE_MS: 5 * 60 * 1000,    // Longer than any attempt; the retry job skips deliveries still being sent
+  RETRY_BATCH: 50                     // Due deliveries per retry run
+};
+
+// Work-order before/after roughness comparison
+export const MAINTENANCE = {
+  COMPARISON_DAYS: 14,        // Passes this long before the work started / after it was completed
+  MIN_PASSES: 5,              // Per window, fewer means "insufficient data"
+  MIN_CHANGE_PERCENT: 10      // IRI (or RMS) change needed to call it improved / worse
+};
+
+// Segment deterioration forecast and grading plan
+export const FORECAST = {
+  HISTORY_DAYS: 60,           // RoadSegmentStats history considered
+  MIN_POINTS: 3,              // Daily stats since the last grading needed for a trend
+  EMPTY_PASS_WEIGHT: 0.4,     // Wear of an empty pass relative to a loaded one
+  RECENT_TRAFFIC_DAYS: 7,     // Traffic rate used to project forward
+  RESET_DROP_PERCENT: 30,     // Day-over-day IRI drop treated as an (unrecorded) grading
+  HORIZON_DAYS: 30,
+  GRADING_LEAD_DAYS: 2,       // Grade this many days before a segment turns poor
+  GRADING_CAPACITY_PER_DAY: 5 // Segments a grader fleet can do per day
+};
+
+// Road network extraction from GPS traces (POST /api/segments/generate)
+export const SEGMENT_GENERATION = {
+  HISTORY_DAYS: 30,           // Telemetry window used when no from/to is given
+  MIN_SPEED_KMH: 3,
+  MAX_GAP_METERS: 100,        // Larger jumps between fixes end a trip
+  MAX_GAP_MS: 60 * 1000,      // Longer pauses between fixes end a trip
+  RESAMPLE_METERS: 10,        // Trace spacing for clustering
+  MATCH_RADIUS_METERS: 15,    // Trace points this close to a centerline are the same road
+  MIN_PASSES: 3,              // Distinct trips needed to keep a stretch of centerline
+  MIN_ROAD_METERS: 50,        // Shorter centerlines are dropped
+  SIMPLIFY_METERS: 2,         // Douglas-Peucker tolerance
+  SEGMENT_LENGTH_METERS: 100
+};
+
+// Segment editing (split / merge in the segments editor)
+export const SEGMENT_EDITING = {
+  MIN_PIECE_METERS: 5,        // Shortest segment a split may leave
+  MAX_POINT_OFFSET_METERS: 50, // A split point clicked further from the segment is refused
+  MAX_MERGE_GAP_METERS: 20,   // Segments further apart than this are not merged
+  SNAP_TOLERANCE_METERS: 10   // Endpoints this close are snapped together
+};
+
+// Live push to dashboards over Server-Sent Events (/api/stream)
+export const LIVE_STREAM = {
+  HEARTBEAT_MS: 25 * 1000,    // Comment line to keep proxies from closing idle streams
+  RETRY_MS: 5000,             // Client reconnect delay (EventSource "retry:")
+  MAX_CLIENTS: 200
+};
+
 export const CACHE_TTL = {
   IMEI_VALIDATION: 300,     // 5 minutes
   SEGMENT_LOOKUP: 600       // 10 minutes
@@ -20,5 +165,22 @@ export const CACHE_TTL = {
 
 export const BATCH_SIZES = {
   TELEMETRY_INSERT: 100,
-  EVENT_PROCESSING: 1000
+  EVENT_PROCESSING: 1000,
+  SEGMENT_REASSIGNMENT: 2000  // Rows re-matched per query after a segment edit
+};
+
+export const INTERVALS = {
+  TELEMETRY_FLUSH_MS: 1000  // Max time telemetry waits in the ingestion buffer
+};
+
+// Background job intervals (override with env, e.g. JOB_EVENT_DETECTION_INTERVAL_MS)
+export const JOB_INTERVALS = {
+  EVENT_DETECTION: 15 * 60 * 1000,    // 15 minutes
+  DAILY_AGGREGATION: 60 * 60 * 1000,  // hourly, re-aggregates yesterday (idempotent)
+  MOUNT_CALIBRATION: 6 * 60 * 60 * 1000,  // 6 hours
+  ALERT_EVALUATION: 5 * 60 * 1000,        // 5 minutes
+  NOTIFICATION_DELIVERY: 60 * 1000,       // Retries of failed webhook/email deliveries
+  SEGMENT_REASSIGNMENT: 5 * 60 * 1000,    // Areas queued while a run held the lock (edits also trigger it)
+  SCHEDULER_TICK: 30 * 1000,
+  LOCK_TTL: 30 * 60 * 1000           // Lease before a crashed run's lock expires
 };
@@ -12,7 +12,23 @@ import debugRoutes from './routes/debug.js';
 import dashboardRoutes from './routes/dashboard.js';
 import mapRoutes from './routes/map.js';
 import segmentRoutes from './routes/segments.js';
-import { startTCPServer } from './services/tcp-server.js';
+import deviceRoutes from './routes/devices.js';
+import jobRoutes from './routes/jobs.js';
+import calibrationRoutes from './routes/calibration.js';
+import roughnessRoutes from './routes/roughness.js';
+import alertRoutes from './routes/alerts.js';
+import notificationRoutes from './routes/notifications.js';
+import streamRoutes from './routes/stream.js';
+import maintenanceRoutes from './routes/maintenance.js';
+import forecastRoutes from './routes/forecast.js';
+import truckRoutes from './routes/trucks.js';
+import roadRoutes from './routes/roads.js';
+import { startTCPServer, stopTCPServer } from './services/tcp-server.js';
+import { startUDPServer, stopUDPServer } from './services/udp-server.js';
+import { drainTelemetryBuffer, getIngestionStats } from './services/telemetry-ingestion.js';
+import { getStreamStats } from './services/live-stream.js';
+import { startScheduler, stopScheduler } from './services/job-scheduler.js';
+import { registerBackgroundJobs } from './services/background-jobs.js';
 
 // ES Module dirname workaround
 const __filename = fileURLToPath(import.meta.url);
@@ -34,21 +50,75 @@ app.use('/api/debug', debugRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/map', mapRoutes);
 app.use('/api/segments', segmentRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/calibration', calibrationRoutes);
+app.use('/api/roughness', roughnessRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/maintenance', maintenanceRoutes);
+app.use('/api/forecast', forecastRoutes);
+app.use('/api/trucks', truckRoutes);
+app.use('/api/roads', roadRoutes);
 
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, '../public')));
 
 // Basic Routes
 app.get('/health', (req, res) => {
-    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+    res.json({
+        status: 'ok',
+        timestamp: new Date().toISOString(),
+        ingestion: getIngestionStats(),
+        stream: getStreamStats()
+    });
 });
 
 // Start HTTP Server
-app.listen(PORT, () => {
+const httpServer = app.listen(PORT, () => {
     console.log(`[HTTP] Server running on port ${PORT}`);
 });
 
 // Start TCP Server for Teltonika Devices
-startTCPServer();
+const tcpServer = startTCPServer();
+
+// Start UDP Server for Teltonika Devices (poor-coverage areas)
+const udpServer = startUDPServer();
+
+// Background jobs (event detection, aggregation). Set JOBS_ENABLED=false to run
+// them from another instance only; locks already prevent double runs.
+registerBackgroundJobs();
+if (process.env.JOBS_ENABLED !== 'false') {
+    startScheduler();
+}
+
+// Graceful shutdown: stop taking data, then write everything buffered before exiting
+function stopHTTPServer() {
+    return new Promise((resolve) => {
+        httpServer.close(() => resolve());
+        // Live stream clients keep their connections open
+        httpServer.closeAllConnections();
+    });
+}
+
+let shuttingDown = false;
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, async () => {
+        if (shuttingDown) return;
+        shuttingDown = true;
+        console.log(`[HTTP] ${signal} received, closing servers...`);
+        stopScheduler();
+        try {
+            await Promise.all([stopHTTPServer(), stopTCPServer(tcpServer), stopUDPServer(udpServer)]);
+            console.log('[HTTP] Servers closed, flushing telemetry buffer...');
+            await drainTelemetryBuffer();
+        } catch (err) {
+            console.error('[HTTP] Shutdown error:', err.message);
+        } finally {
+            process.exit(0);
+        }
+    });
+}
 
 export default app;
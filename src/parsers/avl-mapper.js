@@ -1,6 +1,7 @@
 /**
  * Mapping of Teltonika AVL IDs to human-readable field names.
  * Based on FMC130 standard mappings.
+ * Used as the built-in fallback profile when no profile is stored in the database.
  */
 export const AVL_ID_MAP = {
     // DIN/AIN
@@ -23,6 +24,7 @@ export const AVL_ID_MAP = {
 
     // Accelerometer (FMC130)
     // Be careful: Some devices map these differently or use IDs 17,18,19 vs Custom IO
+    // Per-device differences are handled by AVL profiles (see services/avl-profiles.js)
     17: 'axisX',
     18: 'axisY',
     19: 'axisZ',
@@ -33,16 +35,68 @@ export const AVL_ID_MAP = {
     200: 'sleepMode'
 };
 
+// Fields reported as two's complement by the device
+const SIGNED_FIELDS = new Set(['axisX', 'axisY', 'axisZ', 'batteryCurrent']);
+
+const UNITS = {
+    externalVoltage: 'mV',
+    batteryVoltage: 'mV',
+    batteryCurrent: 'mA',
+    ain1: 'mV',
+    ain2: 'mV',
+    totalOdometer: 'm',
+    axisX: 'mG',
+    axisY: 'mG',
+    axisZ: 'mG'
+};
+
+/**
+ * Built-in profile derived from AVL_ID_MAP.
+ * Profile shape: { id, name, mappings: { [avlId]: { fieldName, scale, unit, signed } } }
+ */
+export const DEFAULT_AVL_PROFILE = {
+    id: null,
+    name: 'FMC130 (built-in)',
+    mappings: Object.fromEntries(
+        Object.entries(AVL_ID_MAP).map(([avlId, fieldName]) => [avlId, {
+            fieldName,
+            scale: 1,
+            unit: UNITS[fieldName] || null,
+            signed: SIGNED_FIELDS.has(fieldName)
+        }])
+    )
+};
+
+/**
+ * Re-interprets a fixed-size IO value as signed or unsigned.
+ * The parser reads 2/4-byte values as signed and 1/8-byte values as unsigned,
+ * so the raw bits are normalized here according to the mapping.
+ */
+function applySignedness(value, byteSize, signed) {
+    if (typeof value !== 'number' || ![1, 2, 4].includes(byteSize)) return value;
+
+    const bits = byteSize * 8;
+    const range = 2 ** bits;
+    const unsigned = value < 0 ? value + range : value;
+
+    if (signed && unsigned >= range / 2) return unsigned - range;
+    return unsigned;
+}
+
 /**
- * Maps raw IO array to structured object
+ * Maps raw IO array to structured object using a mapping profile
  */
-export function mapAVLToFields(ioElements) {
+export function mapAVLToFields(ioElements, profile = DEFAULT_AVL_PROFILE) {
     const mapped = {};
 
     for (const io of ioElements) {
-        const fieldName = AVL_ID_MAP[io.id];
-        if (fieldName) {
-            mapped[fieldName] = io.value;
+        const mapping = profile.mappings[io.id];
+        if (mapping) {
+            let value = applySignedness(io.value, io.byteSize, mapping.signed);
+            if (typeof value === 'number' && mapping.scale !== 1) {
+                value = value * mapping.scale;
+            }
+            mapped[mapping.fieldName] = value;
         } else {
             // Keep unknown IDs in a separate object or just loose
             if (!mapped.unknown) mapped.unknown = {};
@@ -0,0 +1,91 @@
+import { calculateCRC, PacketIntegrityError } from './codec8.js';
+
+export const CODEC12_ID = 0x0C;
+const TYPE_COMMAND = 0x05;
+const TYPE_RESPONSE = 0x06;
+
+export class Codec12Parser {
+  /**
+   * Encodes a GPRS command (same text as an SMS command, e.g. "getinfo")
+   * [Preamble 4b] [DataSize 4b] [CodecID 1b] [Qty1 1b] [Type 1b] [CmdSize 4b] [Cmd] [Qty2 1b] [CRC 4b]
+   */
+  static encodeCommand(command) {
+    const commandBytes = Buffer.from(command, 'ascii');
+    const dataSize = 1 + 1 + 1 + 4 + commandBytes.length + 1;
+
+    const packet = Buffer.alloc(8 + dataSize + 4);
+    let offset = 0;
+
+    packet.writeUInt32BE(0, offset); offset += 4;            // Preamble
+    packet.writeUInt32BE(dataSize, offset); offset += 4;     // Data Size
+    packet.writeUInt8(CODEC12_ID, offset); offset += 1;      // Codec ID
+    packet.writeUInt8(1, offset); offset += 1;               // Command Quantity 1
+    packet.writeUInt8(TYPE_COMMAND, offset); offset += 1;    // Type
+    packet.writeUInt32BE(commandBytes.length, offset); offset += 4;
+    commandBytes.copy(packet, offset); offset += commandBytes.length;
+    packet.writeUInt8(1, offset); offset += 1;               // Command Quantity 2
+
+    // CRC over [CodecID ... Qty2]
+    packet.writeUInt32BE(calculateCRC(packet.subarray(8, 8 + dataSize)), offset);
+
+    return packet;
+  }
+
+  /**
+   * Parses a device response to a GPRS command.
+   * Same layout as the command, with Type 0x06 and the response text in place of the command.
+   */
+  static parseResponse(buffer) {
+    if (!Buffer.isBuffer(buffer)) {
+      throw new Error('Input must be a buffer');
+    }
+
+    const dataSize = buffer.readUInt32BE(4);
+    if (buffer.length < 8 + dataSize + 4) {
+      throw new PacketIntegrityError(
+        `Truncated packet: expected ${8 + dataSize + 4} bytes, got ${buffer.length}`,
+        { dataLength: dataSize, bufferLength: buffer.length }
+      );
+    }
+
+    const dataSection = buffer.subarray(8, 8 + dataSize);
+    const receivedCrc = buffer.readUInt32BE(8 + dataSize);
+    const calculatedCrc = calculateCRC(dataSection);
+    if (receivedCrc !== calculatedCrc) {
+      throw new PacketIntegrityError(
+        `CRC mismatch: received 0x${receivedCrc.toString(16)}, calculated 0x${calculatedCrc.toString(16)}`,
+        { receivedCrc, calculatedCrc }
+      );
+    }
+
+    let offset = 0;
+    const codecId = dataSection.readUInt8(offset); offset += 1;
+    if (codecId !== CODEC12_ID) {
+      throw new Error(`Unsupported Codec ID: ${codecId}`);
+    }
+
+    const quantity1 = dataSection.readUInt8(offset); offset += 1;
+    const type = dataSection.readUInt8(offset); offset += 1;
+    if (type !== TYPE_RESPONSE) {
+      throw new Error(`Unexpected Codec12 message type: 0x${type.toString(16)}`);
+    }
+
+    const responseSize = dataSection.readUInt32BE(offset); offset += 4;
+    const response = dataSection.subarray(offset, offset + responseSize).toString('ascii');
+    offset += responseSize;
+
+    const quantity2 = dataSection.readUInt8(offset); offset += 1;
+    if (quantity1 !== quantity2 || offset !== dataSection.length) {
+      throw new PacketIntegrityError(
+        `Malformed Codec12 response: quantities ${quantity1}/${quantity2}, parsed ${offset} of ${dataSection.length} bytes`,
+        { quantity1, quantity2 }
+      );
+    }
+
+    return {
+      codecId,
+      type,
+      response
+    };
+  }
+}
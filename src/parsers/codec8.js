@@ -1,9 +1,22 @@
 import { bytesToHex } from '../utils/hex-utils.js';
 
 /**
- * Validates CRC-16 (IBM/ARC) for Teltonika packets
+ * Thrown when a packet fails an integrity check (CRC mismatch, record count
+ * mismatch, truncated packet or data section).
+ * Callers should NACK / reject the packet instead of storing it.
  */
-function validateCRC(buffer, expectedCRC) {
+export class PacketIntegrityError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'PacketIntegrityError';
+    this.details = details;
+  }
+}
+
+/**
+ * Calculates CRC-16 (IBM/ARC) for Teltonika packets
+ */
+export function calculateCRC(buffer) {
   // Simple CRC16 implementation (polynomial 0xA001)
   let crc = 0;
   for (let i = 0; i < buffer.length; i++) {
@@ -16,48 +29,132 @@ function validateCRC(buffer, expectedCRC) {
       }
     }
   }
-  return crc === expectedCRC;
+  return crc;
 }
 
+/**
+ * Validates CRC-16 (IBM/ARC) for Teltonika packets
+ */
+function validateCRC(buffer, expectedCRC) {
+  return calculateCRC(buffer) === expectedCRC;
+}
+
+/**
+ * Field widths (bytes) for each supported data-sending codec.
+ * - Codec 8:          1-byte IO IDs and counts
+ * - Codec 8 Extended: 2-byte IO IDs and counts, plus variable-length NX group
+ * - Codec 16:         2-byte IO IDs, 1-byte counts, plus generation type
+ */
+export const CODEC_LAYOUTS = {
+  0x08: { name: 'codec8', eventIdSize: 1, countSize: 1, idSize: 1, hasGenerationType: false, hasNX: false },
+  0x8E: { name: 'codec8e', eventIdSize: 2, countSize: 2, idSize: 2, hasGenerationType: false, hasNX: true },
+  0x10: { name: 'codec16', eventIdSize: 2, countSize: 1, idSize: 2, hasGenerationType: true, hasNX: false }
+};
+
 export class Codec8Parser {
   /**
-   * Main entry point for parsing buffer
+   * Main entry point for parsing buffer (TCP / HTTP framing)
+   * [Preamble 4b] [DataLength 4b] [AVL Data] [CRC 4b]
    */
   static parse(buffer) {
     if (!Buffer.isBuffer(buffer)) {
       throw new Error('Input must be a buffer');
     }
 
+    // Header (8) + CRC (4)
+    if (buffer.length < 12) {
+      throw new PacketIntegrityError(`Truncated packet: ${buffer.length} bytes`, { bufferLength: buffer.length });
+    }
+
     const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
-    let offset = 0;
 
     // 1. Preamble (4 bytes) - usually 0x00000000
-    const preamble = view.getUint32(offset);
-    offset += 4;
+    const preamble = view.getUint32(0);
 
     // 2. Data Length (4 bytes)
-    const dataLength = view.getUint32(offset);
-    offset += 4;
+    const dataLength = view.getUint32(4);
+
+    // Whole packet must be present: header (8) + data + CRC (4)
+    if (buffer.length < 8 + dataLength + 4) {
+      throw new PacketIntegrityError(
+        `Truncated packet: expected ${8 + dataLength + 4} bytes, got ${buffer.length}`,
+        { dataLength, bufferLength: buffer.length }
+      );
+    }
+
+    // 3. CRC (4 bytes, after the data section)
+    const receivedCrc = view.getUint32(8 + dataLength);
+
+    /*
+       The packet structure:
+       [Preamble 4b] [DataLength 4b] [CodecID 1b] ... [RecordCount2 1b] [CRC 4b]
+       CRC is calculated on: [CodecID ... RecordCount2] = buffer[8, 8 + dataLength)
+       Only the lower 2 bytes of the CRC field are used.
+    */
+    const dataSection = buffer.subarray(8, 8 + dataLength);
+    if (!validateCRC(dataSection, receivedCrc)) {
+      const calculatedCrc = calculateCRC(dataSection);
+      throw new PacketIntegrityError(
+        `CRC mismatch: received 0x${receivedCrc.toString(16)}, calculated 0x${calculatedCrc.toString(16)}`,
+        { receivedCrc, calculatedCrc }
+      );
+    }
+
+    return Codec8Parser.parseData(dataSection);
+  }
 
-    // 3. Codec ID (1 byte)
+  /**
+   * Parses the AVL data section on its own: [CodecID 1b] ... [RecordCount2 1b]
+   * Used directly for UDP, where the payload has no preamble, length or CRC.
+   */
+  static parseData(buffer) {
+    if (!Buffer.isBuffer(buffer)) {
+      throw new Error('Input must be a buffer');
+    }
+
+    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    let offset = 0;
+
+    // Every read is checked first: a short data section is corrupt, not a parser bug
+    const need = (bytes, field) => {
+      if (offset + bytes > buffer.length) {
+        throw new PacketIntegrityError(
+          `Truncated data section: ${field} needs ${bytes} bytes at offset ${offset}, data section is ${buffer.length} bytes`,
+          { field, offset, bytes, dataLength: buffer.length }
+        );
+      }
+    };
+
+    // 1. Codec ID (1 byte)
+    need(2, 'codec ID and record count');
     const codecId = view.getUint8(offset);
     offset += 1;
 
-    if (codecId !== 0x08 && codecId !== 0x8E) { // 0x08 = Codec8, 0x8E = Codec8 Extended
+    const layout = CODEC_LAYOUTS[codecId];
+    if (!layout) {
       throw new Error(`Unsupported Codec ID: ${codecId}`);
     }
 
-    const isExtended = codecId === 0x8E;
+    // Reads an unsigned integer of 1 or 2 bytes (IDs and counts)
+    const readUint = (size, field) => {
+      need(size, field);
+      const value = size === 2 ? view.getUint16(offset) : view.getUint8(offset);
+      offset += size;
+      return value;
+    };
 
-    // 4. Number of Records 1 (1 byte)
+    // 2. Number of Records 1 (1 byte)
     const recordCount = view.getUint8(offset);
     offset += 1;
 
     const records = [];
 
-    // 5. Loop through records
+    // 3. Loop through records
     for (let i = 0; i < recordCount; i++) {
-      const record = {};
+      const record = { codec: layout.name };
+
+      // Timestamp (8), priority (1), GPS element (15)
+      need(24, `record ${i} header`);
 
       // Timestamp (8 bytes)
       const timestampMs = Number(view.getBigUint64(offset));
@@ -80,27 +177,29 @@ export class Codec8Parser {
       offset += 15;
 
       // IO Element
-      // Event IO ID (1 byte for Codec8, 2 bytes for Extended)
-      const eventIoId = isExtended ? view.getUint16(offset) : view.getUint8(offset);
-      offset += isExtended ? 2 : 1;
-      record.eventIoId = eventIoId;
+      // Event IO ID (1 byte for Codec8, 2 bytes for Extended / Codec16)
+      record.eventIoId = readUint(layout.eventIdSize, 'event IO ID');
 
-      // Total IO Count (1 byte for Codec8, 2 bytes for Extended)
-      // Note: In Codec8, this is total count. 
-      // In logical grouping below, we read N elements of 1 byte, etc.
-      const totalIoCount = isExtended ? view.getUint16(offset) : view.getUint8(offset);
-      offset += isExtended ? 2 : 1;
+      // Generation Type (Codec16 only, 1 byte): 0 = on exit, 1 = on entrance, ...
+      if (layout.hasGenerationType) {
+        need(1, 'generation type');
+        record.generationType = view.getUint8(offset);
+        offset += 1;
+      }
+
+      // Total IO Count (1 byte for Codec8/Codec16, 2 bytes for Extended)
+      // Note: In logical grouping below, we read N elements of 1 byte, etc.
+      const totalIoCount = readUint(layout.countSize, 'IO count');
 
       record.io = [];
 
-      // Helper to parse IO groups
+      // Helper to parse fixed-size IO groups
       const parseIoGroup = (bytesPerValue) => {
-        const count = isExtended ? view.getUint16(offset) : view.getUint8(offset);
-        offset += isExtended ? 2 : 1;
+        const count = readUint(layout.countSize, `${bytesPerValue}-byte IO count`);
 
         for (let j = 0; j < count; j++) {
-          const id = isExtended ? view.getUint16(offset) : view.getUint8(offset);
-          offset += isExtended ? 2 : 1;
+          const id = readUint(layout.idSize, 'IO ID');
+          need(bytesPerValue, `IO ${id} value`);
 
           let value;
           if (bytesPerValue === 1) value = view.getUint8(offset);
@@ -118,26 +217,49 @@ export class Codec8Parser {
       parseIoGroup(4); // 4-byte IDs
       parseIoGroup(8); // 8-byte IDs
 
+      // Variable-length group (Codec8 Extended only): [ID 2b][Length 2b][Value Nb]
+      // Used for e.g. Bluetooth sensor payloads. Value is kept as a hex string.
+      if (layout.hasNX) {
+        const count = readUint(2, 'variable-length IO count');
+        for (let j = 0; j < count; j++) {
+          const id = readUint(2, 'IO ID');
+          const length = readUint(2, `IO ${id} length`);
+          need(length, `IO ${id} value`);
+          const value = bytesToHex(buffer.subarray(offset, offset + length));
+          offset += length;
+          record.io.push({ id, value, byteSize: length, variableLength: true });
+        }
+      }
+
+      if (record.io.length !== totalIoCount) {
+        throw new PacketIntegrityError(
+          `IO count mismatch in record ${i}: header says ${totalIoCount}, parsed ${record.io.length}`,
+          { record: i, totalIoCount, parsedIoCount: record.io.length }
+        );
+      }
+
       records.push(record);
     }
 
-    // 6. Number of Records 2 (1 byte) - should match first count
+    // 4. Number of Records 2 (1 byte) - must match first count
+    need(1, 'trailing record count');
     const recordCount2 = view.getUint8(offset);
     offset += 1;
 
-    // 7. CRC (4 bytes)
-    const receivedCrc = view.getUint32(offset);
-
-    // Validate CRC (calculated on data part: from CodecID to RecordCount2)
-    // Data length is stored in header. 
-    // The buffer passed to CRC check should be buffer.slice(8, 8 + dataLength)
-    // Note: The dataLength field in header DOES NOT include the 4 bytes of CRC itself, nor the Preamble/Length fields.
+    if (recordCount2 !== recordCount) {
+      throw new PacketIntegrityError(
+        `Record count mismatch: header says ${recordCount}, trailer says ${recordCount2}`,
+        { recordCount, recordCount2 }
+      );
+    }
 
-    /* 
-       The packet structure:
-       [Preamble 4b] [DataLength 4b] [CodecID 1b] ... [RecordCount2 1b] [CRC 4b]
-       Calculate CRC on: [CodecID ... RecordCount2]
-    */
+    // The records must end exactly where the data section ends
+    if (offset !== buffer.length) {
+      throw new PacketIntegrityError(
+        `Data length mismatch: data section is ${buffer.length} bytes, parsed ${offset}`,
+        { dataLength: buffer.length, parsedLength: offset }
+      );
+    }
 
     return {
       codecId,
@@ -0,0 +1,126 @@
+import express from 'express';
+import prisma from '../config/database.js';
+import { ALERT_RULES } from '../config/constants.js';
+import { acknowledgeAlert, resolveAlert } from '../services/alert-engine.js';
+import { triggerJob } from '../services/job-scheduler.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/alerts
+ * List alerts, newest first
+ * Query params:
+ *   - status: open | unacknowledged | resolved | all (default: open)
+ *   - type: Alert type, e.g. segment_iri (optional)
+ *   - severity: INFO | WARNING | CRITICAL (optional)
+ *   - truckId: Truck DB id (optional)
+ *   - roadSegmentId: Segment ID (optional)
+ *   - limit: Max records to return (default: 100)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { status = 'open', type, severity, truckId, roadSegmentId, limit = '100' } = req.query;
+        const where = {};
+
+        if (status === 'open') where.resolved = false;
+        else if (status === 'unacknowledged') Object.assign(where, { resolved: false, acknowledged: false });
+        else if (status === 'resolved') where.resolved = true;
+        else if (status !== 'all') {
+            return res.status(400).json({ error: 'status must be open, unacknowledged, resolved or all' });
+        }
+
+        if (type) where.alertType = type;
+        if (severity) where.severity = severity.toUpperCase();
+        if (truckId) where.truckId = parseInt(truckId);
+        if (roadSegmentId) where.roadSegmentId = parseInt(roadSegmentId);
+
+        const alerts = await prisma.alert.findMany({
+            where,
+            orderBy: { createdAt: 'desc' },
+            take: parseInt(limit),
+            include: {
+                truck: { select: { truckId: true } },
+                roadSegment: { select: { segmentNumber: true, road: { select: { roadName: true } } } }
+            }
+        });
+        res.json(alerts);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * GET /api/alerts/rules
+ * Configured alert rules (thresholds, cooldowns)
+ */
+router.get('/rules', (req, res) => {
+    res.json(ALERT_RULES);
+});
+
+/**
+ * POST /api/alerts/evaluate
+ * Run the alert rules now (background job, poll /api/jobs/alert-evaluation/runs)
+ */
+router.post('/evaluate', async (req, res) => {
+    try {
+        const started = await triggerJob('alert-evaluation', 'manual');
+        if (!started) {
+            return res.status(409).json({ error: 'Alert evaluation is already running' });
+        }
+        res.status(202).json(started.run);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * GET /api/alerts/:id
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const alert = await prisma.alert.findUnique({
+            where: { id: parseInt(req.params.id) },
+            include: { truck: true, roadSegment: { include: { road: true } } }
+        });
+        if (!alert) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+        res.json(alert);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * POST /api/alerts/:id/acknowledge
+ * Body: { by? }
+ */
+router.post('/:id/acknowledge', async (req, res) => {
+    try {
+        const alert = await acknowledgeAlert(parseInt(req.params.id), req.body?.by);
+        if (!alert) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+        res.json(alert);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * POST /api/alerts/:id/resolve
+ * Body: { by? }
+ */
+router.post('/:id/resolve', async (req, res) => {
+    try {
+        const alert = await resolveAlert(parseInt(req.params.id), req.body?.by);
+        if (!alert) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+        res.json(alert);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+export default router;
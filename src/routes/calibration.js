@@ -0,0 +1,138 @@
+import express from 'express';
+import prisma from '../config/database.js';
+import {
+    fitModelCalibration,
+    activateCalibration,
+    measureReferenceRun
+} from '../services/iri-calibration.js';
+import { CalibrationError } from '../algorithms/iri-estimator.js';
+import { sendError } from '../utils/http-utils.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/calibration
+ * List IRI calibration versions, newest first
+ * Query params:
+ *   - truckModel: Filter by truck model (optional)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { truckModel } = req.query;
+        const calibrations = await prisma.iriCalibration.findMany({
+            where: truckModel ? { truckModel } : {},
+            orderBy: [{ truckModel: 'asc' }, { version: 'desc' }]
+        });
+        res.json(calibrations);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * GET /api/calibration/reference-runs
+ * List reference runs with their measured response
+ */
+router.get('/reference-runs', async (req, res) => {
+    try {
+        const runs = await prisma.iriReferenceRun.findMany({
+            orderBy: { startTime: 'desc' },
+            include: {
+                truck: { select: { truckId: true, model: true } },
+                roadSegment: { select: { segmentNumber: true, road: { select: { roadName: true } } } }
+            }
+        });
+
+        const result = [];
+        for (const run of runs) {
+            result.push({ ...run, measured: await measureReferenceRun(run) });
+        }
+        res.json(result);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * POST /api/calibration/reference-runs
+ * Register a truck run over a segment with independently measured IRI
+ * Body: { roadSegmentId, truckId, knownIri, startTime, endTime, notes? }
+ *   truckId is the DB id
+ */
+router.post('/reference-runs', async (req, res) => {
+    try {
+        const { roadSegmentId, truckId, knownIri, startTime, endTime, notes } = req.body;
+
+        if (!roadSegmentId || !truckId || !startTime || !endTime || !(Number(knownIri) > 0)) {
+            return res.status(400).json({ error: 'roadSegmentId, truckId, knownIri (> 0), startTime and endTime are required' });
+        }
+        if (new Date(endTime) <= new Date(startTime)) {
+            return res.status(400).json({ error: 'endTime must be after startTime' });
+        }
+
+        const run = await prisma.iriReferenceRun.create({
+            data: {
+                roadSegmentId: parseInt(roadSegmentId),
+                truckId: parseInt(truckId),
+                knownIri: Number(knownIri),
+                startTime: new Date(startTime),
+                endTime: new Date(endTime),
+                notes
+            }
+        });
+
+        res.status(201).json({ ...run, measured: await measureReferenceRun(run) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * DELETE /api/calibration/reference-runs/:id
+ */
+router.delete('/reference-runs/:id', async (req, res) => {
+    try {
+        const { count } = await prisma.iriReferenceRun.deleteMany({ where: { id: parseInt(req.params.id) } });
+        if (count === 0) {
+            return res.status(404).json({ error: 'Reference run not found' });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * POST /api/calibration/fit
+ * Fit a new calibration version from the reference runs of a truck model
+ * Body: { truckModel?, activate?, notes? }
+ *   truckModel omitted = fleet default, fitted from all runs
+ */
+router.post('/fit', async (req, res) => {
+    try {
+        const { truckModel = null, activate = false, notes = null } = req.body;
+        const result = await fitModelCalibration({ truckModel, activate: Boolean(activate), notes });
+        res.status(201).json(result);
+    } catch (err) {
+        // Not enough / degenerate reference data
+        sendError(res, err, CalibrationError);
+    }
+});
+
+/**
+ * POST /api/calibration/:id/activate
+ * Use this version for its truck model from the next aggregation on
+ */
+router.post('/:id/activate', async (req, res) => {
+    try {
+        const calibration = await activateCalibration(parseInt(req.params.id));
+        if (!calibration) {
+            return res.status(404).json({ error: 'Calibration not found' });
+        }
+        res.json(calibration);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+export default router;
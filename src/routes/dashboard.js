@@ -61,6 +61,7 @@ router.get('/segments', async (req, res) => {
                 iri: stats.estimatedIri || 0,
                 category: stats.iriCategory || 'unknown',
                 events: stats.roughnessEventCount || 0,
+                calibrations: stats.iriCalibrations || [],
                 lastUpdated: stats.updatedAt
             };
         });
@@ -71,10 +72,12 @@ router.get('/segments', async (req, res) => {
     }
 });
 
-// GET /api/dashboard/events/recent
+// GET /api/dashboard/events/recent?type=pothole|washboard|bump|rut
 router.get('/events/recent', async (req, res) => {
     try {
+        const { type } = req.query;
         const events = await prisma.roughnessEvent.findMany({
+            where: type ? { eventType: type, dismissed: false } : { dismissed: false },
             orderBy: { timestamp: 'desc' },
             take: 50,
             include: {
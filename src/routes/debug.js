@@ -1,29 +1,43 @@
 import express from 'express';
-import { Codec8Parser } from '../parsers/codec8.js';
-import { mapAVLToFields, AVL_ID_MAP } from '../parsers/avl-mapper.js';
+import { Codec8Parser, CODEC_LAYOUTS } from '../parsers/codec8.js';
+import { mapAVLToFields, DEFAULT_AVL_PROFILE } from '../parsers/avl-mapper.js';
+import { toMappingProfile, invalidateProfileCache } from '../services/avl-profiles.js';
+import { invalidateIMEICache } from '../services/device-validator.js';
 import { hexToBytes } from '../utils/hex-utils.js';
 import prisma from '../config/database.js';
 
 const router = express.Router();
 
 // Parse Hex String
-router.post('/parse', (req, res) => {
-    const { hex } = req.body;
+// Body: { hex, profileId? } - profileId selects the AVL mapping profile (default: built-in)
+router.post('/parse', async (req, res) => {
+    const { hex, profileId } = req.body;
     if (!hex) return res.status(400).json({ error: 'Missing hex field' });
 
     try {
         const buffer = hexToBytes(hex);
         const parsed = Codec8Parser.parse(buffer);
 
+        let profile = DEFAULT_AVL_PROFILE;
+        if (profileId) {
+            const dbProfile = await prisma.avlProfile.findUnique({
+                where: { id: parseInt(profileId) },
+                include: { mappings: true }
+            });
+            if (!dbProfile) return res.status(404).json({ error: 'Profile not found' });
+            profile = toMappingProfile(dbProfile);
+        }
+
         // Enhance with mappings
         const enhancedRecords = parsed.records.map(r => ({
             ...r,
-            mappedIO: mapAVLToFields(r.io)
+            mappedIO: mapAVLToFields(r.io, profile)
         }));
 
         res.json({
             meta: {
                 codecId: parsed.codecId,
+                codec: CODEC_LAYOUTS[parsed.codecId].name,
                 count: parsed.recordCount
             },
             records: enhancedRecords
@@ -33,9 +47,198 @@ router.post('/parse', (req, res) => {
     }
 });
 
-// Get AVL Map
-router.get('/avl-map', (req, res) => {
-    res.json(AVL_ID_MAP);
+// Fields the ingestion pipeline knows how to store
+const KNOWN_FIELDS = new Set(Object.values(DEFAULT_AVL_PROFILE.mappings).map(m => m.fieldName));
+
+/**
+ * Validates and normalizes a mappings array from a request body
+ * Returns { mappings } or { error }
+ */
+function parseMappings(mappings) {
+    if (!Array.isArray(mappings)) return { error: 'mappings must be an array' };
+
+    const seen = new Set();
+    const result = [];
+    for (const m of mappings) {
+        const avlId = parseInt(m.avlId);
+        if (Number.isNaN(avlId) || !m.fieldName) {
+            return { error: 'Each mapping needs avlId and fieldName' };
+        }
+        if (!KNOWN_FIELDS.has(String(m.fieldName))) {
+            return { error: `Unknown fieldName ${m.fieldName}, expected one of: ${Array.from(KNOWN_FIELDS).join(', ')}` };
+        }
+        if (seen.has(avlId)) return { error: `Duplicate avlId ${avlId}` };
+        seen.add(avlId);
+
+        const scale = m.scale !== undefined ? Number(m.scale) : 1;
+        if (!Number.isFinite(scale)) return { error: `scale for avlId ${avlId} must be a number` };
+
+        result.push({
+            avlId,
+            fieldName: String(m.fieldName),
+            scale,
+            unit: m.unit || null,
+            signed: Boolean(m.signed)
+        });
+    }
+    return { mappings: result };
+}
+
+/**
+ * Error response for profile writes: 409 for a duplicate name,
+ * 404 for a missing profile, 500 otherwise
+ */
+function sendProfileError(res, err) {
+    if (err.code === 'P2002') return res.status(409).json({ error: 'A profile with this name already exists' });
+    if (err.code === 'P2025') return res.status(404).json({ error: 'Profile not found' });
+    res.status(500).json({ error: err.message });
+}
+
+/**
+ * GET /api/debug/avl-map
+ * List AVL mapping profiles (built-in default + stored profiles)
+ */
+router.get('/avl-map', async (req, res) => {
+    try {
+        const profiles = await prisma.avlProfile.findMany({
+            include: {
+                mappings: { orderBy: { avlId: 'asc' } },
+                trucks: { select: { id: true, truckId: true, imei: true } }
+            },
+            orderBy: { name: 'asc' }
+        });
+
+        res.json({
+            builtIn: DEFAULT_AVL_PROFILE,
+            profiles
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * POST /api/debug/avl-map
+ * Create a profile
+ * Body: { name, description?, isDefault?, mappings: [{ avlId, fieldName, scale?, unit?, signed? }] }
+ */
+router.post('/avl-map', async (req, res) => {
+    try {
+        const { name, description, isDefault = false, mappings = [] } = req.body;
+        if (!name) return res.status(400).json({ error: 'Missing name' });
+
+        const parsed = parseMappings(mappings);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+        const profile = await prisma.$transaction(async (tx) => {
+            if (isDefault) {
+                await tx.avlProfile.updateMany({ data: { isDefault: false } });
+            }
+            return tx.avlProfile.create({
+                data: {
+                    name,
+                    description,
+                    isDefault: Boolean(isDefault),
+                    mappings: { create: parsed.mappings }
+                },
+                include: { mappings: true }
+            });
+        });
+
+        invalidateProfileCache();
+        res.status(201).json(profile);
+    } catch (err) {
+        sendProfileError(res, err);
+    }
+});
+
+/**
+ * PUT /api/debug/avl-map/:id
+ * Update a profile. If mappings is given, it replaces the full mapping list.
+ */
+router.put('/avl-map/:id', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const { name, description, isDefault, mappings } = req.body;
+
+        let parsed = null;
+        if (mappings !== undefined) {
+            parsed = parseMappings(mappings);
+            if (parsed.error) return res.status(400).json({ error: parsed.error });
+        }
+
+        const profile = await prisma.$transaction(async (tx) => {
+            if (isDefault) {
+                await tx.avlProfile.updateMany({ where: { id: { not: id } }, data: { isDefault: false } });
+            }
+
+            const updateData = {};
+            if (name !== undefined) updateData.name = name;
+            if (description !== undefined) updateData.description = description;
+            if (isDefault !== undefined) updateData.isDefault = Boolean(isDefault);
+
+            if (parsed) {
+                await tx.avlMapping.deleteMany({ where: { profileId: id } });
+                updateData.mappings = { create: parsed.mappings };
+            }
+
+            return tx.avlProfile.update({
+                where: { id },
+                data: updateData,
+                include: { mappings: true }
+            });
+        });
+
+        invalidateProfileCache();
+        res.json(profile);
+    } catch (err) {
+        sendProfileError(res, err);
+    }
+});
+
+/**
+ * DELETE /api/debug/avl-map/:id
+ * Trucks using the profile fall back to the default profile
+ */
+router.delete('/avl-map/:id', async (req, res) => {
+    try {
+        await prisma.avlProfile.delete({ where: { id: parseInt(req.params.id) } });
+        invalidateProfileCache();
+        invalidateIMEICache();
+        res.json({ success: true });
+    } catch (err) {
+        sendProfileError(res, err);
+    }
+});
+
+/**
+ * PUT /api/debug/avl-map/:id/trucks
+ * Assign a profile to trucks
+ * Body: { truckIds: [1, 2, ...] } (Truck.id)
+ */
+router.put('/avl-map/:id/trucks', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const { truckIds } = req.body;
+
+        if (!Array.isArray(truckIds) || truckIds.length === 0) {
+            return res.status(400).json({ error: 'truckIds must be a non-empty array' });
+        }
+
+        const profile = Number.isNaN(id) ? null : await prisma.avlProfile.findUnique({ where: { id }, select: { id: true } });
+        if (!profile) return res.status(404).json({ error: 'Profile not found' });
+
+        const result = await prisma.truck.updateMany({
+            where: { id: { in: truckIds.map(t => parseInt(t)) } },
+            data: { avlProfileId: id }
+        });
+
+        // Cached trucks carry their profile ID
+        invalidateIMEICache();
+        res.json({ updated: result.count });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
 });
 
 // Simulate Insertion (Bypass Parser)
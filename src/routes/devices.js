@@ -0,0 +1,91 @@
+import express from 'express';
+import prisma from '../config/database.js';
+import { listSessions, getSessionByIMEI } from '../services/device-sessions.js';
+import { queueCommand, COMMAND_STATUSES } from '../services/device-commands.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/devices/sessions
+ * Returns devices currently connected over TCP
+ */
+router.get('/sessions', (req, res) => {
+    const sessions = listSessions();
+    res.json({
+        count: sessions.length,
+        sessions
+    });
+});
+
+/**
+ * POST /api/devices/:imei/commands
+ * Queue an SMS-style command (Codec 12) for a device
+ * Body: { command: "getinfo" | "getver" | "setparam 1234:5" ... }
+ * Sent immediately if the device is connected, otherwise on its next connection.
+ */
+router.post('/:imei/commands', async (req, res) => {
+    try {
+        const { command } = req.body;
+
+        if (!command || typeof command !== 'string' || !command.trim()) {
+            return res.status(400).json({ error: 'Missing command' });
+        }
+
+        const truck = await prisma.truck.findUnique({
+            where: { imei: req.params.imei },
+            select: { id: true, imei: true, truckId: true }
+        });
+
+        if (!truck) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+
+        const queued = await queueCommand(truck, command.trim());
+
+        res.status(201).json({
+            ...queued,
+            deviceOnline: Boolean(getSessionByIMEI(truck.imei))
+        });
+    } catch (err) {
+        console.error('Queue command error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * GET /api/devices/:imei/commands
+ * Command history for a device, newest first
+ * Query params:
+ *   - status: PENDING | SENT | RESPONDED (optional)
+ *   - limit: Max records to return (default: 50, max: 500)
+ */
+router.get('/:imei/commands', async (req, res) => {
+    try {
+        const { status, limit = '50' } = req.query;
+
+        const where = { imei: req.params.imei };
+        if (status) {
+            where.status = String(status).toUpperCase();
+            if (!COMMAND_STATUSES.includes(where.status)) {
+                return res.status(400).json({ error: `status must be one of: ${COMMAND_STATUSES.join(', ')}` });
+            }
+        }
+
+        const take = Number(limit);
+        if (!Number.isInteger(take) || take < 1 || take > 500) {
+            return res.status(400).json({ error: 'limit must be an integer between 1 and 500' });
+        }
+
+        const commands = await prisma.deviceCommand.findMany({
+            where,
+            orderBy: { createdAt: 'desc' },
+            take
+        });
+
+        res.json(commands);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+export default router;
@@ -0,0 +1,63 @@
+import express from 'express';
+import { forecastSegments, buildGradingPlan } from '../services/forecast.js';
+import { FORECAST } from '../config/constants.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/forecast
+ * Deterioration trend and category crossing dates per segment
+ * Query params:
+ *   - segmentIds: Comma-separated segment IDs (optional, default: all)
+ *   - category: Only segments forecast to reach this category within `days` (fair | poor | very_poor, optional)
+ *   - days: Window for `category` (default: 7)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { segmentIds, category, days = '7' } = req.query;
+        const within = Number(days);
+        if (!Number.isFinite(within) || within < 0) {
+            return res.status(400).json({ error: 'days must be a non-negative number' });
+        }
+
+        const ids = segmentIds
+            ? segmentIds.split(',').map(id => parseInt(id)).filter(id => !isNaN(id))
+            : undefined;
+
+        let forecasts = await forecastSegments({ segmentIds: ids });
+
+        if (category) {
+            forecasts = forecasts.filter(f => {
+                const crossing = f.forecast.crossings.find(c => c.category === category);
+                return crossing && !crossing.reached && crossing.daysFromNow !== null && crossing.daysFromNow <= within;
+            });
+        }
+
+        res.json(forecasts);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * GET /api/forecast/grading-plan
+ * Segments ranked by urgency with a planned grading day
+ * Query params:
+ *   - horizonDays: Plan segments turning poor within this many days (default: 30)
+ *   - capacityPerDay: Segments that can be graded per day (default: 5)
+ */
+router.get('/grading-plan', async (req, res) => {
+    try {
+        const horizonDays = parseInt(req.query.horizonDays) || FORECAST.HORIZON_DAYS;
+        const capacityPerDay = parseInt(req.query.capacityPerDay) || FORECAST.GRADING_CAPACITY_PER_DAY;
+        if (horizonDays < 1 || capacityPerDay < 1) {
+            return res.status(400).json({ error: 'horizonDays and capacityPerDay must be positive' });
+        }
+
+        res.json(await buildGradingPlan({ horizonDays, capacityPerDay }));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+export default router;
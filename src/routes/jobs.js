@@ -0,0 +1,82 @@
+import express from 'express';
+import prisma from '../config/database.js';
+import { listJobs, triggerJob, hasJob, setJobEnabled } from '../services/job-scheduler.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/jobs
+ * List background jobs with schedule and last run
+ */
+router.get('/', async (req, res) => {
+    try {
+        res.json(await listJobs());
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * GET /api/jobs/:name/runs
+ * Run history for a job, newest first
+ * Query params:
+ *   - limit: Max records to return (default: 20)
+ */
+router.get('/:name/runs', async (req, res) => {
+    try {
+        if (!hasJob(req.params.name)) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const runs = await prisma.jobRun.findMany({
+            where: { jobName: req.params.name },
+            orderBy: { startedAt: 'desc' },
+            take: parseInt(req.query.limit || '20')
+        });
+        res.json(runs);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * POST /api/jobs/:name/run
+ * Trigger a job now. Runs in the background; poll /runs for the result.
+ * Returns 409 if the job is already running somewhere.
+ */
+router.post('/:name/run', async (req, res) => {
+    try {
+        if (!hasJob(req.params.name)) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const started = await triggerJob(req.params.name, 'manual');
+        if (!started) {
+            return res.status(409).json({ error: 'Job is already running' });
+        }
+
+        res.status(202).json(started.run);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * PUT /api/jobs/:name
+ * Enable or disable scheduled runs
+ * Body: { enabled: boolean }
+ */
+router.put('/:name', async (req, res) => {
+    try {
+        if (!hasJob(req.params.name)) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const job = await setJobEnabled(req.params.name, Boolean(req.body.enabled));
+        res.json(job);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+export default router;
@@ -0,0 +1,310 @@
+import express from 'express';
+import prisma from '../config/database.js';
+import {
+    reviewEvent,
+    createWorkOrder,
+    attachEvents,
+    detachEvents,
+    transitionWorkOrder,
+    compareRoughness,
+    crewEffectiveness,
+    WorkflowError,
+    WORK_TYPES,
+    WORK_PRIORITIES
+} from '../services/maintenance.js';
+import { parseIdList } from '../utils/input-utils.js';
+import { sendError } from '../utils/http-utils.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/maintenance/events
+ * Roughness events for review, newest first
+ * Query params:
+ *   - review: unreviewed | verified | dismissed | all (default: unreviewed)
+ *   - roadSegmentId: Segment ID (optional)
+ *   - maintenanceRequired: true | false (optional)
+ *   - limit: Max records to return (default: 100)
+ */
+router.get('/events', async (req, res) => {
+    try {
+        const { review = 'unreviewed', roadSegmentId, maintenanceRequired, limit = '100' } = req.query;
+        const where = {};
+
+        if (review === 'unreviewed') Object.assign(where, { verified: false, dismissed: false });
+        else if (review === 'verified') where.verified = true;
+        else if (review === 'dismissed') where.dismissed = true;
+        else if (review !== 'all') {
+            return res.status(400).json({ error: 'review must be unreviewed, verified, dismissed or all' });
+        }
+        if (roadSegmentId) where.roadSegmentId = parseInt(roadSegmentId);
+        if (maintenanceRequired !== undefined) where.maintenanceRequired = maintenanceRequired === 'true';
+
+        const events = await prisma.roughnessEvent.findMany({
+            where,
+            orderBy: { timestamp: 'desc' },
+            take: parseInt(limit),
+            include: {
+                truck: { select: { truckId: true } },
+                roadSegment: { select: { segmentNumber: true, road: { select: { roadName: true } } } },
+                workOrder: { select: { id: true, status: true, workType: true } }
+            }
+        });
+        res.json(events);
+    } catch (err) {
+        sendError(res, err, WorkflowError);
+    }
+});
+
+/**
+ * POST /api/maintenance/events/:id/review
+ * Body: { action: verify | dismiss | reset, by?, notes?, maintenanceRequired? }
+ */
+router.post('/events/:id/review', async (req, res) => {
+    try {
+        const { action, by, notes, maintenanceRequired } = req.body;
+        const event = await reviewEvent(parseInt(req.params.id), { action, by, notes, maintenanceRequired });
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        res.json(event);
+    } catch (err) {
+        sendError(res, err, WorkflowError);
+    }
+});
+
+/**
+ * GET /api/maintenance/work-orders
+ * Query params:
+ *   - status: WorkOrderStatus, or "active" for OPEN/ASSIGNED/IN_PROGRESS (optional)
+ *   - roadSegmentId: Segment ID (optional)
+ *   - assignee: Crew (optional)
+ *   - limit: Max records to return (default: 100)
+ */
+router.get('/work-orders', async (req, res) => {
+    try {
+        const { status, roadSegmentId, assignee, limit = '100' } = req.query;
+        const where = {};
+        if (status === 'active') where.status = { in: ['OPEN', 'ASSIGNED', 'IN_PROGRESS'] };
+        else if (status) where.status = status.toUpperCase();
+        if (roadSegmentId) where.roadSegmentId = parseInt(roadSegmentId);
+        if (assignee) where.assignee = assignee;
+
+        const workOrders = await prisma.workOrder.findMany({
+            where,
+            orderBy: [{ status: 'asc' }, { priority: 'desc' }, { createdAt: 'desc' }],
+            take: parseInt(limit),
+            include: {
+                roadSegment: { select: { segmentNumber: true, road: { select: { roadName: true } } } },
+                _count: { select: { events: true } }
+            }
+        });
+        res.json(workOrders);
+    } catch (err) {
+        sendError(res, err, WorkflowError);
+    }
+});
+
+/**
+ * GET /api/maintenance/work-orders/options
+ * Work types and priorities for forms
+ */
+router.get('/work-orders/options', (req, res) => {
+    res.json({ workTypes: WORK_TYPES, priorities: WORK_PRIORITIES });
+});
+
+/**
+ * POST /api/maintenance/work-orders
+ * Body: { roadSegmentId, workType, priority?, title?, description?, assignee?, createdBy?, dueDate?, eventIds? }
+ *   eventIds must be events on the same segment
+ */
+router.post('/work-orders', async (req, res) => {
+    try {
+        const { roadSegmentId, workType, priority, title, description, assignee, createdBy, dueDate, eventIds } = req.body;
+        if (!roadSegmentId || !workType) {
+            return res.status(400).json({ error: 'roadSegmentId and workType are required' });
+        }
+
+        const workOrder = await createWorkOrder({
+            roadSegmentId: parseInt(roadSegmentId),
+            workType: String(workType).toUpperCase(),
+            priority: priority ? String(priority).toUpperCase() : undefined,
+            title,
+            description,
+            assignee,
+            createdBy,
+            dueDate,
+            eventIds: parseIdList(eventIds)
+        });
+        res.status(201).json(workOrder);
+    } catch (err) {
+        sendError(res, err, WorkflowError);
+    }
+});
+
+/**
+ * GET /api/maintenance/work-orders/:id
+ */
+router.get('/work-orders/:id', async (req, res) => {
+    try {
+        const workOrder = await prisma.workOrder.findUnique({
+            where: { id: parseInt(req.params.id) },
+            include: {
+                roadSegment: { include: { road: true } },
+                events: { orderBy: { timestamp: 'asc' } }
+            }
+        });
+        if (!workOrder) {
+            return res.status(404).json({ error: 'Work order not found' });
+        }
+        res.json(workOrder);
+    } catch (err) {
+        sendError(res, err, WorkflowError);
+    }
+});
+
+/**
+ * PUT /api/maintenance/work-orders/:id
+ * Edit details; status changes go through /status
+ * Body: { workType?, priority?, title?, description?, dueDate? }
+ */
+router.put('/work-orders/:id', async (req, res) => {
+    try {
+        const { workType, priority, title, description, dueDate } = req.body;
+        const data = {};
+
+        if (workType !== undefined) {
+            data.workType = String(workType).toUpperCase();
+            if (!WORK_TYPES.includes(data.workType)) {
+                return res.status(400).json({ error: `workType must be one of: ${WORK_TYPES.join(', ')}` });
+            }
+        }
+        if (priority !== undefined) {
+            data.priority = String(priority).toUpperCase();
+            if (!WORK_PRIORITIES.includes(data.priority)) {
+                return res.status(400).json({ error: `priority must be one of: ${WORK_PRIORITIES.join(', ')}` });
+            }
+        }
+        if (title !== undefined) data.title = title || null;
+        if (description !== undefined) data.description = description || null;
+        if (dueDate !== undefined) {
+            data.dueDate = dueDate ? new Date(dueDate) : null;
+            if (data.dueDate && isNaN(data.dueDate)) {
+                return res.status(400).json({ error: 'dueDate must be a valid date' });
+            }
+        }
+
+        const id = parseInt(req.params.id);
+        const existing = await prisma.workOrder.findUnique({ where: { id }, select: { id: true } });
+        if (!existing) {
+            return res.status(404).json({ error: 'Work order not found' });
+        }
+
+        const workOrder = await prisma.workOrder.update({ where: { id }, data });
+        res.json(workOrder);
+    } catch (err) {
+        sendError(res, err, WorkflowError);
+    }
+});
+
+/**
+ * POST /api/maintenance/work-orders/:id/status
+ * Body: { status, assignee?, completedAt?, notes? }
+ *   OPEN -> ASSIGNED -> IN_PROGRESS -> COMPLETED, CANCELLED from any open state
+ */
+router.post('/work-orders/:id/status', async (req, res) => {
+    try {
+        const { status, assignee, completedAt, notes } = req.body;
+        if (!status) {
+            return res.status(400).json({ error: 'status is required' });
+        }
+
+        const workOrder = await transitionWorkOrder(parseInt(req.params.id), String(status).toUpperCase(), {
+            assignee,
+            completedAt,
+            notes
+        });
+        if (!workOrder) {
+            return res.status(404).json({ error: 'Work order not found' });
+        }
+        res.json(workOrder);
+    } catch (err) {
+        sendError(res, err, WorkflowError);
+    }
+});
+
+/**
+ * POST /api/maintenance/work-orders/:id/events
+ * Body: { eventIds }
+ */
+router.post('/work-orders/:id/events', async (req, res) => {
+    try {
+        const eventIds = parseIdList(req.body.eventIds);
+        if (eventIds.length === 0) {
+            return res.status(400).json({ error: 'eventIds is required' });
+        }
+
+        const workOrder = await attachEvents(parseInt(req.params.id), eventIds);
+        if (!workOrder) {
+            return res.status(404).json({ error: 'Work order not found' });
+        }
+        res.json({ success: true, added: eventIds.length });
+    } catch (err) {
+        sendError(res, err, WorkflowError);
+    }
+});
+
+/**
+ * DELETE /api/maintenance/work-orders/:id/events
+ * Body: { eventIds }
+ */
+router.delete('/work-orders/:id/events', async (req, res) => {
+    try {
+        const removed = await detachEvents(parseInt(req.params.id), parseIdList(req.body?.eventIds));
+        res.json({ success: true, removed });
+    } catch (err) {
+        sendError(res, err, WorkflowError);
+    }
+});
+
+/**
+ * GET /api/maintenance/work-orders/:id/comparison
+ * Segment roughness before vs after a completed work order
+ * Query params:
+ *   - days: Window length (default: 14)
+ */
+router.get('/work-orders/:id/comparison', async (req, res) => {
+    try {
+        const options = req.query.days ? { days: Math.max(1, parseInt(req.query.days) || 1) } : {};
+        const comparison = await compareRoughness(parseInt(req.params.id), options);
+        if (!comparison) {
+            return res.status(404).json({ error: 'Work order not found' });
+        }
+        res.json(comparison);
+    } catch (err) {
+        sendError(res, err, WorkflowError);
+    }
+});
+
+/**
+ * GET /api/maintenance/crews
+ * Before/after effectiveness of completed work per assignee
+ * Query params:
+ *   - from: Completed on or after, ISO string (optional)
+ *   - to: Completed before, ISO string (optional)
+ */
+router.get('/crews', async (req, res) => {
+    try {
+        const from = req.query.from ? new Date(req.query.from) : undefined;
+        const to = req.query.to ? new Date(req.query.to) : undefined;
+        if ((from && isNaN(from)) || (to && isNaN(to))) {
+            return res.status(400).json({ error: 'Invalid date' });
+        }
+
+        res.json(await crewEffectiveness({ from, to }));
+    } catch (err) {
+        sendError(res, err, WorkflowError);
+    }
+});
+
+export default router;
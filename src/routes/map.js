@@ -1,5 +1,7 @@
 import express from 'express';
 import prisma from '../config/database.js';
+import { verticalAcceleration } from '../algorithms/vertical-acceleration.js';
+import { resolveOrientations } from '../services/mount-orientation.js';
 
 const router = express.Router();
 
@@ -42,6 +44,7 @@ router.get('/telemetry', async (req, res) => {
             take: parseInt(limit),
             select: {
                 id: true,
+                truckId: true,
                 timestamp: true,
                 latitude: true,
                 longitude: true,
@@ -60,16 +63,16 @@ router.get('/telemetry', async (req, res) => {
             }
         });
 
+        const orientations = await resolveOrientations(telemetry);
+
         // Calculate roughness for each point
         const result = telemetry.map(t => {
-            // Vector magnitude
             const x = t.axisX || 0;
             const y = t.axisY || 0;
             const z = t.axisZ || 0;
-            const magnitude = Math.sqrt(x * x + y * y + z * z);
 
-            // Deviation from 1g (1000 mG)
-            const roughness = Math.abs(magnitude - 1000);
+            // Dynamic vertical acceleration (mounting-corrected, gravity removed)
+            const roughness = Math.abs(verticalAcceleration(t, orientations.get(t.truckId)));
 
             return {
                 id: t.id.toString(),
@@ -144,14 +147,18 @@ router.get('/heatmap', async (req, res) => {
         const telemetry = await prisma.truckTelemetry.findMany({
             where: { speed: { gte: minSpeedKmh } },
             select: {
+                truckId: true,
                 latitude: true,
                 longitude: true,
                 axisX: true,
                 axisY: true,
-                axisZ: true
+                axisZ: true,
+                speed: true
             }
         });
 
+        const orientations = await resolveOrientations(telemetry);
+
         // Group into grid cells
         const grid = new Map();
 
@@ -165,11 +172,7 @@ router.get('/heatmap', async (req, res) => {
             const key = `${cellLat.toFixed(6)},${cellLon.toFixed(6)}`;
 
             // Calculate roughness
-            const x = point.axisX || 0;
-            const y = point.axisY || 0;
-            const z = point.axisZ || 0;
-            const magnitude = Math.sqrt(x * x + y * y + z * z);
-            const roughness = Math.abs(magnitude - 1000);
+            const roughness = Math.abs(verticalAcceleration(point, orientations.get(point.truckId)));
 
             if (!grid.has(key)) {
                 grid.set(key, {
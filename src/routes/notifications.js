@@ -0,0 +1,291 @@
+import express from 'express';
+import prisma from '../config/database.js';
+import { retryDelivery, sendTestNotification } from '../services/notifications.js';
+
+const router = express.Router();
+
+const CHANNEL_TYPES = ['WEBHOOK', 'EMAIL'];
+const SEVERITIES = ['INFO', 'WARNING', 'CRITICAL'];
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+$/;
+
+// Never return webhook secrets
+function maskChannel(channel) {
+    const { secret, ...rest } = channel;
+    return { ...rest, hasSecret: Boolean(secret) };
+}
+
+/**
+ * Validates channel fields from a request body. With `existing`, fields not in
+ * the body keep their current values. Returns { data } or { error }.
+ */
+function channelData(body, existing = null) {
+    const data = {};
+    if (body.name !== undefined) data.name = String(body.name).trim();
+    if (body.type !== undefined) data.type = String(body.type).toUpperCase();
+    if (body.enabled !== undefined) data.enabled = Boolean(body.enabled);
+    if (body.url !== undefined) data.url = body.url || null;
+    if (body.secret !== undefined) data.secret = body.secret || null;
+    if (body.recipients !== undefined) {
+        data.recipients = (Array.isArray(body.recipients) ? body.recipients : String(body.recipients).split(','))
+            .map(r => String(r).trim())
+            .filter(Boolean);
+    }
+
+    const merged = { recipients: [], ...existing, ...data };
+    if (!merged.name) return { error: 'name is required' };
+    if (!CHANNEL_TYPES.includes(merged.type)) return { error: `type must be one of: ${CHANNEL_TYPES.join(', ')}` };
+
+    if (merged.type === 'WEBHOOK') {
+        let url;
+        try {
+            url = new URL(merged.url);
+        } catch {
+            return { error: 'url is required for WEBHOOK channels' };
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) return { error: 'url must be http(s)' };
+    } else {
+        if (merged.recipients.length === 0) return { error: 'recipients are required for EMAIL channels' };
+        const invalid = merged.recipients.find(r => !EMAIL_PATTERN.test(r));
+        if (invalid) return { error: `Invalid recipient: ${invalid}` };
+    }
+
+    return { data };
+}
+
+/**
+ * Validates subscription fields from a request body. Returns { data } or { error }.
+ */
+function subscriptionData(body) {
+    const data = {};
+    if (body.name !== undefined) data.name = body.name || null;
+    if (body.minSeverity !== undefined) {
+        data.minSeverity = String(body.minSeverity).toUpperCase();
+        if (!SEVERITIES.includes(data.minSeverity)) return { error: `minSeverity must be one of: ${SEVERITIES.join(', ')}` };
+    }
+    if (body.alertTypes !== undefined) data.alertTypes = (body.alertTypes || []).map(String);
+    if (body.roadIds !== undefined) {
+        data.roadIds = (body.roadIds || []).map(id => parseInt(id));
+        if (data.roadIds.some(isNaN)) return { error: 'roadIds must be HaulRoad ids' };
+    }
+    if (body.includeResolved !== undefined) data.includeResolved = Boolean(body.includeResolved);
+    if (body.enabled !== undefined) data.enabled = Boolean(body.enabled);
+    return { data };
+}
+
+/**
+ * GET /api/notifications/channels
+ * List channels with their subscriptions
+ */
+router.get('/channels', async (req, res) => {
+    try {
+        const channels = await prisma.notificationChannel.findMany({
+            orderBy: { name: 'asc' },
+            include: { subscriptions: { orderBy: { id: 'asc' } } }
+        });
+        res.json(channels.map(maskChannel));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * POST /api/notifications/channels
+ * Body: { name, type: WEBHOOK | EMAIL, url?, secret?, recipients?, enabled? }
+ *   WEBHOOK needs url (secret enables X-Roughness-Signature), EMAIL needs recipients
+ */
+router.post('/channels', async (req, res) => {
+    try {
+        const { data, error } = channelData(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const existing = await prisma.notificationChannel.findUnique({ where: { name: data.name } });
+        if (existing) {
+            return res.status(409).json({ error: `Channel ${data.name} already exists` });
+        }
+
+        const channel = await prisma.notificationChannel.create({ data });
+        res.status(201).json(maskChannel(channel));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * PUT /api/notifications/channels/:id
+ * Body: any channel fields; secret: null removes the signing key
+ */
+router.put('/channels/:id', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const existing = await prisma.notificationChannel.findUnique({ where: { id } });
+        if (!existing) {
+            return res.status(404).json({ error: 'Channel not found' });
+        }
+
+        const { data, error } = channelData(req.body, existing);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (data.name && data.name !== existing.name) {
+            const taken = await prisma.notificationChannel.findUnique({ where: { name: data.name }, select: { id: true } });
+            if (taken) {
+                return res.status(409).json({ error: `Channel ${data.name} already exists` });
+            }
+        }
+
+        const channel = await prisma.notificationChannel.update({ where: { id }, data });
+        res.json(maskChannel(channel));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * DELETE /api/notifications/channels/:id
+ * Also removes its subscriptions and delivery log
+ */
+router.delete('/channels/:id', async (req, res) => {
+    try {
+        const { count } = await prisma.notificationChannel.deleteMany({ where: { id: parseInt(req.params.id) } });
+        if (count === 0) {
+            return res.status(404).json({ error: 'Channel not found' });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * POST /api/notifications/channels/:id/test
+ * Send a sample alert over the channel now (not logged as a delivery)
+ */
+router.post('/channels/:id/test', async (req, res) => {
+    try {
+        const channel = await prisma.notificationChannel.findUnique({ where: { id: parseInt(req.params.id) } });
+        if (!channel) {
+            return res.status(404).json({ error: 'Channel not found' });
+        }
+
+        const result = await sendTestNotification(channel);
+        res.status(result.ok ? 200 : 502).json(result);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * POST /api/notifications/channels/:id/subscriptions
+ * Route alerts to the channel
+ * Body: { name?, minSeverity? (default WARNING), alertTypes?, roadIds?, includeResolved?, enabled? }
+ *   Empty alertTypes / roadIds match every alert type / road
+ */
+router.post('/channels/:id/subscriptions', async (req, res) => {
+    try {
+        const channelId = parseInt(req.params.id);
+        const channel = await prisma.notificationChannel.findUnique({ where: { id: channelId }, select: { id: true } });
+        if (!channel) {
+            return res.status(404).json({ error: 'Channel not found' });
+        }
+
+        const { data, error } = subscriptionData(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const subscription = await prisma.notificationSubscription.create({ data: { ...data, channelId } });
+        res.status(201).json(subscription);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * PUT /api/notifications/subscriptions/:id
+ */
+router.put('/subscriptions/:id', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const existing = await prisma.notificationSubscription.findUnique({ where: { id }, select: { id: true } });
+        if (!existing) {
+            return res.status(404).json({ error: 'Subscription not found' });
+        }
+
+        const { data, error } = subscriptionData(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const subscription = await prisma.notificationSubscription.update({ where: { id }, data });
+        res.json(subscription);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * DELETE /api/notifications/subscriptions/:id
+ */
+router.delete('/subscriptions/:id', async (req, res) => {
+    try {
+        const { count } = await prisma.notificationSubscription.deleteMany({ where: { id: parseInt(req.params.id) } });
+        if (count === 0) {
+            return res.status(404).json({ error: 'Subscription not found' });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * GET /api/notifications/deliveries
+ * Delivery log, newest first
+ * Query params:
+ *   - status: PENDING | SENT | FAILED (optional)
+ *   - channelId: Channel ID (optional)
+ *   - alertId: Alert ID (optional)
+ *   - limit: Max records to return (default: 100)
+ */
+router.get('/deliveries', async (req, res) => {
+    try {
+        const { status, channelId, alertId, limit = '100' } = req.query;
+        const where = {};
+        if (status) where.status = status.toUpperCase();
+        if (channelId) where.channelId = parseInt(channelId);
+        if (alertId) where.alertId = parseInt(alertId);
+
+        const deliveries = await prisma.notificationDelivery.findMany({
+            where,
+            orderBy: { createdAt: 'desc' },
+            take: parseInt(limit),
+            include: {
+                channel: { select: { name: true, type: true } },
+                alert: { select: { alertType: true, severity: true, title: true } }
+            }
+        });
+        res.json(deliveries);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * POST /api/notifications/deliveries/:id/retry
+ * Attempt a pending or failed delivery now
+ */
+router.post('/deliveries/:id/retry', async (req, res) => {
+    try {
+        const delivery = await retryDelivery(parseInt(req.params.id));
+        if (!delivery) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+        res.json(delivery);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+export default router;
@@ -0,0 +1,172 @@
+import express from 'express';
+import prisma from '../config/database.js';
+import {
+    createRoad,
+    updateRoad,
+    attachSegments,
+    reorderSegments,
+    mergeRoads,
+    recomputeAllChainage,
+    getRoad,
+    RoadError
+} from '../services/haul-roads.js';
+import { parseIdList } from '../utils/input-utils.js';
+import { sendError } from '../utils/http-utils.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/roads
+ * Query params:
+ *   - active: true | false | all (default: all)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { active = 'all' } = req.query;
+        const where = {};
+        if (active === 'true' || active === 'false') where.active = active === 'true';
+        else if (active !== 'all') {
+            return res.status(400).json({ error: 'active must be true, false or all' });
+        }
+
+        const roads = await prisma.haulRoad.findMany({
+            where,
+            orderBy: [{ active: 'desc' }, { roadName: 'asc' }],
+            include: { _count: { select: { segments: true } } }
+        });
+        res.json(roads);
+    } catch (err) {
+        sendError(res, err, RoadError);
+    }
+});
+
+/**
+ * POST /api/roads/recompute-chainage
+ * Recompute segment chainage and length on every road
+ */
+router.post('/recompute-chainage', async (req, res) => {
+    try {
+        res.json(await recomputeAllChainage());
+    } catch (err) {
+        sendError(res, err, RoadError);
+    }
+});
+
+/**
+ * GET /api/roads/:id
+ * Road with its segments in chainage order
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const road = await getRoad(parseInt(req.params.id));
+        if (!road) {
+            return res.status(404).json({ error: 'Road not found' });
+        }
+        res.json(road);
+    } catch (err) {
+        sendError(res, err, RoadError);
+    }
+});
+
+/**
+ * POST /api/roads
+ * Body: { roadName, roadType?, surfaceType?, speedLimitKmh?, segmentIds? }
+ *   segmentIds are moved onto the new road in the given order
+ */
+router.post('/', async (req, res) => {
+    try {
+        const road = await createRoad({ ...req.body, segmentIds: parseIdList(req.body.segmentIds) });
+        res.status(201).json(road);
+    } catch (err) {
+        sendError(res, err, RoadError);
+    }
+});
+
+/**
+ * PUT /api/roads/:id
+ * Body: { roadName?, roadType?, surfaceType?, speedLimitKmh?, active? }
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        const road = await updateRoad(parseInt(req.params.id), req.body);
+        if (!road) {
+            return res.status(404).json({ error: 'Road not found' });
+        }
+        res.json(road);
+    } catch (err) {
+        sendError(res, err, RoadError);
+    }
+});
+
+/**
+ * POST /api/roads/:id/deactivate
+ * Keeps the road and its history; reactivate with PUT { active: true }
+ */
+router.post('/:id/deactivate', async (req, res) => {
+    try {
+        const road = await updateRoad(parseInt(req.params.id), { active: false });
+        if (!road) {
+            return res.status(404).json({ error: 'Road not found' });
+        }
+        res.json(road);
+    } catch (err) {
+        sendError(res, err, RoadError);
+    }
+});
+
+/**
+ * POST /api/roads/:id/segments
+ * Attach segments (taken from their current road) in order
+ * Body: { segmentIds, position? }
+ *   position: insert before the road's n-th segment, 0-based (default: append)
+ */
+router.post('/:id/segments', async (req, res) => {
+    try {
+        const { position } = req.body;
+        const road = await attachSegments(parseInt(req.params.id), parseIdList(req.body.segmentIds), {
+            position: position === undefined || position === null ? undefined : parseInt(position)
+        });
+        if (!road) {
+            return res.status(404).json({ error: 'Road not found' });
+        }
+        res.json(await getRoad(road.id));
+    } catch (err) {
+        sendError(res, err, RoadError);
+    }
+});
+
+/**
+ * PUT /api/roads/:id/segments
+ * Reorder the road's segments
+ * Body: { segmentIds } (every segment on the road, in order)
+ */
+router.put('/:id/segments', async (req, res) => {
+    try {
+        const road = await reorderSegments(parseInt(req.params.id), parseIdList(req.body.segmentIds));
+        if (!road) {
+            return res.status(404).json({ error: 'Road not found' });
+        }
+        res.json(await getRoad(road.id));
+    } catch (err) {
+        sendError(res, err, RoadError);
+    }
+});
+
+/**
+ * POST /api/roads/:id/merge
+ * Append other roads' segments to this road and delete those roads
+ * Body: { sourceRoadIds }
+ */
+router.post('/:id/merge', async (req, res) => {
+    try {
+        const road = await mergeRoads(parseInt(req.params.id), parseIdList(req.body.sourceRoadIds));
+        if (!road) {
+            return res.status(404).json({ error: 'Road not found' });
+        }
+        res.json(await getRoad(road.id));
+    } catch (err) {
+        sendError(res, err, RoadError);
+    }
+});
+
+export default router;
@@ -0,0 +1,93 @@
+import express from 'express';
+import { getSegmentRoughness, getShiftDefinitions, GRANULARITIES } from '../services/roughness-buckets.js';
+import { getRoadProfile } from '../services/haul-roads.js';
+
+const router = express.Router();
+
+const MAX_RANGE_DAYS = 93;
+
+/**
+ * GET /api/roughness
+ * Segment roughness bucketed by hour, shift or day
+ * Query params:
+ *   - granularity: hour | shift | day (default: hour)
+ *   - from: Start timestamp ISO string (default: 24 hours ago)
+ *   - to: End timestamp ISO string (default: now)
+ *   - segmentIds: Comma-separated segment IDs (optional, default: all)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { granularity = 'hour', segmentIds } = req.query;
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+        if (!GRANULARITIES.includes(granularity)) {
+            return res.status(400).json({ error: `granularity must be one of: ${GRANULARITIES.join(', ')}` });
+        }
+        if (isNaN(from) || isNaN(to) || from >= to) {
+            return res.status(400).json({ error: 'Invalid time range' });
+        }
+        if (to - from > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+            return res.status(400).json({ error: `Time range is limited to ${MAX_RANGE_DAYS} days` });
+        }
+
+        const ids = segmentIds
+            ? segmentIds.split(',').map(id => parseInt(id)).filter(id => !isNaN(id))
+            : undefined;
+
+        const buckets = await getSegmentRoughness({ from, to, granularity, segmentIds: ids });
+
+        res.json({
+            granularity,
+            from,
+            to,
+            shifts: granularity === 'shift' ? getShiftDefinitions() : undefined,
+            count: buckets.length,
+            data: buckets
+        });
+    } catch (err) {
+        console.error('Roughness buckets error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * GET /api/roughness/profile
+ * Longitudinal profile: roughness of each segment along a road by chainage
+ * Query params:
+ *   - roadId: HaulRoad ID (required)
+ *   - from: Start date ISO string (default: 30 days ago)
+ *   - to: End date ISO string (default: now)
+ */
+router.get('/profile', async (req, res) => {
+    try {
+        const roadId = parseInt(req.query.roadId);
+        if (isNaN(roadId)) {
+            return res.status(400).json({ error: 'roadId is required' });
+        }
+        const from = req.query.from ? new Date(req.query.from) : undefined;
+        const to = req.query.to ? new Date(req.query.to) : undefined;
+        if ((from && isNaN(from)) || (to && isNaN(to)) || (from && to && from >= to)) {
+            return res.status(400).json({ error: 'Invalid time range' });
+        }
+
+        const profile = await getRoadProfile(roadId, { from, to });
+        if (!profile) {
+            return res.status(404).json({ error: 'Road not found' });
+        }
+        res.json(profile);
+    } catch (err) {
+        console.error('Road profile error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * GET /api/roughness/shifts
+ * Configured shift definitions (SHIFT_START_HOURS)
+ */
+router.get('/shifts', (req, res) => {
+    res.json(getShiftDefinitions());
+});
+
+export default router;
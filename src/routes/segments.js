@@ -1,68 +1,17 @@
 import express from 'express';
 import prisma from '../config/database.js';
+import { haversineDistance, pointToSegmentDistance } from '../utils/geo-utils.js';
+import { verticalAcceleration } from '../algorithms/vertical-acceleration.js';
+import { resolveOrientations } from '../services/mount-orientation.js';
+import { recomputeChainage } from '../services/haul-roads.js';
+import { generateSegments, GENERATED_ROAD_TYPE, LEGACY_GENERATED_ROAD } from '../services/segment-generation.js';
+import { splitSegment, mergeSegments, reverseSegment, snapEndpoints, SegmentError } from '../services/segment-editing.js';
+import { queueReassignment } from '../services/segment-reassignment.js';
+import { parseIdList } from '../utils/input-utils.js';
+import { sendError } from '../utils/http-utils.js';
 
 const router = express.Router();
 
-/**
- * Calculate distance between two lat/lon points in meters (Haversine formula)
- */
-function haversineDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371000; // Earth radius in meters
-    const phi1 = lat1 * Math.PI / 180;
-    const phi2 = lat2 * Math.PI / 180;
-    const deltaPhi = (lat2 - lat1) * Math.PI / 180;
-    const deltaLambda = (lon2 - lon1) * Math.PI / 180;
-
-    const a = Math.sin(deltaPhi / 2) ** 2 +
-        Math.cos(phi1) * Math.cos(phi2) * Math.sin(deltaLambda / 2) ** 2;
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-
-    return R * c;
-}
-
-/**
- * Calculate distance from a point to a line segment
- */
-function pointToSegmentDistance(px, py, x1, y1, x2, y2) {
-    const A = px - x1;
-    const B = py - y1;
-    const C = x2 - x1;
-    const D = y2 - y1;
-
-    const dot = A * C + B * D;
-    const lenSq = C * C + D * D;
-    let param = -1;
-
-    if (lenSq !== 0) param = dot / lenSq;
-
-    let xx, yy;
-
-    if (param < 0) {
-        xx = x1;
-        yy = y1;
-    } else if (param > 1) {
-        xx = x2;
-        yy = y2;
-    } else {
-        xx = x1 + param * C;
-        yy = y1 + param * D;
-    }
-
-    return haversineDistance(px, py, xx, yy);
-}
-
-/**
- * Calculate roughness from accelerometer values
- */
-function calculateRoughness(axisX, axisY, axisZ) {
-    const magnitude = Math.sqrt(
-        (axisX || 0) ** 2 +
-        (axisY || 0) ** 2 +
-        (axisZ || 0) ** 2
-    );
-    return Math.abs(magnitude - 1000);
-}
-
 /**
  * GET /api/segments
  * List all segments with computed average roughness
@@ -106,11 +55,13 @@ router.get('/', async (req, res) => {
                     speed: { gt: 0 }
                 },
                 select: {
+                    truckId: true,
                     latitude: true,
                     longitude: true,
                     axisX: true,
                     axisY: true,
-                    axisZ: true
+                    axisZ: true,
+                    speed: true
                 }
             });
 
@@ -131,11 +82,12 @@ router.get('/', async (req, res) => {
                 return false;
             });
 
-            // Calculate average roughness
+            // Calculate average roughness (|vertical acceleration|, mounting-corrected)
             let avgRoughness = null;
             if (matchedPoints.length > 0) {
+                const orientations = await resolveOrientations(nearbyPoints);
                 const totalRoughness = matchedPoints.reduce((sum, p) =>
-                    sum + calculateRoughness(p.axisX, p.axisY, p.axisZ), 0
+                    sum + Math.abs(verticalAcceleration(p, orientations.get(p.truckId))), 0
                 );
                 avgRoughness = Math.round(totalRoughness / matchedPoints.length);
             }
@@ -147,6 +99,8 @@ router.get('/', async (req, res) => {
                 segmentNumber: segment.segmentNumber,
                 geometryJson: segment.geometryJson,
                 lengthMeters: segment.lengthMeters,
+                startChainageM: segment.startChainageM,
+                endChainageM: segment.endChainageM,
                 avgRoughness,
                 pointCount: matchedPoints.length,
                 createdAt: segment.createdAt
@@ -160,6 +114,66 @@ router.get('/', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/segments/reassignments
+ * Areas queued for segment reassignment after edits, newest first
+ * Query params:
+ *   - status: PENDING | RUNNING | DONE | FAILED
+ *   - limit: Max rows (default: 50)
+ */
+router.get('/reassignments', async (req, res) => {
+    try {
+        const { status, limit = 50 } = req.query;
+        const where = {};
+        if (status) {
+            const value = String(status).toUpperCase();
+            if (!['PENDING', 'RUNNING', 'DONE', 'FAILED'].includes(value)) {
+                return res.status(400).json({ error: 'status must be PENDING, RUNNING, DONE or FAILED' });
+            }
+            where.status = value;
+        }
+
+        const areas = await prisma.segmentReassignment.findMany({
+            where,
+            orderBy: { createdAt: 'desc' },
+            take: Math.min(parseInt(limit) || 50, 500)
+        });
+        res.json(areas);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * POST /api/segments/reassign
+ * Queue reassignment of historical telemetry and events around segments
+ * (e.g. after importing geometry directly into the database)
+ * Body: { segmentIds }
+ */
+router.post('/reassign', async (req, res) => {
+    try {
+        const segmentIds = parseIdList(req.body.segmentIds);
+        if (segmentIds.length === 0) {
+            return res.status(400).json({ error: 'segmentIds is required' });
+        }
+
+        const segments = await prisma.roadSegment.findMany({
+            where: { id: { in: segmentIds } },
+            select: { geometryJson: true }
+        });
+        const areas = await queueReassignment({
+            lines: segments.map(s => s.geometryJson?.coordinates),
+            reason: 'manual'
+        });
+        if (areas.length === 0) {
+            return res.status(404).json({ error: 'No segments with geometry found' });
+        }
+        res.status(202).json(areas);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 /**
  * GET /api/segments/:id
  * Get single segment with matched telemetry points
@@ -181,6 +195,39 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/segments/:id/passes
+ * Truck passes over a segment, newest first
+ * Query params:
+ *   - from: Start timestamp ISO string (optional)
+ *   - to: End timestamp ISO string (optional)
+ *   - truckId: Filter by truck DB id (optional)
+ *   - limit: Max records to return (default: 100)
+ */
+router.get('/:id/passes', async (req, res) => {
+    try {
+        const { from, to, truckId, limit = '100' } = req.query;
+        const where = { roadSegmentId: parseInt(req.params.id) };
+
+        if (truckId) where.truckId = parseInt(truckId);
+        if (from || to) {
+            where.entryTime = {};
+            if (from) where.entryTime.gte = new Date(from);
+            if (to) where.entryTime.lte = new Date(to);
+        }
+
+        const passes = await prisma.segmentPass.findMany({
+            where,
+            orderBy: { entryTime: 'desc' },
+            take: parseInt(limit),
+            include: { truck: { select: { truckId: true } } }
+        });
+        res.json(passes);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 /**
  * POST /api/segments
  * Create a new segment manually
@@ -195,7 +242,7 @@ router.post('/', async (req, res) => {
         }
 
         // Get or create parent road
-        let parentRoadId = roadId;
+        let parentRoadId = roadId ? parseInt(roadId) : null;
         if (!parentRoadId) {
             // Create or get "Manual Segments" road
             let road = await prisma.haulRoad.findFirst({
@@ -237,6 +284,8 @@ router.post('/', async (req, res) => {
             },
             include: { road: true }
         });
+        await recomputeChainage(parentRoadId);
+        await queueReassignment({ lines: [geometry], reason: 'create' });
 
         res.status(201).json(segment);
     } catch (err) {
@@ -271,13 +320,19 @@ router.put('/:id', async (req, res) => {
                 coordinates: geometry
             };
             updateData.lengthMeters = lengthMeters;
+            updateData.generated = false;
         }
 
+        const previous = await prisma.roadSegment.findUnique({ where: { id }, select: { geometryJson: true } });
         const segment = await prisma.roadSegment.update({
             where: { id },
             data: updateData,
             include: { road: true }
         });
+        if (updateData.geometryJson) {
+            await recomputeChainage(segment.roadId);
+            await queueReassignment({ lines: [previous?.geometryJson?.coordinates, geometry], reason: 'update' });
+        }
 
         res.json(segment);
     } catch (err) {
@@ -290,9 +345,11 @@ router.put('/:id', async (req, res) => {
  */
 router.delete('/:id', async (req, res) => {
     try {
-        await prisma.roadSegment.delete({
+        const segment = await prisma.roadSegment.delete({
             where: { id: parseInt(req.params.id) }
         });
+        await recomputeChainage(segment.roadId);
+        await queueReassignment({ lines: [segment.geometryJson?.coordinates], reason: 'delete' });
         res.json({ success: true });
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -301,243 +358,134 @@ router.delete('/:id', async (req, res) => {
 
 /**
  * POST /api/segments/:id/split
- * Split a segment into multiple parts
- * Body: { parts: number }
+ * Split a segment at interpolated points. Telemetry, events, alerts, work
+ * orders and stats move to the new segments.
+ * Body: { mode?, parts?, chainages?, point? }
+ *   - mode: equal | chainage | point (default: equal)
+ *   - parts: equal: number of segments of the same length
+ *   - chainages: chainage: road chainage in meters, or a list of them
+ *   - point: point: [lon, lat], split at the nearest point on the segment
  */
 router.post('/:id/split', async (req, res) => {
     try {
-        const id = parseInt(req.params.id);
-        const { parts } = req.body;
+        const { mode = 'equal', parts, chainages, point } = req.body;
+        const result = await splitSegment(parseInt(req.params.id), { mode, parts, chainages, point });
+        if (!result) {
+            return res.status(404).json({ error: 'Segment not found' });
+        }
 
-        // Get the segment
-        const segment = await prisma.roadSegment.findUnique({
-            where: { id },
-            include: { road: true }
+        res.json({
+            success: true,
+            message: `Split into ${result.newSegments.length} segments`,
+            ...result
         });
+    } catch (err) {
+        if (!(err instanceof SegmentError)) console.error('Split segment error:', err);
+        sendError(res, err, SegmentError);
+    }
+});
 
+/**
+ * POST /api/segments/:id/reverse
+ * Reverse the segment's direction (its passes swap direction to match)
+ */
+router.post('/:id/reverse', async (req, res) => {
+    try {
+        const segment = await reverseSegment(parseInt(req.params.id));
         if (!segment) {
             return res.status(404).json({ error: 'Segment not found' });
         }
+        res.json(segment);
+    } catch (err) {
+        sendError(res, err, SegmentError);
+    }
+});
 
-        const geometry = segment.geometryJson;
-        if (!geometry || !geometry.coordinates || geometry.coordinates.length < 2) {
-            return res.status(400).json({ error: 'Invalid segment geometry' });
-        }
-
-        const coords = geometry.coordinates;
-        const pointCount = coords.length;
-
-        // Validate parts
-        const maxParts = pointCount - 1;
-        if (parts < 2 || parts > maxParts) {
-            return res.status(400).json({
-                error: `Parts must be between 2 and ${maxParts}`,
-                pointCount,
-                maxParts
-            });
-        }
-
-        // Calculate how to split - divide by GAPS (edges) not points
-        // With N points, there are N-1 gaps
-        // To split into M parts, we distribute N-1 gaps across M segments
-        const totalGaps = pointCount - 1;  // e.g., 5 points = 4 gaps
-        const baseGapsPerSegment = Math.floor(totalGaps / parts);
-        const remainder = totalGaps % parts;
-
-        // Create new segments
-        const newSegments = [];
-        let startIdx = 0;
-
-        for (let i = 0; i < parts; i++) {
-            // Distribute extra gaps to earlier segments
-            const gapsInThisSegment = baseGapsPerSegment + (i < remainder ? 1 : 0);
-
-            if (gapsInThisSegment < 1) continue; // Skip if no gaps allocated
-
-            const endIdx = startIdx + gapsInThisSegment;
-
-            // Segment includes points from startIdx to endIdx (inclusive)
-            const segmentCoords = coords.slice(startIdx, endIdx + 1);
-
-            if (segmentCoords.length >= 2) {
-                // Calculate length
-                let lengthMeters = 0;
-                for (let j = 0; j < segmentCoords.length - 1; j++) {
-                    lengthMeters += haversineDistance(
-                        segmentCoords[j][1], segmentCoords[j][0],
-                        segmentCoords[j + 1][1], segmentCoords[j + 1][0]
-                    );
-                }
-
-                newSegments.push({
-                    coords: segmentCoords,
-                    lengthMeters
-                });
-            }
-
-            startIdx = endIdx; // Next segment starts at current endpoint
-        }
+/**
+ * POST /api/segments/merge
+ * Merge consecutive segments of one road into the first of them. Telemetry,
+ * events, alerts, work orders and stats move to the merged segment.
+ * Body: { segmentIds }
+ */
+router.post('/merge', async (req, res) => {
+    try {
+        const segmentIds = parseIdList(req.body.segmentIds);
+        const result = await mergeSegments(segmentIds);
 
-        // Get next segment number for the road
-        const lastSegment = await prisma.roadSegment.findFirst({
-            where: { roadId: segment.roadId },
-            orderBy: { segmentNumber: 'desc' }
+        res.json({
+            success: true,
+            message: `Merged ${result.mergedIds.length + 1} segments into segment ${result.segment.id}`,
+            ...result
         });
-        let segmentNumber = (lastSegment?.segmentNumber || 0);
-
-        // Create new segments in database
-        const createdSegments = [];
-        for (const newSeg of newSegments) {
-            segmentNumber++;
-
-            const created = await prisma.roadSegment.create({
-                data: {
-                    roadId: segment.roadId,
-                    segmentNumber,
-                    lengthMeters: newSeg.lengthMeters,
-                    geometryJson: {
-                        type: 'LineString',
-                        coordinates: newSeg.coords
-                    }
-                }
-            });
-            createdSegments.push(created);
-        }
+    } catch (err) {
+        if (!(err instanceof SegmentError)) console.error('Merge segments error:', err);
+        sendError(res, err, SegmentError);
+    }
+});
 
-        // Delete the original segment
-        await prisma.roadSegment.delete({ where: { id } });
+/**
+ * POST /api/segments/snap
+ * Snap the segments' endpoints onto nearby endpoints so neighbours join exactly
+ * Body: { segmentIds, tolerance? }
+ *   - tolerance: Meters (default: 10)
+ */
+router.post('/snap', async (req, res) => {
+    try {
+        const segmentIds = parseIdList(req.body.segmentIds);
+        const { tolerance } = req.body;
+        const result = await snapEndpoints(segmentIds, {
+            tolerance: tolerance === undefined || tolerance === null ? undefined : Number(tolerance)
+        });
 
         res.json({
             success: true,
-            message: `Split into ${createdSegments.length} segments`,
-            originalId: id,
-            newSegments: createdSegments
+            message: result.moved.length > 0
+                ? `Snapped ${result.moved.length} endpoint(s)`
+                : 'No endpoints within tolerance',
+            ...result
         });
-
     } catch (err) {
-        console.error('Split segment error:', err);
-        res.status(500).json({ error: err.message });
+        sendError(res, err, SegmentError);
     }
 });
 
 /**
  * POST /api/segments/generate
- * Auto-generate segments from telemetry data
- * Body: { minPoints?, maxGap?, minSpeed? }
+ * Build road centerlines from GPS traces and cut them into fixed-length
+ * segments. Stretches already covered by a segment are kept, so re-running
+ * only adds what is new.
+ * Body: { from?, to?, minSpeed?, segmentLength?, minPasses?, matchRadius?, dryRun? }
+ *   - from / to: Telemetry window, ISO strings (default: last 30 days)
+ *   - segmentLength: Meters (default: 100)
+ *   - minPasses: Distinct trips needed to keep a road (default: 3)
+ *   - matchRadius: Meters between a trace and a centerline / existing segment (default: 15)
+ *   - dryRun: Report the plan without saving
  */
 router.post('/generate', async (req, res) => {
     try {
-        const {
-            minPoints = 5,      // Min points to form a segment
-            maxGap = 20,        // Max gap in meters between consecutive points
-            minSpeed = 3        // Minimum speed to consider
-        } = req.body;
-
-        // Get all moving telemetry points
-        const telemetry = await prisma.truckTelemetry.findMany({
-            where: { speed: { gte: minSpeed } },
-            orderBy: { timestamp: 'asc' },
-            select: {
-                id: true,
-                latitude: true,
-                longitude: true,
-                timestamp: true
-            }
-        });
+        const { from, to, minSpeed, segmentLength, minPasses, matchRadius, dryRun } = req.body;
+        const options = { dryRun: dryRun === true };
 
-        if (telemetry.length < minPoints) {
-            return res.json({
-                message: 'Not enough data points',
-                segmentsCreated: 0
-            });
+        if (from) options.from = new Date(from);
+        if (to) options.to = new Date(to);
+        if ((options.from && isNaN(options.from)) || (options.to && isNaN(options.to))) {
+            return res.status(400).json({ error: 'Invalid date' });
         }
 
-        // Group points into segments based on geographic continuity
-        const rawSegments = [];
-        let currentSegment = [telemetry[0]];
-
-        for (let i = 1; i < telemetry.length; i++) {
-            const prev = telemetry[i - 1];
-            const curr = telemetry[i];
-
-            const distance = haversineDistance(
-                parseFloat(prev.latitude), parseFloat(prev.longitude),
-                parseFloat(curr.latitude), parseFloat(curr.longitude)
-            );
-
-            if (distance <= maxGap) {
-                currentSegment.push(curr);
-            } else {
-                // Gap too large, start new segment
-                if (currentSegment.length >= minPoints) {
-                    rawSegments.push(currentSegment);
-                }
-                currentSegment = [curr];
+        const numbers = { minSpeed, segmentLength, minPasses, matchRadius };
+        for (const [name, value] of Object.entries(numbers)) {
+            if (value === undefined || value === null || value === '') continue;
+            const number = Number(value);
+            if (!Number.isFinite(number) || number < 0 || (name !== 'minSpeed' && number === 0)) {
+                return res.status(400).json({ error: `${name} must be a positive number` });
             }
+            options[name] = number;
         }
-
-        // Don't forget the last segment
-        if (currentSegment.length >= minPoints) {
-            rawSegments.push(currentSegment);
-        }
-
-        // Create or get "Auto-Generated" parent road
-        let road = await prisma.haulRoad.findFirst({
-            where: { roadName: 'Auto-Generated Segments' }
-        });
-        if (!road) {
-            road = await prisma.haulRoad.create({
-                data: { roadName: 'Auto-Generated Segments' }
-            });
-        }
-
-        // Get current max segment number
-        const lastSegment = await prisma.roadSegment.findFirst({
-            where: { roadId: road.id },
-            orderBy: { segmentNumber: 'desc' }
-        });
-        let segmentNumber = (lastSegment?.segmentNumber || 0);
-
-        // Create segments in database
-        const createdSegments = [];
-        for (const points of rawSegments) {
-            segmentNumber++;
-
-            const coordinates = points.map(p => [
-                parseFloat(p.longitude),
-                parseFloat(p.latitude)
-            ]);
-
-            // Calculate length
-            let lengthMeters = 0;
-            for (let i = 0; i < coordinates.length - 1; i++) {
-                lengthMeters += haversineDistance(
-                    coordinates[i][1], coordinates[i][0],
-                    coordinates[i + 1][1], coordinates[i + 1][0]
-                );
-            }
-
-            const segment = await prisma.roadSegment.create({
-                data: {
-                    roadId: road.id,
-                    segmentNumber,
-                    lengthMeters,
-                    geometryJson: {
-                        type: 'LineString',
-                        coordinates
-                    }
-                }
-            });
-
-            createdSegments.push(segment);
+        if (options.segmentLength !== undefined && options.segmentLength < 10) {
+            return res.status(400).json({ error: 'segmentLength must be at least 10 meters' });
         }
 
-        res.json({
-            message: `Generated ${createdSegments.length} segments`,
-            segmentsCreated: createdSegments.length,
-            segments: createdSegments
-        });
-
+        res.json(await generateSegments(options));
     } catch (err) {
         console.error('Generate segments error:', err);
         res.status(500).json({ error: err.message });
@@ -545,23 +493,45 @@ router.post('/generate', async (req, res) => {
 });
 
 /**
- * DELETE /api/segments/all
- * Delete all auto-generated segments (for cleanup/regeneration)
+ * DELETE /api/segments/all/generated
+ * Delete generated segments (for cleanup/regeneration), then the generated roads
+ * left without segments. Segments added by hand, edited since generation, or
+ * holding alerts, work orders or IRI reference runs are kept, with their roads.
  */
 router.delete('/all/generated', async (req, res) => {
     try {
-        const road = await prisma.haulRoad.findFirst({
-            where: { roadName: 'Auto-Generated Segments' }
+        const removable = await prisma.roadSegment.findMany({
+            where: {
+                generated: true,
+                alerts: { none: {} },
+                workOrders: { none: {} },
+                referenceRuns: { none: {} }
+            },
+            select: { id: true, roadId: true, geometryJson: true }
+        });
+        const result = await prisma.roadSegment.deleteMany({
+            where: { id: { in: removable.map(s => s.id) } }
         });
 
-        if (road) {
-            const result = await prisma.roadSegment.deleteMany({
-                where: { roadId: road.id }
-            });
-            res.json({ deleted: result.count });
-        } else {
-            res.json({ deleted: 0 });
+        const roadFilter = {
+            OR: [{ roadType: GENERATED_ROAD_TYPE }, { roadName: LEGACY_GENERATED_ROAD }]
+        };
+        const roads = await prisma.haulRoad.deleteMany({
+            where: { ...roadFilter, segments: { none: {} } }
+        });
+        const kept = await prisma.roadSegment.count({ where: { road: roadFilter } });
+
+        // Roads that kept some segments
+        const remainingRoads = await prisma.haulRoad.findMany({
+            where: { id: { in: Array.from(new Set(removable.map(s => s.roadId))) } },
+            select: { id: true }
+        });
+        for (const road of remainingRoads) {
+            await recomputeChainage(road.id);
         }
+
+        await queueReassignment({ lines: removable.map(s => s.geometryJson?.coordinates), reason: 'delete' });
+        res.json({ deleted: result.count, roadsDeleted: roads.count, kept });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -0,0 +1,49 @@
+import express from 'express';
+import { addStreamClient, getStreamStats, STREAM_TYPES } from '../services/live-stream.js';
+
+const router = express.Router();
+
+// Items of a comma-separated query param; a repeated param arrives as an array
+function listParam(value) {
+    return value ? [].concat(value).join(',').split(',').map(item => item.trim()) : [];
+}
+
+function parseIds(value) {
+    return listParam(value).map(id => parseInt(id)).filter(id => !isNaN(id));
+}
+
+/**
+ * GET /api/stream
+ * Server-Sent Events: live truck positions, roughness events and alerts
+ * Query params:
+ *   - trucks: Comma-separated truck DB ids (optional)
+ *   - roads: Comma-separated HaulRoad ids (optional)
+ *   - types: Comma-separated position, event, alert (default: all)
+ *   Each may also be repeated (?types=position&types=alert)
+ *   Messages matching any listed truck or road are sent; no trucks/roads = whole fleet
+ */
+router.get('/', (req, res) => {
+    const types = req.query.types ? listParam(req.query.types) : STREAM_TYPES;
+    const unknown = types.filter(t => !STREAM_TYPES.includes(t));
+    if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown types: ${unknown.join(', ')}` });
+    }
+
+    const added = addStreamClient(req, res, {
+        truckIds: parseIds(req.query.trucks),
+        roadIds: parseIds(req.query.roads),
+        types
+    });
+    if (!added) {
+        res.status(503).json({ error: 'Too many live stream clients' });
+    }
+});
+
+/**
+ * GET /api/stream/stats
+ */
+router.get('/stats', (req, res) => {
+    res.json(getStreamStats());
+});
+
+export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { Codec8Parser } from '../parsers/codec8.js';
+import { Codec8Parser, PacketIntegrityError } from '../parsers/codec8.js';
 import { processTelemetryPacket } from '../services/telemetry-ingestion.js';
 import { bytesToHex } from '../utils/hex-utils.js';
 
@@ -38,6 +38,13 @@ router.post('/', async (req, res) => {
         } catch (parseError) {
             console.error('Parse Error:', parseError.message);
             console.error('Hex:', bytesToHex(rawBuffer));
+            if (parseError instanceof PacketIntegrityError) {
+                return res.status(400).json({
+                    error: 'Packet Integrity Check Failed',
+                    details: parseError.message,
+                    ...parseError.details
+                });
+            }
             return res.status(400).json({ error: 'Invalid Codec8 Format', details: parseError.message });
         }
 
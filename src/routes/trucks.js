@@ -0,0 +1,233 @@
+import express from 'express';
+import prisma from '../config/database.js';
+import { getSessionByIMEI } from '../services/device-sessions.js';
+import {
+    createTruck,
+    updateTruck,
+    setTruckStatus,
+    swapIMEI,
+    importTrucksCSV,
+    FleetError,
+    TRUCK_STATUSES
+} from '../services/fleet.js';
+import { sendError } from '../utils/http-utils.js';
+
+const router = express.Router();
+
+function withOnline(truck) {
+    return { ...truck, online: Boolean(getSessionByIMEI(truck.imei)) };
+}
+
+/**
+ * GET /api/trucks
+ * Fleet list with last contact and connection state
+ * Query params:
+ *   - status: ACTIVE | MAINTENANCE | RETIRED (optional, default: all)
+ *   - search: Matches truck ID, IMEI or registration (optional)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { status, search } = req.query;
+        const where = {};
+        if (status) {
+            where.status = String(status).toUpperCase();
+            if (!TRUCK_STATUSES.includes(where.status)) {
+                return res.status(400).json({ error: `status must be one of: ${TRUCK_STATUSES.join(', ')}` });
+            }
+        }
+        if (search) {
+            where.OR = ['truckId', 'imei', 'registration'].map(field => ({
+                [field]: { contains: search, mode: 'insensitive' }
+            }));
+        }
+
+        const trucks = await prisma.truck.findMany({
+            where,
+            orderBy: { truckId: 'asc' },
+            include: {
+                avlProfile: { select: { id: true, name: true } },
+                _count: { select: { imeiHistory: true } }
+            }
+        });
+
+        // Last fix per truck
+        const lastSeen = await prisma.truckTelemetry.groupBy({
+            by: ['truckId'],
+            where: { truckId: { in: trucks.map(t => t.id) } },
+            _max: { timestamp: true }
+        });
+        const lastSeenById = new Map(lastSeen.map(row => [row.truckId, row._max.timestamp]));
+
+        res.json(trucks.map(({ mountOrientation, ...truck }) => withOnline({
+            ...truck,
+            mountCalibrated: Boolean(mountOrientation),
+            lastSeenAt: lastSeenById.get(truck.id) ?? null
+        })));
+    } catch (err) {
+        sendError(res, err, FleetError);
+    }
+});
+
+/**
+ * GET /api/trucks/options
+ * Statuses and AVL profiles for forms
+ */
+router.get('/options', async (req, res) => {
+    try {
+        const avlProfiles = await prisma.avlProfile.findMany({
+            select: { id: true, name: true },
+            orderBy: { name: 'asc' }
+        });
+        res.json({ statuses: TRUCK_STATUSES, avlProfiles });
+    } catch (err) {
+        sendError(res, err, FleetError);
+    }
+});
+
+/**
+ * POST /api/trucks/import
+ * Bulk registration from CSV, sent as text/csv or JSON { csv }
+ * Header: truck_id,imei,registration,make,model,capacity_tons,status,avl_profile_id
+ * Query params:
+ *   - dryRun: true to validate without saving (default: false)
+ *   - updateExisting: true to update trucks whose truck ID exists (default: false, skipped)
+ */
+router.post('/import', express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), async (req, res) => {
+    try {
+        const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+        if (!csv || typeof csv !== 'string') {
+            return res.status(400).json({ error: 'CSV content is required' });
+        }
+
+        const result = await importTrucksCSV(csv, {
+            dryRun: req.query.dryRun === 'true',
+            updateExisting: req.query.updateExisting === 'true'
+        });
+        res.json(result);
+    } catch (err) {
+        sendError(res, err, FleetError);
+    }
+});
+
+/**
+ * GET /api/trucks/:id
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const truck = await prisma.truck.findUnique({
+            where: { id: parseInt(req.params.id) },
+            include: {
+                avlProfile: { select: { id: true, name: true } },
+                imeiHistory: { orderBy: { removedAt: 'desc' } }
+            }
+        });
+        if (!truck) {
+            return res.status(404).json({ error: 'Truck not found' });
+        }
+        res.json(withOnline(truck));
+    } catch (err) {
+        sendError(res, err, FleetError);
+    }
+});
+
+/**
+ * POST /api/trucks
+ * Body: { truckId, imei, registration?, make?, model?, capacityTons?, status?, avlProfileId? }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const truck = await createTruck(req.body);
+        res.status(201).json(truck);
+    } catch (err) {
+        sendError(res, err, FleetError);
+    }
+});
+
+/**
+ * PUT /api/trucks/:id
+ * Edit details; the IMEI and status change through their own endpoints
+ * Body: { truckId?, registration?, make?, model?, capacityTons?, avlProfileId? }
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        const truck = await updateTruck(parseInt(req.params.id), req.body);
+        if (!truck) {
+            return res.status(404).json({ error: 'Truck not found' });
+        }
+        res.json(truck);
+    } catch (err) {
+        sendError(res, err, FleetError);
+    }
+});
+
+/**
+ * POST /api/trucks/:id/status
+ * Body: { status: ACTIVE | MAINTENANCE | RETIRED }
+ */
+router.post('/:id/status', async (req, res) => {
+    try {
+        const truck = await setTruckStatus(parseInt(req.params.id), req.body.status);
+        if (!truck) {
+            return res.status(404).json({ error: 'Truck not found' });
+        }
+        res.json(truck);
+    } catch (err) {
+        sendError(res, err, FleetError);
+    }
+});
+
+/**
+ * POST /api/trucks/:id/retire
+ * Shortcut for status RETIRED. Data is kept; the tracker is refused from now on.
+ */
+router.post('/:id/retire', async (req, res) => {
+    try {
+        const truck = await setTruckStatus(parseInt(req.params.id), 'RETIRED');
+        if (!truck) {
+            return res.status(404).json({ error: 'Truck not found' });
+        }
+        res.json(truck);
+    } catch (err) {
+        sendError(res, err, FleetError);
+    }
+});
+
+/**
+ * POST /api/trucks/:id/imei
+ * Replace the truck's tracker; the old IMEI is kept in the history
+ * Body: { imei, reason?, by? }
+ */
+router.post('/:id/imei', async (req, res) => {
+    try {
+        const { imei, reason, by } = req.body;
+        if (!imei) {
+            return res.status(400).json({ error: 'imei is required' });
+        }
+
+        const truck = await swapIMEI(parseInt(req.params.id), imei, { reason, by });
+        if (!truck) {
+            return res.status(404).json({ error: 'Truck not found' });
+        }
+        res.json(truck);
+    } catch (err) {
+        sendError(res, err, FleetError);
+    }
+});
+
+/**
+ * GET /api/trucks/:id/imei-history
+ * Trackers previously fitted to the truck, most recently removed first
+ */
+router.get('/:id/imei-history', async (req, res) => {
+    try {
+        const history = await prisma.truckImeiHistory.findMany({
+            where: { truckId: parseInt(req.params.id) },
+            orderBy: { removedAt: 'desc' }
+        });
+        res.json(history);
+    } catch (err) {
+        sendError(res, err, FleetError);
+    }
+});
+
+export default router;
@@ -0,0 +1,163 @@
+import prisma from '../config/database.js';
+import { ALERT_RULES } from '../config/constants.js';
+import { ALERT_RULE_EVALUATORS } from './alert-rules.js';
+import { notifyAlert } from './notifications.js';
+import { publishAlert } from './live-stream.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('ALERTS');
+
+const SEVERITY_RANK = { INFO: 0, WARNING: 1, CRITICAL: 2 };
+
+// Notification problems are logged, never allowed to fail the alert itself
+async function notify(alert, event) {
+    publishAlert(alert, event).catch(err => log.warn('Live stream publish failed:', err.message));
+    try {
+        await notifyAlert(alert.id, event);
+    } catch (err) {
+        log.error(`Notifying alert ${alert.id} (${event}) failed:`, err.message);
+    }
+}
+
+/**
+ * Applies one rule's current conditions to the Alert table:
+ * - new condition: create an alert, unless the same key was resolved within cooldownMs
+ * - condition still holding: update the open alert (dedupe), escalating severity if needed
+ * - open alert whose condition is gone: auto-resolve
+ * - condition unknown (not enough data): leave the open alert alone
+ * Raises, escalations and resolves are sent to the matching notification channels.
+ */
+async function applyConditions(alertType, config, conditions) {
+    const now = new Date();
+    const summary = { raised: 0, updated: 0, resolved: 0, suppressed: 0 };
+
+    const open = await prisma.alert.findMany({ where: { alertType, resolved: false } });
+    const openByKey = new Map(open.map(alert => [alert.dedupeKey, alert]));
+    const currentKeys = new Set(conditions.map(c => c.dedupeKey));
+
+    for (const condition of conditions.filter(c => !c.unknown)) {
+        const { dedupeKey, severity, truckId, roadSegmentId, latitude, longitude, title, message, data } = condition;
+        const existing = openByKey.get(dedupeKey);
+
+        if (existing) {
+            const escalated = SEVERITY_RANK[severity] > SEVERITY_RANK[existing.severity];
+            const updated = await prisma.alert.update({
+                where: { id: existing.id },
+                data: {
+                    severity: escalated ? severity : existing.severity,
+                    title,
+                    message,
+                    data,
+                    lastTriggeredAt: now,
+                    occurrences: { increment: 1 },
+                    // An escalation needs a fresh acknowledgement
+                    ...(escalated ? { acknowledged: false, acknowledgedBy: null, acknowledgedAt: null } : {})
+                }
+            });
+            summary.updated++;
+            if (escalated) await notify(updated, 'escalated');
+            continue;
+        }
+
+        const recentlyResolved = await prisma.alert.findFirst({
+            where: { dedupeKey, resolved: true, resolvedAt: { gte: new Date(now.getTime() - config.cooldownMs) } },
+            select: { id: true }
+        });
+        if (recentlyResolved) {
+            summary.suppressed++;
+            continue;
+        }
+
+        const alert = await prisma.alert.create({
+            data: {
+                alertType,
+                severity,
+                truckId: truckId ?? null,
+                roadSegmentId: roadSegmentId ?? null,
+                latitude: latitude ?? null,
+                longitude: longitude ?? null,
+                title,
+                message,
+                data,
+                dedupeKey,
+                lastTriggeredAt: now
+            }
+        });
+        summary.raised++;
+        log.info(`${severity} ${title}`);
+        await notify(alert, 'raised');
+    }
+
+    const cleared = open.filter(alert => !currentKeys.has(alert.dedupeKey));
+    if (cleared.length > 0) {
+        const { count } = await prisma.alert.updateMany({
+            where: { id: { in: cleared.map(alert => alert.id) }, resolved: false },
+            data: { resolved: true, resolvedAt: now, resolvedBy: 'auto' }
+        });
+        summary.resolved = count;
+        for (const alert of cleared) await notify({ ...alert, resolved: true, resolvedAt: now, resolvedBy: 'auto' }, 'resolved');
+    }
+
+    return summary;
+}
+
+/**
+ * Evaluates all enabled alert rules.
+ *
+ * @param {object} [rules] Rule config, defaults to ALERT_RULES
+ * @returns {Promise<Object<string, { raised, updated, resolved, suppressed }>>} Per rule
+ */
+export async function evaluateAlertRules(rules = ALERT_RULES) {
+    const results = {};
+
+    for (const [alertType, config] of Object.entries(rules)) {
+        if (!config.enabled) continue;
+
+        const evaluate = ALERT_RULE_EVALUATORS[alertType];
+        if (!evaluate) {
+            log.warn(`No evaluator for alert rule ${alertType}`);
+            continue;
+        }
+
+        try {
+            const conditions = await evaluate(config);
+            results[alertType] = await applyConditions(alertType, config, conditions);
+        } catch (err) {
+            // One broken rule shouldn't stop the others
+            log.error(`Rule ${alertType} failed:`, err.message);
+            results[alertType] = { error: err.message };
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Marks an alert as seen. Returns null if it doesn't exist.
+ */
+export async function acknowledgeAlert(id, by) {
+    const alert = await prisma.alert.findUnique({ where: { id } });
+    if (!alert) return null;
+
+    return prisma.alert.update({
+        where: { id },
+        data: { acknowledged: true, acknowledgedBy: by || null, acknowledgedAt: new Date() }
+    });
+}
+
+/**
+ * Resolves an alert by hand. The rule's cooldown then applies before the same
+ * condition can raise a new alert. Returns null if it doesn't exist.
+ */
+export async function resolveAlert(id, by) {
+    const alert = await prisma.alert.findUnique({ where: { id } });
+    if (!alert) return null;
+    if (alert.resolved) return alert;
+
+    const resolved = await prisma.alert.update({
+        where: { id },
+        data: { resolved: true, resolvedAt: new Date(), resolvedBy: by || 'manual' }
+    });
+    await notify(resolved, 'resolved');
+    return resolved;
+}
@@ -0,0 +1,222 @@
+import prisma from '../config/database.js';
+
+/*
+  Alert rule evaluators.
+  Each returns the conditions that currently hold:
+  [{ dedupeKey, severity, truckId?, roadSegmentId?, latitude?, longitude?, title, message, data }]
+  The engine raises, updates and auto-resolves alerts from these.
+  When there isn't enough data to tell, a rule returns { dedupeKey, unknown: true }:
+  an open alert with that key stays open as it is, and nothing new is raised.
+*/
+
+async function segmentLabels() {
+    const segments = await prisma.roadSegment.findMany({
+        select: { id: true, segmentNumber: true, road: { select: { roadName: true } } }
+    });
+    return new Map(segments.map(s => [s.id, `${s.road?.roadName ?? 'Road'} #${s.segmentNumber}`]));
+}
+
+function startOfDay(daysAgo) {
+    const day = new Date();
+    day.setDate(day.getDate() - daysAgo);
+    day.setHours(0, 0, 0, 0);
+    return day;
+}
+
+async function criticalEvent(config) {
+    const since = new Date(Date.now() - config.windowMs);
+    const groups = await prisma.roughnessEvent.groupBy({
+        by: ['roadSegmentId'],
+        where: { severity: 'CRITICAL', dismissed: false, timestamp: { gte: since }, roadSegmentId: { not: null } },
+        _count: { id: true },
+        _max: { timestamp: true }
+    });
+
+    const labels = await segmentLabels();
+    const conditions = [];
+
+    for (const group of groups.filter(g => g._count.id >= config.minEvents)) {
+        const latest = await prisma.roughnessEvent.findFirst({
+            where: { roadSegmentId: group.roadSegmentId, severity: 'CRITICAL', dismissed: false, timestamp: { gte: since } },
+            orderBy: { timestamp: 'desc' },
+            select: { id: true, latitude: true, longitude: true, eventType: true, truckId: true }
+        });
+        const label = labels.get(group.roadSegmentId) ?? `Segment ${group.roadSegmentId}`;
+
+        conditions.push({
+            dedupeKey: `critical_event:${group.roadSegmentId}`,
+            severity: config.severity,
+            roadSegmentId: group.roadSegmentId,
+            latitude: latest?.latitude,
+            longitude: latest?.longitude,
+            title: `Critical roughness on ${label}`,
+            message: `${group._count.id} critical event(s) in the last ${Math.round(config.windowMs / 3600000)} h, ` +
+                `latest ${latest?.eventType ?? 'event'} at ${group._max.timestamp.toISOString()}`,
+            data: {
+                eventCount: group._count.id,
+                lastEventAt: group._max.timestamp,
+                lastEventId: latest?.id,
+                lastTruckId: latest?.truckId
+            }
+        });
+    }
+
+    return conditions;
+}
+
+async function segmentIri(config) {
+    const latestStats = await prisma.roadSegmentStats.findMany({
+        where: { date: { gte: startOfDay(config.maxStatsAgeDays) } },
+        orderBy: { date: 'desc' },
+        distinct: ['roadSegmentId'],
+        select: { roadSegmentId: true, date: true, estimatedIri: true, iriCategory: true }
+    });
+
+    const labels = await segmentLabels();
+
+    return latestStats
+        .filter(stats => config.categories[stats.iriCategory])
+        .map(stats => {
+            const label = labels.get(stats.roadSegmentId) ?? `Segment ${stats.roadSegmentId}`;
+            return {
+                dedupeKey: `segment_iri:${stats.roadSegmentId}`,
+                severity: config.categories[stats.iriCategory],
+                roadSegmentId: stats.roadSegmentId,
+                title: `${label} is ${stats.iriCategory.replace('_', ' ')}`,
+                message: `Estimated IRI ${Number(stats.estimatedIri)} m/km on ${stats.date.toISOString().slice(0, 10)}`,
+                data: { iri: Number(stats.estimatedIri), category: stats.iriCategory, date: stats.date }
+            };
+        });
+}
+
+async function deterioration(config) {
+    const recentFrom = startOfDay(config.recentDays);
+    const stats = await prisma.roadSegmentStats.findMany({
+        where: {
+            date: { gte: startOfDay(config.recentDays + config.baselineDays) },
+            estimatedIri: { not: null }
+        },
+        select: { roadSegmentId: true, date: true, estimatedIri: true }
+    });
+
+    // segmentId -> { recent: [], baseline: [] }
+    const bySegment = new Map();
+    for (const row of stats) {
+        if (!bySegment.has(row.roadSegmentId)) bySegment.set(row.roadSegmentId, { recent: [], baseline: [] });
+        bySegment.get(row.roadSegmentId)[row.date >= recentFrom ? 'recent' : 'baseline'].push(Number(row.estimatedIri));
+    }
+
+    const average = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const labels = await segmentLabels();
+    const conditions = [];
+
+    for (const [roadSegmentId, { recent, baseline }] of bySegment) {
+        if (recent.length === 0 || baseline.length === 0) continue;
+
+        const recentIri = average(recent);
+        const baselineIri = average(baseline);
+        const increase = recentIri - baselineIri;
+        const increasePercent = baselineIri > 0 ? (increase / baselineIri) * 100 : Infinity;
+
+        if (increase < config.minIncrease || increasePercent < config.minIncreasePercent) continue;
+
+        const label = labels.get(roadSegmentId) ?? `Segment ${roadSegmentId}`;
+        conditions.push({
+            dedupeKey: `deterioration:${roadSegmentId}`,
+            severity: config.severity,
+            roadSegmentId,
+            title: `${label} is deteriorating quickly`,
+            message: `IRI ${baselineIri.toFixed(2)} -> ${recentIri.toFixed(2)} m/km ` +
+                `(+${Number.isFinite(increasePercent) ? increasePercent.toFixed(0) : '∞'}%) ` +
+                `over the last ${config.recentDays} days`,
+            data: {
+                baselineIri: Number(baselineIri.toFixed(2)),
+                recentIri: Number(recentIri.toFixed(2)),
+                increase: Number(increase.toFixed(2))
+            }
+        });
+    }
+
+    return conditions;
+}
+
+async function truckOffline(config) {
+    const now = Date.now();
+    const trucks = await prisma.truck.findMany({
+        where: { status: 'ACTIVE' },
+        select: { id: true, truckId: true }
+    });
+
+    const conditions = [];
+    for (const truck of trucks) {
+        const last = await prisma.truckTelemetry.findFirst({
+            where: { truckId: truck.id },
+            orderBy: { timestamp: 'desc' },
+            select: { timestamp: true, latitude: true, longitude: true }
+        });
+        // Never reported: nothing to compare against
+        if (!last || now - last.timestamp.getTime() <= config.silenceMs) continue;
+
+        const minutes = Math.round((now - last.timestamp.getTime()) / 60000);
+        conditions.push({
+            dedupeKey: `truck_offline:${truck.id}`,
+            severity: config.severity,
+            truckId: truck.id,
+            latitude: last.latitude,
+            longitude: last.longitude,
+            title: `${truck.truckId} stopped reporting`,
+            message: `No telemetry for ${minutes} minutes (last at ${last.timestamp.toISOString()})`,
+            data: { lastSeenAt: last.timestamp }
+        });
+    }
+
+    return conditions;
+}
+
+async function lowVoltage(config) {
+    const since = new Date(Date.now() - 30 * 60 * 1000);
+    const trucks = await prisma.truck.findMany({
+        where: { status: 'ACTIVE' },
+        select: { id: true, truckId: true }
+    });
+
+    const conditions = [];
+    for (const truck of trucks) {
+        const samples = await prisma.truckTelemetry.findMany({
+            where: { truckId: truck.id, timestamp: { gte: since }, ignition: true, externalVoltage: { gt: 0 } },
+            orderBy: { timestamp: 'desc' },
+            take: config.samples,
+            select: { externalVoltage: true, latitude: true, longitude: true }
+        });
+        // Too few samples (ignition off, no fixes) says nothing about the battery
+        if (samples.length < config.samples) {
+            conditions.push({ dedupeKey: `low_voltage:${truck.id}`, unknown: true });
+            continue;
+        }
+
+        const avgMv = samples.reduce((sum, s) => sum + s.externalVoltage, 0) / samples.length;
+        if (avgMv >= config.minExternalVoltageMv) continue;
+
+        conditions.push({
+            dedupeKey: `low_voltage:${truck.id}`,
+            severity: config.severity,
+            truckId: truck.id,
+            latitude: samples[0].latitude,
+            longitude: samples[0].longitude,
+            title: `Low external voltage on ${truck.truckId}`,
+            message: `Average ${(avgMv / 1000).toFixed(1)} V over the last ${samples.length} samples ` +
+                `(minimum ${(config.minExternalVoltageMv / 1000).toFixed(1)} V)`,
+            data: { avgVoltageMv: Math.round(avgMv) }
+        });
+    }
+
+    return conditions;
+}
+
+export const ALERT_RULE_EVALUATORS = {
+    critical_event: criticalEvent,
+    segment_iri: segmentIri,
+    deterioration,
+    truck_offline: truckOffline,
+    low_voltage: lowVoltage
+};
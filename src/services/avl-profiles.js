@@ -0,0 +1,56 @@
+import prisma from '../config/database.js';
+import { DEFAULT_AVL_PROFILE } from '../parsers/avl-mapper.js';
+
+// Cache of loaded profiles to avoid a DB hit per packet
+// Map<profileId | 'default', { profile, expiresAt }>
+const profileCache = new Map();
+const TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Converts a DB profile (with mappings) into the shape used by mapAVLToFields
+ */
+export function toMappingProfile(dbProfile) {
+    return {
+        id: dbProfile.id,
+        name: dbProfile.name,
+        mappings: Object.fromEntries(dbProfile.mappings.map(m => [m.avlId, {
+            fieldName: m.fieldName,
+            scale: m.scale,
+            unit: m.unit,
+            signed: m.signed
+        }]))
+    };
+}
+
+async function loadProfile(profileId) {
+    const dbProfile = profileId
+        ? await prisma.avlProfile.findUnique({ where: { id: profileId }, include: { mappings: true } })
+        : await prisma.avlProfile.findFirst({ where: { isDefault: true }, include: { mappings: true } });
+
+    return dbProfile ? toMappingProfile(dbProfile) : DEFAULT_AVL_PROFILE;
+}
+
+/**
+ * Returns the mapping profile for a truck.
+ * Falls back to the default DB profile, then to the built-in FMC130 map.
+ */
+export async function getProfileForTruck(truck) {
+    const key = truck?.avlProfileId || 'default';
+    const now = Date.now();
+
+    const cached = profileCache.get(key);
+    if (cached && cached.expiresAt > now) {
+        return cached.profile;
+    }
+
+    const profile = await loadProfile(truck?.avlProfileId);
+    profileCache.set(key, { profile, expiresAt: now + TTL_MS });
+    return profile;
+}
+
+/**
+ * Drops cached profiles after an edit
+ */
+export function invalidateProfileCache() {
+    profileCache.clear();
+}
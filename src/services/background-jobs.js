@@ -0,0 +1,74 @@
+import { registerJob } from './job-scheduler.js';
+import { detectRoughnessEvents } from '../algorithms/event-detector.js';
+import { aggregateDailyStats } from '../algorithms/statistics-aggregator.js';
+import { calibrateAllOrientations } from './mount-orientation.js';
+import { evaluateAlertRules } from './alert-engine.js';
+import { retryDueDeliveries } from './notifications.js';
+import { runPendingReassignments, REASSIGNMENT_JOB } from './segment-reassignment.js';
+import { BATCH_SIZES, JOB_INTERVALS } from '../config/constants.js';
+
+// Upper bound on detector batches per run, so one run can't hold the lock forever
+const MAX_DETECTION_BATCHES = 50;
+
+/**
+ * Registers all background jobs with the scheduler
+ */
+export function registerBackgroundJobs() {
+    registerJob({
+        name: 'event-detection',
+        description: 'Scan unprocessed telemetry for roughness events',
+        intervalMs: JOB_INTERVALS.EVENT_DETECTION,
+        run: async () => {
+            let processed = 0;
+            let events = 0;
+            let batches = 0;
+
+            // Keep going while full batches come back (backlog)
+            while (batches < MAX_DETECTION_BATCHES) {
+                const result = await detectRoughnessEvents();
+                batches++;
+                processed += result.processed;
+                events += result.events;
+                if (result.processed < BATCH_SIZES.EVENT_PROCESSING) break;
+            }
+
+            return { processed, events, batches };
+        }
+    });
+
+    registerJob({
+        name: 'daily-aggregation',
+        description: "Aggregate yesterday's telemetry into RoadSegmentStats",
+        intervalMs: JOB_INTERVALS.DAILY_AGGREGATION,
+        // params.date: another day, for backfills (scripts/backfill-aggregation.js)
+        run: ({ params }) => aggregateDailyStats(params?.date)
+    });
+
+    registerJob({
+        name: 'mount-calibration',
+        description: 'Re-estimate accelerometer mounting orientation per truck from stationary samples',
+        intervalMs: JOB_INTERVALS.MOUNT_CALIBRATION,
+        run: () => calibrateAllOrientations()
+    });
+
+    registerJob({
+        name: 'alert-evaluation',
+        description: 'Raise, update and auto-resolve alerts from the alert rules',
+        intervalMs: JOB_INTERVALS.ALERT_EVALUATION,
+        run: () => evaluateAlertRules()
+    });
+
+    registerJob({
+        name: 'notification-delivery',
+        description: 'Retry webhook and email alert notifications that are due',
+        intervalMs: JOB_INTERVALS.NOTIFICATION_DELIVERY,
+        run: () => retryDueDeliveries()
+    });
+
+    registerJob({
+        name: REASSIGNMENT_JOB,
+        description: 'Re-match telemetry and events to segments in areas changed by segment edits',
+        intervalMs: JOB_INTERVALS.SEGMENT_REASSIGNMENT,
+        run: () => runPendingReassignments()
+    });
+}
@@ -0,0 +1,96 @@
+import prisma from '../config/database.js';
+import { Codec12Parser } from '../parsers/codec12.js';
+import { getSessionByIMEI } from './device-sessions.js';
+
+/**
+ * Queues a GPRS command for a truck and sends it right away if the device is online.
+ * Teltonika devices handle one command at a time, so further commands wait
+ * until the previous response has arrived.
+ */
+export async function queueCommand(truck, command) {
+    const queued = await prisma.deviceCommand.create({
+        data: {
+            truckId: truck.id,
+            imei: truck.imei,
+            command
+        }
+    });
+
+    const session = getSessionByIMEI(truck.imei);
+    if (session) {
+        await dispatchNextCommand(session);
+    }
+
+    return prisma.deviceCommand.findUnique({ where: { id: queued.id } });
+}
+
+export const COMMAND_STATUSES = ['PENDING', 'SENT', 'RESPONDED'];
+
+/**
+ * Sends the oldest pending command for the session's truck, if the device is idle.
+ * Dispatches for a session run one after another, so two callers can't both
+ * find the device idle and send different commands.
+ */
+export function dispatchNextCommand(session) {
+    const run = (session.dispatchChain ?? Promise.resolve()).then(() => sendNextCommand(session));
+    // Keep the chain going after a failed dispatch; the caller still gets the error
+    session.dispatchChain = run.catch(() => {});
+    return run;
+}
+
+async function sendNextCommand(session) {
+    if (session.inFlightCommandId || session.socket.destroyed) return null;
+
+    const next = await prisma.deviceCommand.findFirst({
+        where: { truckId: session.truckDbId, status: 'PENDING' },
+        orderBy: { createdAt: 'asc' }
+    });
+    if (!next) return null;
+
+    session.inFlightCommandId = next.id;
+    session.socket.write(Codec12Parser.encodeCommand(next.command));
+
+    console.log(`[CMD] Sent #${next.id} "${next.command}" to ${session.imei}`);
+
+    return prisma.deviceCommand.update({
+        where: { id: next.id },
+        data: { status: 'SENT', sentAt: new Date() }
+    });
+}
+
+/**
+ * Stores a Codec 12 response against the in-flight command and sends the next one
+ */
+export async function handleCommandResponse(session, response) {
+    const commandId = session.inFlightCommandId;
+    if (!commandId) {
+        console.warn(`[CMD] Unsolicited response from ${session.imei}: ${response}`);
+        return null;
+    }
+
+    const updated = await prisma.deviceCommand.update({
+        where: { id: commandId },
+        data: { status: 'RESPONDED', response, respondedAt: new Date() }
+    });
+    session.inFlightCommandId = null;
+
+    console.log(`[CMD] Response #${commandId} from ${session.imei}: ${response}`);
+
+    await dispatchNextCommand(session);
+    return updated;
+}
+
+/**
+ * Returns an unanswered command to the queue when the device disconnects,
+ * so it is sent again on the next connection.
+ */
+export async function requeueInFlightCommand(session) {
+    const commandId = session.inFlightCommandId;
+    if (!commandId) return;
+
+    session.inFlightCommandId = null;
+    await prisma.deviceCommand.update({
+        where: { id: commandId },
+        data: { status: 'PENDING', sentAt: null }
+    });
+}
@@ -0,0 +1,86 @@
+// Registry of live TCP device sessions
+// Map<socket, session>
+const sessions = new Map();
+
+/**
+ * Registers a device after a successful IMEI handshake
+ */
+export function openSession(socket, imei, truck) {
+    const session = {
+        imei,
+        truckDbId: truck.id,
+        truckId: truck.truckId,
+        remoteAddress: `${socket.remoteAddress}:${socket.remotePort}`,
+        connectedAt: new Date(),
+        lastPacketAt: null,
+        packetCount: 0,
+        recordCount: 0,
+        inFlightCommandId: null, // Codec 12 command awaiting a response
+        dispatchChain: null, // Last command dispatch, see dispatchNextCommand
+        socket
+    };
+    sessions.set(socket, session);
+    return session;
+}
+
+/**
+ * Updates counters after a data packet has been accepted
+ */
+export function recordPacket(socket, recordCount) {
+    const session = sessions.get(socket);
+    if (!session) return;
+
+    session.lastPacketAt = new Date();
+    session.packetCount += 1;
+    session.recordCount += recordCount;
+}
+
+export function getSession(socket) {
+    return sessions.get(socket) || null;
+}
+
+/**
+ * Removes a session, returning it (or null if it was already closed)
+ */
+export function closeSession(socket) {
+    const session = sessions.get(socket) || null;
+    sessions.delete(socket);
+    return session;
+}
+
+/**
+ * Finds the live session for an IMEI (most recent connection wins)
+ */
+export function getSessionByIMEI(imei) {
+    let found = null;
+    for (const session of sessions.values()) {
+        if (session.imei === String(imei) && (!found || session.connectedAt > found.connectedAt)) {
+            found = session;
+        }
+    }
+    return found;
+}
+
+/**
+ * Drops every live connection for an IMEI, e.g. after the tracker was
+ * retired or swapped. The socket 'close' handler cleans up the session.
+ *
+ * @returns {number} Connections dropped
+ */
+export function disconnectIMEI(imei) {
+    let dropped = 0;
+    for (const session of sessions.values()) {
+        if (session.imei === String(imei) && !session.socket.destroyed) {
+            session.socket.destroy();
+            dropped++;
+        }
+    }
+    return dropped;
+}
+
+/**
+ * Returns a serializable snapshot of all live sessions
+ */
+export function listSessions() {
+    return Array.from(sessions.values()).map(({ socket, dispatchChain, ...session }) => session);
+}
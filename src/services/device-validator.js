@@ -20,7 +20,7 @@ export async function validateIMEI(imei) {
     // Query DB
     const truck = await prisma.truck.findUnique({
         where: { imei: String(imei) },
-        select: { id: true, imei: true, truckId: true, status: true }
+        select: { id: true, imei: true, truckId: true, status: true, avlProfileId: true }
     });
 
     if (truck) {
@@ -33,3 +33,15 @@ export async function validateIMEI(imei) {
 
     return truck;
 }
+
+/**
+ * Drops cached lookups so changes to a truck take effect immediately.
+ * Clears the whole cache when no IMEI is given.
+ */
+export function invalidateIMEICache(imei) {
+    if (imei === undefined) {
+        deviceCache.clear();
+    } else {
+        deviceCache.delete(imei);
+    }
+}
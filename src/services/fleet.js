@@ -0,0 +1,330 @@
+import { Prisma } from '@prisma/client';
+import prisma from '../config/database.js';
+import { invalidateIMEICache } from './device-validator.js';
+import { disconnectIMEI } from './device-sessions.js';
+import { invalidateOrientationCache } from './mount-orientation.js';
+import { parseCSV } from '../utils/csv.js';
+import { optionalString } from '../utils/input-utils.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('FLEET');
+
+export const TRUCK_STATUSES = ['ACTIVE', 'MAINTENANCE', 'RETIRED'];
+
+// CSV header (lower-case, separators removed) -> Truck field
+const CSV_COLUMNS = {
+    truckid: 'truckId',
+    truck: 'truckId',
+    imei: 'imei',
+    registration: 'registration',
+    rego: 'registration',
+    make: 'make',
+    model: 'model',
+    capacitytons: 'capacityTons',
+    capacity: 'capacityTons',
+    status: 'status',
+    avlprofileid: 'avlProfileId'
+};
+
+/**
+ * Invalid fleet input or an operation not allowed in the truck's current state
+ */
+export class FleetError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FleetError';
+    }
+}
+
+/**
+ * 15 digits with a valid Luhn check digit
+ */
+export function isValidIMEI(imei) {
+    const value = String(imei ?? '');
+    if (!/^\d{15}$/.test(value)) return false;
+
+    let sum = 0;
+    for (let i = 0; i < 15; i++) {
+        let digit = Number(value[14 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Validates truck fields. Only the fields present in input are returned.
+ */
+function truckData(input, { requireIdentity = false } = {}) {
+    const data = {};
+
+    if (input.truckId !== undefined || requireIdentity) {
+        const truckId = optionalString(input.truckId);
+        if (!truckId) throw new FleetError('truckId is required');
+        data.truckId = truckId;
+    }
+    if (input.imei !== undefined || requireIdentity) {
+        const imei = String(input.imei ?? '').trim();
+        if (!isValidIMEI(imei)) throw new FleetError(`Invalid IMEI "${imei}" (expected 15 digits with a valid check digit)`);
+        data.imei = imei;
+    }
+
+    for (const field of ['registration', 'make', 'model']) {
+        if (input[field] !== undefined) data[field] = optionalString(input[field]);
+    }
+
+    if (input.capacityTons !== undefined) {
+        if (input.capacityTons === null || input.capacityTons === '') {
+            data.capacityTons = null;
+        } else {
+            const capacity = Number(input.capacityTons);
+            if (!Number.isFinite(capacity) || capacity <= 0) throw new FleetError('capacityTons must be a positive number');
+            data.capacityTons = capacity;
+        }
+    }
+
+    if (input.avlProfileId !== undefined) {
+        if (input.avlProfileId === null || input.avlProfileId === '') {
+            data.avlProfileId = null;
+        } else {
+            const profileId = parseInt(input.avlProfileId);
+            if (isNaN(profileId)) throw new FleetError('avlProfileId must be an integer');
+            data.avlProfileId = profileId;
+        }
+    }
+
+    if (input.status !== undefined) {
+        data.status = String(input.status).toUpperCase();
+        if (!TRUCK_STATUSES.includes(data.status)) {
+            throw new FleetError(`status must be one of: ${TRUCK_STATUSES.join(', ')}`);
+        }
+    }
+
+    return data;
+}
+
+/**
+ * Rejects truckId/IMEI values already used by another truck
+ */
+async function assertUnique({ truckId, imei }, excludeId) {
+    const or = [];
+    if (truckId) or.push({ truckId });
+    if (imei) or.push({ imei });
+    if (or.length === 0) return;
+
+    const clash = await prisma.truck.findFirst({
+        where: { OR: or, ...(excludeId ? { id: { not: excludeId } } : {}) },
+        select: { truckId: true, imei: true }
+    });
+    if (!clash) return;
+
+    if (truckId && clash.truckId === truckId) throw new FleetError(`Truck ID ${truckId} is already registered`);
+    throw new FleetError(`IMEI ${imei} is already assigned to ${clash.truckId}`);
+}
+
+async function assertProfileExists(avlProfileId) {
+    if (!avlProfileId) return;
+    const profile = await prisma.avlProfile.findUnique({ where: { id: avlProfileId }, select: { id: true } });
+    if (!profile) throw new FleetError(`AVL profile ${avlProfileId} not found`);
+}
+
+/**
+ * Registers a truck
+ *
+ * @param {object} input { truckId, imei, registration?, make?, model?, capacityTons?, status?, avlProfileId? }
+ */
+export async function createTruck(input) {
+    const data = truckData(input, { requireIdentity: true });
+    await assertUnique(data);
+    await assertProfileExists(data.avlProfileId);
+    if (data.status === 'RETIRED') data.retiredAt = new Date();
+
+    const truck = await prisma.truck.create({ data });
+    invalidateIMEICache(truck.imei); // A device may have been refused before it was registered
+    log.info(`Registered ${truck.truckId} (IMEI ${truck.imei})`);
+    return truck;
+}
+
+/**
+ * Edits truck details. The IMEI changes through swapIMEI and the status
+ * through setTruckStatus. Returns null if the truck doesn't exist.
+ */
+export async function updateTruck(id, input) {
+    const existing = await prisma.truck.findUnique({ where: { id } });
+    if (!existing) return null;
+
+    if (input.imei !== undefined && String(input.imei).trim() !== existing.imei) {
+        throw new FleetError('Use the IMEI swap to change a truck\'s tracker');
+    }
+    if (input.status !== undefined && String(input.status).toUpperCase() !== existing.status) {
+        throw new FleetError('Use the status endpoint to change a truck\'s status');
+    }
+
+    const { imei, status, ...data } = truckData(input);
+    await assertUnique({ truckId: data.truckId }, id);
+    await assertProfileExists(data.avlProfileId);
+
+    const truck = await prisma.truck.update({ where: { id }, data });
+    invalidateIMEICache(truck.imei);
+    return truck;
+}
+
+/**
+ * Changes a truck's status. Retiring drops any live connection from its
+ * tracker; telemetry from a retired truck is refused on every transport.
+ * Returns null if the truck doesn't exist.
+ */
+export async function setTruckStatus(id, status) {
+    const next = String(status ?? '').toUpperCase();
+    if (!TRUCK_STATUSES.includes(next)) {
+        throw new FleetError(`status must be one of: ${TRUCK_STATUSES.join(', ')}`);
+    }
+
+    const existing = await prisma.truck.findUnique({ where: { id }, select: { id: true, status: true } });
+    if (!existing) return null;
+
+    const data = { status: next };
+    if (next === 'RETIRED' && existing.status !== 'RETIRED') data.retiredAt = new Date();
+    if (next !== 'RETIRED') data.retiredAt = null;
+
+    const truck = await prisma.truck.update({ where: { id }, data });
+    invalidateIMEICache(truck.imei);
+
+    if (next === 'RETIRED') {
+        const dropped = disconnectIMEI(truck.imei);
+        log.info(`Retired ${truck.truckId}${dropped ? `, dropped ${dropped} connection(s)` : ''}`);
+    }
+    return truck;
+}
+
+/**
+ * Replaces a truck's tracker. The old IMEI goes to the truck's IMEI history;
+ * telemetry, events and passes stay with the truck. The mount orientation is
+ * cleared since the new unit will be mounted differently.
+ * Returns null if the truck doesn't exist.
+ *
+ * @param {number} id
+ * @param {string} newImei
+ * @param {object} [options]
+ * @param {string} [options.reason]
+ * @param {string} [options.by]
+ */
+export async function swapIMEI(id, newImei, { reason, by } = {}) {
+    const imei = String(newImei ?? '').trim();
+    if (!isValidIMEI(imei)) throw new FleetError(`Invalid IMEI "${imei}" (expected 15 digits with a valid check digit)`);
+
+    const existing = await prisma.truck.findUnique({ where: { id } });
+    if (!existing) return null;
+    if (existing.imei === imei) throw new FleetError('New IMEI is the same as the current one');
+    await assertUnique({ imei }, id);
+    const oldImei = existing.imei;
+
+    const truck = await prisma.$transaction(async (tx) => {
+        const previous = await tx.truckImeiHistory.findFirst({
+            where: { truckId: id },
+            orderBy: { removedAt: 'desc' },
+            select: { removedAt: true }
+        });
+
+        await tx.truckImeiHistory.create({
+            data: {
+                truckId: id,
+                imei: oldImei,
+                installedAt: previous?.removedAt ?? existing.createdAt,
+                reason: optionalString(reason) ?? null,
+                changedBy: optionalString(by) ?? null
+            }
+        });
+
+        return tx.truck.update({
+            where: { id },
+            data: { imei, mountOrientation: Prisma.DbNull, mountCalibratedAt: null }
+        });
+    });
+
+    invalidateIMEICache(oldImei);
+    invalidateIMEICache(imei);
+    invalidateOrientationCache(id);
+    disconnectIMEI(oldImei);
+    log.info(`${truck.truckId}: tracker ${oldImei} replaced by ${imei}`);
+
+    return truck;
+}
+
+/**
+ * Registers (and optionally updates) trucks from CSV. Expected header:
+ * truck_id,imei,registration,make,model,capacity_tons,status,avl_profile_id
+ * (only truck_id and imei are required). Rows are validated independently;
+ * bad rows are reported and the rest are still imported.
+ *
+ * @param {string} text CSV content
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] Validate only
+ * @param {boolean} [options.updateExisting] Update trucks whose truck ID exists, otherwise skip them
+ * @returns {Promise<{ dryRun, total, created, updated, skipped, errors: Array<{ line, truckId, error }> }>}
+ */
+export async function importTrucksCSV(text, { dryRun = false, updateExisting = false } = {}) {
+    const { headers, records } = parseCSV(text);
+    const columns = headers.map(h => CSV_COLUMNS[h.replace(/[^a-z]/g, '')] ?? null);
+    if (!columns.includes('truckId') || !columns.includes('imei')) {
+        throw new FleetError('CSV header must include truck_id and imei columns');
+    }
+
+    const result = { dryRun, total: records.length, created: 0, updated: 0, skipped: 0, errors: [] };
+    const seenTruckIds = new Set();
+    const seenImeis = new Set();
+
+    for (const { line, values } of records) {
+        const input = {};
+        headers.forEach((header, i) => {
+            if (columns[i] && values[header] !== undefined) input[columns[i]] = values[header];
+        });
+
+        try {
+            const data = truckData(input, { requireIdentity: true });
+            if (seenTruckIds.has(data.truckId)) throw new FleetError(`Duplicate truck ID ${data.truckId} in file`);
+            if (seenImeis.has(data.imei)) throw new FleetError(`Duplicate IMEI ${data.imei} in file`);
+            seenTruckIds.add(data.truckId);
+            seenImeis.add(data.imei);
+
+            const existing = await prisma.truck.findUnique({
+                where: { truckId: data.truckId },
+                select: { id: true, imei: true, status: true }
+            });
+
+            if (existing && !updateExisting) {
+                result.skipped++;
+                continue;
+            }
+
+            if (existing) {
+                if (existing.imei !== data.imei) {
+                    throw new FleetError(`${data.truckId} has IMEI ${existing.imei}; use the IMEI swap to replace it`);
+                }
+                await assertProfileExists(data.avlProfileId);
+                if (!dryRun) {
+                    const { imei, status, ...fields } = data;
+                    await updateTruck(existing.id, fields);
+                    if (status && status !== existing.status) await setTruckStatus(existing.id, status);
+                }
+                result.updated++;
+            } else {
+                await assertUnique(data);
+                await assertProfileExists(data.avlProfileId);
+                if (!dryRun) await createTruck(data);
+                result.created++;
+            }
+        } catch (err) {
+            if (!(err instanceof FleetError)) throw err;
+            result.errors.push({ line, truckId: input.truckId ?? null, error: err.message });
+        }
+    }
+
+    if (!dryRun) {
+        log.info(`CSV import: ${result.created} created, ${result.updated} updated, ${result.skipped} skipped, ${result.errors.length} errors`);
+    }
+    return result;
+}
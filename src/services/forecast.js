@@ -0,0 +1,88 @@
+import prisma from '../config/database.js';
+import { FORECAST } from '../config/constants.js';
+import { forecastDeterioration, planGrading } from '../algorithms/deterioration-forecast.js';
+
+/**
+ * Deterioration forecast per segment from the RoadSegmentStats history.
+ * The last completed GRADE work order starts the current cycle.
+ *
+ * @param {object} [options]
+ * @param {number[]} [options.segmentIds] Default: all segments
+ * @returns {Promise<Array<{ roadSegmentId, roadId, roadActive, label, lastGradedAt, activeGrading, forecast }>>}
+ */
+export async function forecastSegments({ segmentIds } = {}) {
+    const now = new Date();
+    const since = new Date(now.getTime() - FORECAST.HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const segmentFilter = segmentIds ? { id: { in: segmentIds } } : {};
+
+    const segments = await prisma.roadSegment.findMany({
+        where: segmentFilter,
+        select: { id: true, segmentNumber: true, roadId: true, road: { select: { roadName: true, active: true } } },
+        orderBy: { id: 'asc' }
+    });
+    const ids = segments.map(s => s.id);
+
+    const [stats, gradings, active] = await Promise.all([
+        prisma.roadSegmentStats.findMany({
+            where: { roadSegmentId: { in: ids }, date: { gte: since } },
+            select: { roadSegmentId: true, date: true, estimatedIri: true, loadedPasses: true, emptyPasses: true },
+            orderBy: { date: 'asc' }
+        }),
+        prisma.workOrder.groupBy({
+            by: ['roadSegmentId'],
+            where: { roadSegmentId: { in: ids }, workType: 'GRADE', status: 'COMPLETED' },
+            _max: { completedAt: true }
+        }),
+        prisma.workOrder.findMany({
+            where: { roadSegmentId: { in: ids }, workType: 'GRADE', status: { in: ['OPEN', 'ASSIGNED', 'IN_PROGRESS'] } },
+            select: { id: true, roadSegmentId: true, status: true }
+        })
+    ]);
+
+    const historyBySegment = new Map();
+    for (const row of stats) {
+        if (!historyBySegment.has(row.roadSegmentId)) historyBySegment.set(row.roadSegmentId, []);
+        historyBySegment.get(row.roadSegmentId).push(row);
+    }
+    const lastGraded = new Map(gradings.map(g => [g.roadSegmentId, g._max.completedAt]));
+    const activeBySegment = new Map(active.map(w => [w.roadSegmentId, w]));
+
+    return segments.map(segment => ({
+        roadSegmentId: segment.id,
+        roadId: segment.roadId,
+        roadActive: segment.road?.active ?? true,
+        label: `${segment.road?.roadName ?? 'Road'} #${segment.segmentNumber}`,
+        lastGradedAt: lastGraded.get(segment.id) ?? null,
+        activeGrading: activeBySegment.get(segment.id) ?? null,
+        forecast: forecastDeterioration(historyBySegment.get(segment.id) ?? [], {
+            lastGradedAt: lastGraded.get(segment.id) ?? null,
+            now
+        })
+    }));
+}
+
+/**
+ * Ranked grading plan over the horizon. Segments with an open GRADE work
+ * order are left out (already scheduled), as are segments on deactivated roads.
+ *
+ * @param {object} [options]
+ * @param {number} [options.horizonDays]
+ * @param {number} [options.capacityPerDay]
+ */
+export async function buildGradingPlan({ horizonDays = FORECAST.HORIZON_DAYS, capacityPerDay = FORECAST.GRADING_CAPACITY_PER_DAY } = {}) {
+    const forecasts = (await forecastSegments()).filter(f => f.roadActive);
+    const plan = planGrading(
+        forecasts.map(f => ({ ...f, activeGrading: Boolean(f.activeGrading) })),
+        { horizonDays, capacityPerDay }
+    );
+
+    return {
+        generatedAt: new Date(),
+        horizonDays,
+        capacityPerDay,
+        alreadyScheduled: forecasts
+            .filter(f => f.activeGrading)
+            .map(f => ({ roadSegmentId: f.roadSegmentId, label: f.label, workOrderId: f.activeGrading.id, status: f.activeGrading.status })),
+        plan
+    };
+}
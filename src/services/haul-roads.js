@@ -0,0 +1,451 @@
+import prisma from '../config/database.js';
+import { Prisma } from '@prisma/client';
+import { haversineDistance, lineLength } from '../utils/geo-utils.js';
+import { categorizeIRI } from '../algorithms/iri-estimator.js';
+import { invalidateStreamLookups } from './live-stream.js';
+import { optionalString } from '../utils/input-utils.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('ROADS');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PROFILE_DEFAULT_DAYS = 30;
+
+/**
+ * Invalid road input or operation
+ */
+export class RoadError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RoadError';
+    }
+}
+
+/**
+ * Validates road fields. Only the fields present in input are returned.
+ */
+function roadData(input, { requireName = false } = {}) {
+    const data = {};
+
+    if (input.roadName !== undefined || requireName) {
+        const roadName = optionalString(input.roadName);
+        if (!roadName) throw new RoadError('roadName is required');
+        data.roadName = roadName;
+    }
+    if (input.roadType !== undefined) data.roadType = optionalString(input.roadType);
+    if (input.surfaceType !== undefined) data.surfaceType = optionalString(input.surfaceType);
+
+    if (input.speedLimitKmh !== undefined) {
+        if (input.speedLimitKmh === null || input.speedLimitKmh === '') {
+            data.speedLimitKmh = null;
+        } else {
+            const limit = parseInt(input.speedLimitKmh);
+            if (isNaN(limit) || limit <= 0) throw new RoadError('speedLimitKmh must be a positive integer');
+            data.speedLimitKmh = limit;
+        }
+    }
+    if (input.active !== undefined) {
+        if (typeof input.active !== 'boolean') throw new RoadError('active must be true or false');
+        data.active = input.active;
+    }
+
+    return data;
+}
+
+function segmentCoords(segment) {
+    const coords = segment.geometryJson?.coordinates;
+    return Array.isArray(coords) && coords.length >= 2 ? coords : null;
+}
+
+function pointDistance(a, b) {
+    return haversineDistance(a[1], a[0], b[1], b[0]);
+}
+
+/**
+ * Walks a road's segments in order and works out which way each one runs
+ * along the road (segments may have been drawn in either direction).
+ *
+ * @param {Array<{ id, lengthMeters, geometryJson }>} segments In road order
+ * @returns {Array<{ segment, length, start: number[]|null, end: number[]|null, reversed: boolean, gapMeters: number|null }>}
+ */
+export function orientSegments(segments) {
+    const chain = [];
+    let previousEnd = null;
+
+    segments.forEach((segment, i) => {
+        const coords = segmentCoords(segment);
+        const length = coords ? lineLength(coords) : Number(segment.lengthMeters ?? 0);
+        if (!coords) {
+            chain.push({ segment, length, start: null, end: null, reversed: false, gapMeters: null });
+            return;
+        }
+
+        const first = coords[0];
+        const last = coords[coords.length - 1];
+        let reversed = false;
+
+        if (previousEnd) {
+            reversed = pointDistance(previousEnd, last) < pointDistance(previousEnd, first);
+        } else {
+            // First segment: run towards the next one
+            const next = segments.slice(i + 1).map(segmentCoords).find(Boolean);
+            if (next) {
+                const toNext = end => Math.min(pointDistance(end, next[0]), pointDistance(end, next[next.length - 1]));
+                reversed = toNext(first) < toNext(last);
+            }
+        }
+
+        const start = reversed ? last : first;
+        const end = reversed ? first : last;
+        chain.push({
+            segment,
+            length,
+            start,
+            end,
+            reversed,
+            gapMeters: previousEnd ? pointDistance(previousEnd, start) : null
+        });
+        previousEnd = end;
+    });
+
+    return chain;
+}
+
+/**
+ * Recomputes segment chainage, the road's length and its start/end
+ * coordinates from its segments in segmentNumber order. Chainage is
+ * continuous: gaps between segments are not counted.
+ */
+export async function recomputeChainage(roadId, client = prisma) {
+    const segments = await client.roadSegment.findMany({
+        where: { roadId },
+        orderBy: { segmentNumber: 'asc' },
+        select: { id: true, lengthMeters: true, geometryJson: true }
+    });
+
+    const chain = orientSegments(segments);
+    let chainage = 0;
+    const rows = chain.map(link => {
+        const row = Prisma.sql`(${link.segment.id}::int, ${chainage}::numeric, ${chainage + link.length}::numeric, ${link.length}::numeric)`;
+        chainage += link.length;
+        return row;
+    });
+
+    // One statement for the whole road: a long road would outlast the
+    // interactive transaction timeout with an update per segment
+    if (rows.length > 0) {
+        await client.$executeRaw`
+            UPDATE "RoadSegment" s
+            SET "startChainageM" = v.start_m, "endChainageM" = v.end_m, "lengthMeters" = v.length_m, "updatedAt" = NOW()
+            FROM (VALUES ${Prisma.join(rows)}) AS v(id, start_m, end_m, length_m)
+            WHERE s.id = v.id
+        `;
+    }
+
+    const withGeometry = chain.filter(link => link.start);
+    const first = withGeometry[0];
+    const last = withGeometry[withGeometry.length - 1];
+
+    return client.haulRoad.update({
+        where: { id: roadId },
+        data: {
+            lengthMeters: chainage,
+            startLat: first ? first.start[1] : null,
+            startLon: first ? first.start[0] : null,
+            endLat: last ? last.end[1] : null,
+            endLon: last ? last.end[0] : null
+        }
+    });
+}
+
+/**
+ * Renumbers a road's segments 1..n in the given order. Numbers are moved out
+ * of the way first because (roadId, segmentNumber) is unique, and Postgres
+ * checks it row by row within a statement.
+ */
+export async function renumberSegments(tx, roadId, orderedIds) {
+    if (orderedIds.length === 0) return;
+    const numbered = Prisma.join(orderedIds.map((id, i) => Prisma.sql`(${id}::int, ${i + 1}::int)`));
+
+    await tx.$executeRaw`
+        UPDATE "RoadSegment" s
+        SET "roadId" = ${roadId}, "segmentNumber" = -v.n, "updatedAt" = NOW()
+        FROM (VALUES ${numbered}) AS v(id, n)
+        WHERE s.id = v.id
+    `;
+    await tx.$executeRaw`
+        UPDATE "RoadSegment" s
+        SET "segmentNumber" = v.n
+        FROM (VALUES ${numbered}) AS v(id, n)
+        WHERE s.id = v.id
+    `;
+}
+
+async function roadSegmentIds(client, roadId) {
+    const segments = await client.roadSegment.findMany({
+        where: { roadId },
+        orderBy: { segmentNumber: 'asc' },
+        select: { id: true }
+    });
+    return segments.map(s => s.id);
+}
+
+/**
+ * Moves segments onto a road, in the given order, at a position among the
+ * road's current segments (default: the end). Segments taken from other roads
+ * leave those roads renumbered.
+ */
+async function placeSegments(tx, roadId, segmentIds, position) {
+    if (new Set(segmentIds).size !== segmentIds.length) throw new RoadError('segmentIds contains duplicates');
+
+    const segments = await tx.roadSegment.findMany({
+        where: { id: { in: segmentIds } },
+        select: { id: true, roadId: true }
+    });
+    if (segments.length !== segmentIds.length) {
+        const found = new Set(segments.map(s => s.id));
+        throw new RoadError(`Segments not found: ${segmentIds.filter(id => !found.has(id)).join(', ')}`);
+    }
+
+    const moving = new Set(segmentIds);
+    const current = (await roadSegmentIds(tx, roadId)).filter(id => !moving.has(id));
+    const at = position === undefined ? current.length : Math.max(0, Math.min(position, current.length));
+    const ordered = [...current.slice(0, at), ...segmentIds, ...current.slice(at)];
+
+    await renumberSegments(tx, roadId, ordered);
+
+    const sourceRoads = new Set(segments.map(s => s.roadId).filter(id => id !== roadId));
+    for (const sourceId of sourceRoads) {
+        await renumberSegments(tx, sourceId, await roadSegmentIds(tx, sourceId));
+        await recomputeChainage(sourceId, tx);
+    }
+    return recomputeChainage(roadId, tx);
+}
+
+/**
+ * Creates a road, optionally taking over segments in the given order
+ *
+ * @param {object} input { roadName, roadType?, surfaceType?, speedLimitKmh?, segmentIds? }
+ */
+export async function createRoad(input) {
+    const data = roadData(input, { requireName: true });
+    const segmentIds = input.segmentIds ?? [];
+
+    const road = await prisma.$transaction(async (tx) => {
+        const created = await tx.haulRoad.create({ data });
+        return segmentIds.length > 0 ? placeSegments(tx, created.id, segmentIds) : created;
+    });
+
+    if (segmentIds.length > 0) invalidateStreamLookups();
+    log.info(`Created road ${road.roadName} (${segmentIds.length} segments)`);
+    return road;
+}
+
+/**
+ * Edits road details. Returns null if the road doesn't exist.
+ */
+export async function updateRoad(id, input) {
+    const existing = await prisma.haulRoad.findUnique({ where: { id }, select: { id: true } });
+    if (!existing) return null;
+
+    return prisma.haulRoad.update({ where: { id }, data: roadData(input) });
+}
+
+/**
+ * Adds segments to a road in order. Returns null if the road doesn't exist.
+ *
+ * @param {number} roadId
+ * @param {number[]} segmentIds In road order
+ * @param {object} [options]
+ * @param {number} [options.position] Insert before the road's n-th segment (0-based, default: append)
+ */
+export async function attachSegments(roadId, segmentIds, { position } = {}) {
+    const road = await prisma.haulRoad.findUnique({ where: { id: roadId }, select: { id: true } });
+    if (!road) return null;
+    if (segmentIds.length === 0) throw new RoadError('segmentIds is required');
+
+    const updated = await prisma.$transaction(tx => placeSegments(tx, roadId, segmentIds, position));
+    invalidateStreamLookups();
+    return updated;
+}
+
+/**
+ * Sets the order of a road's segments. segmentIds must list every segment
+ * on the road exactly once. Returns null if the road doesn't exist.
+ */
+export async function reorderSegments(roadId, segmentIds) {
+    const road = await prisma.haulRoad.findUnique({ where: { id: roadId }, select: { id: true } });
+    if (!road) return null;
+
+    const current = await roadSegmentIds(prisma, roadId);
+    const listed = new Set(segmentIds);
+    if (listed.size !== segmentIds.length || listed.size !== current.length || current.some(id => !listed.has(id))) {
+        throw new RoadError('segmentIds must list each of the road\'s segments exactly once');
+    }
+
+    return prisma.$transaction(async (tx) => {
+        await renumberSegments(tx, roadId, segmentIds);
+        return recomputeChainage(roadId, tx);
+    });
+}
+
+/**
+ * Appends the segments of the source roads (in the order given) to the target
+ * road and deletes the sources. Notification subscriptions on a source road
+ * are moved to the target. Returns null if the target doesn't exist.
+ */
+export async function mergeRoads(targetId, sourceIds) {
+    const sources = [...new Set(sourceIds)].filter(id => id !== targetId);
+    if (sources.length === 0) throw new RoadError('sourceRoadIds must name at least one other road');
+
+    const roads = await prisma.haulRoad.findMany({
+        where: { id: { in: [targetId, ...sources] } },
+        select: { id: true, roadName: true }
+    });
+    if (!roads.some(r => r.id === targetId)) return null;
+    const missing = sources.filter(id => !roads.some(r => r.id === id));
+    if (missing.length > 0) throw new RoadError(`Roads not found: ${missing.join(', ')}`);
+
+    const road = await prisma.$transaction(async (tx) => {
+        const segmentIds = [];
+        for (const sourceId of sources) {
+            segmentIds.push(...await roadSegmentIds(tx, sourceId));
+        }
+        const merged = segmentIds.length > 0 ? await placeSegments(tx, targetId, segmentIds) : null;
+
+        const subscriptions = await tx.notificationSubscription.findMany({
+            where: { roadIds: { hasSome: sources } },
+            select: { id: true, roadIds: true }
+        });
+        for (const subscription of subscriptions) {
+            const roadIds = new Set(subscription.roadIds.map(id => (sources.includes(id) ? targetId : id)));
+            await tx.notificationSubscription.update({
+                where: { id: subscription.id },
+                data: { roadIds: Array.from(roadIds) }
+            });
+        }
+
+        await tx.haulRoad.deleteMany({ where: { id: { in: sources } } });
+        return merged ?? tx.haulRoad.findUnique({ where: { id: targetId } });
+    });
+
+    invalidateStreamLookups();
+    log.info(`Merged ${roads.filter(r => r.id !== targetId).map(r => r.roadName).join(', ')} into ${road.roadName}`);
+    return road;
+}
+
+/**
+ * Recomputes chainage on every road, e.g. for segments created before
+ * chainage was maintained
+ */
+export async function recomputeAllChainage() {
+    const roads = await prisma.haulRoad.findMany({ select: { id: true } });
+    for (const road of roads) {
+        await recomputeChainage(road.id);
+    }
+    return { roads: roads.length };
+}
+
+/**
+ * A road with its segments in order, their direction along the road and any
+ * gaps between consecutive segments. Returns null if the road doesn't exist.
+ */
+export async function getRoad(id) {
+    const road = await prisma.haulRoad.findUnique({
+        where: { id },
+        include: {
+            segments: {
+                orderBy: { segmentNumber: 'asc' },
+                select: {
+                    id: true,
+                    segmentNumber: true,
+                    startChainageM: true,
+                    endChainageM: true,
+                    lengthMeters: true,
+                    geometryJson: true
+                }
+            }
+        }
+    });
+    if (!road) return null;
+
+    const chain = orientSegments(road.segments);
+    return {
+        ...road,
+        segments: chain.map(link => ({
+            ...link.segment,
+            reversed: link.reversed,
+            gapMeters: link.gapMeters === null ? null : Number(link.gapMeters.toFixed(1))
+        }))
+    };
+}
+
+/**
+ * Longitudinal roughness profile: each segment of the road by chainage with
+ * its roughness averaged over the period's daily stats.
+ *
+ * @param {number} roadId
+ * @param {object} [options]
+ * @param {Date} [options.from] Default: 30 days ago
+ * @param {Date} [options.to] Default: now
+ * @returns {Promise<object|null>} null if the road doesn't exist
+ */
+export async function getRoadProfile(roadId, { from, to = new Date() } = {}) {
+    const start = from ?? new Date(to.getTime() - PROFILE_DEFAULT_DAYS * DAY_MS);
+
+    const road = await prisma.haulRoad.findUnique({
+        where: { id: roadId },
+        select: { id: true, roadName: true, lengthMeters: true, active: true }
+    });
+    if (!road) return null;
+
+    const segments = await prisma.roadSegment.findMany({
+        where: { roadId },
+        orderBy: { segmentNumber: 'asc' },
+        select: { id: true, segmentNumber: true, startChainageM: true, endChainageM: true, lengthMeters: true }
+    });
+
+    const stats = await prisma.roadSegmentStats.groupBy({
+        by: ['roadSegmentId'],
+        where: { roadSegmentId: { in: segments.map(s => s.id) }, date: { gte: start, lte: to } },
+        _avg: { estimatedIri: true, avgZAxisRms: true },
+        _max: { maxZAxis: true },
+        _sum: { totalPasses: true, roughnessEventCount: true, criticalEventCount: true }
+    });
+    const statsBySegment = new Map(stats.map(s => [s.roadSegmentId, s]));
+
+    const toNumber = value => (value == null ? null : Number(value));
+    const round = (value, digits) => (value == null ? null : Number(Number(value).toFixed(digits)));
+
+    return {
+        roadId: road.id,
+        roadName: road.roadName,
+        active: road.active,
+        lengthMeters: toNumber(road.lengthMeters),
+        from: start,
+        to,
+        // Chainage not computed yet if any segment lacks it
+        chainageComplete: segments.every(s => s.startChainageM != null),
+        profile: segments.map(segment => {
+            const row = statsBySegment.get(segment.id);
+            const startM = toNumber(segment.startChainageM);
+            const endM = toNumber(segment.endChainageM);
+            const iri = round(row?._avg.estimatedIri, 2);
+
+            return {
+                roadSegmentId: segment.id,
+                segmentNumber: segment.segmentNumber,
+                startChainageM: startM,
+                endChainageM: endM,
+                midChainageM: startM != null && endM != null ? round((startM + endM) / 2, 1) : null,
+                estimatedIri: iri,
+                iriCategory: iri != null ? categorizeIRI(iri) : null,
+                avgZAxisRms: round(row?._avg.avgZAxisRms, 2),
+                maxZAxis: row?._max.maxZAxis ?? null,
+                passes: row?._sum.totalPasses ?? 0,
+                roughnessEvents: row?._sum.roughnessEventCount ?? 0,
+                criticalEvents: row?._sum.criticalEventCount ?? 0
+            };
+        })
+    };
+}
@@ -0,0 +1,139 @@
+import prisma from '../config/database.js';
+import { BUILT_IN_CALIBRATION, fitCalibration } from '../algorithms/iri-estimator.js';
+import { calculateRoughness } from '../algorithms/rms-calculator.js';
+import { verticalAcceleration } from '../algorithms/vertical-acceleration.js';
+import { IRI_CALIBRATION } from '../config/constants.js';
+import { resolveOrientations } from './mount-orientation.js';
+
+// Active calibrations, Map<truckModel | null, calibration>
+let activeCache = null;
+let activeCacheExpiresAt = 0;
+const TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+async function loadActiveCalibrations() {
+    const now = Date.now();
+    if (activeCache && activeCacheExpiresAt > now) return activeCache;
+
+    const rows = await prisma.iriCalibration.findMany({ where: { active: true } });
+    activeCache = new Map(rows.map(row => [row.truckModel, row]));
+    activeCacheExpiresAt = now + TTL_MS;
+    return activeCache;
+}
+
+/**
+ * Drops cached calibrations after a fit or activation
+ */
+export function invalidateCalibrationCache() {
+    activeCache = null;
+}
+
+/**
+ * Active calibration for a truck model.
+ * Falls back to the fleet default (truckModel null), then the built-in constants.
+ */
+export async function getCalibrationForModel(truckModel) {
+    const active = await loadActiveCalibrations();
+    return active.get(truckModel ?? null) ?? active.get(null) ?? BUILT_IN_CALIBRATION;
+}
+
+/**
+ * Reference for recording which calibration produced a value
+ */
+export function calibrationRef(calibration) {
+    return { id: calibration.id, truckModel: calibration.truckModel, version: calibration.version };
+}
+
+/**
+ * Measures a reference run: vertical-acceleration StdDev, speed and load
+ * over the run's telemetry on its segment.
+ *
+ * @returns {Promise<object|null>} Observation for fitCalibration, null without usable data
+ */
+export async function measureReferenceRun(run) {
+    const telemetry = await prisma.truckTelemetry.findMany({
+        where: {
+            truckId: run.truckId,
+            roadSegmentId: run.roadSegmentId,
+            timestamp: { gte: run.startTime, lte: run.endTime },
+            speed: { gte: IRI_CALIBRATION.MIN_SPEED_KMH }
+        },
+        select: { truckId: true, axisX: true, axisY: true, axisZ: true, speed: true, isLoaded: true }
+    });
+
+    if (telemetry.length < 2) return null;
+
+    const orientations = await resolveOrientations(telemetry);
+    const vertical = telemetry.map(t => verticalAcceleration(t, orientations.get(t.truckId)));
+    const loadedCount = telemetry.filter(t => t.isLoaded).length;
+
+    return {
+        runId: run.id,
+        knownIri: run.knownIri,
+        roughness: calculateRoughness(vertical),
+        speedKmh: telemetry.reduce((sum, t) => sum + (t.speed || 0), 0) / telemetry.length,
+        isLoaded: loadedCount > telemetry.length / 2,
+        samples: telemetry.length
+    };
+}
+
+/**
+ * Fits a new calibration version for a truck model from its reference runs.
+ * The new version is inactive unless `activate` is set.
+ *
+ * @param {object} params
+ * @param {string|null} params.truckModel Truck.model, or null to fit the fleet default from all runs
+ * @param {boolean} [params.activate]
+ * @param {string} [params.notes]
+ * @returns {Promise<{ calibration: object, observations: object[] }>}
+ */
+export async function fitModelCalibration({ truckModel = null, activate = false, notes = null }) {
+    const runs = await prisma.iriReferenceRun.findMany({
+        where: truckModel ? { truck: { model: truckModel } } : {},
+        orderBy: { startTime: 'asc' }
+    });
+
+    const observations = [];
+    for (const run of runs) {
+        const observation = await measureReferenceRun(run);
+        if (observation) observations.push(observation);
+    }
+
+    const fit = fitCalibration(observations);
+
+    const latest = await prisma.iriCalibration.findFirst({
+        where: { truckModel },
+        orderBy: { version: 'desc' },
+        select: { version: true }
+    });
+
+    const calibration = await prisma.$transaction(async (tx) => {
+        if (activate) {
+            await tx.iriCalibration.updateMany({ where: { truckModel, active: true }, data: { active: false } });
+        }
+        return tx.iriCalibration.create({
+            data: { ...fit, truckModel, version: (latest?.version || 0) + 1, active: activate, notes }
+        });
+    });
+
+    invalidateCalibrationCache();
+    return { calibration, observations };
+}
+
+/**
+ * Makes a calibration version the active one for its truck model
+ */
+export async function activateCalibration(id) {
+    const calibration = await prisma.iriCalibration.findUnique({ where: { id } });
+    if (!calibration) return null;
+
+    const [, activated] = await prisma.$transaction([
+        prisma.iriCalibration.updateMany({
+            where: { truckModel: calibration.truckModel, active: true },
+            data: { active: false }
+        }),
+        prisma.iriCalibration.update({ where: { id }, data: { active: true } })
+    ]);
+
+    invalidateCalibrationCache();
+    return activated;
+}
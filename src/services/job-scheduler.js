@@ -0,0 +1,250 @@
+import os from 'os';
+import { Prisma } from '@prisma/client';
+import prisma from '../config/database.js';
+import { JOB_INTERVALS } from '../config/constants.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('JOBS');
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// Map<name, { name, description, intervalMs, lockTtlMs, run }>
+const jobs = new Map();
+let tickTimer = null;
+
+/**
+ * Registers a job. The interval can be overridden with JOB_<NAME>_INTERVAL_MS,
+ * e.g. JOB_EVENT_DETECTION_INTERVAL_MS for "event-detection".
+ *
+ * @param {object} job
+ * @param {string} job.name Unique job name (kebab-case)
+ * @param {string} [job.description]
+ * @param {number} job.intervalMs Default interval between runs
+ * @param {number} [job.lockTtlMs] Lease length; renewed while the job runs, so it only
+ *   bounds how long a crashed instance keeps the lock
+ * @param {(context: { trigger: string, params?: object }) => Promise<object|void>} job.run Returns a JSON-able result;
+ *   params are passed through from triggerJob (e.g. a CLI backfill date)
+ */
+export function registerJob({ name, description = '', intervalMs, lockTtlMs = JOB_INTERVALS.LOCK_TTL, run }) {
+    const envKey = `JOB_${name.replace(/-/g, '_').toUpperCase()}_INTERVAL_MS`;
+    const configured = parseInt(process.env[envKey]);
+
+    jobs.set(name, {
+        name,
+        description,
+        intervalMs: Number.isNaN(configured) ? intervalMs : configured,
+        lockTtlMs,
+        run
+    });
+}
+
+/**
+ * Takes the lease for a job. Scheduled runs also require the job to be due.
+ * Returns true if this instance now holds the lock.
+ */
+async function acquireLock(job, { requireDue }) {
+    const now = new Date();
+
+    // Make sure the row exists (first start, or newly registered job)
+    await prisma.scheduledJob.upsert({
+        where: { name: job.name },
+        update: { intervalMs: job.intervalMs },
+        create: { name: job.name, intervalMs: job.intervalMs }
+    });
+
+    const where = {
+        name: job.name,
+        OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }]
+    };
+    if (requireDue) {
+        where.enabled = true;
+        where.AND = [{
+            OR: [
+                { lastRunAt: null },
+                { lastRunAt: { lte: new Date(now.getTime() - job.intervalMs) } }
+            ]
+        }];
+    }
+
+    // Atomic compare-and-set: only one instance can match the condition
+    const { count } = await prisma.scheduledJob.updateMany({
+        where,
+        data: {
+            lockedBy: INSTANCE_ID,
+            lockedUntil: new Date(now.getTime() + job.lockTtlMs)
+        }
+    });
+
+    return count === 1;
+}
+
+/**
+ * Extends the lease held by this instance, so a run longer than lockTtlMs
+ * isn't started a second time by another instance
+ */
+async function renewLock(job) {
+    await prisma.scheduledJob.updateMany({
+        where: { name: job.name, lockedBy: INSTANCE_ID },
+        data: { lockedUntil: new Date(Date.now() + job.lockTtlMs) }
+    });
+}
+
+async function executeJob(job, trigger, params) {
+    const startedAt = new Date();
+    const runRecord = await prisma.jobRun.create({
+        data: { jobName: job.name, trigger, startedAt }
+    });
+
+    const done = (async () => {
+        let status = 'SUCCESS';
+        let result = Prisma.DbNull; // Json column: plain null is rejected
+        let error = null;
+
+        const renewal = setInterval(() => {
+            renewLock(job).catch(err => log.warn(`${job.name} could not renew its lease:`, err.message));
+        }, job.lockTtlMs / 3);
+
+        try {
+            result = (await job.run({ trigger, params })) ?? Prisma.DbNull;
+            log.info(`${job.name} finished in ${Date.now() - startedAt.getTime()}ms`);
+        } catch (err) {
+            status = 'FAILED';
+            error = err.message;
+            log.error(`${job.name} failed:`, err.message);
+        } finally {
+            clearInterval(renewal);
+        }
+
+        const finishedAt = new Date();
+        const finished = await prisma.jobRun.update({
+            where: { id: runRecord.id },
+            data: {
+                status,
+                finishedAt,
+                durationMs: finishedAt.getTime() - startedAt.getTime(),
+                result,
+                error
+            }
+        });
+
+        // A run with params (e.g. a backfilled day) doesn't stand in for the scheduled run
+        await prisma.scheduledJob.update({
+            where: { name: job.name },
+            data: {
+                ...(params === undefined ? { lastRunAt: startedAt, lastStatus: status } : {}),
+                lockedBy: null,
+                lockedUntil: null
+            }
+        });
+        return finished;
+    })().catch(err => {
+        // Bookkeeping failed; the lease expires after lockTtlMs
+        log.error(`${job.name} could not record its run:`, err.message);
+        return null;
+    });
+
+    return { run: runRecord, done };
+}
+
+/**
+ * Runs a job now, regardless of its schedule.
+ * Returns { run, done } or null if another instance holds the lock;
+ * done resolves to the finished JobRun (null if it couldn't be recorded).
+ *
+ * @param {string} name
+ * @param {string} [trigger] schedule, manual, cli, ...
+ * @param {object} [params] Passed to the job's run function
+ */
+export async function triggerJob(name, trigger = 'manual', params = undefined) {
+    const job = jobs.get(name);
+    if (!job) throw new Error(`Unknown job: ${name}`);
+
+    if (!(await acquireLock(job, { requireDue: false }))) return null;
+    return executeJob(job, trigger, params);
+}
+
+async function tick() {
+    for (const job of jobs.values()) {
+        try {
+            if (await acquireLock(job, { requireDue: true })) {
+                log.info(`Running ${job.name}`);
+                await (await executeJob(job, 'schedule')).done;
+            }
+        } catch (err) {
+            log.error(`Scheduler error for ${job.name}:`, err.message);
+        }
+    }
+}
+
+/**
+ * Starts the scheduler loop. Due jobs run one after another on each tick.
+ */
+export function startScheduler() {
+    if (tickTimer) return;
+
+    log.info(`Scheduler started with ${jobs.size} jobs (${INSTANCE_ID})`);
+
+    let ticking = false;
+    const guardedTick = async () => {
+        if (ticking) return;
+        ticking = true;
+        try {
+            await tick();
+        } finally {
+            ticking = false;
+        }
+    };
+
+    tickTimer = setInterval(guardedTick, JOB_INTERVALS.SCHEDULER_TICK);
+    guardedTick();
+}
+
+export function stopScheduler() {
+    clearInterval(tickTimer);
+    tickTimer = null;
+}
+
+/**
+ * Registered jobs with their persisted state
+ */
+export async function listJobs() {
+    const rows = await prisma.scheduledJob.findMany({
+        where: { name: { in: Array.from(jobs.keys()) } },
+        include: { runs: { orderBy: { startedAt: 'desc' }, take: 1 } }
+    });
+    const byName = new Map(rows.map(r => [r.name, r]));
+
+    return Array.from(jobs.values()).map(job => {
+        const row = byName.get(job.name);
+        return {
+            name: job.name,
+            description: job.description,
+            intervalMs: job.intervalMs,
+            enabled: row?.enabled ?? true,
+            running: Boolean(row?.lockedUntil && row.lockedUntil > new Date()),
+            lockedBy: row?.lockedBy ?? null,
+            lastRunAt: row?.lastRunAt ?? null,
+            lastStatus: row?.lastStatus ?? null,
+            lastRun: row?.runs[0] ?? null
+        };
+    });
+}
+
+export function hasJob(name) {
+    return jobs.has(name);
+}
+
+/**
+ * Enables or disables scheduled runs of a registered job. Creates the job's
+ * row if the scheduler hasn't run it yet.
+ */
+export function setJobEnabled(name, enabled) {
+    const job = jobs.get(name);
+    if (!job) throw new Error(`Unknown job: ${name}`);
+
+    return prisma.scheduledJob.upsert({
+        where: { name },
+        update: { enabled },
+        create: { name, intervalMs: job.intervalMs, enabled }
+    });
+}
@@ -0,0 +1,205 @@
+import prisma from '../config/database.js';
+import { CACHE_TTL, LIVE_STREAM } from '../config/constants.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('STREAM');
+
+/*
+  Live fleet stream (Server-Sent Events).
+  Message types:
+    position  latest sample per truck from each ingestion flush
+    event     roughness events as the detector stores them
+    alert     alerts raised, escalated or resolved
+  A client subscribed to trucks and/or roads gets messages matching either;
+  with neither it gets everything.
+*/
+
+const clients = new Set(); // { res, truckIds: Set, roadIds: Set, types: Set, heartbeat }
+const lastPositions = new Map(); // truckId -> position message, replayed to new clients
+let messageId = 0;
+let published = 0;
+
+export const STREAM_TYPES = ['position', 'event', 'alert'];
+
+// Truck labels and segment -> road, refreshed every SEGMENT_LOOKUP seconds
+let lookups = null;
+let lookupsExpiresAt = 0;
+
+async function getLookups() {
+    const now = Date.now();
+    if (lookups && lookupsExpiresAt > now) return lookups;
+
+    const [trucks, segments] = await Promise.all([
+        prisma.truck.findMany({ select: { id: true, truckId: true } }),
+        prisma.roadSegment.findMany({ select: { id: true, roadId: true } })
+    ]);
+    lookups = {
+        truckLabels: new Map(trucks.map(t => [t.id, t.truckId])),
+        segmentRoads: new Map(segments.map(s => [s.id, s.roadId]))
+    };
+    lookupsExpiresAt = now + CACHE_TTL.SEGMENT_LOOKUP * 1000;
+    return lookups;
+}
+
+/**
+ * Forces the next message to reload truck labels and segment roads
+ */
+export function invalidateStreamLookups() {
+    lookups = null;
+}
+
+function matches(client, type, message) {
+    if (!client.types.has(type)) return false;
+    if (client.truckIds.size === 0 && client.roadIds.size === 0) return true;
+    return client.truckIds.has(message.truckId) || client.roadIds.has(message.roadId);
+}
+
+function write(client, type, message) {
+    client.res.write(`id: ${++messageId}\nevent: ${type}\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+function publish(type, message) {
+    for (const client of clients) {
+        if (matches(client, type, message)) write(client, type, message);
+    }
+    published++;
+}
+
+/**
+ * Opens an SSE stream on an Express response and keeps it until the client
+ * disconnects. Matching last known truck positions are sent right away.
+ *
+ * @param {object} req
+ * @param {object} res
+ * @param {object} [filter]
+ * @param {number[]} [filter.truckIds] Truck DB ids
+ * @param {number[]} [filter.roadIds] HaulRoad ids
+ * @param {string[]} [filter.types] Subset of STREAM_TYPES (default: all)
+ * @returns {boolean} false if the client limit is reached (nothing written)
+ */
+export function addStreamClient(req, res, { truckIds = [], roadIds = [], types = STREAM_TYPES } = {}) {
+    if (clients.size >= LIVE_STREAM.MAX_CLIENTS) return false;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // nginx: don't buffer the stream
+    });
+    res.write(`retry: ${LIVE_STREAM.RETRY_MS}\n\n`);
+
+    const client = {
+        res,
+        truckIds: new Set(truckIds),
+        roadIds: new Set(roadIds),
+        types: new Set(types),
+        heartbeat: setInterval(() => res.write(': ping\n\n'), LIVE_STREAM.HEARTBEAT_MS)
+    };
+    clients.add(client);
+    log.debug(`Client connected (${clients.size} open)`);
+
+    write(client, 'hello', { truckIds, roadIds, types });
+    for (const position of lastPositions.values()) {
+        if (matches(client, 'position', position)) write(client, 'position', position);
+    }
+
+    req.on('close', () => {
+        clearInterval(client.heartbeat);
+        clients.delete(client);
+        log.debug(`Client disconnected (${clients.size} open)`);
+    });
+
+    return true;
+}
+
+/**
+ * Publishes the newest position of each truck in a batch of stored telemetry rows.
+ */
+export async function publishPositions(rows) {
+    const latest = new Map();
+    for (const row of rows) {
+        const current = latest.get(row.truckId);
+        if (!current || new Date(row.timestamp) > new Date(current.timestamp)) latest.set(row.truckId, row);
+    }
+
+    const { truckLabels, segmentRoads } = await getLookups();
+
+    for (const row of latest.values()) {
+        const previous = lastPositions.get(row.truckId);
+        // Late (buffered) records must not move the marker backwards
+        if (previous && new Date(previous.timestamp) >= new Date(row.timestamp)) continue;
+
+        const position = {
+            truckId: row.truckId,
+            truck: truckLabels.get(row.truckId) ?? null,
+            timestamp: new Date(row.timestamp),
+            latitude: Number(row.latitude),
+            longitude: Number(row.longitude),
+            speed: row.speed,
+            heading: row.heading,
+            isLoaded: row.isLoaded,
+            verticalAccel: row.verticalAccel,
+            roadSegmentId: row.roadSegmentId,
+            roadId: segmentRoads.get(row.roadSegmentId) ?? null
+        };
+        lastPositions.set(row.truckId, position);
+        if (clients.size > 0) publish('position', position);
+    }
+}
+
+/**
+ * Publishes newly stored roughness events.
+ */
+export async function publishEvents(events) {
+    if (clients.size === 0 || events.length === 0) return;
+    const { truckLabels, segmentRoads } = await getLookups();
+
+    for (const event of events) {
+        publish('event', {
+            truckId: event.truckId,
+            truck: truckLabels.get(event.truckId) ?? null,
+            timestamp: event.timestamp,
+            latitude: Number(event.latitude),
+            longitude: Number(event.longitude),
+            severity: event.severity,
+            eventType: event.eventType,
+            confidence: event.confidence ?? null,
+            peakZAxis: event.peakZAxis,
+            roadSegmentId: event.roadSegmentId,
+            roadId: segmentRoads.get(event.roadSegmentId) ?? null
+        });
+    }
+}
+
+/**
+ * Publishes an alert change.
+ *
+ * @param {object} alert Alert row
+ * @param {string} change raised | escalated | resolved
+ */
+export async function publishAlert(alert, change) {
+    if (clients.size === 0) return;
+    const { segmentRoads } = await getLookups();
+
+    publish('alert', {
+        change,
+        id: alert.id,
+        alertType: alert.alertType,
+        severity: alert.severity,
+        title: alert.title,
+        message: alert.message,
+        truckId: alert.truckId,
+        roadSegmentId: alert.roadSegmentId,
+        roadId: segmentRoads.get(alert.roadSegmentId) ?? null,
+        latitude: alert.latitude != null ? Number(alert.latitude) : null,
+        longitude: alert.longitude != null ? Number(alert.longitude) : null,
+        resolved: alert.resolved
+    });
+}
+
+/**
+ * Open streams and message count, for /health
+ */
+export function getStreamStats() {
+    return { clients: clients.size, published, trackedTrucks: lastPositions.size };
+}
@@ -0,0 +1,358 @@
+import prisma from '../config/database.js';
+import { MAINTENANCE } from '../config/constants.js';
+
+/*
+  Maintenance workflow: event review, work orders on a segment, and the
+  before/after roughness comparison that measures how well the work held up.
+*/
+
+export const WORK_TYPES = ['GRADE', 'FILL_POTHOLE', 'WATER'];
+export const WORK_PRIORITIES = ['LOW', 'MEDIUM', 'HIGH', 'URGENT'];
+
+// Allowed status changes
+const TRANSITIONS = {
+    OPEN: ['ASSIGNED', 'IN_PROGRESS', 'CANCELLED'],
+    ASSIGNED: ['OPEN', 'IN_PROGRESS', 'CANCELLED'],
+    IN_PROGRESS: ['ASSIGNED', 'COMPLETED', 'CANCELLED'],
+    COMPLETED: [],
+    CANCELLED: []
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Invalid request against the workflow (bad transition, events on another segment, ...)
+ */
+export class WorkflowError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WorkflowError';
+    }
+}
+
+/**
+ * Verifies or dismisses a roughness event. Returns null if it doesn't exist.
+ *
+ * @param {number} id
+ * @param {object} review
+ * @param {string} review.action verify | dismiss | reset
+ * @param {string} [review.by]
+ * @param {string} [review.notes]
+ * @param {boolean} [review.maintenanceRequired] With verify
+ */
+export async function reviewEvent(id, { action, by, notes, maintenanceRequired }) {
+    const event = await prisma.roughnessEvent.findUnique({ where: { id }, select: { id: true, workOrderId: true } });
+    if (!event) return null;
+
+    const data = { reviewedBy: by || null, reviewedAt: new Date() };
+    if (action === 'verify') {
+        Object.assign(data, { verified: true, dismissed: false });
+        if (maintenanceRequired !== undefined) data.maintenanceRequired = Boolean(maintenanceRequired);
+    } else if (action === 'dismiss') {
+        if (event.workOrderId) throw new WorkflowError('Event belongs to a work order, remove it from the order first');
+        Object.assign(data, { verified: false, dismissed: true, maintenanceRequired: false });
+    } else if (action === 'reset') {
+        Object.assign(data, { verified: false, dismissed: false, reviewedBy: null, reviewedAt: null });
+    } else {
+        throw new WorkflowError('action must be verify, dismiss or reset');
+    }
+    if (notes !== undefined) data.notes = notes || null;
+
+    return prisma.roughnessEvent.update({ where: { id }, data });
+}
+
+// Events must exist, sit on the order's segment, not be dismissed and not belong to another order
+async function checkEvents(eventIds, roadSegmentId, workOrderId = null) {
+    if (eventIds.length === 0) return;
+
+    const events = await prisma.roughnessEvent.findMany({
+        where: { id: { in: eventIds } },
+        select: { id: true, roadSegmentId: true, dismissed: true, workOrderId: true }
+    });
+    const found = new Set(events.map(e => e.id));
+    const missing = eventIds.filter(id => !found.has(id));
+    if (missing.length > 0) throw new WorkflowError(`Events not found: ${missing.join(', ')}`);
+
+    for (const event of events) {
+        if (event.roadSegmentId !== roadSegmentId) {
+            throw new WorkflowError(`Event ${event.id} is not on segment ${roadSegmentId}`);
+        }
+        if (event.dismissed) throw new WorkflowError(`Event ${event.id} was dismissed`);
+        if (event.workOrderId && event.workOrderId !== workOrderId) {
+            throw new WorkflowError(`Event ${event.id} already belongs to work order ${event.workOrderId}`);
+        }
+    }
+}
+
+/**
+ * Creates a work order, grouping the given events of the segment into it.
+ * Starts as ASSIGNED when an assignee is given, otherwise OPEN.
+ */
+export async function createWorkOrder({
+    roadSegmentId, workType, priority = 'MEDIUM', title, description, assignee, createdBy, dueDate, eventIds = []
+}) {
+    if (!WORK_TYPES.includes(workType)) throw new WorkflowError(`workType must be one of: ${WORK_TYPES.join(', ')}`);
+    if (!WORK_PRIORITIES.includes(priority)) throw new WorkflowError(`priority must be one of: ${WORK_PRIORITIES.join(', ')}`);
+    const due = dueDate ? new Date(dueDate) : null;
+    if (due && isNaN(due)) throw new WorkflowError('dueDate must be a valid date');
+
+    const segment = await prisma.roadSegment.findUnique({ where: { id: roadSegmentId }, select: { id: true } });
+    if (!segment) throw new WorkflowError(`Segment ${roadSegmentId} not found`);
+
+    await checkEvents(eventIds, roadSegmentId);
+
+    return prisma.$transaction(async (tx) => {
+        const workOrder = await tx.workOrder.create({
+            data: {
+                roadSegmentId,
+                workType,
+                priority,
+                status: assignee ? 'ASSIGNED' : 'OPEN',
+                title: title || null,
+                description: description || null,
+                assignee: assignee || null,
+                createdBy: createdBy || null,
+                dueDate: due
+            }
+        });
+        if (eventIds.length > 0) {
+            await tx.roughnessEvent.updateMany({
+                where: { id: { in: eventIds } },
+                data: { workOrderId: workOrder.id, maintenanceRequired: true }
+            });
+        }
+        return workOrder;
+    });
+}
+
+/**
+ * Adds events to an open work order. Returns null if the order doesn't exist.
+ */
+export async function attachEvents(workOrderId, eventIds) {
+    const workOrder = await prisma.workOrder.findUnique({ where: { id: workOrderId } });
+    if (!workOrder) return null;
+    if (TRANSITIONS[workOrder.status].length === 0) {
+        throw new WorkflowError(`Work order is ${workOrder.status.toLowerCase()}`);
+    }
+
+    await checkEvents(eventIds, workOrder.roadSegmentId, workOrderId);
+    await prisma.roughnessEvent.updateMany({
+        where: { id: { in: eventIds } },
+        data: { workOrderId, maintenanceRequired: true }
+    });
+    return workOrder;
+}
+
+/**
+ * Removes events from a work order (back to plain, still verified if they were).
+ */
+export async function detachEvents(workOrderId, eventIds) {
+    const { count } = await prisma.roughnessEvent.updateMany({
+        where: { id: { in: eventIds }, workOrderId },
+        data: { workOrderId: null }
+    });
+    return count;
+}
+
+/**
+ * Moves a work order through its lifecycle. Returns null if it doesn't exist.
+ *
+ * @param {number} id
+ * @param {string} status Target WorkOrderStatus
+ * @param {object} [options]
+ * @param {string} [options.assignee] Required for ASSIGNED unless already set
+ * @param {Date|string} [options.completedAt] COMPLETED, defaults to now
+ * @param {string} [options.notes] Stored as completionNotes on COMPLETED / CANCELLED
+ */
+export async function transitionWorkOrder(id, status, { assignee, completedAt, notes } = {}) {
+    const workOrder = await prisma.workOrder.findUnique({ where: { id } });
+    if (!workOrder) return null;
+
+    if (!TRANSITIONS[workOrder.status].includes(status)) {
+        throw new WorkflowError(`Cannot move a work order from ${workOrder.status} to ${status}`);
+    }
+
+    const now = new Date();
+    const data = { status };
+    let eventUpdate = null;
+
+    switch (status) {
+        case 'OPEN':
+            data.assignee = null;
+            break;
+        case 'ASSIGNED':
+            data.assignee = assignee || workOrder.assignee;
+            if (!data.assignee) throw new WorkflowError('assignee is required');
+            break;
+        case 'IN_PROGRESS':
+            if (assignee) data.assignee = assignee;
+            data.startedAt = workOrder.startedAt ?? now;
+            break;
+        case 'COMPLETED': {
+            const completed = completedAt ? new Date(completedAt) : now;
+            if (isNaN(completed) || completed > now) throw new WorkflowError('completedAt must be a past date');
+            if (workOrder.startedAt && completed < workOrder.startedAt) {
+                throw new WorkflowError('completedAt is before the work started');
+            }
+            data.completedAt = completed;
+            data.completionNotes = notes || null;
+            // The grouped events have been dealt with
+            eventUpdate = { maintenanceRequired: false };
+            break;
+        }
+        case 'CANCELLED':
+            data.cancelledAt = now;
+            data.completionNotes = notes || null;
+            // Free the events so another order can pick them up
+            eventUpdate = { workOrderId: null };
+            break;
+    }
+
+    return prisma.$transaction(async (tx) => {
+        const updated = await tx.workOrder.update({ where: { id }, data });
+        if (eventUpdate) {
+            await tx.roughnessEvent.updateMany({ where: { workOrderId: id }, data: eventUpdate });
+        }
+        return updated;
+    });
+}
+
+// Mean of pass values, skipping nulls
+function mean(values) {
+    const present = values.filter(v => v != null);
+    return present.length > 0 ? present.reduce((sum, v) => sum + v, 0) / present.length : null;
+}
+
+async function windowStats(roadSegmentId, from, to) {
+    const [passes, events] = await Promise.all([
+        prisma.segmentPass.findMany({
+            where: { roadSegmentId, entryTime: { gte: from, lt: to } },
+            select: { rmsVertical: true, estimatedIri: true }
+        }),
+        prisma.roughnessEvent.count({
+            where: { roadSegmentId, dismissed: false, timestamp: { gte: from, lt: to } }
+        })
+    ]);
+
+    const avgIri = mean(passes.map(p => p.estimatedIri));
+    const avgRms = mean(passes.map(p => p.rmsVertical));
+
+    return {
+        from,
+        to,
+        passes: passes.length,
+        avgIri: avgIri != null ? Number(avgIri.toFixed(2)) : null,
+        avgRmsVertical: avgRms != null ? Math.round(avgRms) : null,
+        events,
+        eventsPer100Passes: passes.length > 0 ? Number(((events / passes.length) * 100).toFixed(1)) : null
+    };
+}
+
+function percentChange(before, after) {
+    if (before == null || after == null || before === 0) return null;
+    return Number((((after - before) / before) * 100).toFixed(1));
+}
+
+/**
+ * Compares segment roughness in the COMPARISON_DAYS before the work started
+ * with the same period after it was completed (shorter while that period is
+ * still running). IRI is compared when both windows have it, RMS otherwise.
+ * Results for the standard window are saved to WorkOrder.effectiveness.
+ *
+ * @returns {Promise<object|null>} null if the work order doesn't exist
+ */
+export async function compareRoughness(id, { days = MAINTENANCE.COMPARISON_DAYS } = {}) {
+    const workOrder = await prisma.workOrder.findUnique({ where: { id } });
+    if (!workOrder) return null;
+    if (workOrder.status !== 'COMPLETED') throw new WorkflowError('Only completed work orders can be compared');
+
+    const now = new Date();
+    const workStart = workOrder.startedAt ?? workOrder.completedAt;
+    const afterEnd = new Date(Math.min(workOrder.completedAt.getTime() + days * DAY_MS, now.getTime()));
+
+    const before = await windowStats(workOrder.roadSegmentId, new Date(workStart.getTime() - days * DAY_MS), workStart);
+    const after = await windowStats(workOrder.roadSegmentId, workOrder.completedAt, afterEnd);
+
+    const iriChangePercent = percentChange(before.avgIri, after.avgIri);
+    const rmsChangePercent = percentChange(before.avgRmsVertical, after.avgRmsVertical);
+    const metric = iriChangePercent != null ? 'iri' : 'rms';
+    const changePercent = metric === 'iri' ? iriChangePercent : rmsChangePercent;
+
+    let outcome;
+    if (before.passes < MAINTENANCE.MIN_PASSES || after.passes < MAINTENANCE.MIN_PASSES || changePercent == null) {
+        outcome = 'insufficient_data';
+    } else if (changePercent <= -MAINTENANCE.MIN_CHANGE_PERCENT) {
+        outcome = 'improved';
+    } else if (changePercent >= MAINTENANCE.MIN_CHANGE_PERCENT) {
+        outcome = 'worse';
+    } else {
+        outcome = 'no_change';
+    }
+
+    const effectiveness = {
+        windowDays: days,
+        afterWindowComplete: afterEnd.getTime() === workOrder.completedAt.getTime() + days * DAY_MS,
+        before,
+        after,
+        metric,
+        iriChange: before.avgIri != null && after.avgIri != null ? Number((after.avgIri - before.avgIri).toFixed(2)) : null,
+        iriChangePercent,
+        rmsChangePercent,
+        outcome,
+        computedAt: now
+    };
+
+    // Only the standard window is kept for the crew summary
+    if (days === MAINTENANCE.COMPARISON_DAYS) {
+        await prisma.workOrder.update({ where: { id }, data: { effectiveness } });
+    }
+    return effectiveness;
+}
+
+/**
+ * Before/after results of completed work orders, grouped by assignee (crew).
+ * Comparisons whose after-window is still running are recomputed.
+ *
+ * @param {object} [range]
+ * @param {Date} [range.from] Completed at or after
+ * @param {Date} [range.to] Completed before
+ */
+export async function crewEffectiveness({ from, to } = {}) {
+    const completedAt = {};
+    if (from) completedAt.gte = from;
+    if (to) completedAt.lt = to;
+
+    const workOrders = await prisma.workOrder.findMany({
+        where: { status: 'COMPLETED', ...(from || to ? { completedAt } : {}) },
+        orderBy: { completedAt: 'asc' }
+    });
+
+    const crews = new Map();
+    for (const workOrder of workOrders) {
+        const effectiveness = workOrder.effectiveness?.afterWindowComplete
+            ? workOrder.effectiveness
+            : await compareRoughness(workOrder.id);
+
+        const name = workOrder.assignee ?? 'unassigned';
+        if (!crews.has(name)) {
+            crews.set(name, { assignee: name, completed: 0, compared: 0, improved: 0, noChange: 0, worse: 0, changes: [], turnaroundHours: [], byWorkType: {} });
+        }
+        const crew = crews.get(name);
+        crew.completed++;
+        crew.byWorkType[workOrder.workType] = (crew.byWorkType[workOrder.workType] || 0) + 1;
+        crew.turnaroundHours.push((workOrder.completedAt - workOrder.createdAt) / 3600000);
+
+        if (effectiveness.outcome === 'insufficient_data') continue;
+        crew.compared++;
+        if (effectiveness.outcome === 'improved') crew.improved++;
+        else if (effectiveness.outcome === 'worse') crew.worse++;
+        else crew.noChange++;
+        crew.changes.push(effectiveness.metric === 'iri' ? effectiveness.iriChangePercent : effectiveness.rmsChangePercent);
+    }
+
+    return Array.from(crews.values()).map(({ changes, turnaroundHours, ...crew }) => ({
+        ...crew,
+        avgChangePercent: changes.length > 0 ? Number(mean(changes).toFixed(1)) : null,
+        avgTurnaroundHours: Number(mean(turnaroundHours).toFixed(1))
+    }));
+}
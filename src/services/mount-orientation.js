@@ -0,0 +1,217 @@
+import prisma from '../config/database.js';
+import { DEFAULT_ORIENTATION, estimateOrientation } from '../algorithms/vertical-acceleration.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('MOUNT');
+
+// Stored orientations per truck DB id, to avoid a DB hit per request
+// Map<truckId, { orientation, expiresAt }>
+const orientationCache = new Map();
+const TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+const CALIBRATION_WINDOW_MS = 7 * 24 * 60 * 60 * 1000; // Look back 7 days for stationary samples
+const CALIBRATION_SAMPLES = 500;
+// A new estimate replaces the stored orientation (and stored verticalAccel is
+// recomputed) only if it moves vertical acceleration by at least this much (mG
+// at 1 g); smaller shifts are sensor noise between calibration runs
+const RECOMPUTE_TOLERANCE_MG = 20;
+
+/**
+ * Re-estimates a truck's mounting orientation from its latest stationary samples
+ * and stores it on the truck. Samples from before the last tracker swap are ignored.
+ * An estimate within RECOMPUTE_TOLERANCE_MG of the stored orientation keeps the
+ * stored one; otherwise the stored verticalAccel of the current tracker's rows
+ * is recomputed with the new orientation.
+ *
+ * @returns {Promise<object|null>} The truck's orientation, or null if there was not enough data
+ */
+export async function calibrateTruckOrientation(truckId) {
+    let since = new Date(Date.now() - CALIBRATION_WINDOW_MS);
+    const lastSwap = await prisma.truckImeiHistory.findFirst({
+        where: { truckId },
+        orderBy: { removedAt: 'desc' },
+        select: { removedAt: true }
+    });
+    if (lastSwap && lastSwap.removedAt > since) since = lastSwap.removedAt;
+
+    const samples = await prisma.truckTelemetry.findMany({
+        where: {
+            truckId,
+            speed: { lte: 1 },
+            timestamp: { gte: since }
+        },
+        orderBy: { timestamp: 'desc' },
+        take: CALIBRATION_SAMPLES,
+        select: { axisX: true, axisY: true, axisZ: true, speed: true }
+    });
+
+    const orientation = estimateOrientation(samples);
+    if (!orientation) return null;
+
+    const { mountOrientation: previous } = await prisma.truck.findUnique({
+        where: { id: truckId },
+        select: { mountOrientation: true }
+    });
+    const changed = verticalShift(previous, orientation) >= RECOMPUTE_TOLERANCE_MG;
+    if (previous && !changed) {
+        await prisma.truck.update({ where: { id: truckId }, data: { mountCalibratedAt: new Date() } });
+        return previous;
+    }
+
+    await prisma.truck.update({
+        where: { id: truckId },
+        data: { mountOrientation: orientation, mountCalibratedAt: new Date() }
+    });
+    orientationCache.delete(truckId);
+
+    // Rows from the current tracker were stored with the previous (or default) orientation
+    if (changed) {
+        await recomputeVerticalAccel(truckId, orientation, lastSwap?.removedAt ?? null);
+    }
+
+    return orientation;
+}
+
+/**
+ * Largest change in vertical acceleration (mG) between two orientations for
+ * a sample of about 1 g; a missing orientation means the default mounting
+ */
+function verticalShift(before, after) {
+    const a = before ?? DEFAULT_ORIENTATION;
+    const b = after ?? DEFAULT_ORIENTATION;
+    const rotation = [0, 1, 2].reduce((sum, i) => sum + Math.abs(a.rotation[2][i] - b.rotation[2][i]), 0);
+    return rotation * 1000 + Math.abs(a.gravityMagnitude - b.gravityMagnitude);
+}
+
+/**
+ * Rewrites the stored verticalAccel of a truck's rows from `since` (all rows
+ * when null) with the given orientation, then refreshes the hourly roughness
+ * aggregate over those rows. Same math as verticalAcceleration().
+ *
+ * @returns {Promise<number>} Rows updated
+ */
+export async function recomputeVerticalAccel(truckId, orientation, since = null) {
+    const [r0, r1, r2] = orientation.rotation[2];
+    const from = since ?? (await prisma.truckTelemetry.aggregate({
+        where: { truckId },
+        _min: { timestamp: true }
+    }))._min.timestamp;
+    if (!from) return 0;
+
+    const updated = await prisma.$executeRaw`
+        UPDATE "TruckTelemetry"
+        SET "verticalAccel" = round(
+            ${r0}::float8 * COALESCE("axisX", 0)
+          + ${r1}::float8 * COALESCE("axisY", 0)
+          + ${r2}::float8 * COALESCE("axisZ", 0)
+          - ${orientation.gravityMagnitude}::float8)
+        WHERE "truckId" = ${truckId} AND "timestamp" >= ${from}
+    `;
+    if (updated === 0) return 0;
+
+    log.info(`Recomputed verticalAccel on ${updated} rows of truck ${truckId}`);
+
+    // The continuous aggregate only re-materializes recent buckets on its own
+    try {
+        await prisma.$executeRaw`CALL refresh_continuous_aggregate('segment_roughness_hourly', ${from}::timestamptz, ${new Date()}::timestamptz)`;
+    } catch (err) {
+        log.warn('Could not refresh segment_roughness_hourly:', err.message);
+    }
+    return updated;
+}
+
+/**
+ * Calibrates every non-retired truck
+ * @returns {Promise<{ calibrated: number, skipped: number }>}
+ */
+export async function calibrateAllOrientations() {
+    const trucks = await prisma.truck.findMany({
+        where: { status: { not: 'RETIRED' } },
+        select: { id: true, truckId: true }
+    });
+
+    let calibrated = 0;
+    for (const truck of trucks) {
+        if (await calibrateTruckOrientation(truck.id)) {
+            calibrated++;
+        } else {
+            log.debug(`Not enough stationary data to calibrate ${truck.truckId}`);
+        }
+    }
+
+    return { calibrated, skipped: trucks.length - calibrated };
+}
+
+/**
+ * Drops a truck's cached orientation (all trucks when no ID is given)
+ */
+export function invalidateOrientationCache(truckId) {
+    if (truckId === undefined) {
+        orientationCache.clear();
+    } else {
+        orientationCache.delete(truckId);
+    }
+}
+
+/**
+ * Stored orientations for the given trucks (missing = never calibrated)
+ * @returns {Promise<Map<number, object>>}
+ */
+export async function getOrientations(truckIds) {
+    const now = Date.now();
+    const result = new Map();
+    const missing = [];
+
+    for (const truckId of new Set(truckIds)) {
+        const cached = orientationCache.get(truckId);
+        if (cached && cached.expiresAt > now) {
+            if (cached.orientation) result.set(truckId, cached.orientation);
+        } else {
+            missing.push(truckId);
+        }
+    }
+
+    if (missing.length > 0) {
+        const trucks = await prisma.truck.findMany({
+            where: { id: { in: missing } },
+            select: { id: true, mountOrientation: true }
+        });
+        const byId = new Map(trucks.map(t => [t.id, t.mountOrientation]));
+
+        for (const truckId of missing) {
+            const orientation = byId.get(truckId) ?? null;
+            orientationCache.set(truckId, { orientation, expiresAt: now + TTL_MS });
+            if (orientation) result.set(truckId, orientation);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Orientation to use for each truck in a set of telemetry points.
+ * Uses the stored calibration; for uncalibrated trucks, estimates one from the
+ * points themselves, then falls back to the default (Z-up) mounting.
+ *
+ * @param {{ truckId: number, axisX: number, axisY: number, axisZ: number, speed?: number }[]} points
+ * @returns {Promise<Map<number, object>>}
+ */
+export async function resolveOrientations(points) {
+    const byTruck = new Map();
+    for (const point of points) {
+        if (!byTruck.has(point.truckId)) byTruck.set(point.truckId, []);
+        byTruck.get(point.truckId).push(point);
+    }
+
+    const stored = await getOrientations(Array.from(byTruck.keys()));
+    const result = new Map();
+
+    for (const [truckId, truckPoints] of byTruck) {
+        result.set(
+            truckId,
+            stored.get(truckId) ?? estimateOrientation(truckPoints) ?? DEFAULT_ORIENTATION
+        );
+    }
+
+    return result;
+}
@@ -0,0 +1,161 @@
+import crypto from 'crypto';
+import { NOTIFICATIONS } from '../config/constants.js';
+import { SmtpError, sendMail, smtpConfigFromEnv } from '../utils/smtp-client.js';
+
+/*
+  Notification transports. No database access, so they can be exercised
+  against a local HTTP receiver / SMTP sink (scripts/test-notifications.js).
+
+  Webhooks are POSTed as JSON with:
+    X-Roughness-Event:     raised | escalated | resolved | test
+    X-Roughness-Delivery:  NotificationDelivery id
+    X-Roughness-Timestamp: unix seconds
+    X-Roughness-Signature: sha256=HMAC_SHA256(secret, "<timestamp>.<body>") in hex
+*/
+
+export class DeliveryError extends Error {
+    constructor(message, responseCode = null) {
+        super(message);
+        this.name = 'DeliveryError';
+        this.responseCode = responseCode;
+    }
+}
+
+/**
+ * Webhook signature for a timestamp and raw body
+ */
+export function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Receiver-side check of X-Roughness-Signature (constant time)
+ */
+export function verifySignature(secret, timestamp, body, signatureHeader) {
+    const expected = Buffer.from(`sha256=${signPayload(secret, timestamp, body)}`);
+    const actual = Buffer.from(signatureHeader || '');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Notification body for an alert event
+ *
+ * @param {object} alert Alert with optional truck and roadSegment.road included
+ * @param {string} event raised | escalated | resolved | test
+ */
+export function buildPayload(alert, event) {
+    return {
+        event,
+        sentAt: new Date().toISOString(),
+        alert: {
+            id: alert.id,
+            alertType: alert.alertType,
+            severity: alert.severity,
+            title: alert.title,
+            message: alert.message,
+            truck: alert.truck ? { id: alert.truck.id, truckId: alert.truck.truckId } : null,
+            roadSegment: alert.roadSegment ? {
+                id: alert.roadSegment.id,
+                segmentNumber: alert.roadSegment.segmentNumber,
+                roadId: alert.roadSegment.roadId,
+                roadName: alert.roadSegment.road?.roadName ?? null
+            } : null,
+            latitude: alert.latitude != null ? Number(alert.latitude) : null,
+            longitude: alert.longitude != null ? Number(alert.longitude) : null,
+            occurrences: alert.occurrences,
+            createdAt: alert.createdAt,
+            resolvedAt: alert.resolvedAt ?? null,
+            resolvedBy: alert.resolvedBy ?? null,
+            data: alert.data ?? null
+        }
+    };
+}
+
+/**
+ * Subject and plain-text body for an alert email
+ */
+export function formatEmail(payload) {
+    const { event, alert } = payload;
+    const prefix = event === 'resolved' ? 'Resolved' : event === 'escalated' ? 'Escalated' : alert.severity;
+
+    const lines = [
+        alert.title,
+        '',
+        alert.message,
+        '',
+        `Severity: ${alert.severity}`,
+        `Type: ${alert.alertType}`
+    ];
+    if (alert.roadSegment) {
+        lines.push(`Segment: ${alert.roadSegment.roadName ?? 'Road'} #${alert.roadSegment.segmentNumber}`);
+    }
+    if (alert.truck) lines.push(`Truck: ${alert.truck.truckId}`);
+    if (alert.latitude != null) lines.push(`Location: ${alert.latitude}, ${alert.longitude}`);
+    lines.push(`Raised: ${new Date(alert.createdAt).toISOString()}`);
+    if (alert.occurrences > 1) lines.push(`Occurrences: ${alert.occurrences}`);
+    if (event === 'resolved' && alert.resolvedAt) {
+        lines.push(`Resolved: ${new Date(alert.resolvedAt).toISOString()} (${alert.resolvedBy ?? 'manual'})`);
+    }
+    lines.push('', `Alert #${alert.id}`);
+
+    return { subject: `[${prefix}] ${alert.title}`, text: lines.join('\n') };
+}
+
+async function sendWebhook(channel, payload, deliveryId) {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'road-roughness-alerts',
+        'X-Roughness-Event': payload.event,
+        'X-Roughness-Delivery': String(deliveryId ?? 'test'),
+        'X-Roughness-Timestamp': String(timestamp)
+    };
+    if (channel.secret) {
+        headers['X-Roughness-Signature'] = `sha256=${signPayload(channel.secret, timestamp, body)}`;
+    }
+
+    let response;
+    try {
+        response = await fetch(channel.url, {
+            method: 'POST',
+            headers,
+            body,
+            signal: AbortSignal.timeout(NOTIFICATIONS.WEBHOOK_TIMEOUT_MS)
+        });
+    } catch (err) {
+        throw new DeliveryError(`Webhook request failed: ${err.cause?.message ?? err.message}`);
+    }
+
+    if (!response.ok) {
+        throw new DeliveryError(`Webhook returned HTTP ${response.status}`, response.status);
+    }
+    return { responseCode: response.status };
+}
+
+async function sendEmail(channel, payload, smtpConfig) {
+    const { subject, text } = formatEmail(payload);
+    try {
+        await sendMail(smtpConfig, { to: channel.recipients, subject, text });
+    } catch (err) {
+        // Only SMTP replies carry a numeric code; socket errors have e.g. 'ECONNREFUSED'
+        throw new DeliveryError(err.message, err instanceof SmtpError ? err.code : null);
+    }
+    return { responseCode: 250 };
+}
+
+/**
+ * Sends one payload over a channel. Throws DeliveryError on failure.
+ *
+ * @param {object} channel NotificationChannel
+ * @param {object} payload From buildPayload
+ * @param {object} [options]
+ * @param {number} [options.deliveryId] Sent as X-Roughness-Delivery
+ * @param {object} [options.smtpConfig] Defaults to the SMTP_* environment
+ * @returns {Promise<{ responseCode: number }>}
+ */
+export function sendNotification(channel, payload, { deliveryId, smtpConfig = smtpConfigFromEnv() } = {}) {
+    if (channel.type === 'WEBHOOK') return sendWebhook(channel, payload, deliveryId);
+    if (channel.type === 'EMAIL') return sendEmail(channel, payload, smtpConfig);
+    return Promise.reject(new DeliveryError(`Unknown channel type ${channel.type}`));
+}
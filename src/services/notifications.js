@@ -0,0 +1,204 @@
+import prisma from '../config/database.js';
+import { NOTIFICATIONS } from '../config/constants.js';
+import { buildPayload, sendNotification } from './notification-transports.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('NOTIFY');
+
+const SEVERITY_RANK = { INFO: 0, WARNING: 1, CRITICAL: 2 };
+
+const ALERT_INCLUDE = {
+    truck: { select: { id: true, truckId: true } },
+    roadSegment: { select: { id: true, segmentNumber: true, roadId: true, road: { select: { roadName: true } } } }
+};
+
+function backoffMs(attempts) {
+    return Math.min(NOTIFICATIONS.BACKOFF_BASE_MS * 2 ** (attempts - 1), NOTIFICATIONS.BACKOFF_MAX_MS);
+}
+
+/**
+ * Whether a subscription wants this alert event. Empty filter lists match everything.
+ */
+export function matchesSubscription(subscription, alert, event) {
+    if (!subscription.enabled) return false;
+    if (event === 'resolved' && !subscription.includeResolved) return false;
+    if (SEVERITY_RANK[alert.severity] < SEVERITY_RANK[subscription.minSeverity]) return false;
+    if (subscription.alertTypes.length > 0 && !subscription.alertTypes.includes(alert.alertType)) return false;
+    if (subscription.roadIds.length > 0) {
+        const roadId = alert.roadSegment?.roadId;
+        if (roadId == null || !subscription.roadIds.includes(roadId)) return false;
+    }
+    return true;
+}
+
+/**
+ * Marks a delivery as being attempted: nextAttemptAt moves past the longest
+ * possible attempt, so the retry job doesn't send it a second time meanwhile.
+ * Returns false if another attempt holds it.
+ */
+async function claimDelivery(delivery) {
+    const now = new Date();
+    const { count } = await prisma.notificationDelivery.updateMany({
+        where: {
+            id: delivery.id,
+            status: { not: 'SENT' },
+            OR: [{ nextAttemptAt: null }, { nextAttemptAt: { lte: now } }]
+        },
+        data: { nextAttemptAt: new Date(now.getTime() + NOTIFICATIONS.ATTEMPT_LEASE_MS) }
+    });
+    return count === 1;
+}
+
+/**
+ * Makes one attempt at a delivery and records the outcome.
+ * Failures are rescheduled with exponential backoff until MAX_ATTEMPTS.
+ */
+async function attemptDelivery(delivery, channel) {
+    const attempts = delivery.attempts + 1;
+
+    try {
+        const { responseCode } = await sendNotification(channel, delivery.payload, { deliveryId: delivery.id });
+        return prisma.notificationDelivery.update({
+            where: { id: delivery.id },
+            data: {
+                status: 'SENT',
+                attempts,
+                responseCode,
+                lastError: null,
+                nextAttemptAt: null,
+                deliveredAt: new Date()
+            }
+        });
+    } catch (err) {
+        const exhausted = attempts >= NOTIFICATIONS.MAX_ATTEMPTS;
+        log.warn(`Delivery ${delivery.id} to ${channel.name} failed (attempt ${attempts}):`, err.message);
+
+        return prisma.notificationDelivery.update({
+            where: { id: delivery.id },
+            data: {
+                status: exhausted ? 'FAILED' : 'PENDING',
+                attempts,
+                responseCode: err.responseCode ?? null,
+                lastError: err.message,
+                nextAttemptAt: exhausted ? null : new Date(Date.now() + backoffMs(attempts))
+            }
+        });
+    }
+}
+
+/**
+ * Queues notifications of an alert event to every matching channel and
+ * starts sending them. At most one delivery per channel per event.
+ *
+ * Sending is not awaited; anything that doesn't go through on the first
+ * attempt is picked up by the notification-delivery job.
+ *
+ * @param {number} alertId
+ * @param {string} event raised | escalated | resolved
+ * @returns {Promise<number>} Deliveries queued
+ */
+export async function notifyAlert(alertId, event) {
+    const alert = await prisma.alert.findUnique({ where: { id: alertId }, include: ALERT_INCLUDE });
+    if (!alert) return 0;
+
+    const subscriptions = await prisma.notificationSubscription.findMany({
+        where: { enabled: true, channel: { enabled: true } },
+        include: { channel: true },
+        orderBy: { id: 'asc' }
+    });
+
+    const byChannel = new Map();
+    for (const subscription of subscriptions) {
+        if (byChannel.has(subscription.channelId)) continue;
+        if (matchesSubscription(subscription, alert, event)) byChannel.set(subscription.channelId, subscription);
+    }
+    if (byChannel.size === 0) return 0;
+
+    const payload = buildPayload(alert, event);
+
+    for (const subscription of byChannel.values()) {
+        const delivery = await prisma.notificationDelivery.create({
+            data: {
+                alertId,
+                channelId: subscription.channelId,
+                subscriptionId: subscription.id,
+                event,
+                payload,
+                // Claimed for the first attempt; the retry job only sees it if that attempt never records an outcome
+                nextAttemptAt: new Date(Date.now() + NOTIFICATIONS.ATTEMPT_LEASE_MS)
+            }
+        });
+
+        attemptDelivery(delivery, subscription.channel)
+            .catch(err => log.error(`Delivery ${delivery.id} could not be recorded:`, err.message));
+    }
+
+    return byChannel.size;
+}
+
+/**
+ * Retries pending deliveries that are due.
+ */
+export async function retryDueDeliveries() {
+    const due = await prisma.notificationDelivery.findMany({
+        where: { status: 'PENDING', nextAttemptAt: { lte: new Date() } },
+        orderBy: { nextAttemptAt: 'asc' },
+        take: NOTIFICATIONS.RETRY_BATCH,
+        include: { channel: true }
+    });
+
+    const summary = { attempted: 0, sent: 0, failed: 0, pending: 0 };
+
+    for (const delivery of due) {
+        if (!delivery.channel.enabled) continue;
+        if (!(await claimDelivery(delivery))) continue;
+
+        const result = await attemptDelivery(delivery, delivery.channel);
+        summary.attempted++;
+        if (result.status === 'SENT') summary.sent++;
+        else if (result.status === 'FAILED') summary.failed++;
+        else summary.pending++;
+    }
+
+    return summary;
+}
+
+/**
+ * Retries one delivery now, whatever its state, unless an attempt is already
+ * in progress. A FAILED delivery gets one more attempt. Returns null if it
+ * doesn't exist.
+ */
+export async function retryDelivery(id) {
+    const delivery = await prisma.notificationDelivery.findUnique({ where: { id }, include: { channel: true } });
+    if (!delivery) return null;
+    if (delivery.status === 'SENT') return delivery;
+    // Already being attempted
+    if (!(await claimDelivery(delivery))) return delivery;
+
+    // A FAILED delivery is already at MAX_ATTEMPTS, so it stays FAILED if this fails too
+    return attemptDelivery(delivery, delivery.channel);
+}
+
+/**
+ * Sends a sample alert over a channel without recording a delivery.
+ *
+ * @returns {Promise<{ ok: boolean, responseCode?: number, error?: string }>}
+ */
+export async function sendTestNotification(channel) {
+    const payload = buildPayload({
+        id: 0,
+        alertType: 'test',
+        severity: 'INFO',
+        title: `Test notification for ${channel.name}`,
+        message: 'If you can read this, alert notifications reach this channel.',
+        occurrences: 1,
+        createdAt: new Date()
+    }, 'test');
+
+    try {
+        const { responseCode } = await sendNotification(channel, payload);
+        return { ok: true, responseCode };
+    } catch (err) {
+        return { ok: false, responseCode: err.responseCode ?? undefined, error: err.message };
+    }
+}
@@ -0,0 +1,177 @@
+import prisma from '../config/database.js';
+import { SHIFTS } from '../config/constants.js';
+import { calibratedIRI, categorizeIRI } from '../algorithms/iri-estimator.js';
+import { getCalibrationForModel } from './iri-calibration.js';
+
+export const GRANULARITIES = ['hour', 'shift', 'day'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function parseShiftStartHours() {
+    const configured = (process.env.SHIFT_START_HOURS || '')
+        .split(',')
+        .map(h => parseInt(h))
+        .filter(h => h >= 0 && h < 24);
+    const hours = configured.length > 0 ? configured : SHIFTS.START_HOURS;
+    return Array.from(new Set(hours)).sort((a, b) => a - b);
+}
+
+const SHIFT_START_HOURS = parseShiftStartHours();
+
+/**
+ * Configured shifts, e.g. [{ shift: 1, startHour: 6, endHour: 18 }, { shift: 2, startHour: 18, endHour: 6 }]
+ */
+export function getShiftDefinitions() {
+    return SHIFT_START_HOURS.map((startHour, i) => ({
+        shift: i + 1,
+        startHour,
+        endHour: SHIFT_START_HOURS[(i + 1) % SHIFT_START_HOURS.length]
+    }));
+}
+
+/**
+ * Start/end of the bucket containing `date` (local time, like the daily aggregation)
+ * @returns {{ start: Date, end: Date, shift?: number }}
+ */
+export function bucketFor(date, granularity) {
+    const start = new Date(date);
+
+    if (granularity === 'hour') {
+        start.setMinutes(0, 0, 0);
+        return { start, end: new Date(start.getTime() + HOUR_MS) };
+    }
+
+    if (granularity === 'day') {
+        start.setHours(0, 0, 0, 0);
+        const end = new Date(start);
+        end.setDate(end.getDate() + 1);
+        return { start, end };
+    }
+
+    // Shift: latest start hour at or before this hour, else the previous day's last shift
+    const hour = start.getHours();
+    let index = SHIFT_START_HOURS.findLastIndex(h => h <= hour);
+    if (index === -1) {
+        index = SHIFT_START_HOURS.length - 1;
+        start.setDate(start.getDate() - 1);
+    }
+    start.setHours(SHIFT_START_HOURS[index], 0, 0, 0);
+
+    const end = new Date(start);
+    if (index + 1 < SHIFT_START_HOURS.length) {
+        end.setHours(SHIFT_START_HOURS[index + 1]);
+    } else {
+        end.setDate(end.getDate() + 1);
+        end.setHours(SHIFT_START_HOURS[0]);
+    }
+    return { start, end, shift: index + 1 };
+}
+
+function emptyGroup() {
+    return { count: 0, sum: 0, sumSq: 0, sumSpeed: 0, max: -Infinity, min: Infinity };
+}
+
+function mergeRow(group, row) {
+    group.count += Number(row.sample_count);
+    group.sum += row.sum_vertical;
+    group.sumSq += row.sum_sq_vertical;
+    group.sumSpeed += row.sum_speed;
+    group.max = Math.max(group.max, row.max_vertical);
+    group.min = Math.min(group.min, row.min_vertical);
+}
+
+function stdDevOf(group) {
+    const mean = group.sum / group.count;
+    return Math.sqrt(Math.max(group.sumSq / group.count - mean * mean, 0));
+}
+
+/**
+ * Segment roughness over a time range, bucketed by hour, shift or day.
+ * Rolls up the segment_roughness_hourly continuous aggregate (scripts/setup-timescale.js).
+ *
+ * IRI uses the fleet-default calibration: the aggregate has no per-truck breakdown.
+ * Per-model calibrated IRI is on the daily stats (from segment passes).
+ *
+ * @param {object} params
+ * @param {Date} params.from
+ * @param {Date} params.to
+ * @param {string} [params.granularity] 'hour' | 'shift' | 'day'
+ * @param {number[]} [params.segmentIds] All segments when omitted
+ * @returns {Promise<object[]>} One row per segment and bucket, ascending
+ */
+export async function getSegmentRoughness({ from, to, granularity = 'hour', segmentIds }) {
+    if (!GRANULARITIES.includes(granularity)) {
+        throw new Error(`Invalid granularity: ${granularity}`);
+    }
+
+    // Widen to whole buckets so the first/last bucket is complete
+    const rangeStart = bucketFor(from, granularity).start;
+    const rangeEnd = bucketFor(new Date(to.getTime() - 1), granularity).end;
+
+    const segmentFilter = segmentIds?.length ? segmentIds : null;
+
+    const rows = await prisma.$queryRaw`
+        SELECT bucket, road_segment_id, is_loaded, sample_count,
+               sum_vertical, sum_sq_vertical, max_vertical, min_vertical, sum_speed
+        FROM segment_roughness_hourly
+        WHERE bucket >= ${rangeStart} AND bucket < ${rangeEnd}
+          AND (${segmentFilter}::int[] IS NULL OR road_segment_id = ANY(${segmentFilter}::int[]))
+        ORDER BY bucket ASC
+    `;
+
+    // "segmentId|bucketStart" -> { roadSegmentId, bucket, loaded, empty }
+    const buckets = new Map();
+    for (const row of rows) {
+        const bucket = bucketFor(row.bucket, granularity);
+        const key = `${row.road_segment_id}|${bucket.start.getTime()}`;
+        if (!buckets.has(key)) {
+            buckets.set(key, { roadSegmentId: row.road_segment_id, bucket, loaded: emptyGroup(), empty: emptyGroup() });
+        }
+        mergeRow(row.is_loaded ? buckets.get(key).loaded : buckets.get(key).empty, row);
+    }
+
+    const calibration = await getCalibrationForModel(null);
+
+    return Array.from(buckets.values())
+        .map(({ roadSegmentId, bucket, loaded, empty }) => {
+            const all = emptyGroup();
+            for (const group of [loaded, empty]) {
+                if (group.count === 0) continue;
+                mergeRow(all, {
+                    sample_count: group.count,
+                    sum_vertical: group.sum,
+                    sum_sq_vertical: group.sumSq,
+                    sum_speed: group.sumSpeed,
+                    max_vertical: group.max,
+                    min_vertical: group.min
+                });
+            }
+
+            // IRI per load state (own speed and coefficient), weighted by samples
+            let iriSum = 0;
+            for (const [group, isLoaded] of [[loaded, true], [empty, false]]) {
+                if (group.count === 0) continue;
+                const iri = calibratedIRI(stdDevOf(group), group.sumSpeed / group.count, calibration, isLoaded);
+                iriSum += Math.min(iri, 20) * group.count;
+            }
+            const estimatedIri = Number((iriSum / all.count).toFixed(2));
+
+            return {
+                roadSegmentId,
+                granularity,
+                bucketStart: bucket.start,
+                bucketEnd: bucket.end,
+                ...(bucket.shift ? { shift: bucket.shift } : {}),
+                sampleCount: all.count,
+                loadedSamples: loaded.count,
+                avgSpeedKmh: Number((all.sumSpeed / all.count).toFixed(1)),
+                rmsVertical: Number(Math.sqrt(all.sumSq / all.count).toFixed(2)),
+                stdDevVertical: Number(stdDevOf(all).toFixed(2)),
+                maxVertical: all.max,
+                minVertical: all.min,
+                estimatedIri,
+                iriCategory: categorizeIRI(estimatedIri)
+            };
+        })
+        .sort((a, b) => a.bucketStart - b.bucketStart || a.roadSegmentId - b.roadSegmentId);
+}
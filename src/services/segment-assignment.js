@@ -1,4 +1,8 @@
 import prisma from '../config/database.js';
+import { THRESHOLDS } from '../config/constants.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('SEGMENT');
 
 // Cache segment lookups for rounded coordinates
 // Key: "lat_rounded,lon_rounded" -> segmentId
@@ -9,50 +13,110 @@ function getCacheKey(lat, lon) {
   return `${Number(lat).toFixed(4)},${Number(lon).toFixed(4)}`;
 }
 
+function cacheSegment(cacheKey, segmentId) {
+  if (segmentCache.size >= CACHE_SIZE_LIMIT) {
+    const firstKey = segmentCache.keys().next().value;
+    segmentCache.delete(firstKey);
+  }
+  segmentCache.set(cacheKey, segmentId);
+}
+
 /**
- * Finds the road segment closest to the given point within 50 meters
+ * Drops cached lookups inside a bounding box (all of them without one), so
+ * points there are matched against the current segment geometry.
+ *
+ * @param {{ minLat: number, maxLat: number, minLon: number, maxLon: number }} [bounds]
+ * @returns {number} Entries removed
  */
-export async function assignRoadSegment(latitude, longitude) {
-  const cacheKey = getCacheKey(latitude, longitude);
-  if (segmentCache.has(cacheKey)) {
-    return segmentCache.get(cacheKey);
+export function invalidateSegmentCache(bounds) {
+  if (!bounds) {
+    const size = segmentCache.size;
+    segmentCache.clear();
+    return size;
   }
 
-  // Use raw SQL for PostGIS functions
-  // Note: We cast inputs to geography to use ST_DWithin (meters)
-  // Ensure "geometryJson" field in DB actually contains valid GeoJSON LineString
-
-  /*
-    Optimized query:
-    1. Make point from lat/lon (SRID 4326)
-    2. Compare with RoadSegment.geometryJson using ST_GeomFromGeoJSON
-    3. Output closest segment ID
-  */
-
-  try {
-    const result = await prisma.$queryRaw`
-      SELECT id 
-      FROM "RoadSegment" 
-      WHERE ST_DWithin(
-    ST_SetSRID(ST_MakePoint(${Number(longitude)}, ${Number(latitude)}), 4326):: geography,
-    ST_GeomFromGeoJSON(CAST("geometryJson" AS text)):: geography,
-    50 -- distance in meters
-  )
-      LIMIT 1
-    `;
-
-    const segmentId = result.length > 0 ? result[0].id : null;
-
-    // Cache management
-    if (segmentCache.size >= CACHE_SIZE_LIMIT) {
-      const firstKey = segmentCache.keys().next().value;
-      segmentCache.delete(firstKey);
+  let removed = 0;
+  for (const key of segmentCache.keys()) {
+    const [lat, lon] = key.split(',').map(Number);
+    if (lat >= bounds.minLat && lat <= bounds.maxLat && lon >= bounds.minLon && lon <= bounds.maxLon) {
+      segmentCache.delete(key);
+      removed++;
     }
-    segmentCache.set(cacheKey, segmentId);
+  }
+  return removed;
+}
+
+/**
+ * Finds the closest road segment (within SEGMENT_PROXIMITY meters) for many points
+ * in a single spatial query.
+ *
+ * @param {{ latitude: number, longitude: number }[]} points
+ * @param {object} [options]
+ * @param {boolean} [options.failSafe] On a lookup error return no segments instead of throwing (default: true)
+ * @returns {Promise<(number|null)[]>} Segment ID per point, in input order
+ */
+export async function assignRoadSegments(points, { failSafe = true } = {}) {
+  const keys = points.map(p => getCacheKey(p.latitude, p.longitude));
 
-    return segmentId;
-  } catch (err) {
-    console.error('Segment assignment error (PostGIS might be missing or invalid geometry):', err.message);
-    return null; // Fail safe, store without segment
+  // Only look up distinct, uncached cells
+  const resolved = new Map(); // cacheKey -> segmentId
+  const lookup = new Map(); // cacheKey -> { lat, lon }
+  keys.forEach((key, i) => {
+    if (segmentCache.has(key)) {
+      resolved.set(key, segmentCache.get(key));
+    } else if (!lookup.has(key)) {
+      lookup.set(key, { lat: Number(points[i].latitude), lon: Number(points[i].longitude) });
+    }
+  });
+
+  if (lookup.size > 0) {
+    const lookupKeys = Array.from(lookup.keys());
+    const lons = lookupKeys.map(k => lookup.get(k).lon);
+    const lats = lookupKeys.map(k => lookup.get(k).lat);
+
+    // Use raw SQL for PostGIS functions
+    // Note: We cast inputs to geography to use ST_DWithin (meters)
+    // Ensure "geometryJson" field in DB actually contains valid GeoJSON LineString
+    try {
+      const result = await prisma.$queryRaw`
+        SELECT p.idx, s.id
+        FROM unnest(${lons}::float8[], ${lats}::float8[]) WITH ORDINALITY AS p(lon, lat, idx)
+        LEFT JOIN LATERAL (
+          SELECT id
+          FROM "RoadSegment"
+          WHERE ST_DWithin(
+            ST_SetSRID(ST_MakePoint(p.lon, p.lat), 4326)::geography,
+            ST_GeomFromGeoJSON(CAST("geometryJson" AS text))::geography,
+            ${THRESHOLDS.SEGMENT_PROXIMITY}
+          )
+          ORDER BY ST_Distance(
+            ST_SetSRID(ST_MakePoint(p.lon, p.lat), 4326)::geography,
+            ST_GeomFromGeoJSON(CAST("geometryJson" AS text))::geography
+          )
+          LIMIT 1
+        ) s ON true
+      `;
+
+      // idx is 1-based (WITH ORDINALITY)
+      for (const row of result) {
+        const key = lookupKeys[Number(row.idx) - 1];
+        resolved.set(key, row.id ?? null);
+        cacheSegment(key, row.id ?? null);
+      }
+    } catch (err) {
+      if (!failSafe) throw err;
+      log.error('Segment assignment error (PostGIS might be missing or invalid geometry):', err.message);
+      return points.map(() => null); // Fail safe, store without segment
+    }
   }
+
+  return keys.map(key => resolved.get(key) ?? null);
+}
+
+/**
+ * Finds the road segment closest to the given point within 50 meters
+ */
+export async function assignRoadSegment(latitude, longitude) {
+  const [segmentId] = await assignRoadSegments([{ latitude, longitude }]);
+  return segmentId;
 }
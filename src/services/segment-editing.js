@@ -0,0 +1,570 @@
+import prisma from '../config/database.js';
+import { SEGMENT_EDITING } from '../config/constants.js';
+import { haversineDistance, lineLength, projectOntoLine } from '../utils/geo-utils.js';
+import { splitLineAt } from '../algorithms/road-network.js';
+import { orientSegments, recomputeChainage, renumberSegments } from './haul-roads.js';
+import { invalidateStreamLookups } from './live-stream.js';
+import { queueReassignment } from './segment-reassignment.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('SEGEDIT');
+
+export const SPLIT_MODES = ['equal', 'chainage', 'point'];
+
+const TELEMETRY_BATCH_SIZE = 5000;
+// Re-pointing a busy segment's telemetry takes longer than Prisma's 5 s default
+const EDIT_TRANSACTION_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Invalid segment edit (bad split position, unusable geometry, ...)
+ */
+export class SegmentError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SegmentError';
+    }
+}
+
+function segmentCoords(segment) {
+    const coords = segment.geometryJson?.coordinates;
+    return Array.isArray(coords) && coords.length >= 2 ? coords : null;
+}
+
+function toNumberList(value, name) {
+    const list = (Array.isArray(value) ? value : [value]).map(Number);
+    if (list.length === 0 || list.some(v => !Number.isFinite(v))) {
+        throw new SegmentError(`${name} must be a number or a list of numbers`);
+    }
+    return list;
+}
+
+/**
+ * The segment's place on its road: chainage at its road-wise start and
+ * whether its geometry runs against the road direction
+ */
+async function roadPosition(segment) {
+    const segments = await prisma.roadSegment.findMany({
+        where: { roadId: segment.roadId },
+        orderBy: { segmentNumber: 'asc' },
+        select: { id: true, lengthMeters: true, geometryJson: true }
+    });
+
+    let chainage = 0;
+    for (const link of orientSegments(segments)) {
+        if (link.segment.id === segment.id) return { startChainage: chainage, reversed: link.reversed };
+        chainage += link.length;
+    }
+    return { startChainage: 0, reversed: false };
+}
+
+/**
+ * Split distances (meters along the geometry) for a split request
+ */
+async function splitDistances(segment, coords, total, { mode, parts, chainages, point }) {
+    if (mode === 'equal') {
+        const count = parseInt(parts);
+        if (isNaN(count) || count < 2) throw new SegmentError('parts must be an integer of at least 2');
+        return Array.from({ length: count - 1 }, (_, i) => (total * (i + 1)) / count);
+    }
+
+    if (mode === 'chainage') {
+        const { startChainage, reversed } = await roadPosition(segment);
+        return toNumberList(chainages, 'chainages').map(chainage => {
+            const along = chainage - startChainage;
+            if (along <= 0 || along >= total) {
+                throw new SegmentError(
+                    `Chainage ${chainage} m is outside the segment (${startChainage.toFixed(1)}–${(startChainage + total).toFixed(1)} m)`
+                );
+            }
+            return reversed ? total - along : along;
+        });
+    }
+
+    if (mode === 'point') {
+        const [lon, lat] = Array.isArray(point) ? point.map(Number) : [NaN, NaN];
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) throw new SegmentError('point must be [lon, lat]');
+
+        const { distanceAlong, offset } = projectOntoLine(lat, lon, coords);
+        if (offset > SEGMENT_EDITING.MAX_POINT_OFFSET_METERS) {
+            throw new SegmentError(`Point is ${offset.toFixed(0)} m from the segment (max ${SEGMENT_EDITING.MAX_POINT_OFFSET_METERS} m)`);
+        }
+        return [distanceAlong];
+    }
+
+    throw new SegmentError(`mode must be one of: ${SPLIT_MODES.join(', ')}`);
+}
+
+/**
+ * Index of the piece containing a distance along the original geometry
+ */
+function pieceAt(pieces, distanceAlong) {
+    const index = pieces.findIndex(piece => distanceAlong < piece.endMeters);
+    return index === -1 ? pieces.length - 1 : index;
+}
+
+function locate(pieces, coords, latitude, longitude) {
+    if (latitude == null || longitude == null) return 0;
+    return pieceAt(pieces, projectOntoLine(Number(latitude), Number(longitude), coords).distanceAlong);
+}
+
+/**
+ * Points rows at the piece their position falls on
+ *
+ * @returns {Promise<number>} Rows updated
+ */
+async function repointByPosition(delegate, rows, pieces, coords, pieceIds) {
+    const byPiece = new Map();
+    for (const row of rows) {
+        const index = locate(pieces, coords, row.latitude, row.longitude);
+        if (!byPiece.has(index)) byPiece.set(index, []);
+        byPiece.get(index).push(row.id);
+    }
+
+    let updated = 0;
+    for (const [index, ids] of byPiece) {
+        const { count } = await delegate.updateMany({
+            where: { id: { in: ids } },
+            data: { roadSegmentId: pieceIds[index] }
+        });
+        updated += count;
+    }
+    return updated;
+}
+
+/**
+ * Days with stats for any of the segments
+ */
+async function statsDays(segmentIds) {
+    const rows = await prisma.roadSegmentStats.findMany({
+        where: { roadSegmentId: { in: segmentIds } },
+        select: { date: true },
+        orderBy: { date: 'asc' }
+    });
+    const days = new Map();
+    for (const { date } of rows) days.set(date.getTime(), date);
+    return Array.from(days.values());
+}
+
+/**
+ * Splits a segment at interpolated points. The new segments take the
+ * original's place on its road and inherit what referenced it:
+ * - telemetry, events and alerts move to the piece their position falls on
+ * - work orders move to the piece holding most of their linked events
+ * - IRI reference runs and daily stats are copied to every piece
+ * The area is then queued for reassignment, which also rebuilds passes and
+ * stats for the affected days. Returns null if the segment doesn't exist.
+ *
+ * @param {number} id
+ * @param {object} options
+ * @param {string} options.mode equal | chainage | point
+ * @param {number} [options.parts] equal: number of pieces of the same length
+ * @param {number|number[]} [options.chainages] chainage: road chainage(s) in meters
+ * @param {number[]} [options.point] point: [lon, lat], split at the nearest point on the segment
+ */
+export async function splitSegment(id, options) {
+    const segment = await prisma.roadSegment.findUnique({ where: { id } });
+    if (!segment) return null;
+
+    const coords = segmentCoords(segment);
+    const total = coords ? lineLength(coords) : 0;
+    if (!coords || total === 0) throw new SegmentError('Segment has no usable geometry');
+
+    const distances = [...new Set(await splitDistances(segment, coords, total, options))].sort((a, b) => a - b);
+    const bounds = [0, ...distances, total];
+    for (let i = 0; i < bounds.length - 1; i++) {
+        if (bounds[i + 1] - bounds[i] < SEGMENT_EDITING.MIN_PIECE_METERS) {
+            throw new SegmentError(`Split would leave a segment shorter than ${SEGMENT_EDITING.MIN_PIECE_METERS} m`);
+        }
+    }
+
+    const pieces = splitLineAt(coords, distances);
+    const { reversed } = await roadPosition(segment);
+
+    const days = await statsDays([id]);
+
+    const result = await prisma.$transaction(async (tx) => {
+        const last = await tx.roadSegment.findFirst({
+            where: { roadId: segment.roadId },
+            orderBy: { segmentNumber: 'desc' },
+            select: { segmentNumber: true }
+        });
+
+        const created = [];
+        for (const [i, piece] of pieces.entries()) {
+            created.push(await tx.roadSegment.create({
+                data: {
+                    roadId: segment.roadId,
+                    segmentNumber: (last?.segmentNumber ?? 0) + i + 1,
+                    lengthMeters: piece.endMeters - piece.startMeters,
+                    avgGradePercent: segment.avgGradePercent,
+                    geometryJson: { type: 'LineString', coordinates: piece.coordinates }
+                }
+            }));
+        }
+        const pieceIds = created.map(s => s.id);
+        const counts = { telemetry: 0, events: 0, alerts: 0, workOrders: 0, referenceRuns: 0, stats: 0 };
+
+        // Telemetry: each batch leaves the original, so keep taking the first rows
+        for (;;) {
+            const rows = await tx.truckTelemetry.findMany({
+                where: { roadSegmentId: id },
+                select: { id: true, latitude: true, longitude: true },
+                take: TELEMETRY_BATCH_SIZE
+            });
+            if (rows.length === 0) break;
+            counts.telemetry += await repointByPosition(tx.truckTelemetry, rows, pieces, coords, pieceIds);
+        }
+
+        const events = await tx.roughnessEvent.findMany({
+            where: { roadSegmentId: id },
+            select: { id: true, latitude: true, longitude: true, workOrderId: true }
+        });
+        counts.events = await repointByPosition(tx.roughnessEvent, events, pieces, coords, pieceIds);
+
+        const alerts = await tx.alert.findMany({
+            where: { roadSegmentId: id },
+            select: { id: true, latitude: true, longitude: true }
+        });
+        counts.alerts = await repointByPosition(tx.alert, alerts, pieces, coords, pieceIds);
+
+        const workOrders = await tx.workOrder.findMany({ where: { roadSegmentId: id }, select: { id: true } });
+        for (const order of workOrders) {
+            const votes = new Array(pieces.length).fill(0);
+            for (const event of events) {
+                if (event.workOrderId === order.id) votes[locate(pieces, coords, event.latitude, event.longitude)]++;
+            }
+            // No linked events: the first piece (votes all 0)
+            const index = votes.indexOf(Math.max(...votes));
+            await tx.workOrder.update({ where: { id: order.id }, data: { roadSegmentId: pieceIds[index] } });
+            counts.workOrders++;
+        }
+
+        const runs = await tx.iriReferenceRun.findMany({ where: { roadSegmentId: id } });
+        if (runs.length > 0) {
+            const { count } = await tx.iriReferenceRun.createMany({
+                data: pieceIds.flatMap(roadSegmentId => runs.map(({ id: runId, createdAt, ...run }) => ({ ...run, roadSegmentId })))
+            });
+            counts.referenceRuns = count;
+        }
+
+        // Until the days are re-aggregated, each piece shows the whole segment's condition
+        const stats = await tx.roadSegmentStats.findMany({ where: { roadSegmentId: id } });
+        if (stats.length > 0) {
+            const { count } = await tx.roadSegmentStats.createMany({
+                data: pieceIds.flatMap(roadSegmentId => stats.map(({ id: statsId, createdAt, updatedAt, ...row }) => ({
+                    ...row,
+                    iriCalibrations: row.iriCalibrations ?? undefined,
+                    roadSegmentId
+                })))
+            });
+            counts.stats = count;
+        }
+
+        // Passes cascade with the original and come back with re-aggregation
+        await tx.roadSegment.delete({ where: { id } });
+
+        const order = await tx.roadSegment.findMany({
+            where: { roadId: segment.roadId, id: { notIn: pieceIds } },
+            orderBy: { segmentNumber: 'asc' },
+            select: { id: true, segmentNumber: true }
+        });
+        const before = order.filter(s => s.segmentNumber < segment.segmentNumber).map(s => s.id);
+        const after = order.filter(s => s.segmentNumber > segment.segmentNumber).map(s => s.id);
+        const inRoadOrder = reversed ? [...pieceIds].reverse() : pieceIds;
+        await renumberSegments(tx, segment.roadId, [...before, ...inRoadOrder, ...after]);
+        await recomputeChainage(segment.roadId, tx);
+
+        const newSegments = await tx.roadSegment.findMany({
+            where: { id: { in: inRoadOrder } },
+            orderBy: { segmentNumber: 'asc' }
+        });
+        return { newSegments, counts };
+    }, { timeout: EDIT_TRANSACTION_TIMEOUT_MS });
+
+    invalidateStreamLookups();
+    log.info(`Split segment ${id} into ${pieces.length} (${options.mode}), moved ${result.counts.telemetry} telemetry rows and ${result.counts.events} events`);
+
+    const reassignments = await queueReassignment({ lines: [coords], days, reason: 'split' });
+
+    return {
+        originalId: id,
+        mode: options.mode,
+        newSegments: result.newSegments,
+        repointed: result.counts,
+        reassignmentIds: reassignments.map(area => area.id)
+    };
+}
+
+function pointDistance(a, b) {
+    return haversineDistance(a[1], a[0], b[1], b[0]);
+}
+
+/**
+ * Merges consecutive segments of one road into a single segment. The first
+ * segment in road order is kept (with its ID and direction) and takes over
+ * the others' telemetry, events, alerts, work orders, reference runs and
+ * stats; the others are deleted. The reassignment job then rebuilds passes
+ * and stats for the affected days.
+ *
+ * @param {number[]} segmentIds
+ */
+export async function mergeSegments(segmentIds) {
+    const ids = [...new Set(segmentIds)];
+    if (ids.length < 2) throw new SegmentError('segmentIds must name at least two segments');
+
+    const segments = await prisma.roadSegment.findMany({
+        where: { id: { in: ids } },
+        select: { id: true, roadId: true }
+    });
+    if (segments.length !== ids.length) {
+        const found = new Set(segments.map(s => s.id));
+        throw new SegmentError(`Segments not found: ${ids.filter(id => !found.has(id)).join(', ')}`);
+    }
+    const roadId = segments[0].roadId;
+    if (segments.some(s => s.roadId !== roadId)) {
+        throw new SegmentError('Segments must be on the same road');
+    }
+
+    const roadSegments = await prisma.roadSegment.findMany({
+        where: { roadId },
+        orderBy: { segmentNumber: 'asc' },
+        select: { id: true, lengthMeters: true, avgGradePercent: true, geometryJson: true }
+    });
+    const chain = orientSegments(roadSegments);
+    const positions = ids.map(id => chain.findIndex(link => link.segment.id === id)).sort((a, b) => a - b);
+    if (positions.some((p, i) => i > 0 && p !== positions[i - 1] + 1)) {
+        throw new SegmentError('Segments must be consecutive on their road');
+    }
+
+    const links = positions.map(i => chain[i]);
+    const missing = links.find(link => !link.start);
+    if (missing) throw new SegmentError(`Segment ${missing.segment.id} has no geometry`);
+
+    // Join along the road direction, dropping a duplicated joint vertex
+    let coordinates = [];
+    for (const [i, link] of links.entries()) {
+        const gap = link.gapMeters ?? 0;
+        if (i > 0 && gap > SEGMENT_EDITING.MAX_MERGE_GAP_METERS) {
+            throw new SegmentError(
+                `Segments ${links[i - 1].segment.id} and ${link.segment.id} are ${gap.toFixed(0)} m apart (max ${SEGMENT_EDITING.MAX_MERGE_GAP_METERS} m)`
+            );
+        }
+        const coords = segmentCoords(link.segment);
+        const oriented = link.reversed ? [...coords].reverse() : coords;
+        coordinates = coordinates.concat(i > 0 && gap < 0.5 ? oriented.slice(1) : oriented);
+    }
+
+    const [kept, ...merged] = links;
+    if (kept.reversed) coordinates.reverse();
+    const keepId = kept.segment.id;
+    const mergedIds = merged.map(link => link.segment.id);
+
+    const graded = links.filter(link => link.segment.avgGradePercent != null && link.length > 0);
+    const gradeLength = graded.reduce((sum, link) => sum + link.length, 0);
+    const avgGradePercent = gradeLength > 0
+        ? Number((graded.reduce((sum, link) => sum + Number(link.segment.avgGradePercent) * link.length, 0) / gradeLength).toFixed(2))
+        : null;
+
+    const days = await statsDays(ids);
+
+    const result = await prisma.$transaction(async (tx) => {
+        const counts = { telemetry: 0, events: 0, alerts: 0, workOrders: 0, referenceRuns: 0, stats: 0 };
+        const fromMerged = { roadSegmentId: { in: mergedIds } };
+        const toKept = { roadSegmentId: keepId };
+
+        counts.telemetry = (await tx.truckTelemetry.updateMany({ where: fromMerged, data: toKept })).count;
+        counts.events = (await tx.roughnessEvent.updateMany({ where: fromMerged, data: toKept })).count;
+        counts.alerts = (await tx.alert.updateMany({ where: fromMerged, data: toKept })).count;
+        counts.workOrders = (await tx.workOrder.updateMany({ where: fromMerged, data: toKept })).count;
+        counts.referenceRuns = (await tx.iriReferenceRun.updateMany({ where: fromMerged, data: toKept })).count;
+
+        // (roadSegmentId, date) is unique: days the kept segment already has
+        // wait for re-aggregation
+        const keptDays = new Set((await tx.roadSegmentStats.findMany({
+            where: toKept,
+            select: { date: true }
+        })).map(s => s.date.getTime()));
+        const stats = await tx.roadSegmentStats.findMany({ where: fromMerged, select: { id: true, date: true } });
+        for (const row of stats) {
+            if (keptDays.has(row.date.getTime())) continue;
+            keptDays.add(row.date.getTime());
+            await tx.roadSegmentStats.update({ where: { id: row.id }, data: toKept });
+            counts.stats++;
+        }
+
+        // Passes cascade with the merged segments and come back with re-aggregation
+        await tx.roadSegment.deleteMany({ where: { id: { in: mergedIds } } });
+        await tx.roadSegment.update({
+            where: { id: keepId },
+            data: {
+                geometryJson: { type: 'LineString', coordinates },
+                lengthMeters: lineLength(coordinates),
+                avgGradePercent,
+                generated: false
+            }
+        });
+
+        const removed = new Set(mergedIds);
+        await renumberSegments(tx, roadId, chain.map(link => link.segment.id).filter(id => !removed.has(id)));
+        await recomputeChainage(roadId, tx);
+
+        return { segment: await tx.roadSegment.findUnique({ where: { id: keepId } }), counts };
+    }, { timeout: EDIT_TRANSACTION_TIMEOUT_MS });
+
+    invalidateStreamLookups();
+    log.info(`Merged segments ${mergedIds.join(', ')} into ${keepId}, moved ${result.counts.telemetry} telemetry rows and ${result.counts.events} events`);
+
+    const reassignments = await queueReassignment({ lines: [coordinates], days, reason: 'merge' });
+
+    return {
+        segment: result.segment,
+        mergedIds,
+        repointed: result.counts,
+        reassignmentIds: reassignments.map(area => area.id)
+    };
+}
+
+/**
+ * Reverses a segment's geometry. Its passes swap direction to match.
+ * Returns null if the segment doesn't exist.
+ */
+export async function reverseSegment(id) {
+    const segment = await prisma.roadSegment.findUnique({ where: { id } });
+    if (!segment) return null;
+
+    const coords = segmentCoords(segment);
+    if (!coords) throw new SegmentError('Segment has no usable geometry');
+
+    const reversed = await prisma.$transaction(async (tx) => {
+        const passes = await tx.segmentPass.findMany({
+            where: { roadSegmentId: id, direction: { in: ['FORWARD', 'REVERSE'] } },
+            select: { id: true, direction: true }
+        });
+        for (const direction of ['FORWARD', 'REVERSE']) {
+            const passIds = passes.filter(p => p.direction === direction).map(p => p.id);
+            if (passIds.length === 0) continue;
+            await tx.segmentPass.updateMany({
+                where: { id: { in: passIds } },
+                data: { direction: direction === 'FORWARD' ? 'REVERSE' : 'FORWARD' }
+            });
+        }
+
+        await tx.roadSegment.update({
+            where: { id },
+            data: { geometryJson: { type: 'LineString', coordinates: [...coords].reverse() }, generated: false }
+        });
+        await recomputeChainage(segment.roadId, tx);
+        return tx.roadSegment.findUnique({ where: { id } });
+    });
+
+    log.info(`Reversed segment ${id}`);
+    return reversed;
+}
+
+/**
+ * Snaps the endpoints of the given segments onto nearby endpoints of any
+ * segment, so neighbouring segments join exactly. Endpoints within the
+ * tolerance of each other form a group; a group that includes an endpoint of
+ * a segment not being snapped moves onto that endpoint, otherwise onto the
+ * group's average. Groups that would join both ends of one segment are skipped.
+ *
+ * @param {number[]} segmentIds
+ * @param {object} [options]
+ * @param {number} [options.tolerance] Meters (default: SEGMENT_EDITING.SNAP_TOLERANCE_METERS)
+ * @returns {Promise<{ tolerance, moved: Array<{ segmentId, end, meters }>, skipped: number, segments: object[], reassignmentIds: number[] }>}
+ */
+export async function snapEndpoints(segmentIds, { tolerance = SEGMENT_EDITING.SNAP_TOLERANCE_METERS } = {}) {
+    const ids = new Set(segmentIds);
+    if (ids.size === 0) throw new SegmentError('segmentIds is required');
+    if (!Number.isFinite(tolerance) || tolerance <= 0) throw new SegmentError('tolerance must be a positive number of meters');
+
+    const segments = await prisma.roadSegment.findMany({
+        select: { id: true, roadId: true, geometryJson: true }
+    });
+    const found = new Set(segments.map(s => s.id));
+    const unknown = [...ids].filter(id => !found.has(id));
+    if (unknown.length > 0) throw new SegmentError(`Segments not found: ${unknown.join(', ')}`);
+
+    const endpoints = [];
+    for (const segment of segments) {
+        const coords = segmentCoords(segment);
+        if (!coords) continue;
+        endpoints.push({ segment, coords, end: 'start', index: 0, point: coords[0], movable: ids.has(segment.id) });
+        endpoints.push({ segment, coords, end: 'end', index: coords.length - 1, point: coords[coords.length - 1], movable: ids.has(segment.id) });
+    }
+
+    // Union-find over endpoints within the tolerance, starting from movable ones
+    const parent = endpoints.map((_, i) => i);
+    const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    endpoints.forEach((a, i) => {
+        if (!a.movable) return;
+        endpoints.forEach((b, j) => {
+            if (i !== j && a.segment !== b.segment && pointDistance(a.point, b.point) <= tolerance) {
+                parent[find(i)] = find(j);
+            }
+        });
+    });
+
+    const groups = new Map();
+    endpoints.forEach((endpoint, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(endpoint);
+    });
+
+    const moved = [];
+    const changed = new Map(); // segmentId -> { segment, coords }
+    let skipped = 0;
+
+    for (const group of groups.values()) {
+        if (group.length < 2 || !group.some(e => e.movable)) continue;
+        if (new Set(group.map(e => e.segment.id)).size < group.length) {
+            skipped++;
+            continue;
+        }
+
+        const fixed = group.find(e => !e.movable);
+        const target = fixed
+            ? fixed.point
+            : [
+                Number((group.reduce((sum, e) => sum + e.point[0], 0) / group.length).toFixed(7)),
+                Number((group.reduce((sum, e) => sum + e.point[1], 0) / group.length).toFixed(7))
+            ];
+
+        for (const endpoint of group) {
+            if (!endpoint.movable) continue;
+            const meters = pointDistance(endpoint.point, target);
+            if (meters === 0) continue;
+
+            if (!changed.has(endpoint.segment.id)) {
+                changed.set(endpoint.segment.id, { segment: endpoint.segment, coords: endpoint.coords.map(c => [...c]) });
+            }
+            changed.get(endpoint.segment.id).coords[endpoint.index] = [...target];
+            moved.push({ segmentId: endpoint.segment.id, end: endpoint.end, meters: Number(meters.toFixed(2)) });
+        }
+    }
+
+    if (changed.size === 0) return { tolerance, moved, skipped, segments: [], reassignmentIds: [] };
+
+    const updated = await prisma.$transaction(async (tx) => {
+        const rows = [];
+        for (const { segment, coords } of changed.values()) {
+            rows.push(await tx.roadSegment.update({
+                where: { id: segment.id },
+                data: { geometryJson: { type: 'LineString', coordinates: coords }, generated: false }
+            }));
+        }
+        for (const roadId of new Set(rows.map(s => s.roadId))) {
+            await recomputeChainage(roadId, tx);
+        }
+        return tx.roadSegment.findMany({ where: { id: { in: rows.map(s => s.id) } }, orderBy: { id: 'asc' } });
+    });
+
+    invalidateStreamLookups();
+    log.info(`Snapped ${moved.length} endpoint(s) on ${changed.size} segment(s)`);
+
+    const lines = Array.from(changed.values()).flatMap(({ segment, coords }) => [segmentCoords(segment), coords]);
+    const reassignments = await queueReassignment({ lines, reason: 'snap' });
+
+    return { tolerance, moved, skipped, segments: updated, reassignmentIds: reassignments.map(area => area.id) };
+}
@@ -0,0 +1,349 @@
+import prisma from '../config/database.js';
+import { SEGMENT_GENERATION } from '../config/constants.js';
+import {
+    createProjection,
+    splitTrips,
+    extractCenterlines,
+    resample,
+    sliceLine,
+    cutLine
+} from '../algorithms/road-network.js';
+import { projectOntoLine } from '../utils/geo-utils.js';
+import { recomputeChainage, reorderSegments } from './haul-roads.js';
+import { invalidateStreamLookups } from './live-stream.js';
+import { queueReassignment } from './segment-reassignment.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('SEGGEN');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TELEMETRY_PAGE = 20000;
+const FULLY_COVERED = 0.9; // Centerlines this covered by existing segments add nothing
+
+// Roads created by generation; the legacy single road is still cleaned up
+export const GENERATED_ROAD_TYPE = 'generated';
+export const LEGACY_GENERATED_ROAD = 'Auto-Generated Segments';
+
+/**
+ * Moving fixes of every truck in the window, split into trips (projected meters).
+ * Fixes are read one truck and one page at a time, and each finished trip is
+ * thinned to RESAMPLE_METERS right away, so only the thinned traces are kept.
+ */
+async function loadTrips({ from, to, minSpeed }, projection) {
+    const trucks = await prisma.truck.findMany({ select: { id: true } });
+    const trips = [];
+    let fixCount = 0;
+    const keep = trip => trips.push(resample(trip, SEGMENT_GENERATION.RESAMPLE_METERS));
+
+    for (const truck of trucks) {
+        let open = []; // Trip still running at the end of the previous page
+        let after = from;
+
+        // Page by timestamp to keep each query bounded
+        for (;;) {
+            const rows = await prisma.truckTelemetry.findMany({
+                where: {
+                    truckId: truck.id,
+                    speed: { gte: minSpeed },
+                    timestamp: { gt: after, lte: to }
+                },
+                orderBy: { timestamp: 'asc' },
+                take: TELEMETRY_PAGE,
+                select: { timestamp: true, latitude: true, longitude: true }
+            });
+            fixCount += rows.length;
+
+            const fixes = open.concat(rows.map(row => ({
+                ...projection.toXY(Number(row.latitude), Number(row.longitude)),
+                timestamp: row.timestamp
+            })));
+            const pieces = splitTrips(fixes);
+
+            // The last trip may go on in the next page
+            const last = fixes[fixes.length - 1];
+            if (!last) {
+                open = [];
+            } else if (pieces.length > 0 && pieces[pieces.length - 1].at(-1) === last) {
+                open = pieces.pop();
+            } else {
+                open = [last];
+            }
+            pieces.forEach(keep);
+
+            if (rows.length < TELEMETRY_PAGE) break;
+            after = rows[rows.length - 1].timestamp;
+        }
+
+        if (open.length >= 2) keep(open);
+    }
+
+    return { trips, fixCount };
+}
+
+/**
+ * Segment geometry in projected meters with a bounding box grown by margin
+ */
+function projectSegment(segment, projection, margin) {
+    const points = segment.geometryJson.coordinates.map(([lon, lat]) => projection.toXY(lat, lon));
+    return {
+        id: segment.id,
+        roadId: segment.roadId,
+        points,
+        minX: Math.min(...points.map(p => p.x)) - margin,
+        maxX: Math.max(...points.map(p => p.x)) + margin,
+        minY: Math.min(...points.map(p => p.y)) - margin,
+        maxY: Math.max(...points.map(p => p.y)) + margin
+    };
+}
+
+async function loadExistingSegments(projection, margin) {
+    const segments = await prisma.roadSegment.findMany({
+        select: { id: true, roadId: true, geometryJson: true }
+    });
+
+    return segments
+        .filter(s => Array.isArray(s.geometryJson?.coordinates) && s.geometryJson.coordinates.length >= 2)
+        .map(s => projectSegment(s, projection, margin));
+}
+
+function distanceToPolyline(point, points) {
+    let best = Infinity;
+    for (let i = 0; i < points.length - 1; i++) {
+        const a = points[i];
+        const b = points[i + 1];
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lenSq = dx * dx + dy * dy;
+        const t = lenSq === 0 ? 0 : Math.min(1, Math.max(0, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lenSq));
+        best = Math.min(best, Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy)));
+    }
+    return best;
+}
+
+/**
+ * Existing segment covering a point, or null
+ */
+function coveringSegment(point, existing, radius) {
+    let best = null;
+    let bestDistance = radius;
+    for (const segment of existing) {
+        if (point.x < segment.minX || point.x > segment.maxX || point.y < segment.minY || point.y > segment.maxY) continue;
+        const d = distanceToPolyline(point, segment.points);
+        if (d <= bestDistance) {
+            best = segment;
+            bestDistance = d;
+        }
+    }
+    return best;
+}
+
+/**
+ * Compares a centerline with the existing segments: which road it belongs to
+ * (most covered samples) and the stretches no segment covers yet. Samples
+ * near the ends don't vote, a centerline starting at a junction belongs to
+ * a different road than the one it branches off.
+ */
+function reconcile(centerline, existing, { spacing, matchRadius, minPieceMeters }) {
+    const samples = resample(centerline.points, spacing);
+    const covering = samples.map(sample => coveringSegment(sample, existing, matchRadius));
+
+    const endSamples = Math.ceil((2 * matchRadius) / spacing);
+    const votes = new Map();
+    covering.forEach((segment, i) => {
+        if (!segment || segment.roadId == null) return;
+        if (i < endSamples || i >= samples.length - endSamples) return;
+        votes.set(segment.roadId, (votes.get(segment.roadId) || 0) + 1);
+    });
+    const roadId = Array.from(votes.entries()).sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+    const coveredShare = samples.length > 0 ? covering.filter(Boolean).length / samples.length : 0;
+
+    // Uncovered runs as distances along the centerline
+    const gaps = [];
+    let runStart = null;
+    covering.forEach((segment, i) => {
+        if (!segment && runStart === null) runStart = i;
+        if ((segment || i === covering.length - 1) && runStart !== null) {
+            const runEnd = segment ? i - 1 : i;
+            const fromMeters = runStart === 0 ? 0 : (runStart - 0.5) * spacing;
+            const toMeters = runEnd === samples.length - 1 ? centerline.lengthMeters : (runEnd + 0.5) * spacing;
+            if (toMeters - fromMeters >= minPieceMeters) gaps.push({ fromMeters, toMeters });
+            runStart = null;
+        }
+    });
+
+    return {
+        roadId,
+        coveredShare,
+        gaps: coveredShare >= FULLY_COVERED ? [] : gaps,
+        existingSegmentIds: [...new Set(covering.filter(s => s?.id).map(s => s.id))]
+    };
+}
+
+/**
+ * Orders a road's segments along a centerline when every one of them lies on it
+ */
+async function orderAlongCenterline(roadId, coordinates, matchRadius) {
+    const segments = await prisma.roadSegment.findMany({
+        where: { roadId },
+        select: { id: true, geometryJson: true }
+    });
+
+    const positions = [];
+    for (const segment of segments) {
+        const coords = segment.geometryJson?.coordinates;
+        if (!Array.isArray(coords) || coords.length < 2) return false;
+        const [lon, lat] = coords[Math.floor(coords.length / 2)];
+        const projected = projectOntoLine(lat, lon, coordinates);
+        if (projected.offset > matchRadius) return false;
+        positions.push({ id: segment.id, along: projected.distanceAlong });
+    }
+
+    positions.sort((a, b) => a.along - b.along);
+    await reorderSegments(roadId, positions.map(p => p.id));
+    return true;
+}
+
+/**
+ * Builds the road network from GPS traces and reconciles it with the existing
+ * segments: stretches already covered by a segment are left alone (keeping
+ * their stats and history), new stretches are cut into fixed-length segments
+ * on the road they continue, or on a new road.
+ *
+ * @param {object} [options]
+ * @param {Date} [options.from] Default: HISTORY_DAYS ago
+ * @param {Date} [options.to] Default: now
+ * @param {number} [options.minSpeed]
+ * @param {number} [options.segmentLength] Meters
+ * @param {number} [options.minPasses] Trips needed to keep a road
+ * @param {number} [options.matchRadius] Meters
+ * @param {boolean} [options.dryRun] Report the plan without saving
+ */
+export async function generateSegments({
+    from,
+    to = new Date(),
+    minSpeed = SEGMENT_GENERATION.MIN_SPEED_KMH,
+    segmentLength = SEGMENT_GENERATION.SEGMENT_LENGTH_METERS,
+    minPasses = SEGMENT_GENERATION.MIN_PASSES,
+    matchRadius = SEGMENT_GENERATION.MATCH_RADIUS_METERS,
+    dryRun = false
+} = {}) {
+    const start = from ?? new Date(to.getTime() - SEGMENT_GENERATION.HISTORY_DAYS * DAY_MS);
+    const window = { timestamp: { gt: start, lte: to }, speed: { gte: minSpeed } };
+
+    const center = await prisma.truckTelemetry.aggregate({
+        where: window,
+        _avg: { latitude: true, longitude: true },
+        _count: { _all: true }
+    });
+    const summary = { dryRun, from: start, to, fixes: 0, trips: 0, centerlines: 0, roadsCreated: 0, segmentsCreated: 0, roads: [] };
+    if (!center._count._all) {
+        return { ...summary, message: 'No moving telemetry in the selected period' };
+    }
+
+    const projection = createProjection(Number(center._avg.latitude), Number(center._avg.longitude));
+    const { trips, fixCount } = await loadTrips({ from: start, to, minSpeed }, projection);
+    const centerlines = extractCenterlines(trips, { matchRadius, minPasses });
+    Object.assign(summary, { fixes: fixCount, trips: trips.length, centerlines: centerlines.length });
+
+    const existing = await loadExistingSegments(projection, matchRadius);
+    const generatedCount = await prisma.haulRoad.count({ where: { roadType: GENERATED_ROAD_TYPE } });
+    let newRoadNumber = generatedCount;
+
+    for (const centerline of centerlines) {
+        const coordinates = centerline.points.map(p => projection.toLonLat(p.x, p.y));
+        const match = reconcile(centerline, existing, {
+            spacing: SEGMENT_GENERATION.RESAMPLE_METERS,
+            matchRadius,
+            minPieceMeters: segmentLength / 2
+        });
+
+        const pieces = match.gaps.flatMap(gap => cutLine(sliceLine(coordinates, gap.fromMeters, gap.toMeters), segmentLength));
+        const entry = {
+            roadId: match.roadId,
+            roadName: null,
+            newRoad: match.roadId === null && pieces.length > 0,
+            lengthMeters: Math.round(centerline.lengthMeters),
+            avgPasses: centerline.avgPasses,
+            coveredPercent: Math.round(match.coveredShare * 100),
+            existingSegments: match.existingSegmentIds.length,
+            newSegments: pieces.length,
+            geometry: coordinates
+        };
+        summary.roads.push(entry);
+        if (pieces.length === 0) continue;
+
+        if (entry.newRoad) {
+            entry.roadName = `Generated road ${++newRoadNumber}`;
+            summary.roadsCreated++;
+        }
+        summary.segmentsCreated += pieces.length;
+        if (dryRun) {
+            // Planned pieces count as covered for the remaining centerlines
+            existing.push(...pieces.map(piece => projectSegment(
+                { id: null, roadId: match.roadId, geometryJson: { coordinates: piece.coordinates } },
+                projection,
+                matchRadius
+            )));
+            continue;
+        }
+
+        let roadId = match.roadId;
+        if (entry.newRoad) {
+            const road = await prisma.haulRoad.create({
+                data: { roadName: entry.roadName, roadType: GENERATED_ROAD_TYPE }
+            });
+            roadId = road.id;
+            entry.roadId = road.id;
+        }
+
+        const last = await prisma.roadSegment.findFirst({
+            where: { roadId },
+            orderBy: { segmentNumber: 'desc' },
+            select: { segmentNumber: true }
+        });
+        let segmentNumber = last?.segmentNumber || 0;
+
+        const created = [];
+        for (const piece of pieces) {
+            created.push(await prisma.roadSegment.create({
+                data: {
+                    roadId,
+                    segmentNumber: ++segmentNumber,
+                    lengthMeters: piece.endMeters - piece.startMeters,
+                    geometryJson: { type: 'LineString', coordinates: piece.coordinates },
+                    generated: true
+                },
+                select: { id: true, roadId: true, geometryJson: true }
+            }));
+        }
+
+        // Keep later centerlines from duplicating what was just created
+        existing.push(...created.map(segment => projectSegment(segment, projection, matchRadius)));
+
+        if (!(await orderAlongCenterline(roadId, coordinates, matchRadius))) {
+            await recomputeChainage(roadId);
+        }
+    }
+
+    if (!dryRun && summary.segmentsCreated > 0) {
+        invalidateStreamLookups();
+        await queueReassignment({
+            lines: summary.roads.filter(r => r.newSegments > 0).map(r => r.geometry),
+            reason: 'generate'
+        });
+    }
+
+    const names = new Map((await prisma.haulRoad.findMany({
+        where: { id: { in: summary.roads.map(r => r.roadId).filter(Boolean) } },
+        select: { id: true, roadName: true }
+    })).map(r => [r.id, r.roadName]));
+    for (const road of summary.roads) {
+        if (road.roadId && !road.roadName) road.roadName = names.get(road.roadId) ?? null;
+    }
+
+    summary.message = `${dryRun ? 'Would create' : 'Created'} ${summary.segmentsCreated} segments ` +
+        `(${summary.roadsCreated} new roads) from ${summary.centerlines} road centerlines`;
+    log.info(`${summary.message}, ${summary.trips} trips, ${summary.fixes} fixes${dryRun ? ' (dry run)' : ''}`);
+
+    return summary;
+}
@@ -0,0 +1,209 @@
+import prisma from '../config/database.js';
+import { BATCH_SIZES, THRESHOLDS } from '../config/constants.js';
+import { assignRoadSegments, invalidateSegmentCache } from './segment-assignment.js';
+import { aggregateDailyStats } from '../algorithms/statistics-aggregator.js';
+import { hasJob, triggerJob } from './job-scheduler.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('REASSIGN');
+
+export const REASSIGNMENT_JOB = 'segment-reassignment';
+
+const METERS_PER_DEG_LAT = 110540;
+const METERS_PER_DEG_LON = 111320;
+// segment-assignment caches by coordinates rounded to 4 decimals
+const CACHE_CELL_DEGREES = 0.0001;
+
+/**
+ * Bounding box of a [lon, lat] line, padded by the segment matching radius:
+ * points that far from a changed geometry may change segment.
+ * Returns null if there are no coordinates.
+ *
+ * @param {number[][]} line
+ */
+export function affectedBounds(line) {
+    const coords = Array.isArray(line) ? line.filter(c => Array.isArray(c) && c.length >= 2) : [];
+    if (coords.length === 0) return null;
+
+    const lats = coords.map(c => Number(c[1]));
+    const lons = coords.map(c => Number(c[0]));
+    const minLat = Math.min(...lats);
+    const maxLat = Math.max(...lats);
+    const padLat = THRESHOLDS.SEGMENT_PROXIMITY / METERS_PER_DEG_LAT;
+    const cosLat = Math.cos((Math.max(Math.abs(minLat), Math.abs(maxLat)) * Math.PI) / 180);
+    const padLon = THRESHOLDS.SEGMENT_PROXIMITY / (METERS_PER_DEG_LON * cosLat);
+
+    return {
+        minLat: minLat - padLat,
+        maxLat: maxLat + padLat,
+        minLon: Math.min(...lons) - padLon,
+        maxLon: Math.max(...lons) + padLon
+    };
+}
+
+function localDay(timestamp) {
+    const day = new Date(timestamp);
+    day.setHours(0, 0, 0, 0);
+    return day;
+}
+
+function invalidateCache(bounds) {
+    return invalidateSegmentCache({
+        minLat: bounds.minLat - CACHE_CELL_DEGREES,
+        maxLat: bounds.maxLat + CACHE_CELL_DEGREES,
+        minLon: bounds.minLon - CACHE_CELL_DEGREES,
+        maxLon: bounds.maxLon + CACHE_CELL_DEGREES
+    });
+}
+
+/**
+ * Queues the area around each changed line for reassignment and starts the job.
+ * One area per line keeps the scan to the edited geometry: a box around
+ * several distant segments would cover most of the mine.
+ * The segment lookup cache is cleared for the areas right away, so new
+ * telemetry is matched against the new geometry.
+ * If the job is already running, the areas are picked up by that run or the next.
+ *
+ * @param {object} change
+ * @param {number[][][]} change.lines [lon, lat] coordinates of the old and new geometry
+ * @param {Date[]} [change.days] Days to re-aggregate even if no row changes segment
+ * @param {string} [change.reason]
+ * @returns {Promise<object[]>} The queued areas (none if the lines have no coordinates)
+ */
+export async function queueReassignment({ lines, days = [], reason = null }) {
+    const areas = lines.map(affectedBounds).filter(Boolean);
+    if (areas.length === 0) return [];
+
+    areas.forEach(invalidateCache);
+    const queued = await prisma.segmentReassignment.createManyAndReturn({
+        data: areas.map(bounds => ({ ...bounds, days, reason }))
+    });
+
+    // Scripts run without the scheduler; the areas wait for the server's next run
+    if (hasJob(REASSIGNMENT_JOB)) {
+        triggerJob(REASSIGNMENT_JOB, reason ? `segment-${reason}` : 'segment-edit')
+            .catch(err => log.warn('Could not start reassignment:', err.message));
+    }
+    return queued;
+}
+
+/**
+ * Re-matches one table's rows inside the bounds, in (timestamp, id) pages.
+ * Adds the day of every row that changed segment to days.
+ */
+async function reassignRows(delegate, bounds, days) {
+    const inArea = {
+        latitude: { gte: bounds.minLat, lte: bounds.maxLat },
+        longitude: { gte: bounds.minLon, lte: bounds.maxLon }
+    };
+    let scanned = 0;
+    let changed = 0;
+    let last = null;
+
+    for (;;) {
+        const where = last
+            ? { AND: [inArea, { OR: [{ timestamp: { gt: last.timestamp } }, { timestamp: last.timestamp, id: { gt: last.id } }] }] }
+            : inArea;
+        const rows = await delegate.findMany({
+            where,
+            orderBy: [{ timestamp: 'asc' }, { id: 'asc' }],
+            take: BATCH_SIZES.SEGMENT_REASSIGNMENT,
+            select: { id: true, timestamp: true, latitude: true, longitude: true, roadSegmentId: true }
+        });
+        if (rows.length === 0) break;
+        scanned += rows.length;
+
+        // A failed lookup must not clear every row's segment
+        const assigned = await assignRoadSegments(rows, { failSafe: false });
+
+        const bySegment = new Map();
+        rows.forEach((row, i) => {
+            const segmentId = assigned[i];
+            if (segmentId === row.roadSegmentId) return;
+            if (!bySegment.has(segmentId)) bySegment.set(segmentId, []);
+            bySegment.get(segmentId).push(row.id);
+            const day = localDay(row.timestamp);
+            days.set(day.getTime(), day);
+        });
+
+        for (const [roadSegmentId, ids] of bySegment) {
+            const { count } = await delegate.updateMany({ where: { id: { in: ids } }, data: { roadSegmentId } });
+            changed += count;
+        }
+
+        last = rows[rows.length - 1];
+        if (rows.length < BATCH_SIZES.SEGMENT_REASSIGNMENT) break;
+    }
+
+    return { scanned, changed };
+}
+
+/**
+ * Re-matches telemetry and roughness events in every queued area to the
+ * current segments, then re-aggregates the days where any row changed
+ * segment (plus the days the areas asked for). Areas queued during the run
+ * are processed too.
+ *
+ * @returns {Promise<{ areas, failed, telemetry: { scanned, changed }, events: { scanned, changed }, days }>}
+ */
+export async function runPendingReassignments() {
+    const summary = { areas: 0, failed: 0, telemetry: { scanned: 0, changed: 0 }, events: { scanned: 0, changed: 0 }, days: 0 };
+    const days = new Map(); // day ms -> Date
+    const done = new Set();
+
+    for (;;) {
+        // RUNNING areas were left by a crashed run: the job lock allows one run at a time
+        const pending = await prisma.segmentReassignment.findMany({
+            where: { status: { in: ['PENDING', 'RUNNING'] }, id: { notIn: Array.from(done) } },
+            orderBy: { createdAt: 'asc' }
+        });
+        if (pending.length === 0) break;
+
+        for (const area of pending) {
+            done.add(area.id);
+            await prisma.segmentReassignment.update({
+                where: { id: area.id },
+                data: { status: 'RUNNING', startedAt: new Date() }
+            });
+
+            try {
+                invalidateCache(area);
+                const telemetry = await reassignRows(prisma.truckTelemetry, area, days);
+                const events = await reassignRows(prisma.roughnessEvent, area, days);
+                for (const day of area.days) days.set(localDay(day).getTime(), localDay(day));
+
+                await prisma.segmentReassignment.update({
+                    where: { id: area.id },
+                    data: { status: 'DONE', finishedAt: new Date(), result: { telemetry, events } }
+                });
+
+                summary.areas++;
+                summary.telemetry.scanned += telemetry.scanned;
+                summary.telemetry.changed += telemetry.changed;
+                summary.events.scanned += events.scanned;
+                summary.events.changed += events.changed;
+            } catch (err) {
+                log.error(`Area ${area.id} failed:`, err.message);
+                summary.failed++;
+                await prisma.segmentReassignment.update({
+                    where: { id: area.id },
+                    data: { status: 'FAILED', finishedAt: new Date(), error: err.message }
+                });
+            }
+        }
+    }
+
+    const ordered = Array.from(days.values()).sort((a, b) => a - b);
+    for (const day of ordered) {
+        await aggregateDailyStats(day);
+    }
+    summary.days = ordered.length;
+
+    if (summary.areas > 0 || summary.failed > 0) {
+        log.info(`${summary.areas} area(s): ${summary.telemetry.changed} telemetry rows and ${summary.events.changed} events changed segment, ${summary.days} day(s) re-aggregated`);
+    }
+    if (summary.failed > 0) {
+        throw new Error(`${summary.failed} area(s) failed, see GET /api/segments/reassignments`);
+    }
+    return summary;
+}
@@ -1,22 +1,51 @@
 import 'dotenv/config';
 import net from 'net';
-import { Codec8Parser } from '../parsers/codec8.js';
+import { Codec8Parser, PacketIntegrityError } from '../parsers/codec8.js';
 import { processTelemetryPacket } from '../services/telemetry-ingestion.js';
+import { validateIMEI } from '../services/device-validator.js';
+import { openSession, getSession, recordPacket, closeSession } from '../services/device-sessions.js';
+import { dispatchNextCommand, handleCommandResponse, requeueInFlightCommand } from '../services/device-commands.js';
+import { Codec12Parser, CODEC12_ID } from '../parsers/codec12.js';
 import { bytesToHex } from '../utils/hex-utils.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('TCP');
 
 const TCP_PORT = process.env.TCP_PORT || 5027;
-const sessions = new Map(); // Track IMEI per socket
+
+// Open device sockets, so shutdown can drop them
+const connections = new Set();
+
+/**
+ * Checks whether a device may connect. Unknown IMEIs and retired trucks are rejected.
+ * Returns the truck on success, null otherwise.
+ */
+async function authorizeDevice(imei) {
+    const truck = await validateIMEI(imei);
+    if (!truck || truck.status === 'RETIRED') return null;
+    return truck;
+}
 
 export function startTCPServer() {
     const server = net.createServer((socket) => {
         const clientId = `${socket.remoteAddress}:${socket.remotePort}`;
         console.log(`[TCP] Client connected: ${clientId}`);
+        connections.add(socket);
 
         let imei = null;
         let buffer = Buffer.alloc(0);
         let expectingIMEI = true;
+        let rejected = false;
 
-        socket.on('data', async (data) => {
+        // Chunks are handled one at a time: handling awaits the database, and a
+        // chunk arriving meanwhile must not re-read the same buffer head
+        let queue = Promise.resolve();
+        socket.on('data', (data) => {
+            queue = queue.then(() => handleData(data));
+        });
+
+        async function handleData(data) {
+            if (rejected) return;
             buffer = Buffer.concat([buffer, data]);
 
             try {
@@ -31,16 +60,35 @@ export function startTCPServer() {
                     imei = buffer.slice(2, 2 + imeiLength).toString('ascii');
                     console.log(`[TCP] ${clientId} IMEI: ${imei}`);
 
-                    // Store IMEI for this session
-                    sessions.set(socket, imei);
+                    // Remove processed bytes
+                    buffer = buffer.slice(2 + imeiLength);
+                    expectingIMEI = false;
+
+                    // Hold further data until the device is authorized
+                    socket.pause();
+                    let truck = null;
+                    try {
+                        truck = await authorizeDevice(imei);
+                    } catch (err) {
+                        console.error(`[TCP] IMEI validation failed for ${clientId}:`, err.message);
+                    }
 
                     // Send ACK: 0x01 = accept, 0x00 = reject
-                    // For MVP, accept all. Later add IMEI validation.
+                    if (!truck) {
+                        console.warn(`[TCP] ${clientId} Rejected IMEI: ${imei}`);
+                        rejected = true;
+                        socket.end(Buffer.from([0x00]));
+                        return;
+                    }
+
+                    const session = openSession(socket, imei, truck);
                     socket.write(Buffer.from([0x01]));
+                    socket.resume();
 
-                    // Remove processed bytes
-                    buffer = buffer.slice(2 + imeiLength);
-                    expectingIMEI = false;
+                    // Deliver any commands queued while the device was offline
+                    dispatchNextCommand(session).catch(err => {
+                        console.error(`[TCP] Command dispatch failed for ${clientId}:`, err.message);
+                    });
                 }
 
                 // Step 2: Process Codec8 Data Packets
@@ -62,15 +110,27 @@ export function startTCPServer() {
                     // Extract packet
                     const packet = buffer.slice(0, packetLength);
 
+                    // Codec 12: response to a GPRS command we sent
+                    if (packet.readUInt8(8) === CODEC12_ID) {
+                        try {
+                            const { response } = Codec12Parser.parseResponse(packet);
+                            await handleCommandResponse(getSession(socket), response);
+                        } catch (cmdError) {
+                            console.error(`[TCP] Command response error for ${clientId}:`, cmdError.message);
+                            console.error('[TCP] Hex:', bytesToHex(packet));
+                        }
+                        buffer = buffer.slice(packetLength);
+                        continue;
+                    }
+
                     // Parse
                     try {
                         const parsed = Codec8Parser.parse(packet);
-                        console.log(`[TCP] ${clientId} Parsed ${parsed.recordCount} records`);
+                        log.debug(`${clientId} Parsed ${parsed.recordCount} records`);
 
                         // Process telemetry
-                        if (imei) {
-                            await processTelemetryPacket(parsed, imei);
-                        }
+                        await processTelemetryPacket(parsed, imei);
+                        recordPacket(socket, parsed.recordCount);
 
                         // Send ACK: number of records processed (4 bytes, big-endian)
                         const ack = Buffer.alloc(4);
@@ -78,7 +138,15 @@ export function startTCPServer() {
                         socket.write(ack);
 
                     } catch (parseError) {
-                        console.error(`[TCP] Parse error for ${clientId}:`, parseError.message);
+                        if (parseError instanceof PacketIntegrityError) {
+                            // NACK: 0 records accepted, device will retransmit
+                            console.warn(`[TCP] Corrupted packet from ${clientId}:`, parseError.message);
+                            const nack = Buffer.alloc(4);
+                            nack.writeUInt32BE(0, 0);
+                            socket.write(nack);
+                        } else {
+                            console.error(`[TCP] Parse error for ${clientId}:`, parseError.message);
+                        }
                         console.error('[TCP] Hex:', bytesToHex(packet));
                     }
 
@@ -89,16 +157,32 @@ export function startTCPServer() {
             } catch (err) {
                 console.error(`[TCP] Error handling data from ${clientId}:`, err);
             }
-        });
+        }
+
+        // Unanswered commands go back to the queue for the next connection
+        const endSession = () => {
+            const session = closeSession(socket);
+            if (session) {
+                requeueInFlightCommand(session).catch(err => {
+                    console.error(`[TCP] Failed to requeue command for ${clientId}:`, err.message);
+                });
+            }
+        };
 
         socket.on('end', () => {
             console.log(`[TCP] Client disconnected: ${clientId}`);
-            sessions.delete(socket);
+            endSession();
+        });
+
+        // 'close' always fires, even when the device drops without a FIN
+        socket.on('close', () => {
+            connections.delete(socket);
+            endSession();
         });
 
         socket.on('error', (err) => {
             console.error(`[TCP] Socket error for ${clientId}:`, err.message);
-            sessions.delete(socket);
+            endSession();
         });
     });
 
@@ -108,3 +192,15 @@ export function startTCPServer() {
 
     return server;
 }
+
+/**
+ * Stops accepting devices and drops the open connections. Packets not yet
+ * ACKed are resent by the devices after reconnecting.
+ * Resolves once the server is closed.
+ */
+export function stopTCPServer(server) {
+    return new Promise((resolve) => {
+        server.close(() => resolve());
+        for (const socket of connections) socket.destroy();
+    });
+}
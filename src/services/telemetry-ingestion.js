@@ -1,7 +1,40 @@
 import prisma from '../config/database.js';
 import { validateIMEI } from './device-validator.js';
-import { assignRoadSegment } from './segment-assignment.js';
+import { assignRoadSegments } from './segment-assignment.js';
 import { mapAVLToFields } from '../parsers/avl-mapper.js';
+import { getProfileForTruck } from './avl-profiles.js';
+import { getOrientations } from './mount-orientation.js';
+import { publishPositions } from './live-stream.js';
+import { DEFAULT_ORIENTATION, verticalAcceleration } from '../algorithms/vertical-acceleration.js';
+import { BATCH_SIZES, INTERVALS } from '../config/constants.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('INGEST');
+
+/*
+  Write buffer
+  Packets are queued and flushed together, either when TELEMETRY_INSERT rows are
+  waiting or after TELEMETRY_FLUSH_MS. processTelemetryPacket resolves only after
+  its rows are committed, so callers ACK the device after a durable write.
+*/
+const pending = []; // [{ rows, resolve, reject }]
+let pendingRows = 0;
+let flushTimer = null;
+let activeFlush = null; // Promise of the running flush
+
+const stats = {
+  flushCount: 0,
+  flushedRows: 0,
+  failedFlushes: 0,
+  lastFlushAt: null,
+  lastFlushMs: null,
+  lastFlushRows: 0
+};
+
+// Profile scale factors can produce fractions; integer columns need whole numbers
+function toInt(value) {
+  return typeof value === 'number' ? Math.round(value) : value;
+}
 
 export async function processTelemetryPacket(parsedPacket, imei) {
   if (!parsedPacket || !parsedPacket.records || parsedPacket.records.length === 0) {
@@ -11,11 +44,18 @@ export async function processTelemetryPacket(parsedPacket, imei) {
   // 1. Validate Device
   const truck = await validateIMEI(imei);
   if (!truck) {
-    console.warn(`Unauthorized IMEI: ${imei}`);
+    log.warn(`Unauthorized IMEI: ${imei}`);
     throw new Error('Unauthorized Device');
   }
+  // Checked here so every transport (TCP, UDP, HTTP) refuses retired trucks
+  if (truck.status === 'RETIRED') {
+    log.warn(`Data from retired truck ${truck.truckId} (IMEI ${imei}) refused`);
+    throw new Error('Truck is retired');
+  }
 
   const { id: truckId } = truck;
+  const avlProfile = await getProfileForTruck(truck);
+  const orientation = (await getOrientations([truckId])).get(truckId) ?? DEFAULT_ORIENTATION;
   const recordsToInsert = [];
 
   // 2. Process each record
@@ -23,32 +63,22 @@ export async function processTelemetryPacket(parsedPacket, imei) {
     const { timestamp, gps, io } = record;
 
     // Map IO elements
-    const mappedIO = mapAVLToFields(io);
+    const mappedIO = mapAVLToFields(io, avlProfile);
 
-    // --- LOGGING ---
-    const logTs = new Date().toISOString().replace('T', ' ').substring(0, 19);
-    const dataTs = new Date(timestamp).toISOString().replace('T', ' ').substring(0, 19);
-
-    console.log(`\n[${logTs}] 📡 DATA RX | IMEI: ${imei}`);
-    console.log(`   📅 Timestamp: ${dataTs}`);
-    console.log(`   📍 Location : ${gps.latitude.toFixed(6)}, ${gps.longitude.toFixed(6)} | Alt: ${gps.altitude}m`);
-    console.log(`   💨 Dynamics : Speed: ${gps.speed} km/h | Heading: ${gps.angle}°`);
-
-    // Log accelerometer data if present (Critical for Roughness)
-    if (mappedIO.axisX !== undefined || mappedIO.axisY !== undefined || mappedIO.axisZ !== undefined) {
-      console.log(`   📉 Vibration: X=${mappedIO.axisX || 0} Y=${mappedIO.axisY || 0} Z=${mappedIO.axisZ || 0} (mG)`);
-    }
-    console.log(`   ------------------------------------------------------`);
-    // ----------------
-
-    // Assign Segment (Async but we await it here for simplicity, 
-    // in high load might want to fire-and-forget or batch)
-    const segmentId = await assignRoadSegment(gps.latitude, gps.longitude);
+    log.debug(
+      `${imei} ${new Date(timestamp).toISOString()} ` +
+      `${gps.latitude.toFixed(6)},${gps.longitude.toFixed(6)} ${gps.speed}km/h ` +
+      `X=${mappedIO.axisX ?? '-'} Y=${mappedIO.axisY ?? '-'} Z=${mappedIO.axisZ ?? '-'}`
+    );
 
     // Determine load status (Simple logic for now: DIN1=1 is Loaded)
     // Refine this based on actual sensor configuration later
     const isLoaded = Boolean(mappedIO.din1);
 
+    const axisX = toInt(mappedIO.axisX) || 0;
+    const axisY = toInt(mappedIO.axisY) || 0;
+    const axisZ = toInt(mappedIO.axisZ) || 0;
+
     // Prepare DB object
     // Note: TimescaleDB handles the partition based on 'timestamp'
     recordsToInsert.push({
@@ -64,41 +94,37 @@ export async function processTelemetryPacket(parsedPacket, imei) {
       satellites: gps.satellites,
 
       // Accelerometer (mG)
-      axisX: mappedIO.axisX || 0,
-      axisY: mappedIO.axisY || 0,
-      axisZ: mappedIO.axisZ || 0,
+      axisX,
+      axisY,
+      axisZ,
+      // With the orientation known at ingest time, feeds the continuous aggregates
+      verticalAccel: Math.round(verticalAcceleration({ axisX, axisY, axisZ }, orientation)),
 
       // Vehicle Sensors
       ignition: Boolean(mappedIO.ignition),
       movement: Boolean(mappedIO.movement),
-      externalVoltage: mappedIO.externalVoltage || 0,
-      batteryVoltage: mappedIO.batteryVoltage || 0,
+      externalVoltage: toInt(mappedIO.externalVoltage) || 0,
+      batteryVoltage: toInt(mappedIO.batteryVoltage) || 0,
 
       // Digital/Analog Inputs
       din1: Boolean(mappedIO.din1),
       din2: Boolean(mappedIO.din2),
-      ain1: mappedIO.ain1 || 0,
+      ain1: toInt(mappedIO.ain1) || 0,
 
       // Other
-      totalOdometer: mappedIO.totalOdometer ? BigInt(mappedIO.totalOdometer) : null,
-      gsmSignal: mappedIO.gsmSignal,
+      totalOdometer: mappedIO.totalOdometer ? BigInt(toInt(mappedIO.totalOdometer)) : null,
+      gsmSignal: toInt(mappedIO.gsmSignal),
 
       // Meta
-      roadSegmentId: segmentId,
+      roadSegmentId: null, // Resolved in batch at flush time
       isLoaded: isLoaded,
       rawData: record, // Store full raw record as JSON for debugging
       processed: false // Processed by event detector later
     });
   }
 
-  // 3. Batch Insert
-  if (recordsToInsert.length > 0) {
-    // createMany is efficient for batch inserts
-    await prisma.truckTelemetry.createMany({
-      data: recordsToInsert,
-      skipDuplicates: true // In case of re-transmissions
-    });
-  }
+  // 3. Queue for batched insert, resolve once committed
+  await enqueueRows(recordsToInsert);
 
   return {
     success: true,
@@ -106,3 +132,99 @@ export async function processTelemetryPacket(parsedPacket, imei) {
     recordsProcessed: recordsToInsert.length
   };
 }
+
+function enqueueRows(rows) {
+  return new Promise((resolve, reject) => {
+    pending.push({ rows, resolve, reject });
+    pendingRows += rows.length;
+
+    if (pendingRows >= BATCH_SIZES.TELEMETRY_INSERT) {
+      flushTelemetryBuffer();
+    } else if (!flushTimer) {
+      flushTimer = setTimeout(flushTelemetryBuffer, INTERVALS.TELEMETRY_FLUSH_MS);
+    }
+  });
+}
+
+/**
+ * Writes everything currently queued: one spatial query for segment assignment,
+ * then createMany in chunks of TELEMETRY_INSERT inside a single transaction.
+ * Resolves when this flush (or the one already running) has finished.
+ */
+export function flushTelemetryBuffer() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  // One flush at a time; the running flush re-checks the queue when done
+  if (activeFlush) return activeFlush;
+  if (pending.length === 0) return Promise.resolve();
+
+  activeFlush = writePending().finally(() => {
+    activeFlush = null;
+    if (pendingRows >= BATCH_SIZES.TELEMETRY_INSERT) {
+      flushTelemetryBuffer();
+    } else if (pending.length > 0 && !flushTimer) {
+      flushTimer = setTimeout(flushTelemetryBuffer, INTERVALS.TELEMETRY_FLUSH_MS);
+    }
+  });
+  return activeFlush;
+}
+
+/**
+ * Waits for the running flush and writes whatever is still queued, until the
+ * buffer is empty (used on shutdown, after the listeners are closed)
+ */
+export async function drainTelemetryBuffer() {
+  while (activeFlush || pending.length > 0) {
+    await flushTelemetryBuffer();
+  }
+}
+
+async function writePending() {
+  const batch = pending.splice(0, pending.length);
+  const rows = batch.flatMap(entry => entry.rows);
+  pendingRows -= rows.length;
+
+  const startedAt = Date.now();
+  try {
+    const segmentIds = await assignRoadSegments(rows);
+    rows.forEach((row, i) => { row.roadSegmentId = segmentIds[i]; });
+
+    const inserts = [];
+    for (let i = 0; i < rows.length; i += BATCH_SIZES.TELEMETRY_INSERT) {
+      inserts.push(prisma.truckTelemetry.createMany({
+        data: rows.slice(i, i + BATCH_SIZES.TELEMETRY_INSERT),
+        skipDuplicates: true // In case of re-transmissions
+      }));
+    }
+    await prisma.$transaction(inserts);
+
+    stats.flushCount++;
+    stats.flushedRows += rows.length;
+    stats.lastFlushAt = new Date();
+    stats.lastFlushMs = Date.now() - startedAt;
+    stats.lastFlushRows = rows.length;
+    log.debug(`Flushed ${rows.length} rows from ${batch.length} packets in ${stats.lastFlushMs}ms`);
+
+    batch.forEach(entry => entry.resolve());
+
+    // Live map markers; never holds up the ACKs
+    publishPositions(rows).catch(err => log.warn('Live stream publish failed:', err.message));
+  } catch (err) {
+    stats.failedFlushes++;
+    log.error(`Flush of ${rows.length} rows failed:`, err.message);
+    batch.forEach(entry => entry.reject(err));
+  }
+}
+
+/**
+ * Current buffer state, for watching back-pressure
+ */
+export function getIngestionStats() {
+  return {
+    queuedPackets: pending.length,
+    queuedRows: pendingRows,
+    flushInProgress: activeFlush !== null,
+    ...stats
+  };
+}
@@ -0,0 +1,108 @@
+import 'dotenv/config';
+import dgram from 'dgram';
+import { Codec8Parser, PacketIntegrityError } from '../parsers/codec8.js';
+import { processTelemetryPacket } from '../services/telemetry-ingestion.js';
+import { bytesToHex } from '../utils/hex-utils.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('UDP');
+
+const UDP_PORT = process.env.UDP_PORT || 5027;
+
+/**
+ * Parses the Teltonika UDP channel header.
+ * [Length 2b][Packet ID 2b][Not usable 1b][AVL Packet ID 1b][IMEI Length 2b][IMEI][AVL Data]
+ * Length covers everything after the length field itself.
+ */
+export function parseUDPHeader(buffer) {
+    if (buffer.length < 8) {
+        throw new PacketIntegrityError(`UDP packet too short: ${buffer.length} bytes`);
+    }
+
+    const length = buffer.readUInt16BE(0);
+    if (buffer.length < 2 + length) {
+        throw new PacketIntegrityError(
+            `Truncated UDP packet: expected ${2 + length} bytes, got ${buffer.length}`,
+            { length, bufferLength: buffer.length }
+        );
+    }
+
+    const packetId = buffer.readUInt16BE(2);
+    const avlPacketId = buffer.readUInt8(5);
+    const imeiLength = buffer.readUInt16BE(6);
+    const imei = buffer.slice(8, 8 + imeiLength).toString('ascii');
+    const avlData = buffer.slice(8 + imeiLength, 2 + length);
+
+    return { packetId, avlPacketId, imei, avlData };
+}
+
+/**
+ * Builds the UDP acknowledgement.
+ * [Length 2b = 0x0005][Packet ID 2b][Not usable 1b = 0x01][AVL Packet ID 1b][Accepted Records 1b]
+ */
+export function buildUDPAck(packetId, avlPacketId, acceptedRecords) {
+    const ack = Buffer.alloc(7);
+    ack.writeUInt16BE(0x0005, 0);
+    ack.writeUInt16BE(packetId, 2);
+    ack.writeUInt8(0x01, 4);
+    ack.writeUInt8(avlPacketId, 5);
+    ack.writeUInt8(acceptedRecords, 6);
+    return ack;
+}
+
+export function startUDPServer() {
+    const server = dgram.createSocket('udp4');
+
+    server.on('message', async (msg, rinfo) => {
+        const clientId = `${rinfo.address}:${rinfo.port}`;
+
+        let header;
+        try {
+            header = parseUDPHeader(msg);
+        } catch (err) {
+            console.error(`[UDP] Invalid header from ${clientId}:`, err.message);
+            console.error('[UDP] Hex:', bytesToHex(msg));
+            return; // Nothing to ACK without a packet ID
+        }
+
+        const { packetId, avlPacketId, imei, avlData } = header;
+        const reply = (acceptedRecords) => {
+            server.send(buildUDPAck(packetId, avlPacketId, acceptedRecords), rinfo.port, rinfo.address);
+        };
+
+        try {
+            const parsed = Codec8Parser.parseData(avlData);
+            log.debug(`${clientId} IMEI: ${imei} Parsed ${parsed.recordCount} records`);
+
+            await processTelemetryPacket(parsed, imei);
+
+            reply(parsed.recordCount);
+        } catch (err) {
+            if (err instanceof PacketIntegrityError) {
+                // NACK: 0 records accepted, device will retransmit
+                console.warn(`[UDP] Corrupted packet from ${clientId}:`, err.message);
+                console.error('[UDP] Hex:', bytesToHex(msg));
+                reply(0);
+            } else {
+                console.error(`[UDP] Error handling packet from ${clientId}:`, err.message);
+            }
+        }
+    });
+
+    server.on('error', (err) => {
+        console.error('[UDP] Server error:', err.message);
+    });
+
+    server.bind(UDP_PORT, () => {
+        console.log(`[UDP] Teltonika server listening on port ${UDP_PORT}`);
+    });
+
+    return server;
+}
+
+/**
+ * Stops receiving packets. Resolves once the socket is closed.
+ */
+export function stopUDPServer(server) {
+    return new Promise((resolve) => server.close(() => resolve()));
+}
@@ -0,0 +1,77 @@
+/**
+ * Parses CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF line ends)
+ * into rows of fields. Blank lines are skipped.
+ *
+ * @returns {Array<{ line: number, fields: string[] }>} line is 1-based
+ */
+export function parseCSVRows(text) {
+    const rows = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        fields.push(field);
+        if (fields.length > 1 || fields[0].trim() !== '') {
+            rows.push({ line: rowLine, fields });
+        }
+        fields = [];
+        field = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                if (ch === '\n') line++;
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            fields.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || fields.length > 0) endRow();
+
+    return rows;
+}
+
+/**
+ * Parses CSV text with a header row into objects keyed by the (trimmed,
+ * lower-cased) header names. Values are trimmed; empty values are omitted.
+ *
+ * @returns {{ headers: string[], records: Array<{ line: number, values: object }> }}
+ */
+export function parseCSV(text) {
+    const rows = parseCSVRows(String(text).replace(/^\uFEFF/, ''));
+    if (rows.length === 0) return { headers: [], records: [] };
+
+    const headers = rows[0].fields.map(h => h.trim().toLowerCase());
+    const records = rows.slice(1).map(({ line, fields }) => {
+        const values = {};
+        headers.forEach((header, i) => {
+            const value = (fields[i] ?? '').trim();
+            if (header && value !== '') values[header] = value;
+        });
+        return { line, values };
+    });
+
+    return { headers, records };
+}
@@ -0,0 +1,94 @@
+/**
+ * Calculate distance between two lat/lon points in meters (Haversine formula)
+ */
+export function haversineDistance(lat1, lon1, lat2, lon2) {
+    const R = 6371000; // Earth radius in meters
+    const phi1 = lat1 * Math.PI / 180;
+    const phi2 = lat2 * Math.PI / 180;
+    const deltaPhi = (lat2 - lat1) * Math.PI / 180;
+    const deltaLambda = (lon2 - lon1) * Math.PI / 180;
+
+    const a = Math.sin(deltaPhi / 2) ** 2 +
+        Math.cos(phi1) * Math.cos(phi2) * Math.sin(deltaLambda / 2) ** 2;
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+    return R * c;
+}
+
+/**
+ * Calculate distance from a point to a line segment
+ */
+export function pointToSegmentDistance(px, py, x1, y1, x2, y2) {
+    const A = px - x1;
+    const B = py - y1;
+    const C = x2 - x1;
+    const D = y2 - y1;
+
+    const dot = A * C + B * D;
+    const lenSq = C * C + D * D;
+    let param = -1;
+
+    if (lenSq !== 0) param = dot / lenSq;
+
+    let xx, yy;
+
+    if (param < 0) {
+        xx = x1;
+        yy = y1;
+    } else if (param > 1) {
+        xx = x2;
+        yy = y2;
+    } else {
+        xx = x1 + param * C;
+        yy = y1 + param * D;
+    }
+
+    return haversineDistance(px, py, xx, yy);
+}
+
+
+/**
+ * Length of a GeoJSON LineString's coordinates ([lon, lat] pairs) in meters
+ */
+export function lineLength(coords) {
+    let length = 0;
+    for (let i = 0; i < coords.length - 1; i++) {
+        length += haversineDistance(coords[i][1], coords[i][0], coords[i + 1][1], coords[i + 1][0]);
+    }
+    return length;
+}
+
+/**
+ * Projects a point onto a line ([lon, lat] pairs).
+ * Returns the distance along the line to the closest point (meters from the
+ * first coordinate) and the perpendicular offset to it.
+ *
+ * @returns {{ distanceAlong: number, offset: number }}
+ */
+export function projectOntoLine(lat, lon, coords) {
+    let best = { distanceAlong: 0, offset: Infinity };
+    let travelled = 0;
+
+    for (let i = 0; i < coords.length - 1; i++) {
+        const [lon1, lat1] = coords[i];
+        const [lon2, lat2] = coords[i + 1];
+        const partLength = haversineDistance(lat1, lon1, lat2, lon2);
+
+        // Local flat projection is fine at segment scale
+        const cosLat = Math.cos(lat1 * Math.PI / 180);
+        const dx = (lon2 - lon1) * cosLat;
+        const dy = lat2 - lat1;
+        const lenSq = dx * dx + dy * dy;
+        const t = lenSq === 0
+            ? 0
+            : Math.min(1, Math.max(0, (((lon - lon1) * cosLat) * dx + (lat - lat1) * dy) / lenSq));
+
+        const offset = haversineDistance(lat, lon, lat1 + t * (lat2 - lat1), lon1 + t * (lon2 - lon1));
+        if (offset < best.offset) {
+            best = { distanceAlong: travelled + t * partLength, offset };
+        }
+        travelled += partLength;
+    }
+
+    return best;
+}
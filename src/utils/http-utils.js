@@ -0,0 +1,14 @@
+/**
+ * Error response for a route: 400 for the service's own validation errors
+ * (FleetError, RoadError, ...), 500 for anything else.
+ *
+ * @param {import('express').Response} res
+ * @param {Error} err
+ * @param {...Function} clientErrors Error classes that mean bad input
+ */
+export function sendError(res, err, ...clientErrors) {
+    if (clientErrors.some(ErrorClass => err instanceof ErrorClass)) {
+        return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+}
@@ -0,0 +1,18 @@
+/**
+ * Trimmed string for an optional text field: undefined stays undefined (field
+ * not given), null and blank become null (field cleared)
+ */
+export function optionalString(value) {
+    if (value === undefined) return undefined;
+    if (value === null) return null;
+    const text = String(value).trim();
+    return text === '' ? null : text;
+}
+
+/**
+ * Integer IDs from a request body array; anything that isn't a number is dropped
+ */
+export function parseIdList(value) {
+    const list = Array.isArray(value) ? value : [];
+    return list.map(id => parseInt(id)).filter(id => !isNaN(id));
+}
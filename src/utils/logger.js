@@ -0,0 +1,25 @@
+// Minimal leveled logger. Level comes from LOG_LEVEL (error | warn | info | debug).
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+function currentLevel() {
+    const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+    return LEVELS[level] ?? LEVELS.info;
+}
+
+/**
+ * Creates a logger that prefixes messages with a tag, e.g. createLogger('INGEST')
+ * -> "[INGEST] message"
+ */
+export function createLogger(tag) {
+    const write = (level, consoleFn) => (...args) => {
+        if (LEVELS[level] > currentLevel()) return;
+        consoleFn(`[${tag}]`, ...args);
+    };
+
+    return {
+        error: write('error', console.error),
+        warn: write('warn', console.warn),
+        info: write('info', console.log),
+        debug: write('debug', console.log)
+    };
+}
@@ -0,0 +1,185 @@
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import crypto from 'crypto';
+
+/*
+  Minimal SMTP client (RFC 5321) for alert emails: EHLO, optional STARTTLS or
+  implicit TLS, AUTH PLAIN, one plain-text message per connection.
+  Works against a relay or a local sink (MailHog, smtp4dev, scripts/test-notifications.js).
+*/
+
+const TIMEOUT_MS = 15000;
+
+export class SmtpError extends Error {
+    constructor(message, code = null) {
+        super(message);
+        this.name = 'SmtpError';
+        this.code = code;
+    }
+}
+
+/**
+ * SMTP settings from the environment
+ */
+export function smtpConfigFromEnv(env = process.env) {
+    return {
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT || '25'),
+        secure: env.SMTP_SECURE === 'true',      // Implicit TLS (port 465)
+        startTls: env.SMTP_STARTTLS === 'true',  // Upgrade a plain connection
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+        from: env.SMTP_FROM || 'road-roughness@localhost'
+    };
+}
+
+// Collects reply lines; a reply ends on "NNN " (multi-line replies use "NNN-")
+function createReplyReader() {
+    let buffer = '';
+    let lines = [];
+    const replies = [];
+    const waiting = [];
+    let failure = null;
+
+    const push = (reply) => {
+        const next = waiting.shift();
+        if (next) next.resolve(reply);
+        else replies.push(reply);
+    };
+
+    return {
+        onData(chunk) {
+            buffer += chunk.toString('utf8');
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                lines.push(line.slice(4));
+                if (/^\d{3}( |$)/.test(line)) {
+                    push({ code: parseInt(line.slice(0, 3)), lines });
+                    lines = [];
+                }
+            }
+        },
+        fail(err) {
+            failure = err;
+            waiting.splice(0).forEach(w => w.reject(err));
+        },
+        read() {
+            if (replies.length > 0) return Promise.resolve(replies.shift());
+            if (failure) return Promise.reject(failure);
+            return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+        }
+    };
+}
+
+// Resolves with the socket once connected; a server that never answers is given up after TIMEOUT_MS
+function connect(open) {
+    return new Promise((resolve, reject) => {
+        const s = open(() => {
+            clearTimeout(timer);
+            resolve(s);
+        });
+        const timer = setTimeout(() => s.destroy(new SmtpError('SMTP connect timeout')), TIMEOUT_MS);
+        s.once('error', (err) => {
+            clearTimeout(timer);
+            reject(err);
+        });
+    });
+}
+
+function encodeHeader(value) {
+    // RFC 2047 for non-ASCII subjects
+    return /^[\x20-\x7E]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+    const body = text
+        .replace(/\r?\n/g, '\r\n')
+        .replace(/^\./gm, '..'); // Dot-stuffing
+
+    return [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit',
+        '',
+        body
+    ].join('\r\n');
+}
+
+/**
+ * Sends one plain-text email.
+ *
+ * @param {object} config See smtpConfigFromEnv
+ * @param {{ to: string[], subject: string, text: string }} message
+ * @returns {Promise<{ response: string }>} Server reply to the message
+ */
+export async function sendMail(config, { to, subject, text }) {
+    if (!config.host) throw new SmtpError('SMTP_HOST is not configured');
+    if (!to || to.length === 0) throw new SmtpError('No recipients');
+
+    const reader = createReplyReader();
+    const options = { host: config.host, port: config.port, servername: config.host };
+    let socket = await connect(done => (config.secure ? tls.connect(options, done) : net.connect(options, done)));
+
+    const attach = (s) => {
+        s.setTimeout(TIMEOUT_MS, () => s.destroy(new SmtpError('SMTP timeout')));
+        s.on('data', chunk => reader.onData(chunk));
+        s.on('error', err => reader.fail(err));
+        s.on('close', () => reader.fail(new SmtpError('SMTP connection closed')));
+    };
+    attach(socket);
+
+    const expect = async (codes) => {
+        const reply = await reader.read();
+        if (!codes.includes(reply.code)) {
+            throw new SmtpError(`SMTP ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+        }
+        return reply;
+    };
+    const command = (line, codes) => {
+        socket.write(`${line}\r\n`);
+        return expect(codes);
+    };
+
+    try {
+        await expect([220]);
+        let ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+
+        if (config.startTls && !config.secure) {
+            if (!ehlo.lines.some(l => l.toUpperCase().startsWith('STARTTLS'))) {
+                throw new SmtpError('Server does not support STARTTLS');
+            }
+            await command('STARTTLS', [220]);
+            socket.removeAllListeners('data');
+            socket.removeAllListeners('close');
+            const plain = socket;
+            socket = await connect(done => tls.connect({ socket: plain, servername: config.host }, done));
+            attach(socket);
+            ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+        }
+
+        if (config.user) {
+            const token = Buffer.from(`\0${config.user}\0${config.pass || ''}`).toString('base64');
+            await command(`AUTH PLAIN ${token}`, [235]);
+        }
+
+        await command(`MAIL FROM:<${config.from}>`, [250]);
+        for (const recipient of to) {
+            await command(`RCPT TO:<${recipient}>`, [250, 251]);
+        }
+        await command('DATA', [354]);
+        const accepted = await command(`${buildMessage({ from: config.from, to, subject, text })}\r\n.`, [250]);
+
+        socket.write('QUIT\r\n');
+        return { response: accepted.lines.join(' ') };
+    } finally {
+        socket.end();
+    }
+}